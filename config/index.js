@@ -0,0 +1,177 @@
+require('dotenv').config();
+
+/**
+ * Read a numeric environment variable, falling back to a default
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} Parsed value
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Read a comma-separated list environment variable
+ *
+ * @param {string} name - Environment variable name
+ * @param {Array<string>} fallback - Value used when the variable is unset
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function envList(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  return process.env[name].split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+  ride: {
+    // Path to the pincode geodata file (.csv or .json)
+    pincodeDatasetPath: process.env.PINCODE_DATASET_PATH || null,
+    // Multiplier applied to straight-line distance to approximate road distance
+    roadFactor: envNumber('RIDE_ROAD_FACTOR', 1.3),
+    minDurationHours: envNumber('RIDE_MIN_DURATION_HOURS', 0.5),
+    // Average speed in km/h per vehicle class
+    averageSpeedKmph: {
+      light: envNumber('RIDE_SPEED_LIGHT_KMPH', 45),
+      medium: envNumber('RIDE_SPEED_MEDIUM_KMPH', 40),
+      heavy: envNumber('RIDE_SPEED_HEAVY_KMPH', 32)
+    }
+  },
+  duration: {
+    // Providers tried in order until one succeeds: pincode, osrm, placeholder
+    providers: envList('DURATION_PROVIDERS', ['pincode']),
+    timeoutMs: envNumber('DURATION_PROVIDER_TIMEOUT_MS', 3000),
+    cacheTtlMs: envNumber('DURATION_CACHE_TTL_MS', 6 * 60 * 60 * 1000),
+    cacheMaxEntries: envNumber('DURATION_CACHE_MAX_ENTRIES', 5000),
+    osrm: {
+      baseUrl: process.env.OSRM_BASE_URL || 'http://localhost:5001',
+      profile: process.env.OSRM_PROFILE || 'driving'
+    }
+  },
+  cancellation: {
+    // Cancellations are free up to this many hours before startTime
+    freeWindowHours: envNumber('CANCELLATION_FREE_WINDOW_HOURS', 24),
+    // Percentage of totalCost charged for later cancellations
+    feePercentage: envNumber('CANCELLATION_FEE_PERCENTAGE', 20)
+  },
+  pricing: {
+    currency: process.env.PRICING_CURRENCY || 'INR',
+    baseFare: envNumber('PRICING_BASE_FARE', 300),
+    // Added to the base fare per kg of vehicle capacity
+    perKgCapacityRate: envNumber('PRICING_PER_KG_CAPACITY_RATE', 0.05),
+    perKmRate: envNumber('PRICING_PER_KM_RATE', 12),
+    // Added to the per-km rate for every tyre beyond four (extra axles, tolls)
+    perExtraTyreKmRate: envNumber('PRICING_PER_EXTRA_TYRE_KM_RATE', 2),
+    perHourRate: envNumber('PRICING_PER_HOUR_RATE', 150),
+    nightSurchargePercentage: envNumber('PRICING_NIGHT_SURCHARGE_PERCENTAGE', 15),
+    nightStartHour: envNumber('PRICING_NIGHT_START_HOUR', 22),
+    nightEndHour: envNumber('PRICING_NIGHT_END_HOUR', 6),
+    weekendSurchargePercentage: envNumber('PRICING_WEEKEND_SURCHARGE_PERCENTAGE', 10),
+    // Local time used for night and weekend surcharges (IST by default)
+    timezoneOffsetMinutes: envNumber('PRICING_TIMEZONE_OFFSET_MINUTES', 330)
+  },
+  quotes: {
+    // How long a quoted price stays locked
+    validityMinutes: envNumber('QUOTE_VALIDITY_MINUTES', 15)
+  },
+  holds: {
+    // How long a vehicle stays reserved during checkout
+    durationMinutes: envNumber('HOLD_DURATION_MINUTES', 10)
+  },
+  turnaround: {
+    // Minutes blocked before and after every booking for loading and unloading,
+    // per vehicle class; a vehicle's own buffers take precedence
+    bufferBeforeMinutes: {
+      light: envNumber('BUFFER_BEFORE_LIGHT_MINUTES', 0),
+      medium: envNumber('BUFFER_BEFORE_MEDIUM_MINUTES', 0),
+      heavy: envNumber('BUFFER_BEFORE_HEAVY_MINUTES', 0)
+    },
+    bufferAfterMinutes: {
+      light: envNumber('BUFFER_AFTER_LIGHT_MINUTES', 0),
+      medium: envNumber('BUFFER_AFTER_MEDIUM_MINUTES', 0),
+      heavy: envNumber('BUFFER_AFTER_HEAVY_MINUTES', 0)
+    },
+    // Neighbouring bookings within this many hours must leave time to drive
+    // from one drop-off to the next pickup; 0 turns the check off
+    repositioningHorizonHours: envNumber('REPOSITIONING_HORIZON_HOURS', 48)
+  },
+  recurring: {
+    // Most occurrences one recurring booking request may create
+    maxOccurrences: envNumber('RECURRING_MAX_OCCURRENCES', 100)
+  },
+  assignment: {
+    // How vehicles are picked for bookings without a vehicleId:
+    // smallest-sufficient, least-utilised, cheapest or closest
+    strategy: process.env.ASSIGNMENT_STRATEGY || 'smallest-sufficient',
+    // Utilisation is measured over this many days on each side of the ride
+    utilisationWindowDays: envNumber('ASSIGNMENT_UTILISATION_WINDOW_DAYS', 7),
+    // Attempts when a concurrent booking claims the same vehicle
+    maxAttempts: envNumber('ASSIGNMENT_MAX_ATTEMPTS', 3)
+  },
+  stops: {
+    // Most stops, including the first pickup and last drop, of a multi-stop booking
+    maxStops: envNumber('MAX_STOPS_PER_BOOKING', 10)
+  },
+  drivers: {
+    // Booked driving time a driver may have per local day
+    maxDrivingHoursPerDay: envNumber('DRIVER_MAX_DRIVING_HOURS_PER_DAY', 9)
+  },
+  trips: {
+    // Largest proof-of-delivery signature image drivers may upload
+    maxSignatureKb: envNumber('POD_SIGNATURE_MAX_KB', 512)
+  },
+  telemetry: {
+    // Reported GPS points are deleted after this many days
+    retentionDays: envNumber('LOCATION_RETENTION_DAYS', 30),
+    maxPointsPerBatch: envNumber('LOCATION_MAX_POINTS_PER_BATCH', 500),
+    // Rides expected to arrive more than this many minutes after endTime are flagged as late
+    lateThresholdMinutes: envNumber('LATE_THRESHOLD_MINUTES', 15)
+  },
+  events: {
+    // Recent events kept so reconnecting clients can catch up from their Last-Event-ID
+    bufferSize: envNumber('EVENTS_BUFFER_SIZE', 1000),
+    // Comment lines sent on idle streams so proxies keep them open
+    heartbeatSeconds: envNumber('EVENTS_HEARTBEAT_SECONDS', 25)
+  },
+  webhooks: {
+    // Tries per delivery before it is marked failed
+    maxAttempts: envNumber('WEBHOOK_MAX_ATTEMPTS', 8),
+    // First retry delay; it doubles after every failed attempt up to the maximum
+    retryBaseSeconds: envNumber('WEBHOOK_RETRY_BASE_SECONDS', 30),
+    retryMaxSeconds: envNumber('WEBHOOK_RETRY_MAX_SECONDS', 6 * 60 * 60),
+    timeoutMs: envNumber('WEBHOOK_TIMEOUT_MS', 5000),
+    pollIntervalSeconds: envNumber('WEBHOOK_POLL_INTERVAL_SECONDS', 10),
+    // Let subscriptions reach localhost and private networks; only for local development
+    allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true'
+  },
+  imports: {
+    // Most rows one booking import may contain
+    maxRows: envNumber('IMPORT_MAX_ROWS', 500)
+  },
+  schedule: {
+    // Days and weeks of the planning board start at local midnight
+    timezoneOffsetMinutes: envNumber('SCHEDULE_TIMEZONE_OFFSET_MINUTES', envNumber('PRICING_TIMEZONE_OFFSET_MINUTES', 330)),
+    maxRangeDays: envNumber('SCHEDULE_MAX_RANGE_DAYS', 92)
+  },
+  suggestions: {
+    // Alternative start times offered on each side of the requested one
+    count: envNumber('SUGGESTION_COUNT', 3),
+    searchWindowHours: envNumber('SUGGESTION_SEARCH_WINDOW_HOURS', 72),
+    slotGranularityMinutes: envNumber('SUGGESTION_SLOT_GRANULARITY_MINUTES', 15)
+  },
+  auth: {
+    // Required: the server refuses to start without it. Only the test suite has a fallback.
+    jwtSecret: process.env.JWT_SECRET || (process.env.NODE_ENV === 'test' ? 'fleetlink-test-secret' : null),
+    accessTokenTtl: process.env.JWT_ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtl: process.env.JWT_REFRESH_TOKEN_TTL || '7d',
+    bcryptRounds: envNumber('BCRYPT_ROUNDS', 12)
+  },
+  apiKeys: {
+    // Requests each key may make per window unless the key has its own quota
+    defaultRateLimitMax: envNumber('API_KEY_DEFAULT_RATE_LIMIT', 1000),
+    rateLimitWindowMs: envNumber('API_KEY_RATE_LIMIT_WINDOW_MS', 15 * 60 * 1000)
+  }
+};
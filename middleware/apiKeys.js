@@ -0,0 +1,123 @@
+const rateLimit = require('express-rate-limit');
+const ApiKey = require('../models/ApiKey');
+const config = require('../config');
+
+/**
+ * Look up the X-API-Key header once per request
+ *
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} API key principal, or null for invalid and revoked keys
+ */
+async function resolveApiKey(req) {
+  if (req.apiKeyPrincipal !== undefined) {
+    return req.apiKeyPrincipal;
+  }
+
+  const apiKey = await ApiKey.findActiveByKey(req.get('X-API-Key'));
+  req.apiKeyPrincipal = apiKey ? {
+    id: apiKey._id.toString(),
+    role: 'api-key',
+    customerId: apiKey.customerId || null,
+    apiKeyId: apiKey._id.toString(),
+    scopes: apiKey.scopes,
+    rateLimitMax: apiKey.rateLimitMax || config.apiKeys.defaultRateLimitMax
+  } : null;
+
+  if (apiKey) {
+    // Usage tracking must not slow down or fail the request
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+      .catch(error => console.error('Error recording API key usage:', error));
+  }
+
+  return req.apiKeyPrincipal;
+}
+
+/**
+ * Accept a valid X-API-Key before the per-IP rate limit, which only lets
+ * accepted keys through. Never rejects: authenticate() answers invalid keys.
+ */
+async function identifyApiKey(req, res, next) {
+  if (req.get('X-API-Key')) {
+    try {
+      await resolveApiKey(req);
+    } catch (error) {
+      console.error('Error identifying API key:', error);
+    }
+  }
+  next();
+}
+
+/**
+ * Resolve an X-API-Key header to an API key principal on req.user
+ */
+async function authenticateApiKey(req, res, next) {
+  try {
+    const principal = await resolveApiKey(req);
+
+    if (!principal) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or revoked API key'
+      });
+    }
+
+    req.user = { ...principal };
+    next();
+  } catch (error) {
+    console.error('Error authenticating API key:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to authenticate API key'
+    });
+  }
+}
+
+/**
+ * Per-key request quota; requests made with user tokens are not counted
+ */
+const apiKeyRateLimiter = rateLimit({
+  windowMs: config.apiKeys.rateLimitWindowMs,
+  max: req => req.user.rateLimitMax,
+  keyGenerator: req => req.user.apiKeyId,
+  skip: req => !req.user || !req.user.apiKeyId,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too Many Requests',
+    message: 'API key rate limit exceeded, please try again later'
+  }
+});
+
+/**
+ * Require an API key scope for the request method; user tokens pass through
+ * and are checked by authorize() instead
+ *
+ * @param {object} scopes - { read, write } scope required for GET and other methods
+ * @returns {Function} Express middleware
+ */
+function requireScope({ read, write }) {
+  return (req, res, next) => {
+    if (!req.user.apiKeyId) {
+      return next();
+    }
+
+    const scope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+
+    if (!req.user.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key is missing the ${scope} scope`
+      });
+    }
+
+    req.user.scopeGranted = true;
+    next();
+  };
+}
+
+module.exports = {
+  identifyApiKey,
+  authenticateApiKey,
+  apiKeyRateLimiter,
+  requireScope
+};
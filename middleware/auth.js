@@ -0,0 +1,108 @@
+const { verifyToken } = require('../utils/tokens');
+const { authenticateApiKey } = require('./apiKeys');
+
+/**
+ * Require a valid access token or API key and expose its claims as req.user
+ */
+function authenticate(req, res, next) {
+  if (req.get('X-API-Key')) {
+    return authenticateApiKey(req, res, next);
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Authentication token is required'
+    });
+  }
+
+  try {
+    const payload = verifyToken(token, 'access');
+    req.user = {
+      id: payload.sub,
+      role: payload.role,
+      customerId: payload.customerId
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or expired authentication token'
+    });
+  }
+}
+
+/**
+ * Only let users with one of the given roles through. API keys are let
+ * through only where requireScope() has granted them access, and
+ * customer-bound keys only where customers are.
+ *
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !hasRole(req.user, roles)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Check a user or API key against the allowed roles
+ *
+ * @param {object} user - req.user
+ * @param {string[]} roles - Allowed roles
+ * @returns {boolean} True if access is allowed
+ */
+function hasRole(user, roles) {
+  if (!user.apiKeyId) {
+    return roles.includes(user.role);
+  }
+  return Boolean(user.scopeGranted) && (!user.customerId || roles.includes('customer'));
+}
+
+/**
+ * Whether the user is limited to the records of a single customer
+ *
+ * @param {object} user - req.user
+ * @returns {boolean} True for customers and customer-bound API keys
+ */
+function isCustomerBound(user) {
+  return user.role === 'customer' || Boolean(user.apiKeyId && user.customerId);
+}
+
+/**
+ * Customers act on their own behalf; staff may act for any customer
+ *
+ * @param {object} req - Authenticated request
+ * @param {string} requestedCustomerId - customerId sent by the client
+ * @returns {string} customerId to use
+ */
+function resolveCustomerId(req, requestedCustomerId) {
+  return isCustomerBound(req.user) ? req.user.customerId : requestedCustomerId;
+}
+
+/**
+ * Check whether the user may access a customer's records
+ *
+ * @param {object} req - Authenticated request
+ * @param {string} customerId - Owner of the record
+ * @returns {boolean} True for staff, or for the owning customer
+ */
+function canAccessCustomer(req, customerId) {
+  return !isCustomerBound(req.user) || req.user.customerId === customerId;
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  resolveCustomerId,
+  canAccessCustomer
+};
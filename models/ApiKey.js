@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Reads are GET requests, writes are everything else
+const API_KEY_SCOPES = [
+  'vehicles:read',
+  'vehicles:admin',
+  'bookings:read',
+  'bookings:write',
+  'rate-cards:read',
+  'rate-cards:admin'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Public part of the key, shown in listings to tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Invalid scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  // Restricts the key to the records of one customer
+  customerId: {
+    type: String,
+    trim: true
+  },
+  // Requests allowed per rate limit window; falls back to the configured default
+  rateLimitMax: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request']
+  },
+  createdBy: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  rotatedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Hash a plain text key for storage and lookup
+ *
+ * @param {string} key - Plain text API key
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Find the active key matching a plain text key
+ *
+ * @param {string} key - Plain text API key
+ * @returns {Promise<object|null>} API key document
+ */
+apiKeySchema.statics.findActiveByKey = function(key) {
+  return this.findOne({ keyHash: this.hashKey(key), revokedAt: null });
+};
+
+/**
+ * Generate a new secret for this key, replacing any previous one
+ *
+ * @returns {string} Plain text key; only available until the document is discarded
+ */
+apiKeySchema.methods.generateKey = function() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `flk_${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+  this.prefix = prefix;
+  this.keyHash = this.constructor.hashKey(key);
+  return key;
+};
+
+apiKeySchema.virtual('isRevoked').get(function() {
+  return Boolean(this.revokedAt);
+});
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -1,4 +1,151 @@
 const mongoose = require('mongoose');
+const {
+  BOOKING_STATUSES,
+  ACTIVE_STATUSES,
+  StatusTransitionError,
+  getAllowedTransitions,
+  isTransitionAllowed
+} = require('../utils/bookingStatus');
+const priceBreakdownSchema = require('./schemas/priceBreakdown');
+const { STOP_TYPES } = require('../utils/stops');
+const { measureTrip } = require('../utils/trips');
+const { LATE_FLAG } = require('../utils/telemetry');
+const { publishEvent } = require('../utils/eventBus');
+const { queueBookingWebhooks } = require('../utils/webhookQueue');
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...BOOKING_STATUSES, null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  actor: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status note cannot exceed 500 characters']
+  }
+}, { _id: false });
+
+// Problems raised against a booking by changes elsewhere, e.g. to its vehicle
+const bookingFlagSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String
+  },
+  raisedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One stop of a multi-stop booking, in the order they are visited
+const stopSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STOP_TYPES,
+    required: true
+  },
+  pincode: {
+    type: String,
+    required: true,
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  windowStart: {
+    type: Date
+  },
+  windowEnd: {
+    type: Date
+  },
+  // Loaded at pickups (positive), unloaded at drops (negative)
+  cargoDeltaKg: {
+    type: Number,
+    default: 0
+  },
+  // Running load when leaving the stop
+  loadKg: {
+    type: Number,
+    min: [0, 'Load cannot be negative']
+  },
+  arrivalTime: {
+    type: Date
+  },
+  // Recorded when the driver checks in at the stop
+  actualArrivalTime: {
+    type: Date
+  }
+}, { _id: false });
+
+// What actually happened on the ride, recorded by the driver
+const tripSchema = new mongoose.Schema({
+  startedAt: {
+    type: Date
+  },
+  startOdometerKm: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  arrivedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  endOdometerKm: {
+    type: Number,
+    min: [0, 'Odometer reading cannot be negative']
+  },
+  actualDistanceKm: {
+    type: Number
+  },
+  actualDurationHours: {
+    type: Number
+  },
+  // Actual minus estimated duration, to measure estimate accuracy
+  durationVarianceHours: {
+    type: Number
+  },
+  durationVariancePercentage: {
+    type: Number
+  },
+  proofOfDelivery: {
+    recipientName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Recipient name cannot exceed 100 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Delivery notes cannot exceed 1000 characters']
+    },
+    signature: {
+      contentType: {
+        type: String
+      },
+      // Served by GET /api/bookings/:id/signature instead of with the booking
+      data: {
+        type: Buffer,
+        select: false
+      }
+    }
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   vehicleId: {
@@ -6,6 +153,10 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Vehicle',
     required: [true, 'Vehicle ID is required']
   },
+  driverId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
   customerId: {
     type: String,
     required: [true, 'Customer ID is required'],
@@ -28,6 +179,10 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Start time is required'],
     validate: {
       validator: function(value) {
+        // Only new or rescheduled bookings need a future start time
+        if (!this.isNew && !this.isModified('startTime')) {
+          return true;
+        }
         return value > new Date();
       },
       message: 'Start time must be in the future'
@@ -37,6 +192,10 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'End time is required']
   },
+  distanceKm: {
+    type: Number,
+    min: [0, 'Distance cannot be negative']
+  },
   estimatedRideDurationHours: {
     type: Number,
     required: [true, 'Estimated ride duration is required'],
@@ -44,12 +203,93 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['confirmed', 'in-progress', 'completed', 'cancelled'],
+    enum: BOOKING_STATUSES,
     default: 'confirmed'
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
   totalCost: {
     type: Number,
     min: [0, 'Total cost cannot be negative']
+  },
+  // Itemised price kept so invoices can be regenerated later
+  priceBreakdown: {
+    type: priceBreakdownSchema
+  },
+  quoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  // Empty for single-leg bookings; otherwise fromPincode and toPincode are the first and last stop
+  stops: {
+    type: [stopSchema],
+    default: undefined
+  },
+  // Shared by all occurrences of a recurring booking
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  cargo: {
+    weightKg: {
+      type: Number,
+      min: [0, 'Cargo weight cannot be negative']
+    },
+    volumeM3: {
+      type: Number,
+      min: [0, 'Cargo volume cannot be negative']
+    },
+    itemCount: {
+      type: Number,
+      min: [1, 'Item count must be at least 1']
+    },
+    hazardous: {
+      type: Boolean
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Cargo description cannot exceed 500 characters']
+    }
+  },
+  flags: {
+    type: [bookingFlagSchema],
+    default: []
+  },
+  trip: {
+    type: tripSchema
+  },
+  // Arrival estimate of an in-progress ride from the vehicle's last known position
+  eta: {
+    estimatedArrivalTime: {
+      type: Date
+    },
+    remainingDistanceKm: {
+      type: Number
+    },
+    lateByMinutes: {
+      type: Number
+    },
+    calculatedAt: {
+      type: Date
+    }
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: String,
+    trim: true
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  cancellationFee: {
+    type: Number,
+    min: [0, 'Cancellation fee cannot be negative']
   }
 }, {
   timestamps: true
@@ -57,7 +297,9 @@ const bookingSchema = new mongoose.Schema({
 
 // Compound index for efficient overlap queries
 bookingSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
+bookingSchema.index({ driverId: 1, startTime: 1, endTime: 1 }, { sparse: true });
 bookingSchema.index({ customerId: 1, createdAt: -1 });
+bookingSchema.index({ seriesId: 1, startTime: 1 }, { sparse: true });
 
 // Virtual for booking duration in readable format
 bookingSchema.virtual('durationFormatted').get(function() {
@@ -68,12 +310,306 @@ bookingSchema.virtual('durationFormatted').get(function() {
 
 // Virtual for route summary
 bookingSchema.virtual('routeSummary').get(function() {
+  if (this.stops && this.stops.length > 0) {
+    return this.stops.map(stop => stop.pincode).join(' → ');
+  }
   return `${this.fromPincode} → ${this.toPincode}`;
 });
 
 // Ensure virtual fields are serialized
 bookingSchema.set('toJSON', { virtuals: true });
 
+/**
+ * Find active bookings of a vehicle that overlap a time range
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @param {object} [options] - { excludeBookingId, session }
+ * @returns {Promise<Array>} Conflicting bookings
+ */
+bookingSchema.statics.findConflicting = function(vehicleId, startTime, endTime, options = {}) {
+  const filter = {
+    vehicleId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (options.excludeBookingId) {
+    filter._id = { $ne: options.excludeBookingId };
+  }
+
+  return this.find(filter).session(options.session || null);
+};
+
+/**
+ * Find active bookings of a vehicle that have not finished yet
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @param {object} [options] - { session }
+ * @returns {Promise<Array>} Upcoming and in-progress bookings, soonest first
+ */
+bookingSchema.statics.findUpcomingForVehicle = function(vehicleId, options = {}) {
+  return this.find({
+    vehicleId,
+    status: { $in: ACTIVE_STATUSES },
+    endTime: { $gt: new Date() }
+  })
+    .sort({ startTime: 1 })
+    .session(options.session || null);
+};
+
+/**
+ * Find the ride a vehicle is currently on
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @returns {Promise<object|null>} In-progress booking, the latest started if there are several
+ */
+bookingSchema.statics.findInProgressForVehicle = function(vehicleId) {
+  return this.findOne({ vehicleId, status: 'in-progress' }).sort({ startTime: -1 });
+};
+
+/**
+ * Find active bookings of a driver that have not finished yet
+ *
+ * @param {ObjectId|string} driverId - Driver to check
+ * @param {object} [options] - { session }
+ * @returns {Promise<Array>} Upcoming and in-progress bookings, soonest first
+ */
+bookingSchema.statics.findUpcomingForDriver = function(driverId, options = {}) {
+  return this.find({
+    driverId,
+    status: { $in: ACTIVE_STATUSES },
+    endTime: { $gt: new Date() }
+  })
+    .sort({ startTime: 1 })
+    .session(options.session || null);
+};
+
+/**
+ * Raise a flag unless the booking already has one with the same code
+ *
+ * @param {string} code - Machine readable flag code
+ * @param {string} message - Human readable explanation
+ * @returns {boolean} True if the flag was added
+ */
+bookingSchema.methods.addFlag = function(code, message) {
+  if (this.flags.some(flag => flag.code === code)) {
+    return false;
+  }
+
+  this.flags.push({ code, message, raisedAt: new Date() });
+  return true;
+};
+
+/**
+ * Store a new arrival estimate and raise or clear the running late flag
+ *
+ * @param {object} estimate - { estimatedArrivalTime, remainingDistanceKm, lateByMinutes, isLate }
+ */
+bookingSchema.methods.updateEta = function({ estimatedArrivalTime, remainingDistanceKm, lateByMinutes, isLate }) {
+  this.eta = { estimatedArrivalTime, remainingDistanceKm, lateByMinutes, calculatedAt: new Date() };
+
+  if (!isLate) {
+    this.flags = this.flags.filter(flag => flag.code !== LATE_FLAG);
+    return;
+  }
+
+  const message = `Expected to arrive ${lateByMinutes} minutes after the scheduled end time`;
+  const lateFlag = this.flags.find(flag => flag.code === LATE_FLAG);
+  if (lateFlag) {
+    // Keeps when the ride first ran late, with the latest delay
+    lateFlag.message = message;
+  } else {
+    this.addFlag(LATE_FLAG, message);
+  }
+};
+
+/**
+ * Summarise the booking when it is affected by a change to its vehicle
+ *
+ * @param {object} [extra] - Fields to add, such as the action taken
+ * @returns {object} Response entry
+ */
+bookingSchema.methods.toAffectedSummary = function(extra = {}) {
+  return {
+    id: this._id,
+    customerId: this.customerId,
+    status: this.status,
+    startTime: this.startTime,
+    endTime: this.endTime,
+    route: this.routeSummary,
+    ...extra
+  };
+};
+
+/**
+ * Record the actual start of the ride
+ *
+ * @param {Date} at - When the driver set off
+ * @param {number} [odometerKm] - Odometer reading at the start
+ */
+bookingSchema.methods.startTrip = function(at, odometerKm) {
+  this.trip = { startedAt: at, startOdometerKm: odometerKm };
+
+  // The first stop of a multi-stop booking is where the trip starts
+  if (this.stops && this.stops.length > 0) {
+    this.stops[0].actualArrivalTime = at;
+  }
+};
+
+/**
+ * Record the actual end of the ride and how it compares with the estimate
+ *
+ * @param {Date} at - When the ride was completed
+ * @param {object} [details] - { odometerKm, proofOfDelivery }
+ */
+bookingSchema.methods.finishTrip = function(at, { odometerKm, proofOfDelivery } = {}) {
+  if (!this.trip) {
+    this.trip = {};
+  }
+
+  // Rides started without a recorded start count from their scheduled start
+  const startedAt = this.trip.startedAt || this.startTime;
+  const measured = measureTrip({
+    startedAt,
+    completedAt: at,
+    startOdometerKm: this.trip.startOdometerKm,
+    endOdometerKm: odometerKm
+  }, this.estimatedRideDurationHours);
+
+  this.trip.set({
+    startedAt,
+    arrivedAt: this.trip.arrivedAt || at,
+    completedAt: at,
+    endOdometerKm: odometerKm,
+    ...measured
+  });
+  if (proofOfDelivery) {
+    this.trip.proofOfDelivery = proofOfDelivery;
+  }
+};
+
+// Statuses this booking can move to next
+bookingSchema.methods.getAllowedTransitions = function() {
+  return getAllowedTransitions(this.status);
+};
+
+/**
+ * Save the booking in a transaction of its own, so the webhook deliveries of
+ * the change are written together with it
+ *
+ * @returns {Promise<object>} The saved booking
+ */
+bookingSchema.methods.saveInTransaction = async function() {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await this.save({ session });
+    await session.commitTransaction();
+    session.endSession();
+    return this;
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+/**
+ * Move the booking to a new status, recording who did it and why
+ *
+ * @param {string} status - Requested status
+ * @param {object} [details] - { actor, note }
+ * @throws {StatusTransitionError} If the transition is not allowed
+ */
+bookingSchema.methods.transitionTo = function(status, details = {}) {
+  if (!isTransitionAllowed(this.status, status)) {
+    throw new StatusTransitionError(this.status, status);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    at: new Date(),
+    actor: details.actor,
+    note: details.note
+  });
+  this.$locals.statusHistoryRecorded = true;
+  this.status = status;
+};
+
+// Remember the stored status so direct assignments can be checked on save
+bookingSchema.post('init', function() {
+  this.$locals.persistedStatus = this.status;
+});
+
+bookingSchema.post('save', async function() {
+  const event = describeBookingChange(this);
+  if (event) {
+    // Webhook deliveries are written in the booking's session, before the event goes out
+    await queueBookingWebhooks(event, this.$session());
+    publishEvent(event.type, event, this.$session());
+  }
+  this.$locals.persistedStatus = this.status;
+  this.$locals.statusHistoryRecorded = false;
+});
+
+/**
+ * Describe what a save changed; runs before the stored status is updated
+ *
+ * @param {object} booking - Saved booking
+ * @returns {object|null} { type, customerId, vehicleId, data }, or null when nothing changed
+ */
+function describeBookingChange(booking) {
+  const summary = booking.toAffectedSummary({
+    vehicleId: booking.populated('vehicleId') || booking.vehicleId,
+    driverId: booking.populated('driverId') || booking.driverId,
+    eta: booking.eta && booking.eta.calculatedAt ? booking.eta : undefined
+  });
+  const details = { customerId: booking.customerId, vehicleId: summary.vehicleId };
+  const { wasNew, changedFields, persistedStatus } = booking.$locals;
+
+  if (wasNew) {
+    return { type: 'booking.created', ...details, data: { booking: summary } };
+  }
+  if (persistedStatus !== booking.status) {
+    return {
+      type: 'booking.statusChanged',
+      ...details,
+      data: { booking: summary, from: persistedStatus, to: booking.status }
+    };
+  }
+  if (changedFields.length > 0) {
+    return { type: 'booking.updated', ...details, data: { booking: summary, changedFields } };
+  }
+  return null;
+}
+
+// Pre-save middleware to enforce status transitions and keep the history
+bookingSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, at: new Date() });
+    }
+    return next();
+  }
+
+  if (this.isModified('status') && !this.$locals.statusHistoryRecorded) {
+    const previousStatus = this.$locals.persistedStatus;
+
+    if (!isTransitionAllowed(previousStatus, this.status)) {
+      return next(new StatusTransitionError(previousStatus, this.status));
+    }
+
+    this.statusHistory.push({ from: previousStatus, to: this.status, at: new Date() });
+  }
+
+  next();
+});
+
 // Pre-save middleware to calculate end time
 bookingSchema.pre('save', function(next) {
   if (this.startTime && this.estimatedRideDurationHours) {
@@ -82,4 +618,12 @@ bookingSchema.pre('save', function(next) {
   next();
 });
 
+// Remember what is being saved for the event published afterwards
+bookingSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.changedFields = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+    .filter(field => !['statusHistory', 'updatedAt'].includes(field));
+  next();
+});
+
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { LICENCE_CLASSES } = require('../utils/drivers');
+
+const SHIFT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const driverSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Driver name is required'],
+    trim: true,
+    maxlength: [100, 'Driver name cannot exceed 100 characters']
+  },
+  // Each class also covers the lighter ones
+  licenceClass: {
+    type: String,
+    required: [true, 'Licence class is required'],
+    enum: {
+      values: LICENCE_CLASSES,
+      message: `Licence class must be one of: ${LICENCE_CLASSES.join(', ')}`
+    }
+  },
+  licenceExpiry: {
+    type: Date,
+    required: [true, 'Licence expiry is required']
+  },
+  homePincode: {
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  // Local HH:MM times; a shift ending before it starts runs past midnight
+  shiftStart: {
+    type: String,
+    match: [SHIFT_TIME_PATTERN, 'Shift start must be HH:MM']
+  },
+  shiftEnd: {
+    type: String,
+    match: [SHIFT_TIME_PATTERN, 'Shift end must be HH:MM']
+  },
+  // Login of the driver, if they have one
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+driverSchema.index({ isActive: 1, name: 1 });
+driverSchema.index({ userId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Driver', driverSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { getMismatchedFields } = require('../utils/bookingRequest');
+
+const holdSchema = new mongoose.Schema({
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true
+  },
+  fromPincode: {
+    type: String,
+    required: [true, 'From pincode is required'],
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  toPincode: {
+    type: String,
+    required: [true, 'To pincode is required'],
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  estimatedRideDurationHours: {
+    type: Number,
+    required: [true, 'Estimated ride duration is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes holds once expiresAt has passed
+holdSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+holdSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
+
+/**
+ * Find unexpired holds of a vehicle that overlap a time range
+ *
+ * The TTL monitor only runs about once a minute, so expiry is checked here too.
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @param {object} [options] - { excludeHoldId, session }
+ * @returns {Promise<Array>} Conflicting holds
+ */
+holdSchema.statics.findConflicting = function(vehicleId, startTime, endTime, options = {}) {
+  const filter = {
+    vehicleId,
+    expiresAt: { $gt: new Date() },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (options.excludeHoldId) {
+    filter._id = { $ne: options.excludeHoldId };
+  }
+
+  return this.find(filter).session(options.session || null);
+};
+
+/**
+ * Count unexpired holds per vehicle
+ *
+ * @param {Array<ObjectId>} [vehicleIds] - Limit the count to these vehicles
+ * @returns {Promise<Map<string, number>>} Hold count keyed by vehicle ID
+ */
+holdSchema.statics.countActiveByVehicle = async function(vehicleIds) {
+  const match = { expiresAt: { $gt: new Date() } };
+  if (vehicleIds) {
+    match.vehicleId = { $in: vehicleIds };
+  }
+
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$vehicleId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * List the booking fields that differ from what was held
+ *
+ * @param {object} request - { vehicleId, customerId, fromPincode, toPincode, startTime }
+ * @returns {Array<string>} Names of mismatched fields
+ */
+holdSchema.methods.getMismatchedFields = function(request) {
+  return getMismatchedFields(this, request);
+};
+
+module.exports = mongoose.model('Hold', holdSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const MAINTENANCE_TYPES = ['scheduled', 'breakdown'];
+
+const maintenanceWindowSchema = new mongoose.Schema({
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: MAINTENANCE_TYPES,
+      message: `Type must be one of: ${MAINTENANCE_TYPES.join(', ')}`
+    },
+    default: 'scheduled'
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+maintenanceWindowSchema.index({ vehicleId: 1, startTime: 1, endTime: 1 });
+
+/**
+ * Find maintenance windows of a vehicle that overlap a time range
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @param {object} [options] - { excludeMaintenanceWindowId, session }
+ * @returns {Promise<Array>} Overlapping maintenance windows
+ */
+maintenanceWindowSchema.statics.findConflicting = function(vehicleId, startTime, endTime, options = {}) {
+  const filter = {
+    vehicleId,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+
+  if (options.excludeMaintenanceWindowId) {
+    filter._id = { $ne: options.excludeMaintenanceWindowId };
+  }
+
+  return this.find(filter).session(options.session || null);
+};
+
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+
+MaintenanceWindow.MAINTENANCE_TYPES = MAINTENANCE_TYPES;
+
+module.exports = MaintenanceWindow;
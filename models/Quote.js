@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const priceBreakdownSchema = require('./schemas/priceBreakdown');
+const { getMismatchedFields } = require('../utils/bookingRequest');
+
+const quoteSchema = new mongoose.Schema({
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true
+  },
+  fromPincode: {
+    type: String,
+    required: [true, 'From pincode is required'],
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  toPincode: {
+    type: String,
+    required: [true, 'To pincode is required'],
+    match: [/^\d{6}$/, 'Pincode must be exactly 6 digits']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  distanceKm: {
+    type: Number
+  },
+  estimatedRideDurationHours: {
+    type: Number,
+    required: [true, 'Estimated ride duration is required']
+  },
+  totalCost: {
+    type: Number,
+    required: [true, 'Total cost is required'],
+    min: [0, 'Total cost cannot be negative']
+  },
+  priceBreakdown: {
+    type: priceBreakdownSchema,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes quotes once expiresAt has passed
+quoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the locked price can still be used
+quoteSchema.virtual('isValid').get(function() {
+  return !this.usedAt && this.expiresAt > new Date();
+});
+
+quoteSchema.set('toJSON', { virtuals: true });
+
+/**
+ * List the booking fields that differ from what was quoted
+ *
+ * @param {object} request - { vehicleId, customerId, fromPincode, toPincode, startTime }
+ * @returns {Array<string>} Names of mismatched fields
+ */
+quoteSchema.methods.getMismatchedFields = function(request) {
+  return getMismatchedFields(this, request);
+};
+
+module.exports = mongoose.model('Quote', quoteSchema);
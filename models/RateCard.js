@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const rateCardSchema = new mongoose.Schema({
+  customerId: {
+    type: String,
+    required: [true, 'Customer ID is required'],
+    trim: true,
+    unique: true
+  },
+  baseFare: {
+    type: Number,
+    min: [0, 'Base fare cannot be negative']
+  },
+  perKmRate: {
+    type: Number,
+    min: [0, 'Per km rate cannot be negative']
+  },
+  perHourRate: {
+    type: Number,
+    min: [0, 'Per hour rate cannot be negative']
+  },
+  discountPercentage: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  minimumCharge: {
+    type: Number,
+    min: [0, 'Minimum charge cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RateCard', rateCardSchema);
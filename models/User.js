@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be valid']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'dispatcher', 'customer', 'driver'],
+    default: 'customer'
+  },
+  // Bookings of customer accounts are stored under this ID
+  customerId: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Incremented to invalidate all refresh tokens of the user
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Customer accounts default to their own user ID as customer ID
+userSchema.pre('save', function(next) {
+  if (this.role === 'customer' && !this.customerId) {
+    this.customerId = this._id.toString();
+  }
+  next();
+});
+
+/**
+ * Hash and store a new password
+ *
+ * @param {string} password - Plain text password
+ */
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, config.auth.bcryptRounds);
+};
+
+/**
+ * Check a password against the stored hash (requires passwordHash to be selected)
+ *
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { publishEvent } = require('../utils/eventBus');
 
 const vehicleSchema = new mongoose.Schema({
   name: {
@@ -19,9 +20,34 @@ const vehicleSchema = new mongoose.Schema({
     min: [2, 'Vehicle must have at least 2 tyres'],
     max: [18, 'Vehicle cannot have more than 18 tyres']
   },
+  // Override the vehicle class defaults for loading and unloading time
+  bufferBeforeMinutes: {
+    type: Number,
+    min: [0, 'Buffer cannot be negative'],
+    max: [24 * 60, 'Buffer cannot exceed 24 hours']
+  },
+  bufferAfterMinutes: {
+    type: Number,
+    min: [0, 'Buffer cannot be negative'],
+    max: [24 * 60, 'Buffer cannot exceed 24 hours']
+  },
+  // Load space; vehicles without one are not checked for cargo volume
+  volumeM3: {
+    type: Number,
+    min: [0.1, 'Volume must be at least 0.1 m³'],
+    max: [200, 'Volume cannot exceed 200 m³']
+  },
+  hazmatCertified: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Written by automatic assignment so concurrent transactions cannot pick the same vehicle
+  lastAssignedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -38,4 +64,26 @@ vehicleSchema.virtual('summary').get(function() {
 // Ensure virtual fields are serialized
 vehicleSchema.set('toJSON', { virtuals: true });
 
+// Remember what is being saved for the event published afterwards
+vehicleSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.activeChanged = this.isModified('isActive');
+  this.$locals.changedFields = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+    .filter(field => field !== 'updatedAt');
+  next();
+});
+
+vehicleSchema.post('save', function() {
+  const { wasNew, activeChanged, changedFields } = this.$locals;
+  const details = { vehicleId: this._id, data: { vehicle: this.toJSON() } };
+
+  if (wasNew) {
+    publishEvent('vehicle.added', details, this.$session());
+  } else if (activeChanged) {
+    publishEvent(this.isActive ? 'vehicle.reactivated' : 'vehicle.deactivated', details, this.$session());
+  } else if (changedFields.length > 0) {
+    publishEvent('vehicle.updated', { ...details, data: { ...details.data, changedFields } }, this.$session());
+  }
+});
+
 module.exports = mongoose.model('Vehicle', vehicleSchema);
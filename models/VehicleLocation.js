@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+// One GPS point reported by a vehicle, kept in a time-series collection
+const vehicleLocationSchema = new mongoose.Schema({
+  vehicleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vehicle',
+    required: [true, 'Vehicle ID is required']
+  },
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required']
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  },
+  speedKmph: {
+    type: Number,
+    min: [0, 'Speed cannot be negative']
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'vehicleId',
+    granularity: 'seconds'
+  },
+  // MongoDB removes points once they are older than the retention period
+  expireAfterSeconds: Math.round(config.telemetry.retentionDays * 24 * 60 * 60),
+  versionKey: false
+});
+
+vehicleLocationSchema.index({ vehicleId: 1, timestamp: -1 });
+
+/**
+ * Find the most recent point reported by a vehicle
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to look up
+ * @returns {Promise<object|null>} Last known location, if any
+ */
+vehicleLocationSchema.statics.findLatest = function(vehicleId) {
+  return this.findOne({ vehicleId }).sort({ timestamp: -1 });
+};
+
+module.exports = mongoose.model('VehicleLocation', vehicleLocationSchema);
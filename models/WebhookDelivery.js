@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One try at sending a delivery
+const deliveryAttemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  responseStatus: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+// An event queued for one subscription, kept as its delivery log
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: [true, 'Subscription ID is required']
+  },
+  // Same for every delivery of an event, so receivers can ignore repeats
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: [deliveryAttemptSchema],
+    default: []
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending the delivery, so no other worker picks it up
+  lockedUntil: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+
+/**
+ * Lock the next pending delivery that is due
+ *
+ * @param {number} lockMs - How long the caller may take to send it
+ * @returns {Promise<object|null>} Locked delivery, or null if none is due
+ */
+webhookDeliverySchema.statics.claimNextDue = function(lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + lockMs) },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+WebhookDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
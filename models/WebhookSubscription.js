@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENT_TYPES } = require('../utils/webhooks');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    maxlength: [2000, 'URL cannot exceed 2000 characters']
+  },
+  eventTypes: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENT_TYPES,
+        message: 'Invalid event type: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: eventTypes => eventTypes.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+  // Signs the payloads; kept in plain text because every delivery needs it
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Only bookings of this customer are sent; unset sends every customer's (admins only)
+  customerId: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, eventTypes: 1 });
+webhookSubscriptionSchema.index({ customerId: 1, createdAt: -1 });
+
+/**
+ * Find the active subscriptions that want an event
+ *
+ * @param {string} eventType - One of WEBHOOK_EVENT_TYPES
+ * @param {string} customerId - Customer the booking belongs to
+ * @returns {Promise<Array>} Subscriptions, with their secrets
+ */
+webhookSubscriptionSchema.statics.findForEvent = function(eventType, customerId) {
+  return this.find({
+    isActive: true,
+    eventTypes: eventType,
+    $or: [{ customerId }, { customerId: null }]
+  }).select('+secret');
+};
+
+/**
+ * Generate a new signing secret, replacing any previous one
+ *
+ * @returns {string} Plain text secret
+ */
+webhookSubscriptionSchema.methods.generateSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  return this.secret;
+};
+
+webhookSubscriptionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+WebhookSubscription.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+
+module.exports = WebhookSubscription;
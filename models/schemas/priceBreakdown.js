@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Itemised price produced by utils/pricing.js, shared by bookings and quotes
+const priceLineItemSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const priceBreakdownSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true
+  },
+  lineItems: {
+    type: [priceLineItemSchema],
+    default: []
+  },
+  subtotal: {
+    type: Number
+  },
+  totalCost: {
+    type: Number
+  },
+  rateCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard'
+  },
+  calculatedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+module.exports = priceBreakdownSchema;
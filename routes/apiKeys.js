@@ -0,0 +1,209 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+const router = express.Router();
+
+// Scopes that reach across customers cannot be given to customer-bound keys
+const STAFF_ONLY_SCOPES = ['vehicles:admin', 'rate-cards:read', 'rate-cards:admin'];
+
+/**
+ * Validate scopes and quota sent when creating a key
+ *
+ * @param {object} body - { scopes, customerId, rateLimitMax }
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateKeyRequest({ scopes, customerId, rateLimitMax }) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+
+  const invalidScopes = scopes.filter(scope => !ApiKey.API_KEY_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    return `Invalid scopes: ${invalidScopes.join(', ')}. Must be any of: ${ApiKey.API_KEY_SCOPES.join(', ')}`;
+  }
+
+  if (customerId !== undefined && (typeof customerId !== 'string' || !customerId.trim())) {
+    return 'customerId must be a non-empty string';
+  }
+
+  if (customerId && scopes.some(scope => STAFF_ONLY_SCOPES.includes(scope))) {
+    return `Customer keys cannot have the scopes: ${STAFF_ONLY_SCOPES.join(', ')}`;
+  }
+
+  if (rateLimitMax !== undefined && (!Number.isInteger(rateLimitMax) || rateLimitMax < 1)) {
+    return 'rateLimitMax must be a positive integer';
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/api-keys
+ * Issue a new API key; the plain text key is only returned here
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, customerId, rateLimitMax } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'name and scopes are required'
+      });
+    }
+
+    const validationMessage = validateKeyRequest(req.body);
+    if (validationMessage) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationMessage
+      });
+    }
+
+    const apiKey = new ApiKey({
+      name,
+      scopes: [...new Set(scopes)],
+      customerId,
+      rateLimitMax,
+      createdBy: req.user.id
+    });
+    const key = apiKey.generateKey();
+    await apiKey.save();
+
+    res.status(201).json({
+      message: 'API key created successfully. Store the key now, it will not be shown again',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * GET /api/api-keys
+ * Get all API keys with their last-used timestamps (revoked keys with ?includeRevoked=true)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'API keys retrieved successfully',
+      count: apiKeys.length,
+      apiKeys
+    });
+
+  } catch (error) {
+    console.error('Error retrieving API keys:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve API keys'
+    });
+  }
+});
+
+/**
+ * Load an active key by route id, answering 400/404 when it cannot be used
+ *
+ * @returns {Promise<object|null>} API key document, or null when a response was sent
+ */
+async function findActiveKey(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid API key ID format'
+    });
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ _id: id, revokedAt: null });
+
+  if (!apiKey) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'API key not found or revoked'
+    });
+    return null;
+  }
+
+  return apiKey;
+}
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Replace the secret of a key; the old key stops working immediately
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const apiKey = await findActiveKey(req, res);
+    if (!apiKey) {
+      return;
+    }
+
+    const key = apiKey.generateKey();
+    apiKey.rotatedAt = new Date();
+    await apiKey.save();
+
+    res.status(200).json({
+      message: 'API key rotated successfully. Store the key now, it will not be shown again',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key; it stays listed with ?includeRevoked=true
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await findActiveKey(req, res);
+    if (!apiKey) {
+      return;
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.status(200).json({
+      message: 'API key revoked successfully',
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { signAccessToken, signRefreshToken, verifyToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+/**
+ * Build the token pair returned by login and refresh
+ *
+ * @param {object} user - User document
+ * @returns {object} { accessToken, refreshToken, tokenType }
+ */
+function issueTokens(user) {
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user),
+    tokenType: 'Bearer'
+  };
+}
+
+/**
+ * POST /api/auth/register
+ * Create a customer account
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'name, email and password are required'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    const user = new User({ name, email, role: 'customer' });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      user,
+      ...issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create account'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for access and refresh tokens
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password || typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'email and password are required'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase(), isActive: true })
+      .select('+passwordHash +tokenVersion');
+
+    if (!user || !(await user.comparePassword(password))) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid email or password'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      message: 'Logged in successfully',
+      user,
+      ...issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to log in'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new token pair
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'refreshToken is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findOne({ _id: payload.sub, isActive: true }).select('+tokenVersion');
+
+    if (!user || user.tokenVersion !== payload.tokenVersion) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Tokens refreshed successfully',
+      ...issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Error refreshing tokens:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to refresh tokens'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke all refresh tokens of the current user
+ */
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+
+    res.status(200).json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to log out'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the current user
+ */
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'User retrieved successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Error retrieving current user:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve user'
+    });
+  }
+});
+
+module.exports = router;
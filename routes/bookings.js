@@ -2,57 +2,330 @@ const express = require('express');
 const mongoose = require('mongoose');
 const Vehicle = require('../models/Vehicle');
 const Booking = require('../models/Booking');
-const { calculateRideDuration, calculateEndTime, validateBookingTime } = require('../utils/rideCalculations');
+const Quote = require('../models/Quote');
+const Hold = require('../models/Hold');
+const Driver = require('../models/Driver');
+const config = require('../config');
+const { validateBookingTime } = require('../utils/rideCalculations');
+const { evaluateCancellation } = require('../utils/cancellationPolicy');
+const { validateBookingRequest, planRide } = require('../utils/bookingRequest');
+const { findConflicts, buildConflictResponse } = require('../utils/conflicts');
+const { authorize, resolveCustomerId, canAccessCustomer } = require('../middleware/auth');
+const { BOOKING_STATUSES } = require('../utils/bookingStatus');
+const { validateRecurrence, expandRecurrence } = require('../utils/recurrence');
+const { parseImportCsv, normaliseImportRow } = require('../utils/bookingImport');
+const { ASSIGNMENT_STRATEGIES, assignVehicle, isTransientTransactionError } = require('../utils/vehicleAssignment');
+const { validateCargo, findCargoProblems } = require('../utils/cargo');
+const { validateStops, findLoadProblems } = require('../utils/stops');
+const { findLicenceProblems, findDriverConflicts, buildDriverConflictResponse } = require('../utils/drivers');
+const { validateOdometer, parseSignature } = require('../utils/trips');
 
 const router = express.Router();
 
+/**
+ * Describe why a vehicle cannot carry the cargo of a booking
+ *
+ * @param {Array<object>} problems - Result of findCargoProblems
+ * @returns {object} Response body
+ */
+function toCargoError(problems) {
+  return {
+    error: 'Validation Error',
+    message: 'Cargo does not fit the vehicle',
+    details: problems.map(problem => problem.message)
+  };
+}
+
+/**
+ * Describe why a driver may not drive the vehicle of a booking
+ *
+ * @param {Array<object>} problems - Result of findLicenceProblems
+ * @returns {object} Response body
+ */
+function toLicenceError(problems) {
+  return {
+    error: 'Validation Error',
+    message: 'Driver may not drive the vehicle',
+    details: problems.map(problem => problem.message)
+  };
+}
+
+/**
+ * Load the driver a request assigns to a booking
+ *
+ * @param {object} req - Express request; customers cannot assign drivers
+ * @param {*} driverId - Requested driver
+ * @param {object} res - Express response, answered with 400, 403 or 404 when the driver cannot be used
+ * @returns {Promise<object|null>} Active driver, or null if the response was sent
+ */
+async function loadDriver(req, driverId, res) {
+  if (req.user.role === 'customer') {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'Customers cannot assign drivers'
+    });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(driverId)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid driverId format'
+    });
+    return null;
+  }
+
+  const driver = await Driver.findOne({ _id: driverId, isActive: true });
+  if (!driver) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Driver not found or inactive'
+    });
+    return null;
+  }
+
+  return driver;
+}
+
+/**
+ * Find why a vehicle cannot carry the load of a booking request; with stops the
+ * running load is checked at each stop instead of the peak weight
+ *
+ * @param {object} body - Booking request after applyStops()
+ * @param {object} vehicle - Vehicle to check
+ * @returns {Array<object>} Problems, empty when the load fits
+ */
+function findLoadingProblems(body, vehicle) {
+  if (!body.stops) {
+    return findCargoProblems(body.cargo, vehicle);
+  }
+
+  return [
+    ...findLoadProblems(body.stops, vehicle),
+    ...findCargoProblems(body.cargo, vehicle).filter(problem => problem.field !== 'weightKg')
+  ];
+}
+
+/**
+ * Derive the route of a booking request from its stops, if it has any
+ *
+ * @param {object} body - Request body
+ * @returns {object} { isValid, message } plus, when valid, the body with fromPincode and
+ * toPincode of the first and last stop, the normalised stops and the peak load as cargo.weightKg
+ */
+function applyStops(body) {
+  if (body.stops === undefined) {
+    return { isValid: true, body };
+  }
+
+  // Quotes and holds cover a single leg
+  if (body.quoteId !== undefined || body.holdId !== undefined) {
+    return { isValid: false, message: 'quoteId and holdId cannot be used with stops' };
+  }
+
+  const validation = validateStops(body.stops, { maxStops: config.stops.maxStops });
+  if (!validation.isValid) {
+    return validation;
+  }
+
+  const { stops, peakLoadKg } = validation;
+  const cargo = body.cargo === undefined || (body.cargo && typeof body.cargo === 'object')
+    ? { ...body.cargo, weightKg: peakLoadKg }
+    : body.cargo;
+
+  return {
+    isValid: true,
+    body: {
+      ...body,
+      fromPincode: stops[0].pincode,
+      toPincode: stops[stops.length - 1].pincode,
+      stops,
+      cargo
+    }
+  };
+}
+
+/**
+ * Book a ride on a vehicle chosen automatically by capacity, retrying when a
+ * concurrent booking claims the same vehicle
+ *
+ * @param {object} body - Body of POST /api/bookings without a vehicleId, after applyStops()
+ * @param {object} res - Response
+ * @param {string} customerId - Resolved customer
+ * @param {Date} startTime - Validated start time
+ * @param {object} [driver] - Driver to assign; only vehicles their licence covers are considered
+ */
+async function createAutoAssignedBooking(body, res, customerId, startTime, driver) {
+  const { fromPincode, toPincode, stops, cargo, capacityRequired, quoteId, holdId } = body;
+  const strategy = body.assignmentStrategy || config.assignment.strategy;
+
+  if (typeof capacityRequired !== 'number' || capacityRequired <= 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'capacityRequired must be a positive number'
+    });
+  }
+
+  if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Invalid assignmentStrategy. Must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`
+    });
+  }
+
+  // Quotes and holds are made for one vehicle
+  if (quoteId !== undefined || holdId !== undefined) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'quoteId and holdId require a vehicleId'
+    });
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const assignment = await assignVehicle(
+        { capacityRequired, cargo, driver, fromPincode, toPincode, stops, startTime, customerId },
+        { strategy, session }
+      );
+
+      if (!assignment) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(409).json({
+          error: 'No Vehicle Available',
+          message: 'No active vehicle that can carry the cargo is free for the requested time'
+        });
+      }
+
+      const { vehicle, ride } = assignment;
+
+      if (driver) {
+        const licenceProblems = findLicenceProblems(driver, vehicle, ride.endTime);
+        if (licenceProblems.length > 0) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(400).json(toLicenceError(licenceProblems));
+        }
+
+        const driverConflicts = await findDriverConflicts(driver._id, { startTime, ...ride }, { session });
+        if (driverConflicts.hasConflicts) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(409).json(buildDriverConflictResponse(driverConflicts));
+        }
+      }
+
+      const booking = new Booking({
+        vehicleId: vehicle._id,
+        driverId: driver ? driver._id : undefined,
+        customerId: customerId.trim(),
+        fromPincode,
+        toPincode,
+        startTime,
+        endTime: ride.endTime,
+        distanceKm: ride.distanceKm,
+        estimatedRideDurationHours: ride.estimatedRideDurationHours,
+        totalCost: ride.priceBreakdown.totalCost,
+        priceBreakdown: ride.priceBreakdown,
+        stops: ride.stops,
+        cargo
+      });
+
+      const savedBooking = await booking.save({ session });
+      await savedBooking.populate('vehicleId', 'name capacityKg tyres');
+      await savedBooking.populate('driverId', 'name licenceClass');
+
+      await session.commitTransaction();
+      session.endSession();
+
+      return res.status(201).json({
+        message: 'Booking created successfully',
+        booking: savedBooking,
+        assignmentStrategy: strategy
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+
+      // Another transaction claimed the vehicle first; choose again
+      if (isTransientTransactionError(transactionError) && attempt < config.assignment.maxAttempts) {
+        continue;
+      }
+      throw transactionError;
+    }
+  }
+}
+
 /**
  * POST /api/bookings
  * Book a vehicle for a specific route and time
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
   try {
-    const { vehicleId, fromPincode, toPincode, startTime, customerId } = req.body;
-
-    // Validate required fields
-    if (!vehicleId || !fromPincode || !toPincode || !startTime || !customerId) {
+    // Multi-stop bookings run from their first to their last stop
+    const stopsResult = applyStops(req.body);
+    if (!stopsResult.isValid) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'vehicleId, fromPincode, toPincode, startTime, and customerId are required'
+        message: stopsResult.message
       });
     }
+    const { body } = stopsResult;
+
+    const { vehicleId, fromPincode, toPincode, stops, quoteId, holdId, capacityRequired } = body;
+    // Customers always book for themselves
+    const customerId = resolveCustomerId(req, body.customerId);
+    // Without a vehicleId, a vehicle with enough capacity is picked automatically
+    const autoAssign = vehicleId === undefined && capacityRequired !== undefined;
 
-    // Validate vehicleId format
-    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+    // Validate required fields, pincodes and start time
+    const validation = validateBookingRequest({ ...body, customerId }, { vehicleRequired: !autoAssign });
+    if (!validation.isValid) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Invalid vehicleId format'
+        message: validation.message
       });
     }
+    const bookingStartTime = validation.startTime;
 
-    // Validate pincodes
-    if (!/^\d{6}$/.test(fromPincode) || !/^\d{6}$/.test(toPincode)) {
+    const cargoValidation = validateCargo(body.cargo);
+    if (!cargoValidation.isValid) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Pincodes must be exactly 6 digits'
+        message: cargoValidation.message
       });
     }
 
-    // Parse and validate start time
-    const bookingStartTime = new Date(startTime);
-    if (isNaN(bookingStartTime.getTime())) {
+    let driver = null;
+    if (body.driverId !== undefined) {
+      driver = await loadDriver(req, body.driverId, res);
+      if (!driver) {
+        return;
+      }
+    }
+
+    if (autoAssign) {
+      return await createAutoAssignedBooking(body, res, customerId, bookingStartTime, driver);
+    }
+
+    if (quoteId !== undefined && !mongoose.Types.ObjectId.isValid(quoteId)) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Invalid startTime format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+        message: 'Invalid quoteId format'
       });
     }
 
-    // Validate booking time constraints
-    const timeValidation = validateBookingTime(bookingStartTime);
-    if (!timeValidation.isValid) {
+    if (holdId !== undefined && !mongoose.Types.ObjectId.isValid(holdId)) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: timeValidation.message
+        message: 'Invalid holdId format'
       });
     }
 
@@ -65,9 +338,96 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Calculate ride duration and end time
-    const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
-    const bookingEndTime = calculateEndTime(bookingStartTime, estimatedRideDurationHours);
+    const cargoProblems = findLoadingProblems(body, vehicle);
+    if (cargoProblems.length > 0) {
+      return res.status(400).json(toCargoError(cargoProblems));
+    }
+
+    let hold = null;
+    if (holdId) {
+      // Converting a hold: it must still be active and cover the same ride
+      hold = await Hold.findById(holdId);
+
+      if (!hold || hold.expiresAt <= new Date()) {
+        return res.status(410).json({
+          error: 'Hold Expired',
+          message: 'Hold not found or expired, please check availability again'
+        });
+      }
+
+      const mismatchedFields = hold.getMismatchedFields({
+        vehicleId,
+        customerId,
+        fromPincode,
+        toPincode,
+        startTime: bookingStartTime
+      });
+
+      if (mismatchedFields.length > 0) {
+        return res.status(409).json({
+          error: 'Hold Mismatch',
+          message: 'Booking details do not match the hold',
+          mismatchedFields
+        });
+      }
+    }
+
+    let quote = null;
+    let ride;
+
+    if (quoteId) {
+      // Honour the locked price of a valid quote for the same request
+      quote = await Quote.findById(quoteId);
+
+      if (!quote || quote.expiresAt <= new Date()) {
+        return res.status(410).json({
+          error: 'Quote Expired',
+          message: 'Quote not found or expired, please request a new quote'
+        });
+      }
+
+      if (quote.usedAt) {
+        return res.status(409).json({
+          error: 'Quote Already Used',
+          message: 'Quote has already been used for another booking'
+        });
+      }
+
+      const mismatchedFields = quote.getMismatchedFields({
+        vehicleId,
+        customerId,
+        fromPincode,
+        toPincode,
+        startTime: bookingStartTime
+      });
+
+      if (mismatchedFields.length > 0) {
+        return res.status(409).json({
+          error: 'Quote Mismatch',
+          message: 'Booking details do not match the quote',
+          mismatchedFields
+        });
+      }
+
+      ride = {
+        distanceKm: quote.distanceKm,
+        estimatedRideDurationHours: quote.estimatedRideDurationHours,
+        endTime: quote.endTime,
+        priceBreakdown: quote.priceBreakdown.toObject()
+      };
+    } else {
+      // Calculate distance, ride duration, end time and price
+      ride = await planRide({ vehicle, fromPincode, toPincode, stops, startTime: bookingStartTime, customerId });
+    }
+
+    const bookingEndTime = ride.endTime;
+
+    if (driver) {
+      const licenceProblems = findLicenceProblems(driver, vehicle, bookingEndTime);
+      if (licenceProblems.length > 0) {
+        return res.status(400).json(toLicenceError(licenceProblems));
+      }
+    }
 
     // Use a transaction to ensure data consistency
     const session = await mongoose.startSession();
@@ -75,48 +435,95 @@ router.post('/', async (req, res) => {
 
     try {
       // Re-verify vehicle availability (prevent race conditions)
-      const conflictingBookings = await Booking.find({
-        vehicleId: vehicleId,
-        status: { $in: ['confirmed', 'in-progress'] },
-        $or: [
-          {
-            startTime: { $lt: bookingEndTime },
-            endTime: { $gt: bookingStartTime }
-          }
-        ]
-      }).session(session);
+      const conflicts = await findConflicts(
+        vehicleId,
+        bookingStartTime,
+        bookingEndTime,
+        { vehicle, route: { fromPincode, toPincode }, excludeHoldId: hold ? hold._id : undefined, session }
+      );
 
-      if (conflictingBookings.length > 0) {
+      if (conflicts.hasConflicts) {
         await session.abortTransaction();
         session.endSession();
         
-        return res.status(409).json({
-          error: 'Booking Conflict',
-          message: 'Vehicle is already booked for an overlapping time slot',
-          conflictingBookings: conflictingBookings.map(booking => ({
-            id: booking._id,
-            startTime: booking.startTime,
-            endTime: booking.endTime,
-            route: `${booking.fromPincode} → ${booking.toPincode}`
-          }))
-        });
+        return res.status(409).json(buildConflictResponse(conflicts));
+      }
+
+      if (driver) {
+        const driverConflicts = await findDriverConflicts(driver._id, {
+          startTime: bookingStartTime,
+          endTime: bookingEndTime,
+          estimatedRideDurationHours: ride.estimatedRideDurationHours
+        }, { session });
+
+        if (driverConflicts.hasConflicts) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(409).json(buildDriverConflictResponse(driverConflicts));
+        }
+      }
+
+      if (hold) {
+        // The hold becomes the booking
+        const releasedHold = await Hold.findOneAndDelete(
+          { _id: hold._id, expiresAt: { $gt: new Date() } },
+          { session }
+        );
+
+        if (!releasedHold) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(410).json({
+            error: 'Hold Expired',
+            message: 'Hold expired before the booking was completed'
+          });
+        }
       }
 
       // Create the booking
       const booking = new Booking({
         vehicleId,
+        driverId: driver ? driver._id : undefined,
         customerId: customerId.trim(),
         fromPincode,
         toPincode,
         startTime: bookingStartTime,
         endTime: bookingEndTime,
-        estimatedRideDurationHours
+        distanceKm: ride.distanceKm,
+        estimatedRideDurationHours: ride.estimatedRideDurationHours,
+        totalCost: ride.priceBreakdown.totalCost,
+        priceBreakdown: ride.priceBreakdown,
+        quoteId: quote ? quote._id : undefined,
+        stops: ride.stops,
+        cargo: body.cargo
       });
 
+      if (quote) {
+        // Claim the quote atomically so it cannot be used twice
+        const claimedQuote = await Quote.findOneAndUpdate(
+          { _id: quote._id, usedAt: null, expiresAt: { $gt: new Date() } },
+          { usedAt: new Date(), bookingId: booking._id },
+          { new: true, session }
+        );
+
+        if (!claimedQuote) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(409).json({
+            error: 'Quote Already Used',
+            message: 'Quote has already been used or has just expired'
+          });
+        }
+      }
+
       const savedBooking = await booking.save({ session });
 
-      // Populate vehicle details for response
+      // Populate vehicle and driver details for response
       await savedBooking.populate('vehicleId', 'name capacityKg tyres');
+      await savedBooking.populate('driverId', 'name licenceClass');
 
       await session.commitTransaction();
       session.endSession();
@@ -134,6 +541,29 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     console.error('Error creating booking:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
+      });
+    }
+
+    if (error.name === 'StopWindowError') {
+      return res.status(422).json({
+        error: 'Unreachable Stop',
+        message: error.message,
+        stop: error.stop
+      });
+    }
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
+    }
     
     if (error.name === 'ValidationError') {
       return res.status(400).json({
@@ -150,102 +580,1059 @@ router.post('/', async (req, res) => {
   }
 });
 
+const SERIES_MODES = ['all-or-nothing', 'partial'];
+const SERIES_UPDATE_FIELDS = ['vehicleId', 'fromPincode', 'toPincode', 'timeOfDay'];
+
 /**
- * GET /api/bookings
- * Get all bookings (with optional filtering)
+ * Describe why an occurrence of a series could not be booked
+ *
+ * @param {number} index - Zero-based occurrence index
+ * @param {object} ride - { startTime, endTime }
+ * @param {object} conflict - Conflict response body of the vehicle or driver
+ * @returns {object} Response entry
  */
-router.get('/', async (req, res) => {
-  try {
-    const { customerId, vehicleId, status, startDate, endDate } = req.query;
-    
-    // Build filter object
-    const filter = {};
-    
-    if (customerId) {
-      filter.customerId = customerId;
-    }
-    
-    if (vehicleId) {
-      if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'Invalid vehicleId format'
-        });
-      }
-      filter.vehicleId = vehicleId;
-    }
-    
-    if (status) {
-      if (!['confirmed', 'in-progress', 'completed', 'cancelled'].includes(status)) {
-        return res.status(400).json({
-          error: 'Validation Error',
-          message: 'Invalid status. Must be one of: confirmed, in-progress, completed, cancelled'
-        });
-      }
-      filter.status = status;
-    }
-    
-    // Date range filtering
-    if (startDate || endDate) {
-      filter.startTime = {};
-      if (startDate) {
-        const start = new Date(startDate);
-        if (isNaN(start.getTime())) {
-          return res.status(400).json({
-            error: 'Validation Error',
-            message: 'Invalid startDate format'
-          });
-        }
-        filter.startTime.$gte = start;
-      }
-      if (endDate) {
-        const end = new Date(endDate);
-        if (isNaN(end.getTime())) {
-          return res.status(400).json({
-            error: 'Validation Error',
-            message: 'Invalid endDate format'
-          });
-        }
-        filter.startTime.$lte = end;
-      }
-    }
-
-    const bookings = await Booking.find(filter)
-      .populate('vehicleId', 'name capacityKg tyres')
-      .sort({ createdAt: -1 });
-
-    res.status(200).json({
-      message: 'Bookings retrieved successfully',
-      count: bookings.length,
-      bookings
-    });
-
-  } catch (error) {
-    console.error('Error retrieving bookings:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to retrieve bookings'
-    });
-  }
-});
+function toConflictingOccurrence(index, { startTime, endTime }, conflict) {
+  return {
+    occurrence: index + 1,
+    startTime,
+    endTime,
+    ...conflict
+  };
+}
 
 /**
- * GET /api/bookings/:id
- * Get a specific booking by ID
+ * POST /api/bookings/recurring
+ * Book the same ride on every occurrence of a daily or weekly recurrence
  */
-router.get('/:id', async (req, res) => {
+router.post('/recurring', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
   try {
-    const { id } = req.params;
+    const { vehicleId, fromPincode, toPincode, recurrence, mode = 'all-or-nothing' } = req.body;
+    const customerId = resolveCustomerId(req, req.body.customerId);
 
-    if (!mongoose.Types.ObjectId.isValid(id)) {
+    // startTime is the first occurrence
+    const validation = validateBookingRequest({ ...req.body, customerId });
+    if (!validation.isValid) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Invalid booking ID format'
+        message: validation.message
       });
     }
 
-    const booking = await Booking.findById(id)
-      .populate('vehicleId', 'name capacityKg tyres');
+    const cargoValidation = validateCargo(req.body.cargo);
+    if (!cargoValidation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: cargoValidation.message
+      });
+    }
+
+    // Stop time windows are fixed dates, so they cannot repeat
+    if (req.body.stops !== undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'stops are not supported for recurring bookings'
+      });
+    }
+
+    if (!SERIES_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid mode. Must be one of: ${SERIES_MODES.join(', ')}`
+      });
+    }
+
+    const { maxOccurrences } = config.recurring;
+    const recurrenceValidation = validateRecurrence(recurrence, { maxOccurrences });
+    if (!recurrenceValidation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: recurrenceValidation.message
+      });
+    }
+
+    const occurrences = expandRecurrence(
+      validation.startTime,
+      recurrenceValidation.rule,
+      config.schedule.timezoneOffsetMinutes,
+      maxOccurrences + 1
+    );
+
+    if (occurrences.length === 0 || occurrences.length > maxOccurrences) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: occurrences.length === 0
+          ? 'Recurrence has no occurrences'
+          : `Recurrence cannot have more than ${maxOccurrences} occurrences`
+      });
+    }
+
+    for (const occurrence of occurrences) {
+      const timeValidation = validateBookingTime(occurrence);
+      if (!timeValidation.isValid) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Occurrence at ${occurrence.toISOString()}: ${timeValidation.message}`
+        });
+      }
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true });
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found or inactive'
+      });
+    }
+
+    const cargoProblems = findCargoProblems(req.body.cargo, vehicle);
+    if (cargoProblems.length > 0) {
+      return res.status(400).json(toCargoError(cargoProblems));
+    }
+
+    let driver = null;
+    if (req.body.driverId !== undefined) {
+      driver = await loadDriver(req, req.body.driverId, res);
+      if (!driver) {
+        return;
+      }
+    }
+
+    // Durations are cached per route and vehicle class, so this is cheap after the first
+    const rides = [];
+    for (const startTime of occurrences) {
+      const ride = await planRide({ vehicle, fromPincode, toPincode, startTime, customerId });
+      rides.push({ startTime, ...ride });
+    }
+
+    // The licence must stay valid until the last occurrence ends
+    const licenceProblems = driver ? findLicenceProblems(driver, vehicle, rides[rides.length - 1].endTime) : [];
+    if (licenceProblems.length > 0) {
+      return res.status(400).json(toLicenceError(licenceProblems));
+    }
+
+    const seriesId = new mongoose.Types.ObjectId();
+
+    // One transaction: occurrences saved earlier are seen by the conflict checks of later ones
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const bookings = [];
+      const conflictingOccurrences = [];
+
+      for (const [index, ride] of rides.entries()) {
+        const conflicts = await findConflicts(vehicleId, ride.startTime, ride.endTime, {
+          vehicle,
+          route: { fromPincode, toPincode },
+          session
+        });
+
+        if (conflicts.hasConflicts) {
+          conflictingOccurrences.push(toConflictingOccurrence(index, ride, buildConflictResponse(conflicts)));
+          continue;
+        }
+
+        if (driver) {
+          const driverConflicts = await findDriverConflicts(driver._id, ride, { session });
+          if (driverConflicts.hasConflicts) {
+            const driverConflict = buildDriverConflictResponse(driverConflicts);
+            conflictingOccurrences.push(toConflictingOccurrence(index, ride, driverConflict));
+            continue;
+          }
+        }
+
+        const booking = new Booking({
+          vehicleId,
+          driverId: driver ? driver._id : undefined,
+          customerId: customerId.trim(),
+          fromPincode,
+          toPincode,
+          startTime: ride.startTime,
+          endTime: ride.endTime,
+          distanceKm: ride.distanceKm,
+          estimatedRideDurationHours: ride.estimatedRideDurationHours,
+          totalCost: ride.priceBreakdown.totalCost,
+          priceBreakdown: ride.priceBreakdown,
+          seriesId,
+          cargo: req.body.cargo
+        });
+        bookings.push(await booking.save({ session }));
+      }
+
+      if (conflictingOccurrences.length > 0 && (mode === 'all-or-nothing' || bookings.length === 0)) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(409).json({
+          error: 'Booking Conflict',
+          message: mode === 'all-or-nothing'
+            ? 'Some occurrences conflict with existing bookings; nothing was booked'
+            : 'No occurrence could be booked',
+          conflictingOccurrences
+        });
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+
+      res.status(201).json({
+        message: conflictingOccurrences.length > 0
+          ? 'Recurring booking created; conflicting occurrences were skipped'
+          : 'Recurring booking created successfully',
+        seriesId,
+        count: bookings.length,
+        bookings,
+        skippedOccurrences: conflictingOccurrences
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Error creating recurring booking:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
+      });
+    }
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create recurring booking'
+    });
+  }
+});
+
+// Import files may be sent as text/csv instead of JSON
+const csvBody = express.text({ type: 'text/csv', limit: '10mb' });
+
+/**
+ * Mark an import row as failed
+ *
+ * @param {object} result - Row entry of the import report
+ * @param {object} failure - { error, message, ...details }
+ */
+function failRow(result, failure) {
+  Object.assign(result, { status: 'failed', ...failure });
+}
+
+/**
+ * POST /api/bookings/import
+ * Book many rides at once from a CSV file or a JSON array, reporting on every row
+ */
+router.post('/import', authorize('admin', 'dispatcher'), csvBody, async (req, res) => {
+  try {
+    let records;
+    if (typeof req.body === 'string') {
+      try {
+        records = parseImportCsv(req.body);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: parseError.message
+        });
+      }
+    } else if (Array.isArray(req.body)) {
+      records = req.body;
+    } else if (req.body && Array.isArray(req.body.rows)) {
+      records = req.body.rows;
+    } else {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Send a text/csv file or a JSON array of rows'
+      });
+    }
+
+    const { maxRows } = config.imports;
+    if (records.length === 0 || records.length > maxRows) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `An import must have between 1 and ${maxRows} rows`
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+
+    // Rows are numbered from 1, not counting the CSV header
+    const results = records.map((record, index) => ({ row: index + 1, status: 'pending' }));
+
+    // Same field checks as POST /api/bookings
+    const candidates = [];
+    for (const [index, record] of records.entries()) {
+      const normalised = normaliseImportRow(record);
+      let validation = normalised.isValid ? validateBookingRequest(normalised.request) : normalised;
+      if (validation.isValid) {
+        const cargoValidation = validateCargo(normalised.request.cargo);
+        validation = cargoValidation.isValid ? validation : cargoValidation;
+      }
+
+      if (!validation.isValid) {
+        failRow(results[index], { error: 'Validation Error', message: validation.message });
+        continue;
+      }
+
+      candidates.push({ result: results[index], request: normalised.request, startTime: validation.startTime });
+    }
+
+    const vehicleIds = [...new Set(candidates.map(({ request }) => request.vehicleId))];
+    const vehicles = await Vehicle.find({ _id: { $in: vehicleIds }, isActive: true });
+    const vehiclesById = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+
+    const planned = [];
+    for (const candidate of candidates) {
+      const { result, request, startTime } = candidate;
+      const vehicle = vehiclesById.get(request.vehicleId);
+
+      if (!vehicle) {
+        failRow(result, { error: 'Not Found', message: 'Vehicle not found or inactive' });
+        continue;
+      }
+
+      const cargoProblems = findCargoProblems(request.cargo, vehicle);
+      if (cargoProblems.length > 0) {
+        failRow(result, toCargoError(cargoProblems));
+        continue;
+      }
+
+      try {
+        const ride = await planRide({ ...request, vehicle, startTime });
+        planned.push({ ...candidate, vehicle, ride });
+      } catch (planError) {
+        if (planError.name === 'UnknownPincodeError') {
+          failRow(result, {
+            error: 'Unknown Pincode',
+            message: planError.message,
+            unknownPincodes: planError.unknownPincodes
+          });
+        } else if (planError.name === 'DurationEstimationError') {
+          failRow(result, {
+            error: 'Service Unavailable',
+            message: 'Unable to estimate ride duration, please try again later'
+          });
+        } else {
+          throw planError;
+        }
+      }
+    }
+
+    // One transaction: rows saved earlier are seen by the conflict checks of later ones
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const rowsByBookingId = new Map();
+
+      for (const { result, request, startTime, vehicle, ride } of planned) {
+        const { fromPincode, toPincode } = request;
+        const conflicts = await findConflicts(vehicle._id, startTime, ride.endTime, {
+          vehicle,
+          route: { fromPincode, toPincode },
+          session
+        });
+
+        if (conflicts.hasConflicts) {
+          // Earlier rows of this import that the row collides with
+          const conflictingRows = [...conflicts.bookings, ...conflicts.repositioning]
+            .map(record => rowsByBookingId.get(record._id.toString()))
+            .filter(row => row !== undefined);
+
+          failRow(result, { ...buildConflictResponse(conflicts), conflictingRows: [...new Set(conflictingRows)] });
+          continue;
+        }
+
+        const booking = new Booking({
+          vehicleId: vehicle._id,
+          customerId: request.customerId,
+          fromPincode,
+          toPincode,
+          startTime,
+          endTime: ride.endTime,
+          distanceKm: ride.distanceKm,
+          estimatedRideDurationHours: ride.estimatedRideDurationHours,
+          totalCost: ride.priceBreakdown.totalCost,
+          priceBreakdown: ride.priceBreakdown,
+          cargo: request.cargo
+        });
+
+        try {
+          await booking.save({ session });
+        } catch (saveError) {
+          if (saveError.name !== 'ValidationError') {
+            throw saveError;
+          }
+          failRow(result, {
+            error: 'Validation Error',
+            message: saveError.message,
+            details: Object.values(saveError.errors).map(err => err.message)
+          });
+          continue;
+        }
+
+        rowsByBookingId.set(booking._id.toString(), result.row);
+        Object.assign(result, {
+          status: dryRun ? 'valid' : 'created',
+          bookingId: dryRun ? undefined : booking._id,
+          startTime,
+          endTime: ride.endTime,
+          totalCost: ride.priceBreakdown.totalCost
+        });
+      }
+
+      const succeeded = results.filter(result => result.status !== 'failed').length;
+
+      // A dry run checks everything a real import would, then keeps nothing
+      if (dryRun || succeeded === 0) {
+        await session.abortTransaction();
+      } else {
+        await session.commitTransaction();
+      }
+      session.endSession();
+
+      const summary = {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      };
+
+      if (dryRun) {
+        return res.status(200).json({
+          message: 'Dry run completed; nothing was booked',
+          dryRun,
+          summary,
+          rows: results
+        });
+      }
+
+      if (succeeded === 0) {
+        return res.status(422).json({
+          error: 'Import Failed',
+          message: 'No row could be imported',
+          summary,
+          rows: results
+        });
+      }
+
+      res.status(201).json({
+        message: summary.failed > 0
+          ? 'Import completed; failed rows were skipped'
+          : 'Import completed successfully',
+        dryRun,
+        summary,
+        rows: results
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Error importing bookings:', error);
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to import bookings'
+    });
+  }
+});
+
+/**
+ * GET /api/bookings
+ * Get all bookings (with optional filtering)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { vehicleId, driverId, status, startDate, endDate, seriesId } = req.query;
+    // Customers only see their own bookings
+    const customerId = resolveCustomerId(req, req.query.customerId);
+    
+    // Build filter object
+    const filter = {};
+    
+    if (customerId) {
+      filter.customerId = customerId;
+    }
+    
+    if (vehicleId) {
+      if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid vehicleId format'
+        });
+      }
+      filter.vehicleId = vehicleId;
+    }
+
+    if (driverId) {
+      if (!mongoose.Types.ObjectId.isValid(driverId)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid driverId format'
+        });
+      }
+      filter.driverId = driverId;
+    }
+
+    if (seriesId) {
+      if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid seriesId format'
+        });
+      }
+      filter.seriesId = seriesId;
+    }
+    
+    if (status) {
+      if (!BOOKING_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Invalid status. Must be one of: ${BOOKING_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+    
+    // Date range filtering
+    if (startDate || endDate) {
+      filter.startTime = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        if (isNaN(start.getTime())) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid startDate format'
+          });
+        }
+        filter.startTime.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        if (isNaN(end.getTime())) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: 'Invalid endDate format'
+          });
+        }
+        filter.startTime.$lte = end;
+      }
+    }
+
+    const bookings = await Booking.find(filter)
+      .populate('vehicleId', 'name capacityKg tyres')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'Bookings retrieved successfully',
+      count: bookings.length,
+      bookings
+    });
+
+  } catch (error) {
+    console.error('Error retrieving bookings:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve bookings'
+    });
+  }
+});
+
+/**
+ * Load the occurrences of a series visible to the current user
+ *
+ * @param {object} req - Express request with params.seriesId
+ * @param {object} res - Express response, answered with 400 or 404 when nothing can be loaded
+ * @param {object} [filter] - Extra filter on the occurrences
+ * @returns {Promise<Array|null>} Occurrences by start time, or null if the response was sent
+ */
+async function loadSeries(req, res, filter = {}) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid series ID format'
+    });
+    return null;
+  }
+
+  const bookings = await Booking.find({ seriesId: req.params.seriesId, ...filter }).sort({ startTime: 1 });
+
+  // Customers only see their own series
+  if (bookings.length > 0 && !canAccessCustomer(req, bookings[0].customerId)) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Series not found'
+    });
+    return null;
+  }
+
+  return bookings;
+}
+
+/**
+ * Parse the optional fromDate of a series change
+ *
+ * @param {*} fromDate - Request value
+ * @returns {object} { isValid, message } plus the parsed fromDate (null when absent) when valid
+ */
+function parseFromDate(fromDate) {
+  if (fromDate === undefined) {
+    return { isValid: true, fromDate: null };
+  }
+
+  const parsed = new Date(fromDate);
+  if (isNaN(parsed.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid fromDate format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+    };
+  }
+
+  return { isValid: true, fromDate: parsed };
+}
+
+/**
+ * GET /api/bookings/series/:seriesId
+ * Get all occurrences of a recurring booking
+ */
+router.get('/series/:seriesId', async (req, res) => {
+  try {
+    const bookings = await loadSeries(req, res);
+    if (!bookings) {
+      return;
+    }
+
+    if (bookings.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Series not found'
+      });
+    }
+
+    const statusCounts = {};
+    for (const booking of bookings) {
+      statusCounts[booking.status] = (statusCounts[booking.status] || 0) + 1;
+    }
+
+    res.status(200).json({
+      message: 'Series retrieved successfully',
+      seriesId: req.params.seriesId,
+      count: bookings.length,
+      statusCounts,
+      bookings
+    });
+
+  } catch (error) {
+    console.error('Error retrieving series:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve series'
+    });
+  }
+});
+
+/**
+ * PATCH /api/bookings/series/:seriesId
+ * Change the vehicle, route or local time of day of every confirmed
+ * occurrence from fromDate onward; all occurrences change or none do
+ */
+router.patch('/series/:seriesId', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
+  try {
+    const { timeOfDay } = req.body;
+    const changes = SERIES_UPDATE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (changes.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Provide at least one of: ${SERIES_UPDATE_FIELDS.join(', ')}`
+      });
+    }
+
+    const parsedFromDate = parseFromDate(req.body.fromDate);
+    if (!parsedFromDate.isValid || !parsedFromDate.fromDate) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: parsedFromDate.message || 'fromDate is required'
+      });
+    }
+
+    if (req.body.vehicleId !== undefined && !mongoose.Types.ObjectId.isValid(req.body.vehicleId)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid vehicleId format'
+      });
+    }
+
+    for (const field of ['fromPincode', 'toPincode']) {
+      if (req.body[field] !== undefined && !/^\d{6}$/.test(req.body[field])) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Pincodes must be exactly 6 digits'
+        });
+      }
+    }
+
+    const timeMatch = timeOfDay === undefined ? null : /^([01]\d|2[0-3]):([0-5]\d)$/.exec(timeOfDay);
+    if (timeOfDay !== undefined && !timeMatch) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'timeOfDay must be local time as HH:MM'
+      });
+    }
+
+    const bookings = await loadSeries(req, res, {
+      status: 'confirmed',
+      startTime: { $gte: parsedFromDate.fromDate }
+    });
+    if (!bookings) {
+      return;
+    }
+
+    if (bookings.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Series has no confirmed occurrences from fromDate onward'
+      });
+    }
+
+    // Occurrences keep their own vehicle unless a new one is given
+    const vehicleIds = req.body.vehicleId
+      ? [req.body.vehicleId]
+      : [...new Set(bookings.map(booking => booking.vehicleId.toString()))];
+    const vehicles = await Vehicle.find({ _id: { $in: vehicleIds }, isActive: true });
+    if (vehicles.length !== vehicleIds.length) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found or inactive'
+      });
+    }
+    const vehiclesById = new Map(vehicles.map(vehicle => [vehicle._id.toString(), vehicle]));
+
+    // Occurrences keep their drivers, who must still be allowed to drive them
+    const driverIds = [...new Set(bookings.filter(booking => booking.driverId)
+      .map(booking => booking.driverId.toString()))];
+    const drivers = await Driver.find({ _id: { $in: driverIds } });
+    const driversById = new Map(drivers.map(driver => [driver._id.toString(), driver]));
+
+    const offsetMs = config.schedule.timezoneOffsetMinutes * 60 * 1000;
+    const rides = [];
+
+    for (const booking of bookings) {
+      let startTime = booking.startTime;
+      if (timeMatch) {
+        // Same local day, new local time
+        const local = new Date(startTime.getTime() + offsetMs);
+        startTime = new Date(Date.UTC(
+          local.getUTCFullYear(),
+          local.getUTCMonth(),
+          local.getUTCDate(),
+          Number(timeMatch[1]),
+          Number(timeMatch[2])
+        ) - offsetMs);
+
+        const timeValidation = validateBookingTime(startTime);
+        if (!timeValidation.isValid) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `Occurrence at ${startTime.toISOString()}: ${timeValidation.message}`
+          });
+        }
+      }
+
+      const vehicle = vehiclesById.get((req.body.vehicleId || booking.vehicleId).toString());
+      const cargoProblems = findCargoProblems(booking.cargo, vehicle);
+      if (cargoProblems.length > 0) {
+        return res.status(400).json(toCargoError(cargoProblems));
+      }
+
+      const fromPincode = req.body.fromPincode || booking.fromPincode;
+      const toPincode = req.body.toPincode || booking.toPincode;
+      const ride = await planRide({ vehicle, fromPincode, toPincode, startTime, customerId: booking.customerId });
+
+      const driver = booking.driverId ? driversById.get(booking.driverId.toString()) : null;
+      const licenceProblems = driver ? findLicenceProblems(driver, vehicle, ride.endTime) : [];
+      if (licenceProblems.length > 0) {
+        return res.status(400).json(toLicenceError(licenceProblems));
+      }
+
+      rides.push({ booking, vehicle, driver, fromPincode, toPincode, startTime, ...ride });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const conflictingOccurrences = [];
+
+      for (const [index, ride] of rides.entries()) {
+        const conflicts = await findConflicts(ride.vehicle._id, ride.startTime, ride.endTime, {
+          vehicle: ride.vehicle,
+          route: { fromPincode: ride.fromPincode, toPincode: ride.toPincode },
+          excludeBookingId: ride.booking._id,
+          session
+        });
+
+        if (conflicts.hasConflicts) {
+          conflictingOccurrences.push(toConflictingOccurrence(index, ride, buildConflictResponse(conflicts)));
+          continue;
+        }
+
+        if (ride.driver) {
+          const driverConflicts = await findDriverConflicts(ride.driver._id, ride, {
+            excludeBookingId: ride.booking._id,
+            session
+          });
+          if (driverConflicts.hasConflicts) {
+            const driverConflict = buildDriverConflictResponse(driverConflicts);
+            conflictingOccurrences.push(toConflictingOccurrence(index, ride, driverConflict));
+            continue;
+          }
+        }
+
+        ride.booking.set({
+          vehicleId: ride.vehicle._id,
+          fromPincode: ride.fromPincode,
+          toPincode: ride.toPincode,
+          startTime: ride.startTime,
+          distanceKm: ride.distanceKm,
+          estimatedRideDurationHours: ride.estimatedRideDurationHours,
+          totalCost: ride.priceBreakdown.totalCost,
+          priceBreakdown: ride.priceBreakdown
+        });
+        await ride.booking.save({ session });
+      }
+
+      if (conflictingOccurrences.length > 0) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(409).json({
+          error: 'Booking Conflict',
+          message: 'Some occurrences would conflict after the change; nothing was changed',
+          conflictingOccurrences
+        });
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+
+      res.status(200).json({
+        message: 'Series updated successfully',
+        seriesId: req.params.seriesId,
+        count: bookings.length,
+        bookings
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Error updating series:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
+      });
+    }
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update series'
+    });
+  }
+});
+
+/**
+ * POST /api/bookings/series/:seriesId/cancel
+ * Cancel every confirmed occurrence of a series (from fromDate onward, if given),
+ * applying the cancellation policy to each
+ */
+router.post('/series/:seriesId/cancel', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'reason is required'
+      });
+    }
+
+    const parsedFromDate = parseFromDate(req.body.fromDate);
+    if (!parsedFromDate.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: parsedFromDate.message
+      });
+    }
+
+    const filter = { status: 'confirmed' };
+    if (parsedFromDate.fromDate) {
+      filter.startTime = { $gte: parsedFromDate.fromDate };
+    }
+
+    const bookings = await loadSeries(req, res, filter);
+    if (!bookings) {
+      return;
+    }
+
+    if (bookings.length === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Series has no confirmed occurrences to cancel'
+      });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      let totalFee = 0;
+
+      for (const booking of bookings) {
+        const cancellation = evaluateCancellation(booking);
+
+        booking.transitionTo('cancelled', { actor: req.user.id, note: reason.trim() });
+        booking.cancelledAt = new Date();
+        booking.cancelledBy = req.user.id;
+        booking.cancellationReason = reason.trim();
+        booking.cancellationFee = cancellation.fee;
+        await booking.save({ session });
+
+        totalFee += cancellation.fee;
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+
+      res.status(200).json({
+        message: 'Series cancelled successfully',
+        seriesId: req.params.seriesId,
+        count: bookings.length,
+        totalCancellationFee: Math.round(totalFee * 100) / 100,
+        bookings
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Error cancelling series:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to cancel series'
+    });
+  }
+});
+
+/**
+ * GET /api/bookings/:id
+ * Get a specific booking by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    const booking = await Booking.findById(id)
+      .populate('vehicleId', 'name capacityKg tyres')
+      .populate('driverId', 'name licenceClass');
+
+    if (!booking || !canAccessCustomer(req, booking.customerId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Booking not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Booking retrieved successfully',
+      booking
+    });
+
+  } catch (error) {
+    console.error('Error retrieving booking:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve booking'
+    });
+  }
+});
+
+/**
+ * PATCH /api/bookings/:id/driver
+ * Assign a driver to a confirmed booking, or remove them with driverId null
+ */
+router.patch('/:id/driver', authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { driverId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid booking ID format'
+      });
+    }
+
+    if (driverId === undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'driverId is required, or null to remove the driver'
+      });
+    }
+
+    const booking = await Booking.findById(id);
 
     if (!booking) {
       return res.status(404).json({
@@ -254,28 +1641,370 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    if (booking.status !== 'confirmed') {
+      return res.status(409).json({
+        error: 'Invalid Booking Status',
+        message: `Drivers can only be changed on confirmed bookings, not ${booking.status} ones`
+      });
+    }
+
+    if (driverId === null) {
+      booking.driverId = undefined;
+      await booking.saveInTransaction();
+    } else {
+      const driver = await loadDriver(req, driverId, res);
+      if (!driver) {
+        return;
+      }
+
+      const vehicle = await Vehicle.findById(booking.vehicleId);
+      const licenceProblems = findLicenceProblems(driver, vehicle, booking.endTime);
+      if (licenceProblems.length > 0) {
+        return res.status(400).json(toLicenceError(licenceProblems));
+      }
+
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const driverConflicts = await findDriverConflicts(driver._id, booking, {
+          excludeBookingId: booking._id,
+          session
+        });
+
+        if (driverConflicts.hasConflicts) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(409).json(buildDriverConflictResponse(driverConflicts));
+        }
+
+        booking.driverId = driver._id;
+        await booking.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+      } catch (transactionError) {
+        await session.abortTransaction();
+        session.endSession();
+        throw transactionError;
+      }
+    }
+
+    await booking.populate('vehicleId', 'name capacityKg tyres');
+    await booking.populate('driverId', 'name licenceClass');
+
     res.status(200).json({
-      message: 'Booking retrieved successfully',
+      message: driverId === null ? 'Driver removed from booking' : 'Driver assigned successfully',
       booking
     });
 
   } catch (error) {
-    console.error('Error retrieving booking:', error);
+    console.error('Error assigning driver:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to retrieve booking'
+      message: 'Failed to assign driver'
     });
   }
 });
 
 /**
- * PATCH /api/bookings/:id/status
- * Update booking status
+ * Load a booking for a trip update; drivers only find bookings assigned to them
+ *
+ * @param {object} req - Express request with params.id
+ * @param {object} res - Express response, answered with 400 or 404 when the booking cannot be used
+ * @param {string} [select] - Extra fields to load
+ * @returns {Promise<object|null>} Booking, or null if the response was sent
+ */
+async function loadTripBooking(req, res, select) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid booking ID format'
+    });
+    return null;
+  }
+
+  const booking = await Booking.findById(req.params.id).select(select || '');
+
+  let canAccess = Boolean(booking) && canAccessCustomer(req, booking.customerId);
+  if (canAccess && req.user.role === 'driver') {
+    const driver = await Driver.findOne({ userId: req.user.id });
+    canAccess = Boolean(driver && booking.driverId && booking.driverId.equals(driver._id));
+  }
+
+  if (!canAccess) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Booking not found'
+    });
+    return null;
+  }
+
+  return booking;
+}
+
+/**
+ * Respond to a failed trip update
+ *
+ * @param {Error} error - Error thrown by the update
+ * @param {object} res - Express response
+ * @param {string} action - What failed, e.g. 'start trip'
+ */
+function handleTripError(error, res, action) {
+  console.error(`Error trying to ${action}:`, error);
+
+  if (error.name === 'StatusTransitionError') {
+    return res.status(409).json({
+      error: 'Invalid Status Transition',
+      message: error.message,
+      currentStatus: error.fromStatus,
+      allowedNextStates: error.allowedNextStates
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.message,
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: `Failed to ${action}`
+  });
+}
+
+/**
+ * Check that a trip is under way before recording its progress
+ *
+ * @param {object} booking - Booking of the trip
+ * @param {object} res - Express response, answered with 409 when the trip is not in progress
+ * @returns {boolean} True if in progress; otherwise a 409 response was sent
+ */
+function checkTripInProgress(booking, res) {
+  if (booking.status !== 'in-progress') {
+    res.status(409).json({
+      error: 'Invalid Status Transition',
+      message: `Trip has not started; booking is ${booking.status}`,
+      currentStatus: booking.status,
+      allowedNextStates: booking.getAllowedTransitions()
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * POST /api/bookings/:id/start
+ * Driver sets off: the booking moves to in-progress with the start time and odometer reading
+ */
+router.post('/:id/start', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const { odometerKm, note } = req.body;
+
+    const odometer = validateOdometer(odometerKm);
+    if (!odometer.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `odometerKm: ${odometer.message}`
+      });
+    }
+
+    const booking = await loadTripBooking(req, res);
+    if (!booking) {
+      return;
+    }
+
+    booking.transitionTo('in-progress', { actor: req.user.id, note });
+    booking.startTrip(new Date(), odometerKm);
+    await booking.saveInTransaction();
+
+    res.status(200).json({
+      message: 'Trip started',
+      booking
+    });
+
+  } catch (error) {
+    handleTripError(error, res, 'start trip');
+  }
+});
+
+/**
+ * POST /api/bookings/:id/arrive
+ * Driver checks in at the drop-off, or at the next stop of a multi-stop booking
+ */
+router.post('/:id/arrive', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const booking = await loadTripBooking(req, res);
+    if (!booking || !checkTripInProgress(booking, res)) {
+      return;
+    }
+
+    const arrivedAt = new Date();
+    let stop = null;
+
+    if (booking.stops && booking.stops.length > 0) {
+      // Stops are checked in in order; the first one when the trip starts
+      const index = booking.stops.findIndex(entry => !entry.actualArrivalTime);
+      if (index === -1) {
+        return res.status(409).json({
+          error: 'Already Arrived',
+          message: 'Every stop has already been checked in'
+        });
+      }
+
+      booking.stops[index].actualArrivalTime = arrivedAt;
+      stop = index + 1;
+      if (index === booking.stops.length - 1) {
+        booking.set('trip.arrivedAt', arrivedAt);
+      }
+    } else {
+      if (booking.get('trip.arrivedAt')) {
+        return res.status(409).json({
+          error: 'Already Arrived',
+          message: 'Driver has already checked in at the drop-off'
+        });
+      }
+      booking.set('trip.arrivedAt', arrivedAt);
+    }
+
+    await booking.saveInTransaction();
+
+    res.status(200).json({
+      message: stop ? `Checked in at stop ${stop}` : 'Checked in at the drop-off',
+      stop,
+      booking
+    });
+
+  } catch (error) {
+    handleTripError(error, res, 'check in');
+  }
+});
+
+/**
+ * POST /api/bookings/:id/complete
+ * Driver hands over the cargo: records the end odometer reading and proof of
+ * delivery and compares the actual duration with the estimate
+ */
+router.post('/:id/complete', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const { odometerKm, recipientName, signature, notes } = req.body;
+
+    if (!recipientName || typeof recipientName !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'recipientName is required'
+      });
+    }
+
+    if (notes !== undefined && typeof notes !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'notes must be a string'
+      });
+    }
+
+    let parsedSignature;
+    if (signature !== undefined) {
+      parsedSignature = parseSignature(signature, config.trips.maxSignatureKb * 1024);
+      if (!parsedSignature.isValid) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: parsedSignature.message
+        });
+      }
+    }
+
+    const booking = await loadTripBooking(req, res);
+    if (!booking || !checkTripInProgress(booking, res)) {
+      return;
+    }
+
+    const odometer = validateOdometer(odometerKm, booking.get('trip.startOdometerKm'));
+    if (!odometer.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `odometerKm: ${odometer.message}`
+      });
+    }
+
+    booking.transitionTo('completed', { actor: req.user.id, note: notes });
+    booking.finishTrip(new Date(), {
+      odometerKm,
+      proofOfDelivery: {
+        recipientName,
+        notes,
+        signature: parsedSignature ? parsedSignature.signature : undefined
+      }
+    });
+    await booking.saveInTransaction();
+
+    // The signature image is served separately
+    const trip = booking.toJSON().trip;
+    if (trip.proofOfDelivery.signature) {
+      delete trip.proofOfDelivery.signature.data;
+    }
+
+    res.status(200).json({
+      message: 'Trip completed',
+      booking: { ...booking.toJSON(), trip }
+    });
+
+  } catch (error) {
+    handleTripError(error, res, 'complete trip');
+  }
+});
+
+/**
+ * GET /api/bookings/:id/signature
+ * Proof-of-delivery signature image of a completed booking
+ */
+router.get('/:id/signature', authorize('admin', 'dispatcher', 'driver', 'customer'), async (req, res) => {
+  try {
+    const booking = await loadTripBooking(req, res, '+trip.proofOfDelivery.signature.data');
+    if (!booking) {
+      return;
+    }
+
+    const signature = booking.trip && booking.trip.proofOfDelivery && booking.trip.proofOfDelivery.signature;
+    if (!signature || !signature.data) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Booking has no signature'
+      });
+    }
+
+    res.set('Content-Type', signature.contentType).send(signature.data);
+
+  } catch (error) {
+    console.error('Error retrieving signature:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve signature'
+    });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/cancel
+ * Cancel a booking, applying the cancellation policy (customers can cancel their own)
  */
-router.patch('/:id/status', async (req, res) => {
+router.post('/:id/cancel', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { reason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -284,26 +2013,201 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
-    if (!status || !['confirmed', 'in-progress', 'completed', 'cancelled'].includes(status)) {
+    if (!reason || typeof reason !== 'string') {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Invalid status. Must be one of: confirmed, in-progress, completed, cancelled'
+        message: 'reason is required'
       });
     }
 
-    const booking = await Booking.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('vehicleId', 'name capacityKg tyres');
+    const booking = await Booking.findById(id);
 
-    if (!booking) {
+    if (!booking || !canAccessCustomer(req, booking.customerId)) {
       return res.status(404).json({
         error: 'Not Found',
         message: 'Booking not found'
       });
     }
 
+    const cancellation = evaluateCancellation(booking);
+    if (!cancellation.allowed) {
+      return res.status(409).json({
+        error: 'Cancellation Not Allowed',
+        message: cancellation.message,
+        status: booking.status
+      });
+    }
+
+    booking.transitionTo('cancelled', { actor: req.user.id, note: reason.trim() });
+    booking.cancelledAt = new Date();
+    booking.cancelledBy = req.user.id;
+    booking.cancellationReason = reason.trim();
+    booking.cancellationFee = cancellation.fee;
+
+    const savedBooking = await booking.saveInTransaction();
+    await savedBooking.populate('vehicleId', 'name capacityKg tyres');
+
+    res.status(200).json({
+      message: 'Booking cancelled successfully',
+      booking: savedBooking,
+      cancellation: {
+        fee: cancellation.fee,
+        feePercentage: cancellation.feePercentage,
+        totalCost: cancellation.totalCost,
+        freeCancellationUntil: cancellation.freeCancellationUntil,
+        policy: cancellation.message
+      }
+    });
+
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to cancel booking'
+    });
+  }
+});
+
+/**
+ * Body of a 409 from PATCH /api/bookings/:id/status. Cancelling is not one of
+ * its next states, so clients are pointed to the cancel endpoint instead.
+ *
+ * @param {string} message - What was refused
+ * @param {string} currentStatus - Stored status of the booking
+ * @param {Array<string>} allowedNextStates - Statuses the booking can move to
+ * @returns {object} Response body
+ */
+function buildStatusUpdateConflict(message, currentStatus, allowedNextStates) {
+  const body = {
+    error: 'Invalid Status Transition',
+    message,
+    currentStatus,
+    allowedNextStates: allowedNextStates.filter(status => status !== 'cancelled')
+  };
+  if (allowedNextStates.includes('cancelled')) {
+    body.cancelWith = 'POST /api/bookings/:id/cancel';
+  }
+  return body;
+}
+
+/**
+ * PATCH /api/bookings/:id/status
+ * Update booking status, following the allowed status transitions
+ */
+router.patch('/:id/status', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status || !BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid status. Must be one of: ${BOOKING_STATUSES.join(', ')}`
+      });
+    }
+
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Use POST /api/bookings/:id/cancel to cancel a booking'
+      });
+    }
+
+    // Drivers only move bookings they are assigned to, as with the trip endpoints
+    const booking = await loadTripBooking(req, res);
+    if (!booking) {
+      return;
+    }
+
+    if (!booking.getAllowedTransitions().includes(status)) {
+      return res.status(409).json(buildStatusUpdateConflict(
+        `Cannot change booking status from ${booking.status} to ${status}`,
+        booking.status,
+        booking.getAllowedTransitions()
+      ));
+    }
+
+    // Reconfirming a cancelled booking must not double-book the vehicle
+    if (booking.status === 'cancelled' && status === 'confirmed') {
+      const timeValidation = validateBookingTime(booking.startTime);
+      if (!timeValidation.isValid) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: timeValidation.message
+        });
+      }
+
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      try {
+        const conflicts = await findConflicts(
+          booking.vehicleId,
+          booking.startTime,
+          booking.endTime,
+          {
+            route: { fromPincode: booking.fromPincode, toPincode: booking.toPincode },
+            excludeBookingId: booking._id,
+            session
+          }
+        );
+
+        if (conflicts.hasConflicts) {
+          await session.abortTransaction();
+          session.endSession();
+
+          return res.status(409).json(buildConflictResponse(conflicts));
+        }
+
+        // Nor the driver
+        if (booking.driverId) {
+          const driverConflicts = await findDriverConflicts(booking.driverId, booking, {
+            excludeBookingId: booking._id,
+            session
+          });
+
+          if (driverConflicts.hasConflicts) {
+            await session.abortTransaction();
+            session.endSession();
+
+            return res.status(409).json(buildDriverConflictResponse(driverConflicts));
+          }
+        }
+
+        booking.transitionTo(status, { actor: req.user.id, note });
+        booking.cancelledAt = undefined;
+        booking.cancelledBy = undefined;
+        booking.cancellationReason = undefined;
+        booking.cancellationFee = undefined;
+        await booking.save({ session });
+
+        await session.commitTransaction();
+        session.endSession();
+      } catch (transactionError) {
+        await session.abortTransaction();
+        session.endSession();
+        throw transactionError;
+      }
+    } else {
+      booking.transitionTo(status, { actor: req.user.id, note });
+      if (status === 'in-progress') {
+        booking.startTrip(new Date());
+      } else if (status === 'completed') {
+        booking.finishTrip(new Date());
+      }
+      await booking.saveInTransaction();
+    }
+
+    await booking.populate('vehicleId', 'name capacityKg tyres');
+
     res.status(200).json({
       message: 'Booking status updated successfully',
       booking
@@ -311,6 +2215,19 @@ router.patch('/:id/status', async (req, res) => {
 
   } catch (error) {
     console.error('Error updating booking status:', error);
+
+    if (error.name === 'StatusTransitionError') {
+      return res.status(409).json(buildStatusUpdateConflict(error.message, error.fromStatus, error.allowedNextStates));
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
     res.status(500).json({
       error: 'Internal Server Error',
       message: 'Failed to update booking status'
@@ -0,0 +1,403 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Driver = require('../models/Driver');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const { authorize } = require('../middleware/auth');
+const { LICENCE_CLASSES, LICENCE_FLAGS, findLicenceProblems } = require('../utils/drivers');
+
+const router = express.Router();
+
+const DRIVER_FIELDS = ['name', 'licenceClass', 'licenceExpiry', 'homePincode', 'shiftStart', 'shiftEnd', 'userId'];
+// Changes to these fields may leave booked rides the driver can no longer drive
+const LICENCE_FIELDS = ['licenceClass', 'licenceExpiry'];
+// Optional fields that can be cleared with null
+const CLEARABLE_FIELDS = ['homePincode', 'shiftStart', 'shiftEnd', 'userId'];
+
+/**
+ * Check the types of driver fields; the model validates their values
+ *
+ * @param {object} fields - Any of DRIVER_FIELDS
+ * @returns {object} { isValid, message }
+ */
+function validateDriverFields(fields) {
+  if (fields.name !== undefined && typeof fields.name !== 'string') {
+    return { isValid: false, message: 'name must be a string' };
+  }
+
+  if (fields.licenceClass !== undefined && !LICENCE_CLASSES.includes(fields.licenceClass)) {
+    return { isValid: false, message: `licenceClass must be one of: ${LICENCE_CLASSES.join(', ')}` };
+  }
+
+  if (fields.licenceExpiry !== undefined &&
+      (fields.licenceExpiry === null || isNaN(new Date(fields.licenceExpiry).getTime()))) {
+    return { isValid: false, message: 'Invalid licenceExpiry format. Use ISO date format (e.g., 2027-03-31)' };
+  }
+
+  for (const field of ['homePincode', 'shiftStart', 'shiftEnd']) {
+    if (fields[field] !== undefined && fields[field] !== null && typeof fields[field] !== 'string') {
+      return { isValid: false, message: `${field} must be a string` };
+    }
+  }
+
+  if (fields.userId !== undefined && fields.userId !== null && !mongoose.Types.ObjectId.isValid(fields.userId)) {
+    return { isValid: false, message: 'Invalid userId format' };
+  }
+
+  if (fields.isActive !== undefined && typeof fields.isActive !== 'boolean') {
+    return { isValid: false, message: 'isActive must be a boolean' };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Check that a login linked to a driver belongs to a driver account
+ *
+ * @param {*} userId - Requested user, null or undefined to skip
+ * @param {object} res - Express response, answered with 400 when the user cannot be linked
+ * @returns {Promise<boolean>} True if valid; otherwise a 400 response was sent
+ */
+async function checkDriverUser(userId, res) {
+  if (userId === undefined || userId === null) {
+    return true;
+  }
+
+  const user = await User.findById(userId);
+  if (!user || user.role !== 'driver') {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'userId must belong to a driver account'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validate a driver ID route parameter
+ *
+ * @returns {boolean} True if valid; otherwise a 400 response was sent
+ */
+function checkDriverId(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid driver ID format'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Respond to a failed driver save
+ *
+ * @param {Error} error - Save error
+ * @param {object} res - Express response
+ * @param {string} action - What failed, e.g. 'add driver'
+ */
+function handleSaveError(error, res, action) {
+  console.error(`Failed to ${action}:`, error);
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Conflict',
+      message: 'Another driver is already linked to this user'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.message,
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: `Failed to ${action}`
+  });
+}
+
+/**
+ * POST /api/drivers
+ * Add a driver (admin only)
+ */
+router.post('/', authorize('admin'), async (req, res) => {
+  try {
+    const { name, licenceClass, licenceExpiry } = req.body;
+
+    if (!name || !licenceClass || !licenceExpiry) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'name, licenceClass and licenceExpiry are required'
+      });
+    }
+
+    const validation = validateDriverFields(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    if (!await checkDriverUser(req.body.userId, res)) {
+      return;
+    }
+
+    const driver = new Driver({
+      name: name.trim(),
+      licenceClass,
+      licenceExpiry: new Date(licenceExpiry),
+      homePincode: req.body.homePincode || undefined,
+      shiftStart: req.body.shiftStart || undefined,
+      shiftEnd: req.body.shiftEnd || undefined,
+      userId: req.body.userId || undefined
+    });
+
+    const savedDriver = await driver.save();
+
+    res.status(201).json({
+      message: 'Driver added successfully',
+      driver: savedDriver
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'add driver');
+  }
+});
+
+/**
+ * GET /api/drivers
+ * Get all active drivers (admins can add includeInactive=true)
+ */
+router.get('/', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    const filter = includeInactive ? {} : { isActive: true };
+
+    if (req.query.licenceClass !== undefined) {
+      if (!LICENCE_CLASSES.includes(req.query.licenceClass)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `licenceClass must be one of: ${LICENCE_CLASSES.join(', ')}`
+        });
+      }
+      filter.licenceClass = req.query.licenceClass;
+    }
+
+    const drivers = await Driver.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      message: 'Drivers retrieved successfully',
+      count: drivers.length,
+      drivers
+    });
+
+  } catch (error) {
+    console.error('Error retrieving drivers:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve drivers'
+    });
+  }
+});
+
+/**
+ * GET /api/drivers/:id
+ * Get a driver, including deactivated ones
+ */
+router.get('/:id', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    if (!checkDriverId(req, res)) {
+      return;
+    }
+
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Driver not found'
+      });
+    }
+
+    const upcomingBookings = await Booking.findUpcomingForDriver(driver._id);
+
+    res.status(200).json({
+      message: 'Driver retrieved successfully',
+      driver: {
+        ...driver.toJSON(),
+        upcomingBookingCount: upcomingBookings.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving driver:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve driver'
+    });
+  }
+});
+
+/**
+ * PATCH /api/drivers/:id
+ * Edit a driver or set isActive. Drivers with upcoming bookings cannot be
+ * deactivated; bookings a licence change no longer covers are flagged.
+ */
+router.patch('/:id', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkDriverId(req, res)) {
+      return;
+    }
+
+    const updatableFields = [...DRIVER_FIELDS, 'isActive'];
+    const updates = {};
+    for (const field of updatableFields) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Provide at least one of: ${updatableFields.join(', ')}`
+      });
+    }
+
+    const validation = validateDriverFields(updates);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    if (!await checkDriverUser(updates.userId, res)) {
+      return;
+    }
+
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Driver not found'
+      });
+    }
+
+    const upcomingBookings = await Booking.findUpcomingForDriver(driver._id).populate('vehicleId');
+
+    if (updates.isActive === false && driver.isActive && upcomingBookings.length > 0) {
+      return res.status(409).json({
+        error: 'Driver Has Bookings',
+        message: 'Driver has upcoming bookings; assign them to other drivers first',
+        affectedBookings: upcomingBookings.map(booking => booking.toAffectedSummary())
+      });
+    }
+
+    if (updates.name !== undefined) {
+      updates.name = updates.name.trim();
+    }
+    if (updates.licenceExpiry !== undefined) {
+      updates.licenceExpiry = new Date(updates.licenceExpiry);
+    }
+    for (const field of CLEARABLE_FIELDS) {
+      if (updates[field] === null) {
+        updates[field] = undefined;
+      }
+    }
+
+    const licenceChanged = LICENCE_FIELDS.some(field => req.body[field] !== undefined);
+    driver.set(updates);
+    const savedDriver = await driver.save();
+
+    // Re-check rides still to come against the new licence
+    const flaggedBookings = [];
+    if (licenceChanged) {
+      const licenceFlagCodes = Object.values(LICENCE_FLAGS);
+
+      for (const booking of upcomingBookings) {
+        const problems = findLicenceProblems(savedDriver, booking.vehicleId, booking.endTime);
+        const problemCodes = problems.map(problem => problem.code);
+        const staleFlags = booking.flags.filter(flag =>
+          licenceFlagCodes.includes(flag.code) && !problemCodes.includes(flag.code));
+
+        if (staleFlags.length > 0) {
+          booking.flags = booking.flags.filter(flag => !staleFlags.includes(flag));
+        }
+        problems.forEach(problem => booking.addFlag(problem.code, problem.message));
+
+        if (booking.isModified('flags')) {
+          await booking.saveInTransaction();
+        }
+        if (problems.length > 0) {
+          flaggedBookings.push(booking.toAffectedSummary({
+            licenceProblems: problems.map(problem => problem.message)
+          }));
+        }
+      }
+    }
+
+    res.status(200).json({
+      message: flaggedBookings.length > 0
+        ? `Driver updated; ${flaggedBookings.length} bookings are no longer covered by the licence`
+        : 'Driver updated successfully',
+      driver: savedDriver,
+      flaggedBookings
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'update driver');
+  }
+});
+
+/**
+ * DELETE /api/drivers/:id
+ * Remove a driver who has never been booked; others can only be deactivated
+ */
+router.delete('/:id', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkDriverId(req, res)) {
+      return;
+    }
+
+    const driver = await Driver.findById(req.params.id);
+
+    if (!driver) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Driver not found'
+      });
+    }
+
+    // Past bookings keep referring to their driver
+    if (await Booking.exists({ driverId: driver._id })) {
+      return res.status(409).json({
+        error: 'Driver Has Bookings',
+        message: 'Driver has bookings and cannot be deleted; set isActive to false instead'
+      });
+    }
+
+    await driver.deleteOne();
+
+    res.status(200).json({
+      message: 'Driver deleted successfully',
+      driver
+    });
+
+  } catch (error) {
+    console.error('Error deleting driver:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete driver'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const config = require('../config');
+const { EVENT_TYPES, subscribe, getEventsSince } = require('../utils/eventBus');
+const { resolveCustomerId, canAccessCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Suggested reconnection delay for EventSource clients
+const RETRY_MS = 5000;
+
+/**
+ * Check whether the user may receive an event, as they could read it over REST
+ *
+ * @param {object} req - Authenticated request
+ * @param {object} event - Published event
+ * @returns {boolean} True if the event may be sent
+ */
+function canReceiveEvent(req, event) {
+  const { scope, roles } = EVENT_TYPES[event.type];
+
+  if (req.user.apiKeyId) {
+    if (!req.user.scopes.includes(scope) || (req.user.customerId && !roles.includes('customer'))) {
+      return false;
+    }
+  } else if (!roles.includes(req.user.role)) {
+    return false;
+  }
+
+  // Customers only get events about their own bookings
+  return !event.customerId || canAccessCustomer(req, event.customerId);
+}
+
+/**
+ * Parse the stream filters
+ *
+ * @param {object} req - Authenticated request
+ * @returns {object} { isValid, message } plus { customerId, vehicleId, types } when valid
+ */
+function parseEventFilters(req) {
+  const { vehicleId, types } = req.query;
+
+  if (vehicleId !== undefined && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+    return { isValid: false, message: 'Invalid vehicleId format' };
+  }
+
+  let eventTypes = null;
+  if (types !== undefined) {
+    eventTypes = String(types).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = eventTypes.filter(type => !EVENT_TYPES[type]);
+    if (eventTypes.length === 0 || unknown.length > 0) {
+      return {
+        isValid: false,
+        message: `Invalid types. Must be a comma-separated list of: ${Object.keys(EVENT_TYPES).join(', ')}`
+      };
+    }
+  }
+
+  return {
+    isValid: true,
+    // Customers only see their own bookings
+    customerId: resolveCustomerId(req, req.query.customerId),
+    vehicleId,
+    types: eventTypes
+  };
+}
+
+/**
+ * Check an event against the stream filters
+ *
+ * @param {object} event - Published event
+ * @param {object} filters - { customerId, vehicleId, types }
+ * @returns {boolean} True if the client asked for the event
+ */
+function matchesFilters(event, filters) {
+  if (filters.types && !filters.types.includes(event.type)) {
+    return false;
+  }
+  // Vehicle events belong to no customer and are not narrowed down by customerId
+  if (filters.customerId && event.customerId && event.customerId !== filters.customerId) {
+    return false;
+  }
+  if (filters.vehicleId && (!event.vehicleId || event.vehicleId.toString() !== filters.vehicleId)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Write one event in the text/event-stream format
+ *
+ * @param {object} res - Express response
+ * @param {object} event - Published event
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({
+    id: event.id,
+    type: event.type,
+    occurredAt: event.occurredAt,
+    ...event.data
+  })}\n\n`);
+}
+
+/**
+ * GET /api/events
+ * Server-Sent Events stream of booking and vehicle changes. Clients that
+ * reconnect with a Last-Event-ID first get the events they missed.
+ */
+router.get('/', (req, res) => {
+  const readableScopes = ['bookings:read', 'vehicles:read'];
+  if (req.user.apiKeyId && !req.user.scopes.some(scope => readableScopes.includes(scope))) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'API key needs the bookings:read or vehicles:read scope'
+    });
+  }
+
+  const filters = parseEventFilters(req);
+  if (!filters.isValid) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: filters.message
+    });
+  }
+
+  const send = event => {
+    if (canReceiveEvent(req, event) && matchesFilters(event, filters)) {
+      writeEvent(res, event);
+    }
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Browsers send Last-Event-ID when they reconnect; lastEventId is for clients that cannot set headers
+  const cursor = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (cursor !== undefined) {
+    const missed = getEventsSince(Number(cursor));
+    if (missed) {
+      missed.forEach(send);
+    } else {
+      // Some events are gone; the client has to reload the current state over REST
+      res.write(`event: stream.reset\ndata: ${JSON.stringify({
+        message: 'Missed events are no longer available; reload the current state'
+      })}\n\n`);
+    }
+  }
+
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.events.heartbeatSeconds * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
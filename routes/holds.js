@@ -0,0 +1,205 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Hold = require('../models/Hold');
+const config = require('../config');
+const { calculateEndTime } = require('../utils/rideCalculations');
+const { getDurationEstimator } = require('../utils/durationEstimator');
+const { validateBookingRequest } = require('../utils/bookingRequest');
+const { findConflicts, buildConflictResponse } = require('../utils/conflicts');
+const { authorize, resolveCustomerId, canAccessCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/holds
+ * Reserve a vehicle for a time window for a few minutes during checkout
+ */
+router.post('/', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
+  try {
+    const { vehicleId, fromPincode, toPincode } = req.body;
+    const customerId = resolveCustomerId(req, req.body.customerId);
+
+    // Holds take the same inputs as bookings
+    const validation = validateBookingRequest({ ...req.body, customerId });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+    const holdStartTime = validation.startTime;
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true });
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found or inactive'
+      });
+    }
+
+    const { estimatedRideDurationHours } = await getDurationEstimator()
+      .estimate(fromPincode, toPincode, vehicle, holdStartTime);
+    const holdEndTime = calculateEndTime(holdStartTime, estimatedRideDurationHours);
+
+    // Use a transaction so two holds cannot take the same slot
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const conflicts = await findConflicts(vehicleId, holdStartTime, holdEndTime, {
+        vehicle,
+        route: { fromPincode, toPincode },
+        session
+      });
+
+      if (conflicts.hasConflicts) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(409).json(buildConflictResponse(conflicts));
+      }
+
+      const [hold] = await Hold.create([{
+        vehicleId,
+        customerId: customerId.trim(),
+        fromPincode,
+        toPincode,
+        startTime: holdStartTime,
+        endTime: holdEndTime,
+        estimatedRideDurationHours,
+        expiresAt: new Date(Date.now() + (config.holds.durationMinutes * 60 * 1000))
+      }], { session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      res.status(201).json({
+        message: 'Vehicle held successfully',
+        hold
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Error creating hold:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
+      });
+    }
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create hold'
+    });
+  }
+});
+
+/**
+ * GET /api/holds
+ * Get active holds (with optional filtering)
+ */
+router.get('/', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
+  try {
+    const { vehicleId } = req.query;
+    // Customers only see their own holds
+    const customerId = resolveCustomerId(req, req.query.customerId);
+    const filter = { expiresAt: { $gt: new Date() } };
+
+    if (vehicleId) {
+      if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid vehicleId format'
+        });
+      }
+      filter.vehicleId = vehicleId;
+    }
+
+    if (customerId) {
+      filter.customerId = customerId;
+    }
+
+    const holds = await Hold.find(filter)
+      .populate('vehicleId', 'name capacityKg tyres')
+      .sort({ expiresAt: 1 });
+
+    res.status(200).json({
+      message: 'Holds retrieved successfully',
+      count: holds.length,
+      holds
+    });
+
+  } catch (error) {
+    console.error('Error retrieving holds:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve holds'
+    });
+  }
+});
+
+/**
+ * DELETE /api/holds/:id
+ * Release a hold before it expires
+ */
+router.delete('/:id', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid hold ID format'
+      });
+    }
+
+    const hold = await Hold.findById(id);
+
+    if (!hold || !canAccessCustomer(req, hold.customerId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Hold not found or expired'
+      });
+    }
+
+    await hold.deleteOne();
+
+    res.status(200).json({
+      message: 'Hold released successfully',
+      hold
+    });
+
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to release hold'
+    });
+  }
+});
+
+module.exports = router;
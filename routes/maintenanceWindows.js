@@ -0,0 +1,452 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const BREAKDOWN_FLAG = 'vehicle_breakdown';
+
+/**
+ * Validate the times and reason of a maintenance window request
+ *
+ * @param {object} input - { startTime, endTime, reason }
+ * @returns {object} { isValid, message } plus the parsed startTime and endTime when valid
+ */
+function parseWindowRequest({ startTime, endTime, reason }) {
+  if (!startTime || !endTime) {
+    return {
+      isValid: false,
+      message: 'startTime and endTime are required'
+    };
+  }
+
+  const parsedStartTime = new Date(startTime);
+  const parsedEndTime = new Date(endTime);
+  if (isNaN(parsedStartTime.getTime()) || isNaN(parsedEndTime.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid startTime or endTime format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+    };
+  }
+
+  if (parsedEndTime <= parsedStartTime) {
+    return {
+      isValid: false,
+      message: 'endTime must be after startTime'
+    };
+  }
+
+  if (parsedEndTime <= new Date()) {
+    return {
+      isValid: false,
+      message: 'endTime must be in the future'
+    };
+  }
+
+  if (reason !== undefined && typeof reason !== 'string') {
+    return {
+      isValid: false,
+      message: 'reason must be a string'
+    };
+  }
+
+  return {
+    isValid: true,
+    startTime: parsedStartTime,
+    endTime: parsedEndTime
+  };
+}
+
+/**
+ * Check a new or moved window against the vehicle's other windows and bookings
+ *
+ * Scheduled maintenance must not overlap bookings, so it is refused. A
+ * breakdown is recorded anyway and the overlapping bookings are flagged so
+ * dispatchers can reassign them.
+ *
+ * @param {object} window - Unsaved maintenance window document
+ * @param {object} session - Transaction session
+ * @returns {Promise<object>} { status, body } of the error response, or { affectedBookings }
+ */
+async function checkWindow(window, session) {
+  const overlappingWindows = await MaintenanceWindow.findConflicting(
+    window.vehicleId,
+    window.startTime,
+    window.endTime,
+    { excludeMaintenanceWindowId: window._id, session }
+  );
+
+  if (overlappingWindows.length > 0) {
+    return {
+      status: 409,
+      body: {
+        error: 'Maintenance Conflict',
+        message: 'Vehicle already has a maintenance window overlapping this time',
+        conflictingMaintenanceWindows: overlappingWindows.map(other => ({
+          id: other._id,
+          type: other.type,
+          startTime: other.startTime,
+          endTime: other.endTime
+        }))
+      }
+    };
+  }
+
+  const bookings = await Booking.findConflicting(window.vehicleId, window.startTime, window.endTime, { session });
+
+  if (bookings.length > 0 && window.type === 'scheduled') {
+    return {
+      status: 409,
+      body: {
+        error: 'Vehicle Has Bookings',
+        message: 'Vehicle has bookings during this window; move them before scheduling maintenance',
+        affectedBookings: bookings.map(booking => booking.toAffectedSummary())
+      }
+    };
+  }
+
+  const affectedBookings = [];
+  for (const booking of bookings) {
+    if (booking.addFlag(BREAKDOWN_FLAG, `Vehicle breakdown reported: ${window.reason || 'no reason given'}`)) {
+      await booking.save({ session });
+    }
+    affectedBookings.push(booking.toAffectedSummary());
+  }
+
+  return { affectedBookings };
+}
+
+/**
+ * Save a maintenance window in a transaction after checking it
+ *
+ * @param {object} window - Unsaved maintenance window document
+ * @returns {Promise<object>} Result of checkWindow
+ */
+async function saveWindow(window) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await checkWindow(window, session);
+
+    if (result.status) {
+      await session.abortTransaction();
+      session.endSession();
+      return result;
+    }
+
+    await window.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+    return result;
+
+  } catch (transactionError) {
+    await session.abortTransaction();
+    session.endSession();
+    throw transactionError;
+  }
+}
+
+/**
+ * Validate a maintenance window ID route parameter
+ *
+ * @param {object} req - Express request
+ * @param {object} res - Express response, answered with 400 when invalid
+ * @returns {boolean} True if the ID is valid
+ */
+function checkWindowId(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid maintenance window ID format'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * POST /api/maintenance-windows
+ * Take a vehicle out of service for a time window
+ */
+router.post('/', authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const { vehicleId, type = 'scheduled', reason } = req.body;
+
+    if (!vehicleId || !mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'A valid vehicleId is required'
+      });
+    }
+
+    if (!MaintenanceWindow.MAINTENANCE_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid type. Must be one of: ${MaintenanceWindow.MAINTENANCE_TYPES.join(', ')}`
+      });
+    }
+
+    const validation = parseWindowRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    const window = new MaintenanceWindow({
+      vehicleId,
+      type,
+      startTime: validation.startTime,
+      endTime: validation.endTime,
+      reason,
+      createdBy: req.user.id
+    });
+
+    const result = await saveWindow(window);
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(201).json({
+      message: 'Maintenance window created successfully',
+      maintenanceWindow: window,
+      affectedBookings: result.affectedBookings
+    });
+
+  } catch (error) {
+    console.error('Error creating maintenance window:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create maintenance window'
+    });
+  }
+});
+
+/**
+ * GET /api/maintenance-windows
+ * Get maintenance windows (with optional filtering by vehicle, type and range)
+ */
+router.get('/', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const { vehicleId, type, from, to } = req.query;
+    const filter = {};
+
+    if (vehicleId) {
+      if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid vehicleId format'
+        });
+      }
+      filter.vehicleId = vehicleId;
+    }
+
+    if (type) {
+      if (!MaintenanceWindow.MAINTENANCE_TYPES.includes(type)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Invalid type. Must be one of: ${MaintenanceWindow.MAINTENANCE_TYPES.join(', ')}`
+        });
+      }
+      filter.type = type;
+    }
+
+    // Windows overlapping the range
+    const rangeStart = from ? new Date(from) : null;
+    const rangeEnd = to ? new Date(to) : null;
+    if ((rangeStart && isNaN(rangeStart.getTime())) || (rangeEnd && isNaN(rangeEnd.getTime()))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid from or to format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+      });
+    }
+    if (rangeStart) {
+      filter.endTime = { $gt: rangeStart };
+    }
+    if (rangeEnd) {
+      filter.startTime = { $lt: rangeEnd };
+    }
+
+    const maintenanceWindows = await MaintenanceWindow.find(filter)
+      .populate('vehicleId', 'name capacityKg tyres')
+      .sort({ startTime: 1 });
+
+    res.status(200).json({
+      message: 'Maintenance windows retrieved successfully',
+      count: maintenanceWindows.length,
+      maintenanceWindows
+    });
+
+  } catch (error) {
+    console.error('Error retrieving maintenance windows:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve maintenance windows'
+    });
+  }
+});
+
+/**
+ * GET /api/maintenance-windows/:id
+ * Get a maintenance window
+ */
+router.get('/:id', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    if (!checkWindowId(req, res)) {
+      return;
+    }
+
+    const maintenanceWindow = await MaintenanceWindow.findById(req.params.id)
+      .populate('vehicleId', 'name capacityKg tyres');
+
+    if (!maintenanceWindow) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Maintenance window not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Maintenance window retrieved successfully',
+      maintenanceWindow
+    });
+
+  } catch (error) {
+    console.error('Error retrieving maintenance window:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve maintenance window'
+    });
+  }
+});
+
+/**
+ * PATCH /api/maintenance-windows/:id
+ * Move, extend or shorten a maintenance window, or change its reason
+ */
+router.patch('/:id', authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    if (!checkWindowId(req, res)) {
+      return;
+    }
+
+    const unknownFields = Object.keys(req.body).filter(field => !['startTime', 'endTime', 'reason'].includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Only startTime, endTime and reason can be updated; got ${unknownFields.join(', ')}`
+      });
+    }
+
+    const window = await MaintenanceWindow.findById(req.params.id);
+    if (!window) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Maintenance window not found'
+      });
+    }
+
+    const validation = parseWindowRequest({
+      startTime: req.body.startTime !== undefined ? req.body.startTime : window.startTime,
+      endTime: req.body.endTime !== undefined ? req.body.endTime : window.endTime,
+      reason: req.body.reason
+    });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    window.startTime = validation.startTime;
+    window.endTime = validation.endTime;
+    if (req.body.reason !== undefined) {
+      window.reason = req.body.reason;
+    }
+
+    const result = await saveWindow(window);
+    if (result.status) {
+      return res.status(result.status).json(result.body);
+    }
+
+    res.status(200).json({
+      message: 'Maintenance window updated successfully',
+      maintenanceWindow: window,
+      affectedBookings: result.affectedBookings
+    });
+
+  } catch (error) {
+    console.error('Error updating maintenance window:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update maintenance window'
+    });
+  }
+});
+
+/**
+ * DELETE /api/maintenance-windows/:id
+ * Remove a maintenance window, putting the vehicle back in service for that time
+ */
+router.delete('/:id', authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    if (!checkWindowId(req, res)) {
+      return;
+    }
+
+    const maintenanceWindow = await MaintenanceWindow.findByIdAndDelete(req.params.id);
+
+    if (!maintenanceWindow) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Maintenance window not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Maintenance window deleted successfully',
+      maintenanceWindow
+    });
+
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete maintenance window'
+    });
+  }
+});
+
+module.exports = router;
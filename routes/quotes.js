@@ -0,0 +1,129 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Quote = require('../models/Quote');
+const config = require('../config');
+const { validateBookingRequest, planRide } = require('../utils/bookingRequest');
+const { authorize, resolveCustomerId, canAccessCustomer } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * POST /api/quotes
+ * Price a ride and lock the price for a limited time
+ */
+router.post('/', authorize('admin', 'dispatcher', 'customer'), async (req, res) => {
+  try {
+    const { vehicleId, fromPincode, toPincode } = req.body;
+    const customerId = resolveCustomerId(req, req.body.customerId);
+
+    // Quotes take the same inputs as bookings
+    const validation = validateBookingRequest({ ...req.body, customerId });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, isActive: true });
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found or inactive'
+      });
+    }
+
+    const ride = await planRide({ vehicle, fromPincode, toPincode, startTime: validation.startTime, customerId });
+
+    const quote = await Quote.create({
+      vehicleId,
+      customerId: customerId.trim(),
+      fromPincode,
+      toPincode,
+      startTime: validation.startTime,
+      endTime: ride.endTime,
+      distanceKm: ride.distanceKm,
+      estimatedRideDurationHours: ride.estimatedRideDurationHours,
+      totalCost: ride.priceBreakdown.totalCost,
+      priceBreakdown: ride.priceBreakdown,
+      expiresAt: new Date(Date.now() + (config.quotes.validityMinutes * 60 * 1000))
+    });
+
+    res.status(201).json({
+      message: 'Quote created successfully',
+      quote
+    });
+
+  } catch (error) {
+    console.error('Error creating quote:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
+      });
+    }
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create quote'
+    });
+  }
+});
+
+/**
+ * GET /api/quotes/:id
+ * Get a quote while it is still stored
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid quote ID format'
+      });
+    }
+
+    const quote = await Quote.findById(id);
+
+    if (!quote || !canAccessCustomer(req, quote.customerId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Quote not found or expired'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Quote retrieved successfully',
+      quote
+    });
+
+  } catch (error) {
+    console.error('Error retrieving quote:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve quote'
+    });
+  }
+});
+
+module.exports = router;
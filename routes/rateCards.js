@@ -0,0 +1,121 @@
+const express = require('express');
+const RateCard = require('../models/RateCard');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+const RATE_FIELDS = ['baseFare', 'perKmRate', 'perHourRate', 'discountPercentage', 'minimumCharge'];
+
+/**
+ * GET /api/rate-cards
+ * Get all customer rate cards
+ */
+router.get('/', authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const rateCards = await RateCard.find().sort({ customerId: 1 });
+
+    res.status(200).json({
+      message: 'Rate cards retrieved successfully',
+      count: rateCards.length,
+      rateCards
+    });
+
+  } catch (error) {
+    console.error('Error retrieving rate cards:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve rate cards'
+    });
+  }
+});
+
+/**
+ * GET /api/rate-cards/:customerId
+ * Get the rate card of a customer
+ */
+router.get('/:customerId', authorize('admin', 'dispatcher'), async (req, res) => {
+  try {
+    const rateCard = await RateCard.findOne({ customerId: req.params.customerId });
+
+    if (!rateCard) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Rate card not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Rate card retrieved successfully',
+      rateCard
+    });
+
+  } catch (error) {
+    console.error('Error retrieving rate card:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve rate card'
+    });
+  }
+});
+
+/**
+ * PUT /api/rate-cards/:customerId
+ * Create or replace the rate card of a customer
+ */
+router.put('/:customerId', authorize('admin'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const update = { customerId: customerId.trim(), isActive: true };
+
+    for (const field of RATE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        if (typeof req.body[field] !== 'number') {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `${field} must be a number`
+          });
+        }
+        update[field] = req.body[field];
+      }
+    }
+
+    if (req.body.isActive !== undefined) {
+      if (typeof req.body.isActive !== 'boolean') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'isActive must be a boolean'
+        });
+      }
+      update.isActive = req.body.isActive;
+    }
+
+    const rateCard = await RateCard.findOneAndReplace(
+      { customerId: update.customerId },
+      update,
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      message: 'Rate card saved successfully',
+      rateCard
+    });
+
+  } catch (error) {
+    console.error('Error saving rate card:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save rate card'
+    });
+  }
+});
+
+module.exports = router;
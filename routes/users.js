@@ -0,0 +1,173 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const router = express.Router();
+
+const USER_ROLES = User.schema.path('role').enumValues;
+
+/**
+ * POST /api/users
+ * Create a user with any role
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, email, password, role, customerId } = req.body;
+
+    if (!name || !email || !password || !role) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'name, email, password and role are required'
+      });
+    }
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Password must be at least 8 characters'
+      });
+    }
+
+    const user = new User({ name, email, role, customerId });
+    await user.setPassword(password);
+    await user.save();
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Error creating user:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create user'
+    });
+  }
+});
+
+/**
+ * GET /api/users
+ * Get all users (optionally filtered by role)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { role } = req.query;
+    const filter = {};
+
+    if (role) {
+      if (!USER_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`
+        });
+      }
+      filter.role = role;
+    }
+
+    const users = await User.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'Users retrieved successfully',
+      count: users.length,
+      users
+    });
+
+  } catch (error) {
+    console.error('Error retrieving users:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve users'
+    });
+  }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Change a user's role or active flag
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, isActive } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user ID format'
+      });
+    }
+
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid role. Must be one of: ${USER_ROLES.join(', ')}`
+      });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'isActive must be a boolean'
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    if (role !== undefined) {
+      user.role = role;
+    }
+
+    if (isActive !== undefined) {
+      user.isActive = isActive;
+    }
+
+    // Role or access changes invalidate existing refresh tokens
+    user.tokenVersion += 1;
+    await user.save();
+
+    res.status(200).json({
+      message: 'User updated successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update user'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,69 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Vehicle = require('../models/Vehicle');
 const Booking = require('../models/Booking');
-const { calculateRideDuration, doTimeRangesOverlap, calculateEndTime } = require('../utils/rideCalculations');
+const RateCard = require('../models/RateCard');
+const Hold = require('../models/Hold');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Driver = require('../models/Driver');
+const VehicleLocation = require('../models/VehicleLocation');
+const config = require('../config');
+const { getDurationEstimator } = require('../utils/durationEstimator');
+const { AVAILABILITY_SORTS, findAvailableVehicles } = require('../utils/availability');
+const { suggestTimeSlots } = require('../utils/suggestions');
+const { findReplacementVehicle } = require('../utils/reassignment');
+const { buildTimeline, summariseUtilisation, bucketUtilisation } = require('../utils/schedule');
+const { authorize, resolveCustomerId } = require('../middleware/auth');
+const { CARGO_FLAGS, findCargoProblems } = require('../utils/cargo');
+const { validateStops, planStops } = require('../utils/stops');
+const { validateLocationPoints, estimateArrival } = require('../utils/telemetry');
+const { publishEvent } = require('../utils/eventBus');
 
 const router = express.Router();
 
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SUGGESTIONS = 20;
+const MAX_SUGGESTION_WINDOW_HOURS = 14 * 24;
+const SCHEDULE_BUCKETS = ['day', 'week'];
+const DEFAULT_SCHEDULE_DAYS = 7;
+
+/**
+ * Check an optional buffer override; null clears it
+ *
+ * @param {*} value - Request value
+ * @returns {boolean} True if the value is absent, null or a number
+ */
+function isValidBuffer(value) {
+  return value === undefined || value === null || typeof value === 'number';
+}
+
+/**
+ * Check the optional cargo attributes of a vehicle; a null volume clears it
+ *
+ * @param {object} attributes - { volumeM3, hazmatCertified }
+ * @returns {boolean} True if both are absent or of the right type
+ */
+function isValidCargoAttributes({ volumeM3, hazmatCertified }) {
+  return (volumeM3 === undefined || volumeM3 === null || typeof volumeM3 === 'number') &&
+    (hazmatCertified === undefined || typeof hazmatCertified === 'boolean');
+}
+
 /**
  * POST /api/vehicles
- * Add a new vehicle to the fleet
+ * Add a new vehicle to the fleet (admin only)
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize('admin'), async (req, res) => {
   try {
-    const { name, capacityKg, tyres } = req.body;
+    const {
+      name,
+      capacityKg,
+      tyres,
+      bufferBeforeMinutes,
+      bufferAfterMinutes,
+      volumeM3,
+      hazmatCertified
+    } = req.body;
 
     // Validate required fields
     if (!name || !capacityKg || !tyres) {
@@ -29,11 +81,29 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!isValidBuffer(bufferBeforeMinutes) || !isValidBuffer(bufferAfterMinutes)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'bufferBeforeMinutes and bufferAfterMinutes must be numbers'
+      });
+    }
+
+    if (!isValidCargoAttributes(req.body)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'volumeM3 must be a number and hazmatCertified a boolean'
+      });
+    }
+
     // Create new vehicle
     const vehicle = new Vehicle({
       name: name.trim(),
       capacityKg,
-      tyres
+      tyres,
+      bufferBeforeMinutes,
+      bufferAfterMinutes,
+      volumeM3,
+      hazmatCertified
     });
 
     const savedVehicle = await vehicle.save();
@@ -61,144 +131,538 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * Parse the optional stops of an availability search, sent as a JSON array or
+ * as stops[0][pincode]=... query parameters
+ *
+ * @param {*} stops - Request value
+ * @returns {object} { isValid, message } plus the normalised stops and peakLoadKg when given
+ */
+function parseStopsQuery(stops) {
+  if (stops === undefined) {
+    return { isValid: true, stops: null, peakLoadKg: 0 };
+  }
+
+  let parsed = stops;
+  if (typeof stops === 'string') {
+    try {
+      parsed = JSON.parse(stops);
+    } catch (parseError) {
+      return { isValid: false, message: 'stops must be a JSON array' };
+    }
+  }
+
+  return validateStops(parsed, { maxStops: config.stops.maxStops });
+}
+
+/**
+ * Validate the load, route and start time of an availability search
+ *
+ * With stops, the route runs from the first to the last stop and the capacity
+ * covers the peak load.
+ *
+ * @param {object} query - Request query
+ * @returns {object} { isValid, message } plus the parsed capacity, cargo, route and startTime when valid
+ */
+function parseSearchQuery({ capacityRequired, volumeRequired, hazardous, stops, startTime, ...query }) {
+  const stopsQuery = parseStopsQuery(stops);
+  if (!stopsQuery.isValid) {
+    return stopsQuery;
+  }
+
+  const route = stopsQuery.stops
+    ? { fromPincode: stopsQuery.stops[0].pincode, toPincode: stopsQuery.stops[stopsQuery.stops.length - 1].pincode }
+    : { fromPincode: query.fromPincode, toPincode: query.toPincode };
+  const { fromPincode, toPincode } = route;
+
+  // Validate required parameters
+  if (!capacityRequired || !fromPincode || !toPincode || !startTime) {
+    return {
+      isValid: false,
+      message: 'capacityRequired, fromPincode, toPincode (or stops), and startTime are required'
+    };
+  }
+
+  // Validate and parse parameters
+  const capacity = parseFloat(capacityRequired);
+  if (isNaN(capacity) || capacity <= 0) {
+    return {
+      isValid: false,
+      message: 'capacityRequired must be a positive number'
+    };
+  }
+
+  const volume = volumeRequired === undefined ? undefined : parseFloat(volumeRequired);
+  if (volume !== undefined && (isNaN(volume) || volume <= 0)) {
+    return {
+      isValid: false,
+      message: 'volumeRequired must be a positive number'
+    };
+  }
+
+  if (hazardous !== undefined && !['true', 'false'].includes(hazardous)) {
+    return {
+      isValid: false,
+      message: 'hazardous must be true or false'
+    };
+  }
+
+  // Validate pincodes
+  if (!/^\d{6}$/.test(fromPincode) || !/^\d{6}$/.test(toPincode)) {
+    return {
+      isValid: false,
+      message: 'Pincodes must be exactly 6 digits'
+    };
+  }
+
+  // Parse and validate start time
+  const requestedStartTime = new Date(startTime);
+  if (isNaN(requestedStartTime.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid startTime format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+    };
+  }
+
+  if (requestedStartTime <= new Date()) {
+    return {
+      isValid: false,
+      message: 'Start time must be in the future'
+    };
+  }
+
+  return {
+    isValid: true,
+    capacity: Math.max(capacity, stopsQuery.peakLoadKg),
+    // Vehicles must also hold this volume and be certified for hazardous loads
+    cargo: { volumeM3: volume, hazardous: hazardous === 'true' },
+    fromPincode,
+    toPincode,
+    stops: stopsQuery.stops,
+    startTime: requestedStartTime
+  };
+}
+
 /**
  * GET /api/vehicles/available
  * Find available vehicles based on capacity, route, and time
+ * (paginated with page and limit, sorted by capacity, price or name)
  */
 router.get('/available', async (req, res) => {
   try {
-    const { capacityRequired, fromPincode, toPincode, startTime } = req.query;
+    const { sortBy = 'capacity', order = 'asc' } = req.query;
+    const customerId = resolveCustomerId(req, req.query.customerId);
 
-    // Validate required parameters
-    if (!capacityRequired || !fromPincode || !toPincode || !startTime) {
+    const search = parseSearchQuery(req.query);
+    if (!search.isValid) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'capacityRequired, fromPincode, toPincode, and startTime are required'
+        message: search.message
       });
     }
+    const { capacity, cargo, fromPincode, toPincode, stops, startTime: requestedStartTime } = search;
 
-    // Validate and parse parameters
-    const capacity = parseFloat(capacityRequired);
-    if (isNaN(capacity) || capacity <= 0) {
+    // Validate sorting and pagination
+    if (!AVAILABILITY_SORTS.includes(sortBy)) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'capacityRequired must be a positive number'
+        message: `Invalid sortBy. Must be one of: ${AVAILABILITY_SORTS.join(', ')}`
       });
     }
 
-    // Validate pincodes
-    if (!/^\d{6}$/.test(fromPincode) || !/^\d{6}$/.test(toPincode)) {
+    if (!['asc', 'desc'].includes(order)) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Pincodes must be exactly 6 digits'
+        message: 'order must be asc or desc'
       });
     }
 
-    // Parse and validate start time
-    const requestedStartTime = new Date(startTime);
-    if (isNaN(requestedStartTime.getTime())) {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Invalid startTime format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}`
       });
     }
 
-    if (requestedStartTime <= new Date()) {
+    // Calculate road distance; the default duration is for an unspecified vehicle class
+    const { distanceKm, estimatedRideDurationHours } = stops
+      ? await planStops(stops, null, requestedStartTime, { ignoreWindows: true })
+      : await getDurationEstimator().estimate(fromPincode, toPincode, null, requestedStartTime);
+
+    // Quotes use the customer's rate card when a customerId is given
+    const rateCard = customerId
+      ? await RateCard.findOne({ customerId, isActive: true })
+      : null;
+
+    const { availableVehicles, total } = await findAvailableVehicles({
+      capacity,
+      cargo,
+      fromPincode,
+      toPincode,
+      stops,
+      startTime: requestedStartTime,
+      distanceKm,
+      rateCard
+    }, { sortBy, order, page, limit });
+
+    // Offer other start times instead of an empty list
+    const suggestions = total === 0
+      ? await suggestTimeSlots({ capacity, cargo, fromPincode, toPincode, stops, startTime: requestedStartTime })
+      : undefined;
+
+    res.status(200).json({
+      message: `Found ${total} available vehicles`,
+      availableVehicles,
+      suggestions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      },
+      searchCriteria: {
+        capacityRequired: capacity,
+        volumeRequired: cargo.volumeM3,
+        hazardous: cargo.hazardous,
+        fromPincode,
+        toPincode,
+        stops: stops || undefined,
+        startTime: requestedStartTime,
+        distanceKm,
+        estimatedRideDurationHours,
+        sortBy,
+        order
+      }
+    });
+
+  } catch (error) {
+    console.error('Error finding available vehicles:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
+      });
+    }
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to find available vehicles'
+    });
+  }
+});
+
+/**
+ * GET /api/vehicles/available/suggestions
+ * Suggest the nearest free start times before and after the requested one
+ */
+router.get('/available/suggestions', async (req, res) => {
+  try {
+    const search = parseSearchQuery(req.query);
+    if (!search.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: search.message
+      });
+    }
+
+    const count = req.query.count === undefined ? config.suggestions.count : Number(req.query.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SUGGESTIONS) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `count must be an integer between 1 and ${MAX_SUGGESTIONS}`
+      });
+    }
+
+    const searchWindowHours = req.query.windowHours === undefined
+      ? config.suggestions.searchWindowHours
+      : Number(req.query.windowHours);
+    if (isNaN(searchWindowHours) || searchWindowHours <= 0 || searchWindowHours > MAX_SUGGESTION_WINDOW_HOURS) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Start time must be in the future'
+        message: `windowHours must be a positive number up to ${MAX_SUGGESTION_WINDOW_HOURS}`
       });
     }
 
-    // Calculate ride duration and end time
-    const estimatedRideDurationHours = calculateRideDuration(fromPincode, toPincode);
-    const requestedEndTime = calculateEndTime(requestedStartTime, estimatedRideDurationHours);
+    const suggestions = await suggestTimeSlots({
+      capacity: search.capacity,
+      cargo: search.cargo,
+      fromPincode: search.fromPincode,
+      toPincode: search.toPincode,
+      stops: search.stops,
+      startTime: search.startTime
+    }, { count, searchWindowHours });
 
-    // Find vehicles with sufficient capacity
-    const eligibleVehicles = await Vehicle.find({
-      capacityKg: { $gte: capacity },
-      isActive: true
+    res.status(200).json({
+      message: `Found ${suggestions.before.length + suggestions.after.length} suggested time slots`,
+      suggestions,
+      searchCriteria: {
+        capacityRequired: search.capacity,
+        volumeRequired: search.cargo.volumeM3,
+        hazardous: search.cargo.hazardous,
+        fromPincode: search.fromPincode,
+        toPincode: search.toPincode,
+        stops: search.stops || undefined,
+        startTime: search.startTime,
+        windowHours: searchWindowHours
+      }
     });
 
-    if (eligibleVehicles.length === 0) {
-      return res.status(200).json({
-        message: 'No vehicles found with sufficient capacity',
-        availableVehicles: [],
-        searchCriteria: {
-          capacityRequired: capacity,
-          fromPincode,
-          toPincode,
-          startTime: requestedStartTime,
-          estimatedRideDurationHours
-        }
+  } catch (error) {
+    console.error('Error suggesting time slots:', error);
+
+    if (error.name === 'UnknownPincodeError') {
+      return res.status(422).json({
+        error: 'Unknown Pincode',
+        message: error.message,
+        unknownPincodes: error.unknownPincodes
       });
     }
 
-    // Check availability for each eligible vehicle
-    const availableVehicles = [];
-
-    for (const vehicle of eligibleVehicles) {
-      // Find overlapping bookings for this vehicle
-      const overlappingBookings = await Booking.find({
-        vehicleId: vehicle._id,
-        status: { $in: ['confirmed', 'in-progress'] },
-        $or: [
-          {
-            // Booking starts before our end time and ends after our start time
-            startTime: { $lt: requestedEndTime },
-            endTime: { $gt: requestedStartTime }
-          }
-        ]
-      });
-
-      // If no overlapping bookings, vehicle is available
-      if (overlappingBookings.length === 0) {
-        availableVehicles.push({
-          ...vehicle.toJSON(),
-          estimatedRideDurationHours,
-          availableForRoute: {
-            from: fromPincode,
-            to: toPincode,
-            startTime: requestedStartTime,
-            endTime: requestedEndTime
-          }
-        });
-      }
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride duration, please try again later'
+      });
     }
 
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to suggest time slots'
+    });
+  }
+});
+
+/**
+ * Validate the range and bucket of a schedule request
+ *
+ * @param {object} query - Request query with optional from, to and bucket
+ * @returns {object} { isValid, message } plus the parsed from, to and bucket when valid
+ */
+function parseScheduleQuery({ from, to, bucket }) {
+  const rangeStart = from ? new Date(from) : new Date();
+  const rangeEnd = to
+    ? new Date(to)
+    : new Date(rangeStart.getTime() + DEFAULT_SCHEDULE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid from or to format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+    };
+  }
+
+  if (rangeEnd <= rangeStart) {
+    return {
+      isValid: false,
+      message: 'to must be after from'
+    };
+  }
+
+  if (rangeEnd - rangeStart > config.schedule.maxRangeDays * 24 * 60 * 60 * 1000) {
+    return {
+      isValid: false,
+      message: `Schedule range cannot exceed ${config.schedule.maxRangeDays} days`
+    };
+  }
+
+  if (bucket !== undefined && !SCHEDULE_BUCKETS.includes(bucket)) {
+    return {
+      isValid: false,
+      message: `Invalid bucket. Must be one of: ${SCHEDULE_BUCKETS.join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    from: rangeStart,
+    to: rangeEnd,
+    bucket
+  };
+}
+
+/**
+ * Build the schedules of vehicles for a range, loading bookings, holds and
+ * maintenance windows of all vehicles with one query each
+ *
+ * @param {Array<object>} vehicles - Vehicle documents
+ * @param {object} range - { from, to, bucket }
+ * @returns {Promise<Array>} One schedule per vehicle, in the given order
+ */
+async function buildSchedules(vehicles, { from, to, bucket }) {
+  const inRange = {
+    vehicleId: { $in: vehicles.map(vehicle => vehicle._id) },
+    startTime: { $lt: to },
+    endTime: { $gt: from }
+  };
+
+  const bookings = await Booking.find({ ...inRange, status: { $ne: 'cancelled' } }).sort({ startTime: 1 });
+  const holds = await Hold.find({ ...inRange, expiresAt: { $gt: new Date() } }).sort({ startTime: 1 });
+  const maintenanceWindows = await MaintenanceWindow.find(inRange).sort({ startTime: 1 });
+
+  const entriesByVehicle = new Map(vehicles.map(vehicle => [
+    vehicle._id.toString(),
+    { bookings: [], holds: [], maintenance: [] }
+  ]));
+
+  for (const booking of bookings) {
+    entriesByVehicle.get(booking.vehicleId.toString()).bookings.push({
+      type: 'booking',
+      bookingId: booking._id,
+      status: booking.status,
+      customerId: booking.customerId,
+      route: booking.routeSummary,
+      startTime: booking.startTime,
+      endTime: booking.endTime
+    });
+  }
+
+  for (const hold of holds) {
+    entriesByVehicle.get(hold.vehicleId.toString()).holds.push({
+      type: 'hold',
+      holdId: hold._id,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      expiresAt: hold.expiresAt
+    });
+  }
+
+  for (const window of maintenanceWindows) {
+    entriesByVehicle.get(window.vehicleId.toString()).maintenance.push({
+      type: 'maintenance',
+      maintenanceWindowId: window._id,
+      maintenanceType: window.type,
+      reason: window.reason,
+      startTime: window.startTime,
+      endTime: window.endTime
+    });
+  }
+
+  return vehicles.map(vehicle => {
+    const entries = entriesByVehicle.get(vehicle._id.toString());
+
+    // Utilisation counts bookings only; holds are short-lived
+    return {
+      vehicle: {
+        _id: vehicle._id,
+        name: vehicle.name,
+        capacityKg: vehicle.capacityKg,
+        tyres: vehicle.tyres,
+        isActive: vehicle.isActive
+      },
+      timeline: buildTimeline([...entries.bookings, ...entries.holds, ...entries.maintenance], from, to),
+      utilisation: summariseUtilisation(entries.bookings, from, to),
+      buckets: bucket
+        ? bucketUtilisation(entries.bookings, from, to, bucket, config.schedule.timezoneOffsetMinutes)
+        : undefined
+    };
+  });
+}
+
+/**
+ * Combine vehicle utilisation into fleet totals
+ *
+ * @param {Array<object>} schedules - Result of buildSchedules
+ * @returns {object} { bookedHours, freeHours, utilisationPercentage }
+ */
+function summariseFleet(schedules) {
+  const bookedHours = schedules.reduce((total, schedule) => total + schedule.utilisation.bookedHours, 0);
+  const freeHours = schedules.reduce((total, schedule) => total + schedule.utilisation.freeHours, 0);
+  const totalHours = bookedHours + freeHours;
+
+  return {
+    bookedHours: Math.round(bookedHours * 100) / 100,
+    freeHours: Math.round(freeHours * 100) / 100,
+    utilisationPercentage: totalHours > 0 ? Math.round((bookedHours / totalHours) * 1000) / 10 : 0
+  };
+}
+
+/**
+ * GET /api/vehicles/schedule
+ * Fleet-wide timelines for a planning board (paginated by vehicle)
+ */
+router.get('/schedule', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    const range = parseScheduleQuery(req.query);
+    if (!range.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: range.message
+      });
+    }
+
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    const filter = { isActive: true };
+    const total = await Vehicle.countDocuments(filter);
+    const vehicles = await Vehicle.find(filter)
+      .sort({ name: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const schedules = await buildSchedules(vehicles, range);
+
     res.status(200).json({
-      message: `Found ${availableVehicles.length} available vehicles`,
-      availableVehicles,
-      searchCriteria: {
-        capacityRequired: capacity,
-        fromPincode,
-        toPincode,
-        startTime: requestedStartTime,
-        estimatedRideDurationHours
+      message: 'Fleet schedule retrieved successfully',
+      from: range.from,
+      to: range.to,
+      bucket: range.bucket,
+      schedules,
+      fleetUtilisation: summariseFleet(schedules),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
       }
     });
 
   } catch (error) {
-    console.error('Error finding available vehicles:', error);
+    console.error('Error retrieving fleet schedule:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to find available vehicles'
+      message: 'Failed to retrieve fleet schedule'
     });
   }
 });
 
 /**
  * GET /api/vehicles
- * Get all vehicles (for admin purposes)
+ * Get all active vehicles (admins can add includeInactive=true)
  */
 router.get('/', async (req, res) => {
   try {
-    const vehicles = await Vehicle.find({ isActive: true }).sort({ createdAt: -1 });
+    // Deactivated vehicles are only listed for admins who ask for them
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    const filter = includeInactive ? {} : { isActive: true };
+
+    const vehicles = await Vehicle.find(filter).sort({ createdAt: -1 });
+    const holdCounts = await Hold.countActiveByVehicle(vehicles.map(vehicle => vehicle._id));
     
     res.status(200).json({
       message: 'Vehicles retrieved successfully',
       count: vehicles.length,
-      vehicles
+      vehicles: vehicles.map(vehicle => ({
+        ...vehicle.toJSON(),
+        activeHoldCount: holdCounts.get(vehicle._id.toString()) || 0
+      }))
     });
 
   } catch (error) {
@@ -210,4 +674,586 @@ router.get('/', async (req, res) => {
   }
 });
 
+const VEHICLE_UPDATE_FIELDS = [
+  'name',
+  'capacityKg',
+  'tyres',
+  'bufferBeforeMinutes',
+  'bufferAfterMinutes',
+  'volumeM3',
+  'hazmatCertified'
+];
+// Changes to these fields may leave booked cargo the vehicle cannot carry
+const CARGO_LIMIT_FIELDS = ['capacityKg', 'volumeM3', 'hazmatCertified'];
+const DEACTIVATION_ACTIONS = ['refuse', 'cancel', 'reassign'];
+
+/**
+ * Validate a vehicle ID route parameter
+ *
+ * @returns {boolean} True if valid; otherwise a 400 response was sent
+ */
+function checkVehicleId(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid vehicle ID format'
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/vehicles/:id
+ * Get a vehicle, including deactivated ones
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    const holdCounts = await Hold.countActiveByVehicle([vehicle._id]);
+    const upcomingBookings = await Booking.findUpcomingForVehicle(vehicle._id);
+
+    res.status(200).json({
+      message: 'Vehicle retrieved successfully',
+      vehicle: {
+        ...vehicle.toJSON(),
+        activeHoldCount: holdCounts.get(vehicle._id.toString()) || 0,
+        upcomingBookingCount: upcomingBookings.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving vehicle:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve vehicle'
+    });
+  }
+});
+
+/**
+ * GET /api/vehicles/:id/schedule
+ * Booked intervals and free gaps of a vehicle, in order
+ */
+router.get('/:id/schedule', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const range = parseScheduleQuery(req.query);
+    if (!range.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: range.message
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    const [schedule] = await buildSchedules([vehicle], range);
+
+    res.status(200).json({
+      message: 'Vehicle schedule retrieved successfully',
+      from: range.from,
+      to: range.to,
+      bucket: range.bucket,
+      ...schedule
+    });
+
+  } catch (error) {
+    console.error('Error retrieving vehicle schedule:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve vehicle schedule'
+    });
+  }
+});
+
+/**
+ * Summarise the ride a vehicle is on for location responses
+ *
+ * @param {object|null} booking - In-progress booking
+ * @returns {object|null} Booking summary with its driver and arrival estimate
+ */
+function toActiveBookingSummary(booking) {
+  if (!booking) {
+    return null;
+  }
+
+  return booking.toAffectedSummary({
+    driverId: booking.driverId,
+    eta: booking.eta && booking.eta.calculatedAt ? booking.eta : null
+  });
+}
+
+/**
+ * POST /api/vehicles/:id/locations
+ * Record a batch of GPS points; the arrival estimate of the ride the vehicle
+ * is on is updated from the latest one
+ */
+router.post('/:id/locations', authorize('admin', 'driver'), async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const validation = validateLocationPoints(req.body.points);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    const booking = await Booking.findInProgressForVehicle(vehicle._id);
+
+    // Drivers report from their phone only while they are on a trip with the vehicle
+    if (req.user.role === 'driver') {
+      const driver = await Driver.findOne({ userId: req.user.id });
+      if (!driver || !booking || !booking.driverId || !booking.driverId.equals(driver._id)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Drivers can only report the location of a vehicle on their trip in progress'
+        });
+      }
+    }
+
+    if (validation.points.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'No valid points in the batch',
+        rejectedPoints: validation.rejectedPoints
+      });
+    }
+
+    await VehicleLocation.insertMany(validation.points.map(point => ({ ...point, vehicleId: vehicle._id })));
+    const location = await VehicleLocation.findLatest(vehicle._id);
+
+    if (booking) {
+      // No estimate when a remaining pincode is not in the dataset
+      const estimate = estimateArrival(booking, location, vehicle);
+      if (estimate) {
+        booking.updateEta(estimate);
+        await booking.saveInTransaction();
+      }
+    }
+
+    publishEvent('vehicle.locationReported', {
+      vehicleId: vehicle._id,
+      data: { location: location.toJSON(), bookingId: booking ? booking._id : null }
+    });
+
+    res.status(201).json({
+      message: `Recorded ${validation.points.length} location(s)`,
+      acceptedCount: validation.points.length,
+      rejectedPoints: validation.rejectedPoints,
+      location,
+      activeBooking: toActiveBookingSummary(booking)
+    });
+
+  } catch (error) {
+    console.error('Error recording vehicle locations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record vehicle locations'
+    });
+  }
+});
+
+/**
+ * GET /api/vehicles/:id/location
+ * Last known position of a vehicle and the ride it is on
+ */
+router.get('/:id/location', authorize('admin', 'dispatcher', 'driver'), async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    const location = await VehicleLocation.findLatest(vehicle._id);
+    const booking = await Booking.findInProgressForVehicle(vehicle._id);
+
+    res.status(200).json({
+      message: 'Vehicle location retrieved successfully',
+      vehicleId: vehicle._id,
+      location,
+      activeBooking: toActiveBookingSummary(booking)
+    });
+
+  } catch (error) {
+    console.error('Error retrieving vehicle location:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve vehicle location'
+    });
+  }
+});
+
+/**
+ * PATCH /api/vehicles/:id
+ * Edit name, capacity, tyres, buffers or cargo attributes; bookings whose cargo
+ * no longer fits are flagged
+ */
+router.patch('/:id', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const updates = {};
+    for (const field of VEHICLE_UPDATE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Provide at least one of: ${VEHICLE_UPDATE_FIELDS.join(', ')}`
+      });
+    }
+
+    if ((updates.name !== undefined && typeof updates.name !== 'string') ||
+        (updates.capacityKg !== undefined && typeof updates.capacityKg !== 'number') ||
+        (updates.tyres !== undefined && typeof updates.tyres !== 'number')) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid data types: name must be string, capacityKg and tyres must be numbers'
+      });
+    }
+
+    if (!isValidBuffer(updates.bufferBeforeMinutes) || !isValidBuffer(updates.bufferAfterMinutes)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'bufferBeforeMinutes and bufferAfterMinutes must be numbers, or null for the class default'
+      });
+    }
+
+    if (!isValidCargoAttributes(updates)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'volumeM3 must be a number, or null to clear it, and hazmatCertified a boolean'
+      });
+    }
+
+    if (req.body.isActive !== undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Use /deactivate or /reactivate to change isActive'
+      });
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (updates.name !== undefined) {
+      updates.name = updates.name.trim();
+    }
+
+    const cargoLimitsChanged = CARGO_LIMIT_FIELDS.some(field =>
+      updates[field] !== undefined && updates[field] !== vehicle[field]);
+    vehicle.set(updates);
+    const savedVehicle = await vehicle.save();
+
+    // Re-check cargo of bookings still to come against the new limits
+    const flaggedBookings = [];
+    if (cargoLimitsChanged) {
+      const upcomingBookings = await Booking.findUpcomingForVehicle(vehicle._id);
+      const cargoFlagCodes = Object.values(CARGO_FLAGS);
+
+      for (const booking of upcomingBookings) {
+        const problems = findCargoProblems(booking.cargo, savedVehicle);
+        const problemCodes = problems.map(problem => problem.code);
+        const staleFlags = booking.flags.filter(flag =>
+          cargoFlagCodes.includes(flag.code) && !problemCodes.includes(flag.code));
+
+        if (staleFlags.length > 0) {
+          booking.flags = booking.flags.filter(flag => !staleFlags.includes(flag));
+        }
+        problems.forEach(problem => booking.addFlag(problem.code, problem.message));
+
+        if (booking.isModified('flags')) {
+          await booking.saveInTransaction();
+        }
+        if (problems.length > 0) {
+          flaggedBookings.push(booking.toAffectedSummary({
+            cargoWeightKg: booking.cargo.weightKg,
+            cargoProblems: problems.map(problem => problem.message)
+          }));
+        }
+      }
+    }
+
+    res.status(200).json({
+      message: flaggedBookings.length > 0
+        ? `Vehicle updated; ${flaggedBookings.length} bookings have cargo the vehicle can no longer carry`
+        : 'Vehicle updated successfully',
+      vehicle: savedVehicle,
+      flaggedBookings
+    });
+
+  } catch (error) {
+    console.error('Error updating vehicle:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message,
+        details: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update vehicle'
+    });
+  }
+});
+
+/**
+ * POST /api/vehicles/:id/deactivate
+ * Take a vehicle out of service. Refuses when it has upcoming bookings unless
+ * onFutureBookings is 'cancel' or 'reassign'.
+ */
+router.post('/:id/deactivate', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const { onFutureBookings = 'refuse', reason } = req.body;
+
+    if (!DEACTIVATION_ACTIONS.includes(onFutureBookings)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid onFutureBookings. Must be one of: ${DEACTIVATION_ACTIONS.join(', ')}`
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'reason must be a string'
+      });
+    }
+
+    const note = reason && reason.trim() ? reason.trim() : 'Vehicle deactivated';
+
+    // Use a transaction so bookings are only touched if the whole deactivation succeeds
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const vehicle = await Vehicle.findById(req.params.id).session(session);
+
+      if (!vehicle || !vehicle.isActive) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(vehicle ? 409 : 404).json({
+          error: vehicle ? 'Conflict' : 'Not Found',
+          message: vehicle ? 'Vehicle is already inactive' : 'Vehicle not found'
+        });
+      }
+
+      const upcomingBookings = await Booking.findUpcomingForVehicle(vehicle._id, { session });
+      const inProgress = upcomingBookings.filter(booking => booking.status === 'in-progress');
+
+      // Trips already on the road can neither be cancelled nor moved
+      if (inProgress.length > 0 || (upcomingBookings.length > 0 && onFutureBookings === 'refuse')) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(409).json({
+          error: 'Vehicle Has Bookings',
+          message: inProgress.length > 0
+            ? 'Vehicle is on a trip and cannot be deactivated until it is completed'
+            : 'Vehicle has upcoming bookings; retry with onFutureBookings set to cancel or reassign',
+          affectedBookings: upcomingBookings.map(booking => booking.toAffectedSummary())
+        });
+      }
+
+      const affectedBookings = [];
+      const unassignable = [];
+
+      for (const booking of upcomingBookings) {
+        if (onFutureBookings === 'cancel') {
+          booking.transitionTo('cancelled', { actor: req.user.id, note });
+          booking.cancelledAt = new Date();
+          booking.cancelledBy = req.user.id;
+          booking.cancellationReason = note;
+          // The customer is not charged for cancellations caused by the fleet
+          booking.cancellationFee = 0;
+          await booking.save({ session });
+
+          affectedBookings.push(booking.toAffectedSummary({ action: 'cancelled' }));
+          continue;
+        }
+
+        // Reassign to a vehicle that can carry the cargo, or at least as much as this one,
+        // and that the booked driver may drive
+        const driver = booking.driverId ? await Driver.findById(booking.driverId).session(session) : null;
+        const replacement = await findReplacementVehicle(booking, {
+          excludeVehicleIds: [vehicle._id],
+          minCapacityKg: (booking.cargo && booking.cargo.weightKg) || vehicle.capacityKg,
+          driver,
+          session
+        });
+
+        if (!replacement) {
+          unassignable.push(booking.toAffectedSummary());
+          continue;
+        }
+
+        booking.vehicleId = replacement.vehicle._id;
+        booking.distanceKm = replacement.distanceKm;
+        booking.estimatedRideDurationHours = replacement.estimatedRideDurationHours;
+        booking.totalCost = replacement.priceBreakdown.totalCost;
+        booking.priceBreakdown = replacement.priceBreakdown;
+        if (replacement.stops) {
+          booking.stops = replacement.stops;
+        }
+        await booking.save({ session });
+
+        affectedBookings.push(booking.toAffectedSummary({
+          action: 'reassigned',
+          newVehicleId: replacement.vehicle._id,
+          totalCost: booking.totalCost
+        }));
+      }
+
+      if (unassignable.length > 0) {
+        await session.abortTransaction();
+        session.endSession();
+
+        return res.status(409).json({
+          error: 'Reassignment Failed',
+          message: 'No replacement vehicle is free for some bookings; nothing was changed',
+          affectedBookings: unassignable
+        });
+      }
+
+      vehicle.isActive = false;
+      await vehicle.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+
+      res.status(200).json({
+        message: 'Vehicle deactivated successfully',
+        vehicle,
+        affectedBookings
+      });
+
+    } catch (transactionError) {
+      await session.abortTransaction();
+      session.endSession();
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Error deactivating vehicle:', error);
+
+    if (error.name === 'DurationEstimationError') {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: 'Unable to estimate ride durations for reassignment, please try again later'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to deactivate vehicle'
+    });
+  }
+});
+
+/**
+ * POST /api/vehicles/:id/reactivate
+ * Put a deactivated vehicle back into service
+ */
+router.post('/:id/reactivate', authorize('admin'), async (req, res) => {
+  try {
+    if (!checkVehicleId(req, res)) {
+      return;
+    }
+
+    const vehicle = await Vehicle.findById(req.params.id);
+
+    if (!vehicle) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Vehicle not found'
+      });
+    }
+
+    if (vehicle.isActive) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Vehicle is already active'
+      });
+    }
+
+    vehicle.isActive = true;
+    await vehicle.save();
+
+    res.status(200).json({
+      message: 'Vehicle reactivated successfully',
+      vehicle
+    });
+
+  } catch (error) {
+    console.error('Error reactivating vehicle:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reactivate vehicle'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,440 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { resolveCustomerId, canAccessCustomer } = require('../middleware/auth');
+const { WEBHOOK_EVENT_TYPES, checkWebhookUrl } = require('../utils/webhooks');
+const { getDeliveryLockMs, attemptDelivery } = require('../utils/webhookQueue');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Check the types of subscription fields, and that the URL only reaches
+ * public addresses; the model validates the rest
+ *
+ * @param {object} fields - { url, eventTypes, secret, description, isActive }
+ * @returns {Promise<object>} { isValid, message }
+ */
+async function validateSubscriptionFields(fields) {
+  if (fields.url !== undefined) {
+    const problem = await checkWebhookUrl(fields.url);
+    if (problem) {
+      return { isValid: false, message: problem };
+    }
+  }
+
+  if (fields.eventTypes !== undefined) {
+    if (!Array.isArray(fields.eventTypes) || fields.eventTypes.length === 0 ||
+        fields.eventTypes.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+      return {
+        isValid: false,
+        message: `eventTypes must be a non-empty list of: ${WEBHOOK_EVENT_TYPES.join(', ')}`
+      };
+    }
+  }
+
+  if (fields.secret !== undefined &&
+      (typeof fields.secret !== 'string' || fields.secret.length < MIN_SECRET_LENGTH)) {
+    return { isValid: false, message: `secret must be a string of at least ${MIN_SECRET_LENGTH} characters` };
+  }
+
+  if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+    return { isValid: false, message: 'description must be a string' };
+  }
+
+  if (fields.isActive !== undefined && typeof fields.isActive !== 'boolean') {
+    return { isValid: false, message: 'isActive must be a boolean' };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Load a subscription by route id, answering 400/404 when it cannot be used
+ *
+ * @param {object} req - Authenticated request
+ * @param {object} res - Express response
+ * @returns {Promise<object|null>} Subscription, or null when a response was sent
+ */
+async function loadSubscription(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      error: 'Validation Error',
+      message: 'Invalid webhook ID format'
+    });
+    return null;
+  }
+
+  const subscription = await WebhookSubscription.findById(req.params.id);
+
+  // Customers only reach their own subscriptions
+  if (!subscription || !canAccessCustomer(req, subscription.customerId)) {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+
+  return subscription;
+}
+
+/**
+ * Respond to a failed subscription save
+ *
+ * @param {Error} error - Save error
+ * @param {object} res - Express response
+ * @param {string} action - What failed, e.g. 'create webhook'
+ */
+function handleSaveError(error, res, action) {
+  console.error(`Failed to ${action}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.message,
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: `Failed to ${action}`
+  });
+}
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to booking events; the secret is only returned here
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, eventTypes, secret, description } = req.body;
+
+    if (!url || !eventTypes) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'url and eventTypes are required'
+      });
+    }
+
+    const validation = await validateSubscriptionFields(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    const subscription = new WebhookSubscription({
+      url,
+      eventTypes: [...new Set(eventTypes)],
+      // Customers subscribe to their own bookings; admins may leave it out for every customer's
+      customerId: resolveCustomerId(req, req.body.customerId) || undefined,
+      description: description || undefined,
+      createdBy: req.user.id
+    });
+    const signingSecret = secret || subscription.generateSecret();
+    subscription.secret = signingSecret;
+    await subscription.save();
+
+    res.status(201).json({
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again',
+      secret: signingSecret,
+      webhook: subscription
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'create webhook');
+  }
+});
+
+/**
+ * GET /api/webhooks
+ * Get webhook subscriptions (customers see their own)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const customerId = resolveCustomerId(req, req.query.customerId);
+    const filter = customerId ? { customerId } : {};
+    const webhooks = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      message: 'Webhooks retrieved successfully',
+      count: webhooks.length,
+      webhooks
+    });
+
+  } catch (error) {
+    console.error('Error retrieving webhooks:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve webhooks'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook subscription with delivery counts per status
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { subscriptionId: subscription._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const deliveryCounts = Object.fromEntries(WebhookDelivery.DELIVERY_STATUSES.map(status => [status, 0]));
+    counts.forEach(({ _id, count }) => {
+      deliveryCounts[_id] = count;
+    });
+
+    res.status(200).json({
+      message: 'Webhook retrieved successfully',
+      webhook: { ...subscription.toJSON(), deliveryCounts }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving webhook:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve webhook'
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change the URL, event types, description or isActive
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const updates = {};
+    ['url', 'eventTypes', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Provide at least one of: url, eventTypes, description, isActive'
+      });
+    }
+
+    const validation = await validateSubscriptionFields(updates);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validation.message
+      });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    if (updates.eventTypes) {
+      updates.eventTypes = [...new Set(updates.eventTypes)];
+    }
+    subscription.set(updates);
+    await subscription.save();
+
+    res.status(200).json({
+      message: 'Webhook updated successfully',
+      webhook: subscription
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'update webhook');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret; deliveries from now on are signed with the new one
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    const secret = subscription.generateSecret();
+    await subscription.save();
+
+    res.status(200).json({
+      message: 'Webhook secret rotated successfully. Store the secret now, it will not be shown again',
+      secret,
+      webhook: subscription
+    });
+
+  } catch (error) {
+    handleSaveError(error, res, 'rotate webhook secret');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a subscription together with its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    await WebhookDelivery.deleteMany({ subscriptionId: subscription._id });
+    await subscription.deleteOne();
+
+    res.status(200).json({
+      message: 'Webhook deleted successfully',
+      webhook: subscription
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log of a subscription, newest first (filter by status; page, limit)
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status !== undefined && !WebhookDelivery.DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Invalid status. Must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    const filter = { subscriptionId: subscription._id };
+    if (status) {
+      filter.status = status;
+    }
+
+    const total = await WebhookDelivery.countDocuments(filter);
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    res.status(200).json({
+      message: 'Webhook deliveries retrieved successfully',
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error retrieving webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve webhook deliveries'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send an earlier delivery's event again right away, as a new delivery with
+ * its own log; it is retried like any other if it fails
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid delivery ID format'
+      });
+    }
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    if (!subscription.isActive) {
+      return res.status(409).json({
+        error: 'Webhook Inactive',
+        message: 'Reactivate the webhook before redelivering'
+      });
+    }
+
+    const original = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      subscriptionId: subscription._id
+    });
+
+    if (!original) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Delivery not found'
+      });
+    }
+
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: subscription._id,
+      eventId: original.eventId,
+      eventType: original.eventType,
+      payload: original.payload,
+      redeliveryOf: original._id,
+      // Sent below, so the worker must not pick it up at the same time
+      lockedUntil: new Date(Date.now() + getDeliveryLockMs())
+    });
+    await attemptDelivery(delivery);
+
+    res.status(201).json({
+      message: delivery.status === 'succeeded' ? 'Event redelivered successfully' : 'Redelivery failed',
+      delivery
+    });
+
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+module.exports = router;
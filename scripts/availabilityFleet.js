@@ -0,0 +1,82 @@
+// Generated fleet used by the availability benchmark and the availability tests
+
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const { findConflicts } = require('../utils/conflicts');
+const { calculateEndTime } = require('../utils/rideCalculations');
+const { getDurationEstimator } = require('../utils/durationEstimator');
+
+// Booking start times in hours from now, clear of a search start 72 hours out
+const FREE_SLOT_HOURS = [6, 30, 100, 130];
+
+/**
+ * Insert a fleet with bookings spread over the week; every third vehicle is
+ * busy 72 hours from now
+ *
+ * @param {number} vehicleCount - Vehicles to insert
+ * @returns {Promise<void>}
+ */
+async function seedFleet(vehicleCount) {
+  const vehicles = Array.from({ length: vehicleCount }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `Truck ${String(index).padStart(4, '0')}`,
+    capacityKg: 500 + (index % 40) * 500,
+    tyres: [4, 6, 10, 14][index % 4],
+    isActive: true
+  }));
+  await Vehicle.collection.insertMany(vehicles);
+
+  const bookings = [];
+  vehicles.forEach((vehicle, index) => {
+    FREE_SLOT_HOURS.forEach((freeSlotHours, slot) => {
+      const offsetHours = slot === 0 && index % 3 === 0 ? 71 : freeSlotHours;
+      const bookingStart = new Date(Date.now() + offsetHours * 60 * 60 * 1000);
+
+      bookings.push({
+        vehicleId: vehicle._id,
+        customerId: `customer-${index % 50}`,
+        // Pune to Mumbai, so vehicles end where a Mumbai to Pune search starts
+        fromPincode: '411001',
+        toPincode: '400001',
+        startTime: bookingStart,
+        endTime: new Date(bookingStart.getTime() + 2 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 2,
+        status: 'confirmed'
+      });
+    });
+  });
+  await Booking.collection.insertMany(bookings);
+}
+
+/**
+ * The previous implementation: one estimate and one conflict lookup per vehicle
+ *
+ * @param {object} search - { capacity, fromPincode, toPincode, startTime }
+ * @returns {Promise<Array<string>>} IDs of the available vehicles
+ */
+async function findAvailableVehiclesOneByOne({ capacity, fromPincode, toPincode, startTime }) {
+  const vehicles = await Vehicle.find({ capacityKg: { $gte: capacity }, isActive: true });
+  const available = [];
+
+  for (const vehicle of vehicles) {
+    const { estimatedRideDurationHours } = await getDurationEstimator()
+      .estimate(fromPincode, toPincode, vehicle, startTime);
+    const endTime = calculateEndTime(startTime, estimatedRideDurationHours);
+    const conflicts = await findConflicts(vehicle._id, startTime, endTime, {
+      vehicle,
+      route: { fromPincode, toPincode }
+    });
+
+    if (!conflicts.hasConflicts) {
+      available.push(vehicle._id.toString());
+    }
+  }
+
+  return available;
+}
+
+module.exports = {
+  seedFleet,
+  findAvailableVehiclesOneByOne
+};
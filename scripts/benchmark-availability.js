@@ -0,0 +1,65 @@
+// Time the availability search against per-vehicle lookups on a generated fleet
+// Usage: node scripts/benchmark-availability.js [vehicleCount]
+// Uses its own database (MONGODB_BENCHMARK_URI), which is dropped afterwards
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Booking = require('../models/Booking');
+const { findAvailableVehicles } = require('../utils/availability');
+const { seedFleet, findAvailableVehiclesOneByOne } = require('./availabilityFleet');
+
+const MONGODB_BENCHMARK_URI = process.env.MONGODB_BENCHMARK_URI || 'mongodb://localhost:27017/fleetlink_benchmark';
+
+/**
+ * Run a search and measure how long it took
+ *
+ * @param {Function} run - Search to time
+ * @returns {Promise<object>} { result, ms }
+ */
+async function timed(run) {
+  const start = process.hrtime.bigint();
+  const result = await run();
+  return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+async function benchmark() {
+  const vehicleCount = Number(process.argv[2] || 2000);
+
+  if (!Number.isInteger(vehicleCount) || vehicleCount < 1) {
+    console.error('Usage: node scripts/benchmark-availability.js [vehicleCount]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_BENCHMARK_URI);
+  await mongoose.connection.dropDatabase();
+  await Booking.syncIndexes();
+  await seedFleet(vehicleCount);
+
+  const search = {
+    capacity: 1000,
+    fromPincode: '400001',
+    toPincode: '411001',
+    startTime: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000)
+  };
+
+  const oneByOne = await timed(() => findAvailableVehiclesOneByOne(search));
+  const aggregated = await timed(() => findAvailableVehicles(search, { limit: vehicleCount }));
+
+  console.log(`Availability over ${vehicleCount} vehicles (${aggregated.result.total} available): ` +
+    `${oneByOne.ms.toFixed(0)} ms one by one, ${aggregated.ms.toFixed(0)} ms aggregated`);
+
+  if (aggregated.result.total !== oneByOne.result.length) {
+    console.error(`Results differ: ${oneByOne.result.length} one by one, ${aggregated.result.total} aggregated`);
+    process.exitCode = 1;
+  }
+
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+}
+
+benchmark().catch(async (error) => {
+  console.error('Benchmark failed:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Create the first admin account
+// Usage: node scripts/create-admin.js <email> <password> [name]
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/fleetlink';
+
+async function createAdmin() {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email || !password || password.length < 8) {
+    console.error('Usage: node scripts/create-admin.js <email> <password (min 8 characters)> [name]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI);
+
+  const user = new User({ name, email, role: 'admin' });
+  await user.setPassword(password);
+  await user.save();
+
+  console.log(`Admin ${user.email} created with ID ${user._id}`);
+  await mongoose.connection.close();
+}
+
+createAdmin().catch(async (error) => {
+  console.error('Failed to create admin:', error.message);
+  await mongoose.connection.close();
+  process.exit(1);
+});
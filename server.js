@@ -5,8 +5,28 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+const config = require('./config');
+const { authenticate, authorize } = require('./middleware/auth');
+const { identifyApiKey, apiKeyRateLimiter, requireScope } = require('./middleware/apiKeys');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
 const vehicleRoutes = require('./routes/vehicles');
 const bookingRoutes = require('./routes/bookings');
+const rateCardRoutes = require('./routes/rateCards');
+const quoteRoutes = require('./routes/quotes');
+const holdRoutes = require('./routes/holds');
+const maintenanceWindowRoutes = require('./routes/maintenanceWindows');
+const driverRoutes = require('./routes/drivers');
+const eventRoutes = require('./routes/events');
+const webhookRoutes = require('./routes/webhooks');
+const { startWebhookWorker } = require('./utils/webhookQueue');
+
+// Tokens signed with a missing or well-known secret could be forged
+if (!config.auth.jwtSecret) {
+  console.error('JWT_SECRET must be set');
+  process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -14,11 +34,14 @@ const PORT = process.env.PORT || 5000;
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Rate limiting (requests with an accepted API key are limited per key instead;
+// auth routes never look at API keys, so they are always limited per IP)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: req => Boolean(req.apiKeyPrincipal) && !req.path.startsWith('/api/auth')
 });
+app.use(identifyApiKey);
 app.use(limiter);
 
 // CORS configuration
@@ -40,15 +63,34 @@ mongoose.connect(MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB successfully');
+  // Tests send due deliveries themselves
+  if (process.env.NODE_ENV !== 'test') {
+    startWebhookWorker();
+  }
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
   process.exit(1);
 });
 
+// Users authenticate with a bearer token, integrations with an API key
+const protect = scopes => [authenticate, apiKeyRateLimiter, requireScope(scopes)];
+
 // Routes
-app.use('/api/vehicles', vehicleRoutes);
-app.use('/api/bookings', bookingRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/users', authenticate, authorize('admin'), userRoutes);
+app.use('/api/api-keys', authenticate, authorize('admin'), apiKeyRoutes);
+app.use('/api/vehicles', protect({ read: 'vehicles:read', write: 'vehicles:admin' }), vehicleRoutes);
+app.use('/api/bookings', protect({ read: 'bookings:read', write: 'bookings:write' }), bookingRoutes);
+app.use('/api/rate-cards', protect({ read: 'rate-cards:read', write: 'rate-cards:admin' }), rateCardRoutes);
+app.use('/api/quotes', protect({ read: 'bookings:read', write: 'bookings:write' }), quoteRoutes);
+app.use('/api/holds', protect({ read: 'bookings:read', write: 'bookings:write' }), holdRoutes);
+app.use('/api/maintenance-windows', protect({ read: 'vehicles:read', write: 'vehicles:admin' }), maintenanceWindowRoutes);
+app.use('/api/drivers', protect({ read: 'vehicles:read', write: 'vehicles:admin' }), driverRoutes);
+// Scopes are checked per event, as a stream carries both booking and vehicle events
+app.use('/api/events', authenticate, apiKeyRateLimiter, eventRoutes);
+app.use('/api/webhooks', protect({ read: 'bookings:read', write: 'bookings:write' }), authorize('admin', 'customer'),
+  webhookRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const ApiKey = require('../models/ApiKey');
+const Vehicle = require('../models/Vehicle');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const adminAuth = authHeader('admin');
+
+describe('API Key API', () => {
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await ApiKey.deleteMany({});
+    await Vehicle.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await ApiKey.deleteMany({});
+    await Vehicle.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createKey = async (body) => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', adminAuth)
+      .send({ name: 'ERP', scopes: ['vehicles:read', 'bookings:read'], ...body })
+      .expect(201);
+
+    return response.body;
+  };
+
+  describe('POST /api/api-keys', () => {
+    test('should issue a key and store only its hash', async () => {
+      const { key, apiKey } = await createKey();
+
+      expect(key).toMatch(/^flk_[0-9a-f]{8}_[0-9a-f]{48}$/);
+      expect(key).toContain(apiKey.prefix);
+      expect(apiKey.keyHash).toBeUndefined();
+
+      const stored = await ApiKey.findById(apiKey._id).select('+keyHash');
+      expect(stored.keyHash).toBe(ApiKey.hashKey(key));
+    });
+
+    test('should reject unknown scopes', async () => {
+      const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', adminAuth)
+        .send({ name: 'ERP', scopes: ['everything'] })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('should forbid non-admins', async () => {
+      await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', authHeader('dispatcher'))
+        .send({ name: 'ERP', scopes: ['vehicles:read'] })
+        .expect(403);
+    });
+  });
+
+  describe('Authenticating with an API key', () => {
+    test('should allow requests within the key scopes and record usage', async () => {
+      const { key, apiKey } = await createKey();
+
+      await request(app)
+        .get('/api/vehicles')
+        .set('X-API-Key', key)
+        .expect(200);
+
+      // Usage is recorded without waiting for the write
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const stored = await ApiKey.findById(apiKey._id);
+      expect(stored.lastUsedAt).toBeDefined();
+    });
+
+    test('should reject requests outside the key scopes', async () => {
+      const { key } = await createKey();
+
+      const response = await request(app)
+        .post('/api/vehicles')
+        .set('X-API-Key', key)
+        .send({ name: 'Test Truck', capacityKg: 5000, tyres: 6 })
+        .expect(403);
+
+      expect(response.body.message).toContain('vehicles:admin');
+    });
+
+    test('should never reach admin endpoints', async () => {
+      const { key } = await createKey({ scopes: ['vehicles:admin'] });
+
+      await request(app)
+        .get('/api/api-keys')
+        .set('X-API-Key', key)
+        .expect(403);
+    });
+
+    test('should enforce the per-key rate limit', async () => {
+      const { key } = await createKey({ rateLimitMax: 2 });
+
+      await request(app).get('/api/vehicles').set('X-API-Key', key).expect(200);
+      await request(app).get('/api/vehicles').set('X-API-Key', key).expect(200);
+
+      const response = await request(app)
+        .get('/api/vehicles')
+        .set('X-API-Key', key)
+        .expect(429);
+
+      expect(response.body.error).toBe('Too Many Requests');
+    });
+  });
+
+  describe('Rotating and revoking keys', () => {
+    test('should replace the key on rotation', async () => {
+      const { key, apiKey } = await createKey();
+
+      const response = await request(app)
+        .post(`/api/api-keys/${apiKey._id}/rotate`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.key).not.toBe(key);
+      expect(response.body.apiKey.rotatedAt).toBeDefined();
+
+      await request(app).get('/api/vehicles').set('X-API-Key', key).expect(401);
+      await request(app).get('/api/vehicles').set('X-API-Key', response.body.key).expect(200);
+    });
+
+    test('should stop accepting a revoked key', async () => {
+      const { key, apiKey } = await createKey();
+
+      await request(app)
+        .delete(`/api/api-keys/${apiKey._id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      await request(app).get('/api/vehicles').set('X-API-Key', key).expect(401);
+
+      const active = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(active.body.count).toBe(0);
+
+      const all = await request(app)
+        .get('/api/api-keys')
+        .set('Authorization', adminAuth)
+        .query({ includeRevoked: 'true' })
+        .expect(200);
+      expect(all.body.apiKeys[0].isRevoked).toBe(true);
+    });
+  });
+});
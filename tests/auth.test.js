@@ -0,0 +1,169 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const User = require('../models/User');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const adminAuth = authHeader('admin');
+
+describe('Auth API', () => {
+  const credentials = {
+    name: 'Test Customer',
+    email: 'customer@example.com',
+    password: 'correct-horse'
+  };
+
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await User.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/auth/register', () => {
+    test('should create a customer account and issue tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...credentials, role: 'admin' })
+        .expect(201);
+
+      expect(response.body.user.role).toBe('customer');
+      expect(response.body.user.customerId).toBe(response.body.user._id);
+      expect(response.body.user.passwordHash).toBeUndefined();
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+    });
+
+    test('should reject duplicate emails', async () => {
+      await request(app).post('/api/auth/register').send(credentials).expect(201);
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.error).toBe('Conflict');
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    beforeEach(async () => {
+      await request(app).post('/api/auth/register').send(credentials).expect(201);
+    });
+
+    test('should log in with valid credentials', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.accessToken}`)
+        .expect(200);
+
+      expect(me.body.user.email).toBe(credentials.email);
+    });
+
+    test('should reject a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.error).toBe('Unauthorized');
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    test('should rotate tokens until the user logs out', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: registered.body.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${refreshed.body.accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: refreshed.body.refreshToken })
+        .expect(401);
+
+      expect(response.body.error).toBe('Unauthorized');
+    });
+
+    test('should not accept an access token as a refresh token', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(201);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: registered.body.accessToken })
+        .expect(401);
+    });
+  });
+
+  describe('/api/users', () => {
+    test('should let admins create staff accounts', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Dispatcher', email: 'dispatch@example.com', password: 'dispatch-pass', role: 'dispatcher' })
+        .expect(201);
+
+      expect(response.body.user.role).toBe('dispatcher');
+    });
+
+    test('should forbid non-admins', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', authHeader('dispatcher'))
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden');
+    });
+  });
+
+  // Runs last, as it uses up the per-IP limit
+  describe('Rate limiting', () => {
+    test('should limit logins per IP even with an invalid API key', async () => {
+      let response;
+      for (let attempt = 0; attempt <= 100; attempt++) {
+        response = await request(app)
+          .post('/api/auth/login')
+          .set('X-API-Key', 'fl_not_a_real_key')
+          .send({ email: 'nobody@example.com', password: 'guess' });
+        if (response.status === 429) {
+          break;
+        }
+      }
+
+      expect(response.status).toBe(429);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { authorize, resolveCustomerId, canAccessCustomer } = require('../middleware/auth');
+const { requireScope } = require('../middleware/apiKeys');
+
+/**
+ * Run a middleware and report whether it called next() or the response status
+ */
+function run(middleware, req) {
+  let status = null;
+  let passed = false;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+
+  middleware(req, res, () => {
+    passed = true;
+  });
+
+  return passed ? 'next' : status;
+}
+
+const apiKeyUser = (overrides = {}) => ({
+  id: 'key-1',
+  role: 'api-key',
+  apiKeyId: 'key-1',
+  customerId: null,
+  scopes: ['bookings:read'],
+  ...overrides
+});
+
+describe('Auth middleware', () => {
+  describe('authorize', () => {
+    test('should allow users with a listed role', () => {
+      expect(run(authorize('admin', 'dispatcher'), { user: { role: 'dispatcher' } })).toBe('next');
+    });
+
+    test('should forbid users with other roles', () => {
+      expect(run(authorize('admin'), { user: { role: 'customer' } })).toBe(403);
+    });
+
+    test('should only let API keys through after a scope check', () => {
+      expect(run(authorize('admin'), { user: apiKeyUser() })).toBe(403);
+      expect(run(authorize('admin'), { user: apiKeyUser({ scopeGranted: true }) })).toBe('next');
+    });
+
+    test('should keep customer-bound API keys out of staff-only routes', () => {
+      const user = apiKeyUser({ customerId: 'customer-1', scopeGranted: true });
+
+      expect(run(authorize('admin', 'dispatcher', 'driver'), { user })).toBe(403);
+      expect(run(authorize('admin', 'dispatcher', 'customer'), { user })).toBe('next');
+    });
+  });
+
+  describe('requireScope', () => {
+    const scoped = requireScope({ read: 'bookings:read', write: 'bookings:write' });
+
+    test('should let user tokens through untouched', () => {
+      const req = { method: 'POST', user: { role: 'customer' } };
+
+      expect(run(scoped, req)).toBe('next');
+      expect(req.user.scopeGranted).toBeUndefined();
+    });
+
+    test('should require the read scope for GET requests', () => {
+      const req = { method: 'GET', user: apiKeyUser() };
+
+      expect(run(scoped, req)).toBe('next');
+      expect(req.user.scopeGranted).toBe(true);
+    });
+
+    test('should require the write scope for other methods', () => {
+      expect(run(scoped, { method: 'POST', user: apiKeyUser() })).toBe(403);
+    });
+  });
+
+  describe('customer scoping', () => {
+    test('should pin customers and customer-bound keys to their own customerId', () => {
+      const customer = { user: { role: 'customer', customerId: 'customer-1' } };
+      const boundKey = { user: apiKeyUser({ customerId: 'customer-2' }) };
+
+      expect(resolveCustomerId(customer, 'other')).toBe('customer-1');
+      expect(resolveCustomerId(boundKey, 'other')).toBe('customer-2');
+      expect(canAccessCustomer(boundKey, 'customer-1')).toBe(false);
+    });
+
+    test('should let staff and unbound keys act for any customer', () => {
+      const dispatcher = { user: { role: 'dispatcher' } };
+
+      expect(resolveCustomerId(dispatcher, 'customer-1')).toBe('customer-1');
+      expect(canAccessCustomer({ user: apiKeyUser() }, 'customer-1')).toBe(true);
+    });
+  });
+});
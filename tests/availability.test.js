@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const { findAvailableVehicles } = require('../utils/availability');
+const { seedFleet, findAvailableVehiclesOneByOne } = require('../scripts/availabilityFleet');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+// Enough for several result pages; scripts/benchmark-availability.js times larger fleets
+const VEHICLE_COUNT = 200;
+
+describe('Availability search', () => {
+  const startTime = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  const search = {
+    capacity: 1000,
+    fromPincode: '400001',
+    toPincode: '411001',
+    startTime,
+    distanceKm: 152.1
+  };
+
+  beforeAll(async () => {
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Hold.deleteMany({});
+    await Booking.syncIndexes();
+
+    await seedFleet(VEHICLE_COUNT);
+  });
+
+  afterAll(async () => {
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Hold.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  test('should return the same vehicles as per-vehicle lookups', async () => {
+    const expected = await findAvailableVehiclesOneByOne(search);
+    const { availableVehicles, total } = await findAvailableVehicles(search, { limit: VEHICLE_COUNT });
+
+    expect(total).toBe(expected.length);
+    expect(availableVehicles.map(vehicle => vehicle._id.toString()).sort()).toEqual(expected.sort());
+  });
+
+  test('should page through results without overlap', async () => {
+    const firstPage = await findAvailableVehicles(search, { page: 1, limit: 50 });
+    const secondPage = await findAvailableVehicles(search, { page: 2, limit: 50 });
+
+    expect(firstPage.availableVehicles).toHaveLength(50);
+    expect(secondPage.total).toBe(firstPage.total);
+
+    const firstIds = firstPage.availableVehicles.map(vehicle => vehicle._id.toString());
+    secondPage.availableVehicles.forEach(vehicle => {
+      expect(firstIds).not.toContain(vehicle._id.toString());
+    });
+  });
+
+  test('should sort by closest capacity, price or name', async () => {
+    const byCapacity = await findAvailableVehicles(search, { sortBy: 'capacity', limit: 100 });
+    const capacities = byCapacity.availableVehicles.map(vehicle => vehicle.capacityKg);
+    expect(capacities).toEqual([...capacities].sort((a, b) => a - b));
+    expect(capacities[0]).toBe(1000);
+
+    const byPrice = await findAvailableVehicles(search, { sortBy: 'price', order: 'desc', limit: 100 });
+    const prices = byPrice.availableVehicles.map(vehicle => vehicle.quote.totalCost);
+    expect(prices).toEqual([...prices].sort((a, b) => b - a));
+
+    const byName = await findAvailableVehicles(search, { sortBy: 'name', limit: 100 });
+    const names = byName.availableVehicles.map(vehicle => vehicle.name);
+    expect(names).toEqual([...names].sort());
+  });
+});
@@ -0,0 +1,63 @@
+const { splitCsv, parseImportCsv, normaliseImportRow } = require('../utils/bookingImport');
+
+describe('Booking import', () => {
+  describe('splitCsv', () => {
+    test('should keep commas, quotes and line breaks inside quoted fields', () => {
+      const content = 'a,"b, c","say ""hi"""\r\n\r\n"multi\nline",2,3\n';
+
+      expect(splitCsv(content)).toEqual([
+        ['a', 'b, c', 'say "hi"'],
+        ['multi\nline', '2', '3']
+      ]);
+    });
+  });
+
+  describe('parseImportCsv', () => {
+    test('should key rows by header and leave out empty fields', () => {
+      const content = [
+        'vehicleId,customerId,fromPincode,toPincode,startTime,cargoWeightKg',
+        'v1, customer-1 ,110001,110002,2030-01-01T10:00:00Z,'
+      ].join('\n');
+
+      expect(parseImportCsv(content)).toEqual([{
+        vehicleId: 'v1',
+        customerId: 'customer-1',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: '2030-01-01T10:00:00Z'
+      }]);
+    });
+
+    test('should reject a header without the required columns', () => {
+      expect(() => parseImportCsv('vehicleId,startTime\nv1,2030-01-01T10:00:00Z'))
+        .toThrow('CSV header is missing column(s): customerId, fromPincode, toPincode');
+    });
+  });
+
+  describe('normaliseImportRow', () => {
+    test('should convert the cargo columns of a CSV row', () => {
+      const row = { cargoWeightKg: '250', cargoItemCount: '4', cargoHazardous: 'Yes', cargoDescription: 'Paint' };
+
+      expect(normaliseImportRow(row).request.cargo).toEqual({
+        weightKg: 250,
+        itemCount: 4,
+        hazardous: true,
+        description: 'Paint'
+      });
+    });
+
+    test('should keep the cargo of a JSON row as it is', () => {
+      expect(normaliseImportRow({ cargo: { weightKg: 40 } }).request.cargo).toEqual({ weightKg: 40 });
+    });
+
+    test('should keep numeric pincodes from JSON as strings', () => {
+      expect(normaliseImportRow({ fromPincode: 110001, toPincode: 110002 }).request)
+        .toMatchObject({ fromPincode: '110001', toPincode: '110002' });
+    });
+
+    test('should reject rows that are not objects', () => {
+      expect(normaliseImportRow('row').isValid).toBe(false);
+      expect(normaliseImportRow(['v1']).isValid).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const {
+  StatusTransitionError,
+  getAllowedTransitions,
+  isTransitionAllowed
+} = require('../utils/bookingStatus');
+
+describe('Booking Status', () => {
+  describe('isTransitionAllowed', () => {
+    test('should allow the normal booking lifecycle', () => {
+      expect(isTransitionAllowed('confirmed', 'in-progress')).toBe(true);
+      expect(isTransitionAllowed('in-progress', 'completed')).toBe(true);
+      expect(isTransitionAllowed('confirmed', 'cancelled')).toBe(true);
+      expect(isTransitionAllowed('cancelled', 'confirmed')).toBe(true);
+    });
+
+    test('should reject going backwards or leaving a final state', () => {
+      expect(isTransitionAllowed('completed', 'confirmed')).toBe(false);
+      expect(isTransitionAllowed('in-progress', 'confirmed')).toBe(false);
+      expect(isTransitionAllowed('in-progress', 'cancelled')).toBe(false);
+      expect(isTransitionAllowed('confirmed', 'completed')).toBe(false);
+    });
+
+    test('should reject unknown statuses', () => {
+      expect(getAllowedTransitions('unknown')).toEqual([]);
+      expect(isTransitionAllowed('unknown', 'confirmed')).toBe(false);
+    });
+  });
+
+  describe('Booking#transitionTo', () => {
+    const buildBooking = (status) => new Booking({
+      vehicleId: new mongoose.Types.ObjectId(),
+      customerId: 'test-customer',
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 25 * 60 * 60 * 1000),
+      estimatedRideDurationHours: 1,
+      status
+    });
+
+    test('should change status and record the transition', () => {
+      const booking = buildBooking('confirmed');
+
+      booking.transitionTo('in-progress', { actor: 'driver-7', note: 'Loaded' });
+
+      expect(booking.status).toBe('in-progress');
+      expect(booking.statusHistory).toHaveLength(1);
+      expect(booking.statusHistory[0].from).toBe('confirmed');
+      expect(booking.statusHistory[0].to).toBe('in-progress');
+      expect(booking.statusHistory[0].actor).toBe('driver-7');
+      expect(booking.statusHistory[0].note).toBe('Loaded');
+      expect(booking.statusHistory[0].at).toBeInstanceOf(Date);
+    });
+
+    test('should throw with the allowed next states for illegal transitions', () => {
+      const booking = buildBooking('completed');
+
+      expect.assertions(4);
+      try {
+        booking.transitionTo('confirmed');
+      } catch (error) {
+        expect(error).toBeInstanceOf(StatusTransitionError);
+        expect(error.allowedNextStates).toEqual([]);
+        expect(booking.status).toBe('completed');
+        expect(booking.statusHistory).toHaveLength(0);
+      }
+    });
+
+    test('should expose allowed transitions', () => {
+      expect(buildBooking('confirmed').getAllowedTransitions()).toEqual(['in-progress', 'cancelled']);
+    });
+  });
+});
@@ -1,12 +1,18 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
+const { authHeader } = require('./helpers/auth');
 const Vehicle = require('../models/Vehicle');
 const Booking = require('../models/Booking');
+const RateCard = require('../models/RateCard');
+const Driver = require('../models/Driver');
 
 // Test database
 const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
 
+const dispatcherId = new mongoose.Types.ObjectId().toString();
+const dispatcherAuth = authHeader('dispatcher', { _id: dispatcherId });
+
 describe('Booking API', () => {
   let testVehicle;
 
@@ -22,6 +28,7 @@ describe('Booking API', () => {
     // Clean up database before each test
     await Vehicle.deleteMany({});
     await Booking.deleteMany({});
+    await RateCard.deleteMany({});
 
     // Create a test vehicle
     testVehicle = await Vehicle.create({
@@ -35,6 +42,7 @@ describe('Booking API', () => {
     // Clean up and close connection
     await Vehicle.deleteMany({});
     await Booking.deleteMany({});
+    await RateCard.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -50,6 +58,7 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(bookingData)
         .expect(201);
 
@@ -57,10 +66,190 @@ describe('Booking API', () => {
       expect(response.body.booking.customerId).toBe(bookingData.customerId);
       expect(response.body.booking.fromPincode).toBe(bookingData.fromPincode);
       expect(response.body.booking.toPincode).toBe(bookingData.toPincode);
-      expect(response.body.booking.estimatedRideDurationHours).toBe(1);
+      expect(response.body.booking.distanceKm).toBe(3.2);
+      expect(response.body.booking.estimatedRideDurationHours).toBe(0.5);
       expect(response.body.booking.status).toBe('confirmed');
     });
 
+    test('should store cargo details', async () => {
+      const cargo = { weightKg: 1200, volumeM3: 6, itemCount: 40, hazardous: false, description: 'Ceramic tiles' };
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          cargo
+        })
+        .expect(201);
+
+      expect(response.body.booking.cargo).toEqual(cargo);
+    });
+
+    test('should refuse cargo the vehicle cannot carry', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          cargo: { weightKg: 6000, hazardous: true }
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Cargo does not fit the vehicle');
+      expect(response.body.details).toEqual([
+        'Cargo of 6000 kg exceeds vehicle capacity of 5000 kg',
+        'Vehicle is not certified to carry hazardous cargo'
+      ]);
+      expect(await Booking.countDocuments({})).toBe(0);
+    });
+
+    test('should refuse a customerId that is not a string', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 123,
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('customerId must be a non-empty string');
+      expect(await Booking.countDocuments({})).toBe(0);
+    });
+
+    test('should create a multi-stop booking', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          stops: [
+            { type: 'pickup', pincode: '110001', cargoDeltaKg: 3000 },
+            { type: 'drop', pincode: '110002', cargoDeltaKg: -1000 },
+            { type: 'pickup', pincode: '110003', cargoDeltaKg: 1500 },
+            { type: 'drop', pincode: '110004', cargoDeltaKg: -3500 }
+          ]
+        })
+        .expect(201);
+
+      const { booking } = response.body;
+      expect(booking.fromPincode).toBe('110001');
+      expect(booking.toPincode).toBe('110004');
+      expect(booking.routeSummary).toBe('110001 → 110002 → 110003 → 110004');
+      expect(booking.cargo.weightKg).toBe(3500);
+      expect(booking.stops.map(stop => stop.loadKg)).toEqual([3000, 2000, 3500, 0]);
+      expect(new Date(booking.stops[3].arrivalTime).getTime()).toBe(new Date(booking.endTime).getTime());
+      expect(booking.distanceKm).toBeGreaterThan(3.2);
+    });
+
+    test('should refuse stops that overload the vehicle', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          stops: [
+            { type: 'pickup', pincode: '110001', cargoDeltaKg: 4000 },
+            { type: 'pickup', pincode: '110002', cargoDeltaKg: 2000 },
+            { type: 'drop', pincode: '110003', cargoDeltaKg: -6000 }
+          ]
+        })
+        .expect(400);
+
+      expect(response.body.details).toEqual(['Load of 6000 kg after stop 2 exceeds vehicle capacity of 5000 kg']);
+      expect(await Booking.countDocuments({})).toBe(0);
+    });
+
+    test('should book customers under their own customerId', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', authHeader('customer', { customerId: 'self-customer' }))
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'someone-else',
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+
+      expect(response.body.booking.customerId).toBe('self-customer');
+    });
+
+    test('should price the booking and persist the breakdown', async () => {
+      const bookingData = {
+        vehicleId: testVehicle._id.toString(),
+        customerId: 'test-customer-123',
+        fromPincode: '400001',
+        toPincode: '411001',
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      };
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send(bookingData)
+        .expect(201);
+
+      const { booking } = response.body;
+      expect(booking.totalCost).toBeGreaterThan(0);
+      expect(booking.priceBreakdown.totalCost).toBe(booking.totalCost);
+      expect(booking.priceBreakdown.lineItems.map(item => item.code)).toEqual(
+        expect.arrayContaining(['base_fare', 'distance', 'duration'])
+      );
+
+      const stored = await Booking.findById(booking._id);
+      expect(stored.priceBreakdown.lineItems).toHaveLength(booking.priceBreakdown.lineItems.length);
+    });
+
+    test('should apply the customer rate card', async () => {
+      await RateCard.create({ customerId: 'discount-customer', discountPercentage: 50 });
+      const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      const regular = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'regular-customer',
+          fromPincode: '400001',
+          toPincode: '411001',
+          startTime: startTime.toISOString()
+        })
+        .expect(201);
+
+      const discounted = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'discount-customer',
+          fromPincode: '400001',
+          toPincode: '411001',
+          startTime: new Date(startTime.getTime() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+
+      expect(discounted.body.booking.priceBreakdown.lineItems.map(item => item.code)).toContain('customer_discount');
+      expect(discounted.body.booking.totalCost).toBeLessThan(regular.body.booking.totalCost);
+    });
+
     test('should reject booking with missing required fields', async () => {
       const incompleteData = {
         vehicleId: testVehicle._id.toString(),
@@ -70,6 +259,7 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(incompleteData)
         .expect(400);
 
@@ -87,6 +277,7 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(bookingData)
         .expect(400);
 
@@ -105,6 +296,7 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(bookingData)
         .expect(404);
 
@@ -122,12 +314,32 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(bookingData)
         .expect(400);
 
       expect(response.body.error).toBe('Validation Error');
     });
 
+    test('should return 422 for pincodes missing from the geodata set', async () => {
+      const bookingData = {
+        vehicleId: testVehicle._id.toString(),
+        customerId: 'test-customer-123',
+        fromPincode: '999999',
+        toPincode: '110002',
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      };
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send(bookingData)
+        .expect(422);
+
+      expect(response.body.error).toBe('Unknown Pincode');
+      expect(response.body.unknownPincodes).toEqual(['999999']);
+    });
+
     test('should reject booking with past start time', async () => {
       const bookingData = {
         vehicleId: testVehicle._id.toString(),
@@ -139,6 +351,7 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(bookingData)
         .expect(400);
 
@@ -159,6 +372,7 @@ describe('Booking API', () => {
 
       await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(firstBookingData)
         .expect(201);
 
@@ -168,11 +382,12 @@ describe('Booking API', () => {
         customerId: 'customer-2',
         fromPincode: '110001',
         toPincode: '110002',
-        startTime: new Date(startTime.getTime() + 30 * 60 * 1000).toISOString() // 30 minutes later
+        startTime: new Date(startTime.getTime() + 15 * 60 * 1000).toISOString() // 15 minutes later
       };
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(overlappingBookingData)
         .expect(409);
 
@@ -183,7 +398,7 @@ describe('Booking API', () => {
       const firstStartTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
       const secondStartTime = new Date(firstStartTime.getTime() + 3 * 60 * 60 * 1000); // 3 hours later
       
-      // Create first booking (1 hour duration: 110001 -> 110002)
+      // Create first booking (0.5 hour minimum duration: 110001 -> 110002)
       const firstBookingData = {
         vehicleId: testVehicle._id.toString(),
         customerId: 'customer-1',
@@ -194,6 +409,7 @@ describe('Booking API', () => {
 
       await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(firstBookingData)
         .expect(201);
 
@@ -208,11 +424,106 @@ describe('Booking API', () => {
 
       const response = await request(app)
         .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .send(secondBookingData)
         .expect(201);
 
       expect(response.body.message).toBe('Booking created successfully');
     });
+
+    test('should keep the vehicle buffers free between bookings', async () => {
+      await Vehicle.updateOne({ _id: testVehicle._id }, { bufferAfterMinutes: 120 });
+      const firstStartTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: firstStartTime.toISOString()
+        })
+        .expect(201);
+
+      // The first ride takes 0.5 hours; unloading blocks the next 2 hours
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-2',
+          fromPincode: '110002',
+          toPincode: '110001',
+          startTime: new Date(firstStartTime.getTime() + 90 * 60 * 1000).toISOString()
+        })
+        .expect(409);
+
+      expect(response.body.conflictingBookings).toHaveLength(1);
+    });
+
+    test('should require time to drive from the previous drop-off', async () => {
+      const firstStartTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: firstStartTime.toISOString()
+        })
+        .expect(201);
+
+      // Delhi to Mumbai cannot be driven in the hours between the rides
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-2',
+          fromPincode: '400001',
+          toPincode: '411001',
+          startTime: new Date(firstStartTime.getTime() + 3 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(409);
+
+      expect(response.body.conflictingBookings).toHaveLength(0);
+      expect(response.body.repositioningConflicts).toHaveLength(1);
+      expect(response.body.repositioningConflicts[0].direction).toBe('previous');
+      expect(response.body.repositioningConflicts[0].repositioningFrom).toBeUndefined();
+    });
+
+    test('should not check repositioning from pincodes outside the dataset', async () => {
+      const firstStartTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      // Booked before the pincode dataset existed
+      await Booking.create({
+        vehicleId: testVehicle._id,
+        customerId: 'customer-1',
+        fromPincode: '110001',
+        toPincode: '999999',
+        startTime: firstStartTime,
+        endTime: new Date(firstStartTime.getTime() + 60 * 60 * 1000),
+        estimatedRideDurationHours: 1,
+        status: 'confirmed'
+      });
+
+      await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-2',
+          fromPincode: '400001',
+          toPincode: '411001',
+          startTime: new Date(firstStartTime.getTime() + 3 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(201);
+    });
   });
 
   describe('GET /api/bookings', () => {
@@ -244,6 +555,7 @@ describe('Booking API', () => {
     test('should retrieve all bookings', async () => {
       const response = await request(app)
         .get('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .expect(200);
 
       expect(response.body.bookings).toHaveLength(2);
@@ -253,6 +565,7 @@ describe('Booking API', () => {
     test('should filter bookings by customer ID', async () => {
       const response = await request(app)
         .get('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .query({ customerId: 'customer-1' })
         .expect(200);
 
@@ -260,9 +573,29 @@ describe('Booking API', () => {
       expect(response.body.bookings[0].customerId).toBe('customer-1');
     });
 
+    test('should only show customers their own bookings', async () => {
+      const response = await request(app)
+        .get('/api/bookings')
+        .set('Authorization', authHeader('customer', { customerId: 'customer-1' }))
+        .query({ customerId: 'customer-2' })
+        .expect(200);
+
+      expect(response.body.bookings).toHaveLength(1);
+      expect(response.body.bookings[0].customerId).toBe('customer-1');
+    });
+
+    test('should require authentication', async () => {
+      const response = await request(app)
+        .get('/api/bookings')
+        .expect(401);
+
+      expect(response.body.error).toBe('Unauthorized');
+    });
+
     test('should filter bookings by vehicle ID', async () => {
       const response = await request(app)
         .get('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .query({ vehicleId: testVehicle._id.toString() })
         .expect(200);
 
@@ -272,6 +605,7 @@ describe('Booking API', () => {
     test('should filter bookings by status', async () => {
       const response = await request(app)
         .get('/api/bookings')
+        .set('Authorization', dispatcherAuth)
         .query({ status: 'confirmed' })
         .expect(200);
 
@@ -301,6 +635,7 @@ describe('Booking API', () => {
     test('should retrieve specific booking by ID', async () => {
       const response = await request(app)
         .get(`/api/bookings/${testBooking._id}`)
+        .set('Authorization', dispatcherAuth)
         .expect(200);
 
       expect(response.body.booking._id).toBe(testBooking._id.toString());
@@ -312,6 +647,7 @@ describe('Booking API', () => {
       
       const response = await request(app)
         .get(`/api/bookings/${nonExistentId}`)
+        .set('Authorization', dispatcherAuth)
         .expect(404);
 
       expect(response.body.error).toBe('Not Found');
@@ -320,6 +656,77 @@ describe('Booking API', () => {
     test('should return 400 for invalid booking ID format', async () => {
       const response = await request(app)
         .get('/api/bookings/invalid-id')
+        .set('Authorization', dispatcherAuth)
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('POST /api/bookings/:id/cancel', () => {
+    const createBooking = (hoursUntilStart, overrides = {}) => Booking.create({
+      vehicleId: testVehicle._id,
+      customerId: 'test-customer',
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: new Date(Date.now() + hoursUntilStart * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + (hoursUntilStart + 1) * 60 * 60 * 1000),
+      estimatedRideDurationHours: 1,
+      totalCost: 2000,
+      status: 'confirmed',
+      ...overrides
+    });
+
+    test('should cancel for free well before the start time', async () => {
+      const booking = await createBooking(72);
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', dispatcherAuth)
+        .send({ reason: 'Shipment postponed' })
+        .expect(200);
+
+      expect(response.body.booking.status).toBe('cancelled');
+      expect(response.body.booking.cancellationReason).toBe('Shipment postponed');
+      expect(response.body.booking.cancelledBy).toBe(dispatcherId);
+      expect(response.body.booking.cancelledAt).toBeDefined();
+      expect(response.body.cancellation.fee).toBe(0);
+    });
+
+    test('should charge a fee against totalCost for late cancellations', async () => {
+      const booking = await createBooking(2);
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', dispatcherAuth)
+        .send({ reason: 'Customer unavailable' })
+        .expect(200);
+
+      expect(response.body.cancellation.totalCost).toBe(2000);
+      expect(response.body.cancellation.feePercentage).toBe(20);
+      expect(response.body.cancellation.fee).toBe(400);
+      expect(response.body.booking.cancellationFee).toBe(400);
+    });
+
+    test('should refuse to cancel an in-progress booking', async () => {
+      const booking = await createBooking(2, { status: 'in-progress' });
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', dispatcherAuth)
+        .send({ reason: 'Too late' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Cancellation Not Allowed');
+    });
+
+    test('should require a reason', async () => {
+      const booking = await createBooking(72);
+
+      const response = await request(app)
+        .post(`/api/bookings/${booking._id}/cancel`)
+        .set('Authorization', dispatcherAuth)
+        .send({})
         .expect(400);
 
       expect(response.body.error).toBe('Validation Error');
@@ -345,15 +752,99 @@ describe('Booking API', () => {
     test('should update booking status', async () => {
       const response = await request(app)
         .patch(`/api/bookings/${testBooking._id}/status`)
-        .send({ status: 'in-progress' })
+        .set('Authorization', dispatcherAuth)
+        .send({ status: 'in-progress', note: 'Picked up' })
         .expect(200);
 
       expect(response.body.booking.status).toBe('in-progress');
+
+      const history = response.body.booking.statusHistory;
+      expect(history[history.length - 1]).toMatchObject({
+        from: 'confirmed',
+        to: 'in-progress',
+        actor: dispatcherId,
+        note: 'Picked up'
+      });
+    });
+
+    test('should reject illegal transitions with the allowed next states', async () => {
+      testBooking.status = 'in-progress';
+      await testBooking.save();
+
+      const response = await request(app)
+        .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', dispatcherAuth)
+        .send({ status: 'confirmed' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Invalid Status Transition');
+      expect(response.body.currentStatus).toBe('in-progress');
+      expect(response.body.allowedNextStates).toEqual(['completed']);
+    });
+
+    test('should leave cancelling out of the allowed next states', async () => {
+      const response = await request(app)
+        .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', dispatcherAuth)
+        .send({ status: 'completed' })
+        .expect(409);
+
+      expect(response.body.allowedNextStates).toEqual(['in-progress']);
+      expect(response.body.cancelWith).toBe('POST /api/bookings/:id/cancel');
+    });
+
+    test('should direct cancellations to the cancel endpoint', async () => {
+      const response = await request(app)
+        .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', dispatcherAuth)
+        .send({ status: 'cancelled' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('should reconfirm a cancelled booking when the slot is still free', async () => {
+      testBooking.transitionTo('cancelled');
+      await testBooking.save();
+
+      const response = await request(app)
+        .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', dispatcherAuth)
+        .send({ status: 'confirmed' })
+        .expect(200);
+
+      expect(response.body.booking.status).toBe('confirmed');
+      expect(response.body.booking.statusHistory.map(entry => entry.to)).toEqual(['confirmed', 'cancelled', 'confirmed']);
+    });
+
+    test('should not reconfirm a cancelled booking into a taken slot', async () => {
+      testBooking.transitionTo('cancelled');
+      await testBooking.save();
+
+      await Booking.create({
+        vehicleId: testVehicle._id,
+        customerId: 'other-customer',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: testBooking.startTime,
+        endTime: testBooking.endTime,
+        estimatedRideDurationHours: 1,
+        status: 'confirmed'
+      });
+
+      const response = await request(app)
+        .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', dispatcherAuth)
+        .send({ status: 'confirmed' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Booking Conflict');
     });
 
     test('should reject invalid status', async () => {
       const response = await request(app)
         .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', dispatcherAuth)
         .send({ status: 'invalid-status' })
         .expect(400);
 
@@ -365,10 +856,468 @@ describe('Booking API', () => {
       
       const response = await request(app)
         .patch(`/api/bookings/${nonExistentId}/status`)
+        .set('Authorization', dispatcherAuth)
         .send({ status: 'completed' })
         .expect(404);
 
       expect(response.body.error).toBe('Not Found');
     });
   });
+
+  describe('Trip lifecycle', () => {
+    const driverUserId = new mongoose.Types.ObjectId().toString();
+    const driverAuth = authHeader('driver', { _id: driverUserId });
+    const signature = `data:image/png;base64,${Buffer.from('signature').toString('base64')}`;
+    let testBooking;
+
+    beforeEach(async () => {
+      await Driver.deleteMany({});
+      const driver = await Driver.create({
+        name: 'Test Driver',
+        licenceClass: 'heavy',
+        licenceExpiry: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+        userId: driverUserId
+      });
+
+      testBooking = await Booking.create({
+        vehicleId: testVehicle._id,
+        driverId: driver._id,
+        customerId: 'test-customer',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(Date.now() + 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 1
+      });
+    });
+
+    afterAll(async () => {
+      await Driver.deleteMany({});
+    });
+
+    test('should record a trip from start to proof of delivery', async () => {
+      const started = await request(app)
+        .post(`/api/bookings/${testBooking._id}/start`)
+        .set('Authorization', driverAuth)
+        .send({ odometerKm: 12000 })
+        .expect(200);
+      expect(started.body.booking.status).toBe('in-progress');
+      expect(started.body.booking.trip.startOdometerKm).toBe(12000);
+
+      await request(app)
+        .post(`/api/bookings/${testBooking._id}/arrive`)
+        .set('Authorization', driverAuth)
+        .expect(200);
+
+      const completed = await request(app)
+        .post(`/api/bookings/${testBooking._id}/complete`)
+        .set('Authorization', driverAuth)
+        .send({ odometerKm: 12004, recipientName: 'Store manager', signature, notes: 'Left at dock 3' })
+        .expect(200);
+
+      const { trip } = completed.body.booking;
+      expect(completed.body.booking.status).toBe('completed');
+      expect(trip.actualDistanceKm).toBe(4);
+      expect(trip.actualDurationHours).toBe(0);
+      expect(trip.durationVarianceHours).toBe(-1);
+      expect(trip.proofOfDelivery.recipientName).toBe('Store manager');
+      expect(trip.proofOfDelivery.signature.data).toBeUndefined();
+
+      const image = await request(app)
+        .get(`/api/bookings/${testBooking._id}/signature`)
+        .set('Authorization', authHeader('customer', { customerId: 'test-customer' }))
+        .expect(200);
+      expect(image.headers['content-type']).toBe('image/png');
+      expect(image.body.toString()).toBe('signature');
+    });
+
+    test('should only let the assigned driver update the trip', async () => {
+      await request(app)
+        .post(`/api/bookings/${testBooking._id}/start`)
+        .set('Authorization', authHeader('driver'))
+        .send({ odometerKm: 12000 })
+        .expect(404);
+    });
+
+    test('should not let other drivers change the status', async () => {
+      await request(app)
+        .patch(`/api/bookings/${testBooking._id}/status`)
+        .set('Authorization', authHeader('driver'))
+        .send({ status: 'in-progress' })
+        .expect(404);
+
+      const booking = await Booking.findById(testBooking._id);
+      expect(booking.status).toBe('confirmed');
+    });
+
+    test('should refuse a lower odometer reading at completion', async () => {
+      await request(app)
+        .post(`/api/bookings/${testBooking._id}/start`)
+        .set('Authorization', driverAuth)
+        .send({ odometerKm: 12000 })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/bookings/${testBooking._id}/complete`)
+        .set('Authorization', driverAuth)
+        .send({ odometerKm: 11000, recipientName: 'Store manager' })
+        .expect(400);
+
+      expect(response.body.message)
+        .toBe('odometerKm: Odometer reading cannot be below 12000 km at the start of the trip');
+    });
+
+    test('should refuse to complete a trip that has not started', async () => {
+      const response = await request(app)
+        .post(`/api/bookings/${testBooking._id}/complete`)
+        .set('Authorization', driverAuth)
+        .send({ odometerKm: 12004, recipientName: 'Store manager' })
+        .expect(409);
+
+      expect(response.body.currentStatus).toBe('confirmed');
+    });
+  });
+
+  describe('Recurring bookings', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let firstStartTime;
+    let recurringRequest;
+
+    beforeEach(() => {
+      firstStartTime = new Date(Date.now() + DAY);
+      recurringRequest = {
+        vehicleId: testVehicle._id.toString(),
+        customerId: 'customer-1',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: firstStartTime.toISOString(),
+        recurrence: { freq: 'daily', count: 5 }
+      };
+    });
+
+    test('should book every occurrence under one series', async () => {
+      const response = await request(app)
+        .post('/api/bookings/recurring')
+        .set('Authorization', dispatcherAuth)
+        .send(recurringRequest)
+        .expect(201);
+
+      expect(response.body.count).toBe(5);
+      expect(await Booking.countDocuments({ seriesId: response.body.seriesId })).toBe(5);
+
+      const series = await request(app)
+        .get(`/api/bookings/series/${response.body.seriesId}`)
+        .set('Authorization', dispatcherAuth)
+        .expect(200);
+
+      expect(series.body.statusCounts).toEqual({ confirmed: 5 });
+    });
+
+    test('should book nothing when an occurrence conflicts', async () => {
+      await Booking.create({
+        vehicleId: testVehicle._id,
+        customerId: 'customer-2',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(firstStartTime.getTime() + 2 * DAY),
+        endTime: new Date(firstStartTime.getTime() + 2 * DAY + 60 * 60 * 1000),
+        estimatedRideDurationHours: 1
+      });
+
+      const response = await request(app)
+        .post('/api/bookings/recurring')
+        .set('Authorization', dispatcherAuth)
+        .send(recurringRequest)
+        .expect(409);
+
+      expect(response.body.conflictingOccurrences.map(entry => entry.occurrence)).toEqual([3]);
+      expect(await Booking.countDocuments({ customerId: 'customer-1' })).toBe(0);
+    });
+
+    test('should skip conflicting occurrences in partial mode', async () => {
+      await Booking.create({
+        vehicleId: testVehicle._id,
+        customerId: 'customer-2',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(firstStartTime.getTime() + 2 * DAY),
+        endTime: new Date(firstStartTime.getTime() + 2 * DAY + 60 * 60 * 1000),
+        estimatedRideDurationHours: 1
+      });
+
+      const response = await request(app)
+        .post('/api/bookings/recurring')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...recurringRequest, mode: 'partial' })
+        .expect(201);
+
+      expect(response.body.count).toBe(4);
+      expect(response.body.skippedOccurrences).toHaveLength(1);
+    });
+
+    test('should reject invalid recurrences', async () => {
+      await request(app)
+        .post('/api/bookings/recurring')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...recurringRequest, recurrence: { freq: 'daily' } })
+        .expect(400);
+    });
+
+    test('should move occurrences from a date onward', async () => {
+      const created = await request(app)
+        .post('/api/bookings/recurring')
+        .set('Authorization', dispatcherAuth)
+        .send(recurringRequest)
+        .expect(201);
+
+      const otherVehicle = await Vehicle.create({ name: 'Other Truck', capacityKg: 5000, tyres: 6 });
+
+      const response = await request(app)
+        .patch(`/api/bookings/series/${created.body.seriesId}`)
+        .set('Authorization', dispatcherAuth)
+        .send({
+          fromDate: new Date(firstStartTime.getTime() + 3 * DAY - 60 * 1000).toISOString(),
+          vehicleId: otherVehicle._id.toString()
+        })
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(await Booking.countDocuments({ seriesId: created.body.seriesId, vehicleId: otherVehicle._id })).toBe(2);
+    });
+
+    test('should cancel a whole series', async () => {
+      const created = await request(app)
+        .post('/api/bookings/recurring')
+        .set('Authorization', dispatcherAuth)
+        .send(recurringRequest)
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/bookings/series/${created.body.seriesId}/cancel`)
+        .set('Authorization', dispatcherAuth)
+        .send({ reason: 'Contract ended' })
+        .expect(200);
+
+      expect(response.body.count).toBe(5);
+      expect(await Booking.countDocuments({ seriesId: created.body.seriesId, status: 'cancelled' })).toBe(5);
+    });
+  });
+
+  describe('POST /api/bookings/import', () => {
+    const HOUR = 60 * 60 * 1000;
+    let firstStartTime;
+
+    beforeEach(() => {
+      firstStartTime = new Date(Date.now() + 24 * HOUR);
+    });
+
+    const csvRow = (startTime, customerId = 'customer-1') =>
+      `${testVehicle._id},${customerId},110001,110002,${startTime.toISOString()},100`;
+
+    test('should import CSV rows and report on each one', async () => {
+      const csv = [
+        'vehicleId,customerId,fromPincode,toPincode,startTime,cargoWeightKg',
+        csvRow(firstStartTime),
+        csvRow(new Date(firstStartTime.getTime() + 24 * HOUR)),
+        `${testVehicle._id},customer-1,1100,110002,${firstStartTime.toISOString()},`
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/bookings/import')
+        .set('Authorization', dispatcherAuth)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(response.body.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+      expect(response.body.rows.map(row => row.status)).toEqual(['created', 'created', 'failed']);
+      expect(response.body.rows[2].message).toBe('Pincodes must be exactly 6 digits');
+      expect(await Booking.countDocuments({ customerId: 'customer-1' })).toBe(2);
+    });
+
+    test('should detect conflicts between rows of the same file', async () => {
+      const rows = [
+        { vehicleId: testVehicle._id.toString(), customerId: 'customer-1', fromPincode: '110001',
+          toPincode: '110002', startTime: firstStartTime.toISOString() },
+        { vehicleId: testVehicle._id.toString(), customerId: 'customer-2', fromPincode: '110001',
+          toPincode: '110002', startTime: firstStartTime.toISOString() }
+      ];
+
+      const response = await request(app)
+        .post('/api/bookings/import')
+        .set('Authorization', dispatcherAuth)
+        .send(rows)
+        .expect(201);
+
+      expect(response.body.rows[1]).toMatchObject({
+        status: 'failed',
+        error: 'Booking Conflict',
+        conflictingRows: [1]
+      });
+      expect(await Booking.countDocuments({})).toBe(1);
+    });
+
+    test('should fail only the rows with a customerId that is not a string', async () => {
+      const rows = [
+        { vehicleId: testVehicle._id.toString(), customerId: 123, fromPincode: '110001',
+          toPincode: '110002', startTime: firstStartTime.toISOString() },
+        { vehicleId: testVehicle._id.toString(), customerId: 'customer-1', fromPincode: '110001',
+          toPincode: '110002', startTime: firstStartTime.toISOString() }
+      ];
+
+      const response = await request(app)
+        .post('/api/bookings/import')
+        .set('Authorization', dispatcherAuth)
+        .send(rows)
+        .expect(201);
+
+      expect(response.body.rows.map(row => row.status)).toEqual(['failed', 'created']);
+      expect(response.body.rows[0].message).toBe('customerId must be a non-empty string');
+      expect(await Booking.countDocuments({})).toBe(1);
+    });
+
+    test('should book nothing in a dry run', async () => {
+      const rows = [
+        { vehicleId: testVehicle._id.toString(), customerId: 'customer-1', fromPincode: '110001',
+          toPincode: '110002', startTime: firstStartTime.toISOString() },
+        { vehicleId: new mongoose.Types.ObjectId().toString(), customerId: 'customer-1', fromPincode: '110001',
+          toPincode: '110002', startTime: firstStartTime.toISOString() }
+      ];
+
+      const response = await request(app)
+        .post('/api/bookings/import?dryRun=true')
+        .set('Authorization', dispatcherAuth)
+        .send(rows)
+        .expect(200);
+
+      expect(response.body.rows.map(row => row.status)).toEqual(['valid', 'failed']);
+      expect(response.body.rows[1].message).toBe('Vehicle not found or inactive');
+      expect(await Booking.countDocuments({})).toBe(0);
+    });
+
+    test('should not let customers import bookings', async () => {
+      await request(app)
+        .post('/api/bookings/import')
+        .set('Authorization', authHeader('customer', { customerId: 'customer-1' }))
+        .send([])
+        .expect(403);
+    });
+  });
+
+  describe('Automatic vehicle assignment', () => {
+    const HOUR = 60 * 60 * 1000;
+    let smallVehicle;
+    let autoRequest;
+
+    beforeEach(async () => {
+      smallVehicle = await Vehicle.create({ name: 'Small Truck', capacityKg: 1500, tyres: 4 });
+      await Vehicle.create({ name: 'Tiny Van', capacityKg: 500, tyres: 4 });
+
+      autoRequest = {
+        capacityRequired: 1000,
+        customerId: 'customer-1',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(Date.now() + 24 * HOUR).toISOString()
+      };
+    });
+
+    test('should pick the smallest vehicle with enough capacity', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send(autoRequest)
+        .expect(201);
+
+      expect(response.body.booking.vehicleId._id).toBe(smallVehicle._id.toString());
+      expect(response.body.assignmentStrategy).toBe('smallest-sufficient');
+    });
+
+    test('should skip vehicles that are already booked', async () => {
+      await Booking.create({
+        vehicleId: smallVehicle._id,
+        customerId: 'customer-2',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(autoRequest.startTime),
+        endTime: new Date(new Date(autoRequest.startTime).getTime() + HOUR),
+        estimatedRideDurationHours: 1
+      });
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send(autoRequest)
+        .expect(201);
+
+      expect(response.body.booking.vehicleId._id).toBe(testVehicle._id.toString());
+    });
+
+    test('should prefer the least utilised vehicle', async () => {
+      const startTime = new Date(autoRequest.startTime);
+      await Booking.create({
+        vehicleId: smallVehicle._id,
+        customerId: 'customer-2',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(startTime.getTime() + 24 * HOUR),
+        endTime: new Date(startTime.getTime() + 30 * HOUR),
+        estimatedRideDurationHours: 6
+      });
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...autoRequest, assignmentStrategy: 'least-utilised' })
+        .expect(201);
+
+      expect(response.body.booking.vehicleId._id).toBe(testVehicle._id.toString());
+    });
+
+    test('should rank vehicles last dropped off at unknown pincodes as having no known location', async () => {
+      const startTime = new Date(autoRequest.startTime);
+      const previousRide = (vehicle, toPincode) => Booking.create({
+        vehicleId: vehicle._id,
+        customerId: 'customer-2',
+        fromPincode: '110001',
+        toPincode,
+        startTime: new Date(startTime.getTime() - 6 * HOUR),
+        endTime: new Date(startTime.getTime() - 5 * HOUR),
+        estimatedRideDurationHours: 1
+      });
+      // Booked before the pincode dataset existed
+      await previousRide(smallVehicle, '999999');
+      await previousRide(testVehicle, '110001');
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...autoRequest, assignmentStrategy: 'closest' })
+        .expect(201);
+
+      expect(response.body.booking.vehicleId._id).toBe(testVehicle._id.toString());
+    });
+
+    test('should not give the same vehicle to concurrent requests', async () => {
+      await Vehicle.updateOne({ _id: testVehicle._id }, { isActive: false });
+
+      const responses = await Promise.all([
+        request(app).post('/api/bookings').set('Authorization', dispatcherAuth).send(autoRequest),
+        request(app).post('/api/bookings').set('Authorization', dispatcherAuth).send(autoRequest)
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+      expect(await Booking.countDocuments({ vehicleId: smallVehicle._id })).toBe(1);
+    });
+
+    test('should reject a quote without a vehicleId', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...autoRequest, quoteId: new mongoose.Types.ObjectId().toString() })
+        .expect(400);
+
+      expect(response.body.message).toBe('quoteId and holdId require a vehicleId');
+    });
+  });
 });
@@ -0,0 +1,50 @@
+const { evaluateCancellation } = require('../utils/cancellationPolicy');
+
+describe('Cancellation Policy', () => {
+  const policy = { freeWindowHours: 24, feePercentage: 20 };
+  const now = new Date('2023-10-27T10:00:00Z');
+
+  const buildBooking = (hoursUntilStart, overrides = {}) => ({
+    status: 'confirmed',
+    startTime: new Date(now.getTime() + hoursUntilStart * 60 * 60 * 1000),
+    totalCost: 5000,
+    ...overrides
+  });
+
+  test('should allow free cancellation before the free window closes', () => {
+    const result = evaluateCancellation(buildBooking(48), now, policy);
+
+    expect(result.allowed).toBe(true);
+    expect(result.feePercentage).toBe(0);
+    expect(result.fee).toBe(0);
+    expect(result.freeCancellationUntil).toEqual(new Date('2023-10-28T10:00:00Z'));
+  });
+
+  test('should charge the fee percentage of totalCost for late cancellations', () => {
+    const result = evaluateCancellation(buildBooking(2), now, policy);
+
+    expect(result.allowed).toBe(true);
+    expect(result.feePercentage).toBe(20);
+    expect(result.fee).toBe(1000);
+    expect(result.totalCost).toBe(5000);
+  });
+
+  test('should charge nothing when the booking has no totalCost', () => {
+    const result = evaluateCancellation(buildBooking(2, { totalCost: undefined }), now, policy);
+
+    expect(result.fee).toBe(0);
+  });
+
+  test('should refuse cancellation once the booking is in progress', () => {
+    const result = evaluateCancellation(buildBooking(-1, { status: 'in-progress' }), now, policy);
+
+    expect(result.allowed).toBe(false);
+    expect(result.message).toBe('Booking cannot be cancelled once it is in-progress');
+  });
+
+  test('should refuse cancelling a booking twice', () => {
+    const result = evaluateCancellation(buildBooking(48, { status: 'cancelled' }), now, policy);
+
+    expect(result.allowed).toBe(false);
+  });
+});
@@ -0,0 +1,55 @@
+const { validateCargo, findCargoProblems, cargoVehicleFilter } = require('../utils/cargo');
+
+describe('Cargo', () => {
+  const vehicle = { capacityKg: 1000, volumeM3: 8, hazmatCertified: false };
+
+  describe('validateCargo', () => {
+    test('should accept complete cargo details', () => {
+      const cargo = { weightKg: 500, volumeM3: 2.5, itemCount: 12, hazardous: false, description: 'Tiles' };
+
+      expect(validateCargo(cargo).isValid).toBe(true);
+      expect(validateCargo(undefined).isValid).toBe(true);
+    });
+
+    test('should reject fields of the wrong type', () => {
+      expect(validateCargo({ weightKg: -1 }).message).toBe('cargo.weightKg must be a non-negative number');
+      expect(validateCargo({ volumeM3: '2' }).message).toBe('cargo.volumeM3 must be a non-negative number');
+      expect(validateCargo({ itemCount: 1.5 }).message).toBe('cargo.itemCount must be a positive integer');
+      expect(validateCargo({ hazardous: 'yes' }).message).toBe('cargo.hazardous must be true or false');
+      expect(validateCargo([]).isValid).toBe(false);
+    });
+  });
+
+  describe('findCargoProblems', () => {
+    test('should report every limit the cargo breaks', () => {
+      const problems = findCargoProblems({ weightKg: 5000, volumeM3: 10, hazardous: true }, vehicle);
+
+      expect(problems.map(problem => problem.field)).toEqual(['weightKg', 'volumeM3', 'hazardous']);
+      expect(problems[0].message).toBe('Cargo of 5000 kg exceeds vehicle capacity of 1000 kg');
+    });
+
+    test('should not check volume of vehicles without one', () => {
+      expect(findCargoProblems({ volumeM3: 50 }, { capacityKg: 1000 })).toEqual([]);
+    });
+
+    test('should accept cargo that fits', () => {
+      expect(findCargoProblems({ weightKg: 1000, volumeM3: 8 }, vehicle)).toEqual([]);
+      expect(findCargoProblems(undefined, vehicle)).toEqual([]);
+    });
+  });
+
+  describe('cargoVehicleFilter', () => {
+    test('should require the larger of the capacity and the cargo weight', () => {
+      expect(cargoVehicleFilter({ weightKg: 2000 }, 500)).toEqual({ capacityKg: { $gte: 2000 } });
+      expect(cargoVehicleFilter(undefined, 500)).toEqual({ capacityKg: { $gte: 500 } });
+    });
+
+    test('should filter on volume and hazmat certification', () => {
+      expect(cargoVehicleFilter({ volumeM3: 4, hazardous: true })).toEqual({
+        capacityKg: { $gte: 0 },
+        volumeM3: { $not: { $lt: 4 } },
+        hazmatCertified: true
+      });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const config = require('../config');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const adminAuth = authHeader('admin');
+const dispatcherAuth = authHeader('dispatcher');
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe('Driver API', () => {
+  let testVehicle;
+  let testDriver;
+  let dayStart;
+
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Driver.deleteMany({});
+
+    testVehicle = await Vehicle.create({
+      name: 'Test Truck',
+      capacityKg: 5000,
+      tyres: 6
+    });
+
+    testDriver = await Driver.create({
+      name: 'Test Driver',
+      licenceClass: 'medium',
+      licenceExpiry: new Date(Date.now() + 365 * DAY)
+    });
+
+    // Local midnight the day after tomorrow, so every ride below is in the future
+    const offsetMs = config.schedule.timezoneOffsetMinutes * 60 * 1000;
+    dayStart = new Date(Math.floor((Date.now() + 2 * DAY + offsetMs) / DAY) * DAY - offsetMs);
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Driver.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createBooking = (startTime, hours, fields = {}) => Booking.create({
+    vehicleId: testVehicle._id,
+    driverId: testDriver._id,
+    customerId: 'customer-1',
+    fromPincode: '110001',
+    toPincode: '110002',
+    startTime,
+    endTime: new Date(startTime.getTime() + hours * HOUR),
+    estimatedRideDurationHours: hours,
+    ...fields
+  });
+
+  const bookRide = (startTime, fields = {}) => request(app)
+    .post('/api/bookings')
+    .set('Authorization', dispatcherAuth)
+    .send({
+      vehicleId: testVehicle._id.toString(),
+      driverId: testDriver._id.toString(),
+      customerId: 'customer-1',
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: startTime.toISOString(),
+      ...fields
+    });
+
+  describe('Managing drivers', () => {
+    test('should add a driver', async () => {
+      const response = await request(app)
+        .post('/api/drivers')
+        .set('Authorization', adminAuth)
+        .send({
+          name: 'Asha',
+          licenceClass: 'heavy',
+          licenceExpiry: '2030-01-31',
+          homePincode: '110005',
+          shiftStart: '06:00',
+          shiftEnd: '14:00'
+        })
+        .expect(201);
+
+      expect(response.body.driver.licenceClass).toBe('heavy');
+      expect(response.body.driver.isActive).toBe(true);
+    });
+
+    test('should refuse unknown licence classes and non-admins', async () => {
+      await request(app)
+        .post('/api/drivers')
+        .set('Authorization', adminAuth)
+        .send({ name: 'Asha', licenceClass: 'truck', licenceExpiry: '2030-01-31' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/drivers')
+        .set('Authorization', dispatcherAuth)
+        .send({ name: 'Asha', licenceClass: 'heavy', licenceExpiry: '2030-01-31' })
+        .expect(403);
+    });
+
+    test('should refuse to deactivate a driver with upcoming bookings', async () => {
+      await createBooking(new Date(dayStart.getTime() + 8 * HOUR), 2);
+
+      const response = await request(app)
+        .patch(`/api/drivers/${testDriver._id}`)
+        .set('Authorization', adminAuth)
+        .send({ isActive: false })
+        .expect(409);
+
+      expect(response.body.affectedBookings).toHaveLength(1);
+    });
+
+    test('should flag bookings a licence change no longer covers', async () => {
+      const booking = await createBooking(new Date(dayStart.getTime() + 8 * HOUR), 2);
+
+      const response = await request(app)
+        .patch(`/api/drivers/${testDriver._id}`)
+        .set('Authorization', adminAuth)
+        .send({ licenceClass: 'light' })
+        .expect(200);
+
+      expect(response.body.flaggedBookings).toHaveLength(1);
+      const flagged = await Booking.findById(booking._id);
+      expect(flagged.flags.map(flag => flag.code)).toEqual(['licence_class_insufficient']);
+    });
+
+    test('should only delete drivers who were never booked', async () => {
+      await createBooking(new Date(dayStart.getTime() + 8 * HOUR), 2, { status: 'cancelled' });
+
+      await request(app)
+        .delete(`/api/drivers/${testDriver._id}`)
+        .set('Authorization', adminAuth)
+        .expect(409);
+
+      await Booking.deleteMany({});
+      await request(app)
+        .delete(`/api/drivers/${testDriver._id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+    });
+  });
+
+  describe('Booking with a driver', () => {
+    test('should book a ride with a driver', async () => {
+      const response = await bookRide(new Date(dayStart.getTime() + 8 * HOUR)).expect(201);
+
+      expect(response.body.booking.driverId.name).toBe('Test Driver');
+    });
+
+    test('should refuse a driver who is booked at the same time', async () => {
+      await createBooking(new Date(dayStart.getTime() + 8 * HOUR), 2, {
+        vehicleId: new mongoose.Types.ObjectId()
+      });
+
+      const response = await bookRide(new Date(dayStart.getTime() + 9 * HOUR)).expect(409);
+
+      expect(response.body.error).toBe('Driver Unavailable');
+      expect(response.body.conflictingBookings).toHaveLength(1);
+      expect(await Booking.countDocuments({})).toBe(1);
+    });
+
+    test('should refuse a vehicle the licence does not cover', async () => {
+      await Driver.updateOne({ _id: testDriver._id }, { licenceClass: 'light' });
+
+      const response = await bookRide(new Date(dayStart.getTime() + 8 * HOUR)).expect(400);
+
+      expect(response.body.details).toEqual(['A light licence does not cover medium vehicles']);
+    });
+
+    test('should enforce the maximum driving hours per day', async () => {
+      const { maxDrivingHoursPerDay } = config.drivers;
+      await createBooking(new Date(dayStart.getTime() + HOUR), maxDrivingHoursPerDay - 0.2, {
+        vehicleId: new mongoose.Types.ObjectId()
+      });
+
+      const response = await bookRide(new Date(dayStart.getTime() + 12 * HOUR)).expect(409);
+
+      expect(response.body.message).toBe('Ride would take the driver over the maximum driving hours for the day');
+      expect(response.body.drivingHours.maxHours).toBe(maxDrivingHoursPerDay);
+
+      // The next day starts with no driving hours
+      await bookRide(new Date(dayStart.getTime() + DAY + HOUR)).expect(201);
+    });
+
+    test('should assign and remove the driver of a booking', async () => {
+      const booking = await createBooking(new Date(dayStart.getTime() + 8 * HOUR), 2, { driverId: undefined });
+
+      const assigned = await request(app)
+        .patch(`/api/bookings/${booking._id}/driver`)
+        .set('Authorization', dispatcherAuth)
+        .send({ driverId: testDriver._id.toString() })
+        .expect(200);
+      expect(assigned.body.booking.driverId.name).toBe('Test Driver');
+
+      const removed = await request(app)
+        .patch(`/api/bookings/${booking._id}/driver`)
+        .set('Authorization', dispatcherAuth)
+        .send({ driverId: null })
+        .expect(200);
+      expect(removed.body.booking.driverId).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,189 @@
+const http = require('http');
+const {
+  DurationEstimator,
+  DurationEstimationError,
+  createDurationEstimator
+} = require('../utils/durationEstimator');
+const DurationProvider = require('../utils/durationProviders/DurationProvider');
+const PlaceholderProvider = require('../utils/durationProviders/PlaceholderProvider');
+const OsrmProvider = require('../utils/durationProviders/OsrmProvider');
+
+// Provider that returns a fixed estimate (or fails) and counts its calls
+class StubProvider extends DurationProvider {
+  constructor(name, behaviour) {
+    super(name);
+    this.behaviour = behaviour;
+    this.calls = 0;
+  }
+
+  async estimate() {
+    this.calls += 1;
+    return this.behaviour();
+  }
+}
+
+describe('Duration Estimation', () => {
+  describe('DurationEstimator', () => {
+    test('should return the first provider result with the provider name', async () => {
+      const estimator = new DurationEstimator({
+        providers: [new StubProvider('stub', () => ({ distanceKm: 10, estimatedRideDurationHours: 1 }))]
+      });
+
+      const result = await estimator.estimate('110001', '110002');
+
+      expect(result).toEqual({ distanceKm: 10, estimatedRideDurationHours: 1, provider: 'stub' });
+    });
+
+    test('should fall back to the next provider when one fails', async () => {
+      const failing = new StubProvider('failing', () => { throw new Error('engine down'); });
+      const backup = new StubProvider('backup', () => ({ distanceKm: null, estimatedRideDurationHours: 2 }));
+      const estimator = new DurationEstimator({ providers: [failing, backup] });
+
+      const result = await estimator.estimate('110001', '110002');
+
+      expect(result.provider).toBe('backup');
+      expect(failing.calls).toBe(1);
+    });
+
+    test('should fall back when a provider times out', async () => {
+      const slow = new StubProvider('slow', () => new Promise(resolve => setTimeout(resolve, 200)));
+      const backup = new StubProvider('backup', () => ({ distanceKm: 5, estimatedRideDurationHours: 0.5 }));
+      const estimator = new DurationEstimator({ providers: [slow, backup], timeoutMs: 20 });
+
+      const result = await estimator.estimate('110001', '110002');
+
+      expect(result.provider).toBe('backup');
+    });
+
+    test('should throw DurationEstimationError when every provider fails', async () => {
+      const estimator = new DurationEstimator({
+        providers: [new StubProvider('failing', () => { throw new Error('engine down'); })]
+      });
+
+      await expect(estimator.estimate('110001', '110002')).rejects.toBeInstanceOf(DurationEstimationError);
+    });
+
+    test('should not fall back for unknown pincodes', async () => {
+      const backup = new StubProvider('backup', () => ({ distanceKm: 1, estimatedRideDurationHours: 1 }));
+      const estimator = createDurationEstimator({ providers: ['pincode'], timeoutMs: 1000, cacheTtlMs: 0 });
+      estimator.providers.push(backup);
+
+      await expect(estimator.estimate('999999', '110001')).rejects.toThrow('Unknown pincode(s): 999999');
+      expect(backup.calls).toBe(0);
+    });
+
+    test('should cache results per pincode pair and vehicle class', async () => {
+      const provider = new StubProvider('stub', () => ({ distanceKm: 10, estimatedRideDurationHours: 1 }));
+      const estimator = new DurationEstimator({ providers: [provider], cacheTtlMs: 60000 });
+      const lightVehicle = { capacityKg: 1000, tyres: 4 };
+
+      await estimator.estimate('110001', '110002', lightVehicle);
+      await estimator.estimate('110001', '110002', { capacityKg: 1500, tyres: 4 });
+      expect(provider.calls).toBe(1);
+
+      await estimator.estimate('110002', '110001', lightVehicle);
+      await estimator.estimate('110001', '110002', { capacityKg: 20000, tyres: 12 });
+      expect(provider.calls).toBe(3);
+
+      estimator.clearCache();
+      await estimator.estimate('110001', '110002', lightVehicle);
+      expect(provider.calls).toBe(4);
+    });
+
+    test('should ask the primary provider again once it recovers', async () => {
+      let isDown = true;
+      const primary = new StubProvider('primary', () => {
+        if (isDown) {
+          throw new Error('engine down');
+        }
+        return { distanceKm: 12, estimatedRideDurationHours: 1.5 };
+      });
+      const backup = new StubProvider('backup', () => ({ distanceKm: null, estimatedRideDurationHours: 2 }));
+      const estimator = new DurationEstimator({ providers: [primary, backup], cacheTtlMs: 60000 });
+
+      expect((await estimator.estimate('110001', '110002')).provider).toBe('backup');
+
+      isDown = false;
+      expect((await estimator.estimate('110001', '110002')).provider).toBe('primary');
+      expect((await estimator.estimate('110001', '110002')).provider).toBe('primary');
+      expect(primary.calls).toBe(2);
+    });
+  });
+
+  describe('createDurationEstimator', () => {
+    test('should build providers in configured order', () => {
+      const estimator = createDurationEstimator({
+        providers: ['pincode', 'placeholder'],
+        timeoutMs: 1000,
+        cacheTtlMs: 0
+      });
+
+      expect(estimator.providers.map(provider => provider.name)).toEqual(['pincode', 'placeholder']);
+    });
+
+    test('should reject unknown provider names', () => {
+      expect(() => createDurationEstimator({ providers: ['teleport'] })).toThrow('Unknown duration provider: teleport');
+    });
+  });
+
+  describe('PlaceholderProvider', () => {
+    test('should keep the original pincode difference formula', async () => {
+      const provider = new PlaceholderProvider();
+
+      expect(await provider.estimate('110001', '110002')).toEqual({ distanceKm: null, estimatedRideDurationHours: 1 });
+      expect(await provider.estimate('110001', '110001')).toEqual({ distanceKm: null, estimatedRideDurationHours: 0.5 });
+    });
+  });
+
+  describe('OsrmProvider', () => {
+    let server;
+    let baseUrl;
+    let lastPath;
+    let respond;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        lastPath = req.url;
+        respond(res);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should convert an OSRM route into distance and duration', async () => {
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 'Ok', routes: [{ distance: 148250, duration: 11700 }] }));
+      };
+      const provider = new OsrmProvider({ baseUrl });
+
+      const result = await provider.estimate('400001', '411001');
+
+      expect(lastPath).toBe('/route/v1/driving/72.835,18.934;73.8567,18.5204?overview=false');
+      expect(result).toEqual({ distanceKm: 148.3, estimatedRideDurationHours: 3.25 });
+    });
+
+    test('should reject when no route is returned', async () => {
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 'NoRoute', routes: [] }));
+      };
+      const provider = new OsrmProvider({ baseUrl });
+
+      await expect(provider.estimate('400001', '411001')).rejects.toThrow('OSRM returned no route (NoRoute)');
+    });
+
+    test('should reject when the service does not answer in time', async () => {
+      respond = (res) => {
+        setTimeout(() => res.end('{}'), 200);
+      };
+      const provider = new OsrmProvider({ baseUrl, timeoutMs: 20 });
+
+      await expect(provider.estimate('400001', '411001')).rejects.toThrow('OSRM request timed out after 20ms');
+    });
+  });
+});
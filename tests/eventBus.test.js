@@ -0,0 +1,101 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { publishEvent, subscribe, getEventsSince, clearEvents } = require('../utils/eventBus');
+
+/**
+ * Session double with the parts of a MongoDB ClientSession the bus uses
+ */
+function createSession() {
+  const session = new EventEmitter();
+  session.transaction = { isCommitted: false };
+  session.inTransaction = () => !session.ended;
+  session.end = committed => {
+    session.transaction.isCommitted = committed;
+    session.ended = true;
+    session.emit('ended', session);
+  };
+  return session;
+}
+
+describe('Event bus', () => {
+  let received;
+  let unsubscribe;
+
+  beforeEach(() => {
+    clearEvents();
+    received = [];
+    unsubscribe = subscribe(event => received.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  test('should number events and pass them to listeners', () => {
+    publishEvent('vehicle.added', { vehicleId: 'v1', data: { vehicle: { name: 'Truck' } } });
+    publishEvent('booking.created', { customerId: 'c1', vehicleId: 'v1', data: {} });
+
+    expect(received.map(event => event.type)).toEqual(['vehicle.added', 'booking.created']);
+    expect(received[1].id).toBe(received[0].id + 1);
+    expect(received[0].data.vehicle.name).toBe('Truck');
+  });
+
+  test('should stop passing events once unsubscribed', () => {
+    unsubscribe();
+    publishEvent('vehicle.added', { vehicleId: 'v1', data: {} });
+
+    expect(received).toEqual([]);
+  });
+
+  test('should hold events back until the transaction commits', () => {
+    const committed = createSession();
+    const aborted = createSession();
+
+    publishEvent('booking.created', { customerId: 'c1', data: {} }, committed);
+    publishEvent('booking.created', { customerId: 'c2', data: {} }, aborted);
+    expect(received).toEqual([]);
+
+    aborted.end(false);
+    committed.end(true);
+
+    expect(received.map(event => event.customerId)).toEqual(['c1']);
+  });
+
+  describe('getEventsSince', () => {
+    test('should return the events after a cursor', () => {
+      publishEvent('vehicle.added', { vehicleId: 'v1', data: {} });
+      publishEvent('vehicle.added', { vehicleId: 'v2', data: {} });
+      publishEvent('vehicle.added', { vehicleId: 'v3', data: {} });
+
+      const missed = getEventsSince(received[0].id);
+
+      expect(missed.map(event => event.vehicleId)).toEqual(['v2', 'v3']);
+      expect(getEventsSince(received[2].id)).toEqual([]);
+    });
+
+    test('should report cursors whose events are no longer kept', () => {
+      const { bufferSize } = config.events;
+      config.events.bufferSize = 2;
+
+      try {
+        publishEvent('vehicle.added', { vehicleId: 'v1', data: {} });
+        publishEvent('vehicle.added', { vehicleId: 'v2', data: {} });
+        publishEvent('vehicle.added', { vehicleId: 'v3', data: {} });
+        publishEvent('vehicle.added', { vehicleId: 'v4', data: {} });
+
+        expect(getEventsSince(received[0].id)).toBeNull();
+        expect(getEventsSince(received[1].id)).toHaveLength(2);
+      } finally {
+        config.events.bufferSize = bufferSize;
+      }
+    });
+
+    test('should report cursors that are not ours', () => {
+      publishEvent('vehicle.added', { vehicleId: 'v1', data: {} });
+
+      expect(getEventsSince(received[0].id + 100)).toBeNull();
+      expect(getEventsSince(NaN)).toBeNull();
+      expect(getEventsSince(1)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,185 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const dispatcherAuth = authHeader('dispatcher');
+
+/**
+ * Open an event stream and collect its events as they arrive
+ *
+ * @param {object} server - Listening HTTP server
+ * @param {object} headers - Request headers
+ * @returns {Promise<object>} { events, waitFor(type), close() }
+ */
+function openStream(server, headers, path = '/api/events') {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiting = [];
+    let buffered = '';
+
+    const req = http.get({ port: server.address().port, path, headers }, res => {
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffered += chunk;
+        const blocks = buffered.split('\n\n');
+        buffered = blocks.pop();
+
+        blocks.forEach(block => {
+          const fields = Object.fromEntries(block.split('\n')
+            .filter(line => line && !line.startsWith(':'))
+            .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+          if (fields.event) {
+            events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+            waiting.forEach(check => check());
+          }
+        });
+      });
+
+      resolve({
+        status: res.statusCode,
+        events,
+        waitFor: type => new Promise(done => {
+          const check = () => {
+            const event = events.find(entry => entry.type === type);
+            if (event) done(event);
+          };
+          waiting.push(check);
+          check();
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('Event API', () => {
+  let server;
+  let testVehicle;
+
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    server = app.listen(0);
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+
+    testVehicle = await Vehicle.create({
+      name: 'Test Truck',
+      capacityKg: 5000,
+      tyres: 6
+    });
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    server.close();
+    await mongoose.connection.close();
+  });
+
+  const bookRide = customerId => request(app)
+    .post('/api/bookings')
+    .set('Authorization', dispatcherAuth)
+    .send({
+      vehicleId: testVehicle._id.toString(),
+      customerId,
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    })
+    .expect(201);
+
+  test('should push bookings as they are created and change status', async () => {
+    const stream = await openStream(server, { Authorization: dispatcherAuth });
+
+    const response = await bookRide('customer-1');
+    const created = await stream.waitFor('booking.created');
+    expect(created.data.booking.id).toBe(response.body.booking._id);
+    expect(created.data.booking.vehicleId).toBe(testVehicle._id.toString());
+
+    await request(app)
+      .post(`/api/bookings/${response.body.booking._id}/cancel`)
+      .set('Authorization', dispatcherAuth)
+      .send({ reason: 'Plans changed' })
+      .expect(200);
+    const changed = await stream.waitFor('booking.statusChanged');
+    expect(changed.data.from).toBe('confirmed');
+    expect(changed.data.to).toBe('cancelled');
+
+    stream.close();
+  });
+
+  test('should only send customers their own bookings', async () => {
+    const stream = await openStream(server, {
+      Authorization: authHeader('customer', { customerId: 'customer-2' })
+    });
+
+    await bookRide('customer-1');
+    await bookRide('customer-2');
+    await stream.waitFor('booking.created');
+
+    expect(stream.events.map(event => event.data.booking.customerId)).toEqual(['customer-2']);
+    stream.close();
+  });
+
+  test('should filter by vehicle and event type', async () => {
+    const stream = await openStream(
+      server,
+      { Authorization: dispatcherAuth },
+      `/api/events?vehicleId=${testVehicle._id}&types=vehicle.updated`
+    );
+
+    await request(app)
+      .patch(`/api/vehicles/${testVehicle._id}`)
+      .set('Authorization', authHeader('admin'))
+      .send({ name: 'Renamed Truck' })
+      .expect(200);
+    await bookRide('customer-1');
+
+    const updated = await stream.waitFor('vehicle.updated');
+    expect(updated.data.changedFields).toEqual(['name']);
+    expect(stream.events.map(event => event.type)).toEqual(['vehicle.updated']);
+    stream.close();
+  });
+
+  test('should replay missed events to reconnecting clients', async () => {
+    const first = await openStream(server, { Authorization: dispatcherAuth });
+    await bookRide('customer-1');
+    const seen = await first.waitFor('booking.created');
+    first.close();
+
+    await bookRide('customer-2');
+
+    const reconnected = await openStream(server, { Authorization: dispatcherAuth, 'Last-Event-ID': seen.id });
+    const missed = await reconnected.waitFor('booking.created');
+    expect(missed.data.booking.customerId).toBe('customer-2');
+    reconnected.close();
+
+    const stale = await openStream(server, { Authorization: dispatcherAuth, 'Last-Event-ID': '1' });
+    await stale.waitFor('stream.reset');
+    stale.close();
+  });
+
+  test('should refuse unknown event types', async () => {
+    await request(app)
+      .get('/api/events?types=booking.deleted')
+      .set('Authorization', dispatcherAuth)
+      .expect(400);
+  });
+});
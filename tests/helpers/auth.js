@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const { signAccessToken } = require('../../utils/tokens');
+
+/**
+ * Build an Authorization header for a user with the given role
+ *
+ * @param {string} role - admin, dispatcher, customer or driver
+ * @param {object} [claims] - Extra user fields such as customerId or _id
+ * @returns {string} Bearer header value
+ */
+function authHeader(role, claims = {}) {
+  const user = { _id: new mongoose.Types.ObjectId(), role, ...claims };
+  return `Bearer ${signAccessToken(user)}`;
+}
+
+module.exports = {
+  authHeader
+};
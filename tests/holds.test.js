@@ -0,0 +1,209 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const dispatcherAuth = authHeader('dispatcher');
+
+describe('Hold API', () => {
+  let testVehicle;
+  let holdRequest;
+
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Hold.deleteMany({});
+
+    testVehicle = await Vehicle.create({
+      name: 'Test Truck',
+      capacityKg: 5000,
+      tyres: 6
+    });
+
+    holdRequest = {
+      vehicleId: testVehicle._id.toString(),
+      customerId: 'customer-1',
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    };
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Hold.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/holds', () => {
+    test('should hold a free vehicle', async () => {
+      const response = await request(app)
+        .post('/api/holds')
+        .set('Authorization', dispatcherAuth)
+        .send(holdRequest)
+        .expect(201);
+
+      expect(response.body.hold.vehicleId).toBe(testVehicle._id.toString());
+      expect(new Date(response.body.hold.expiresAt).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should reject a second hold on the same slot', async () => {
+      await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+
+      const response = await request(app)
+        .post('/api/holds')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...holdRequest, customerId: 'customer-2' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Booking Conflict');
+      expect(response.body.conflictingHolds).toHaveLength(1);
+    });
+  });
+
+  describe('access to holds', () => {
+    test('should not let drivers list or release holds', async () => {
+      const hold = (await request(app)
+        .post('/api/holds')
+        .set('Authorization', dispatcherAuth)
+        .send(holdRequest)
+        .expect(201)).body.hold;
+      const driverAuth = authHeader('driver');
+
+      await request(app).get('/api/holds').set('Authorization', driverAuth).expect(403);
+      await request(app).delete(`/api/holds/${hold._id}`).set('Authorization', driverAuth).expect(403);
+      expect(await Hold.countDocuments({})).toBe(1);
+    });
+
+    test('should hide other customers\' holds from customers', async () => {
+      const hold = (await request(app)
+        .post('/api/holds')
+        .set('Authorization', dispatcherAuth)
+        .send(holdRequest)
+        .expect(201)).body.hold;
+      const otherCustomerAuth = authHeader('customer', { customerId: 'customer-2' });
+
+      const response = await request(app)
+        .get('/api/holds?customerId=customer-1')
+        .set('Authorization', otherCustomerAuth)
+        .expect(200);
+      expect(response.body.holds).toHaveLength(0);
+
+      await request(app).delete(`/api/holds/${hold._id}`).set('Authorization', otherCustomerAuth).expect(404);
+      expect(await Hold.countDocuments({})).toBe(1);
+    });
+  });
+
+  describe('holds as conflicts', () => {
+    test('should hide held vehicles from availability search', async () => {
+      await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+
+      const response = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', dispatcherAuth)
+        .query({
+          capacityRequired: 1000,
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: holdRequest.startTime
+        })
+        .expect(200);
+
+      expect(response.body.availableVehicles).toHaveLength(0);
+    });
+
+    test('should block bookings by other customers', async () => {
+      await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...holdRequest, customerId: 'customer-2' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Booking Conflict');
+    });
+
+    test('should ignore expired holds', async () => {
+      const holdResponse = await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+      await Hold.updateOne({ _id: holdResponse.body.hold._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...holdRequest, customerId: 'customer-2' })
+        .expect(201);
+    });
+  });
+
+  describe('POST /api/bookings with holdId', () => {
+    test('should convert the hold into a booking', async () => {
+      const holdResponse = await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...holdRequest, holdId: holdResponse.body.hold._id })
+        .expect(201);
+
+      expect(response.body.booking.status).toBe('confirmed');
+      expect(await Hold.countDocuments()).toBe(0);
+    });
+
+    test('should reject an expired hold', async () => {
+      const holdResponse = await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+      await Hold.updateOne({ _id: holdResponse.body.hold._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...holdRequest, holdId: holdResponse.body.hold._id })
+        .expect(410);
+
+      expect(response.body.error).toBe('Hold Expired');
+    });
+
+    test('should reject a hold for different details', async () => {
+      const holdResponse = await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...holdRequest, customerId: 'customer-2', holdId: holdResponse.body.hold._id })
+        .expect(409);
+
+      expect(response.body.error).toBe('Hold Mismatch');
+      expect(response.body.mismatchedFields).toEqual(['customerId']);
+    });
+  });
+
+  describe('hold counts', () => {
+    test('should show active hold count per vehicle', async () => {
+      await request(app).post('/api/holds').set('Authorization', dispatcherAuth).send(holdRequest).expect(201);
+
+      const response = await request(app)
+        .get('/api/vehicles')
+        .set('Authorization', dispatcherAuth)
+        .expect(200);
+
+      expect(response.body.vehicles[0].activeHoldCount).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const dispatcherAuth = authHeader('dispatcher');
+const HOUR = 60 * 60 * 1000;
+
+describe('Maintenance Window API', () => {
+  let testVehicle;
+  let tomorrow;
+
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Hold.deleteMany({});
+    await MaintenanceWindow.deleteMany({});
+
+    testVehicle = await Vehicle.create({
+      name: 'Test Truck',
+      capacityKg: 5000,
+      tyres: 6
+    });
+
+    tomorrow = new Date(Date.now() + 24 * HOUR);
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Hold.deleteMany({});
+    await MaintenanceWindow.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createBooking = (startTime, hours = 2) => Booking.create({
+    vehicleId: testVehicle._id,
+    customerId: 'customer-1',
+    fromPincode: '110001',
+    toPincode: '110002',
+    startTime,
+    endTime: new Date(startTime.getTime() + hours * HOUR),
+    estimatedRideDurationHours: hours
+  });
+
+  describe('POST /api/maintenance-windows', () => {
+    test('should schedule maintenance on a free vehicle', async () => {
+      const response = await request(app)
+        .post('/api/maintenance-windows')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          startTime: tomorrow.toISOString(),
+          endTime: new Date(tomorrow.getTime() + 8 * HOUR).toISOString(),
+          reason: 'Annual service'
+        })
+        .expect(201);
+
+      expect(response.body.maintenanceWindow.type).toBe('scheduled');
+      expect(response.body.affectedBookings).toEqual([]);
+    });
+
+    test('should refuse scheduled maintenance over a booking', async () => {
+      await createBooking(new Date(tomorrow.getTime() + 2 * HOUR));
+
+      const response = await request(app)
+        .post('/api/maintenance-windows')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          startTime: tomorrow.toISOString(),
+          endTime: new Date(tomorrow.getTime() + 8 * HOUR).toISOString()
+        })
+        .expect(409);
+
+      expect(response.body.error).toBe('Vehicle Has Bookings');
+      expect(response.body.affectedBookings).toHaveLength(1);
+      expect(await MaintenanceWindow.countDocuments()).toBe(0);
+    });
+
+    test('should record a breakdown and flag the affected bookings', async () => {
+      const booking = await createBooking(new Date(tomorrow.getTime() + 2 * HOUR));
+
+      const response = await request(app)
+        .post('/api/maintenance-windows')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          type: 'breakdown',
+          startTime: new Date().toISOString(),
+          endTime: new Date(tomorrow.getTime() + 8 * HOUR).toISOString(),
+          reason: 'Gearbox failure'
+        })
+        .expect(201);
+
+      expect(response.body.affectedBookings.map(entry => entry.id)).toEqual([booking._id.toString()]);
+
+      const flagged = await Booking.findById(booking._id);
+      expect(flagged.flags.map(flag => flag.code)).toEqual(['vehicle_breakdown']);
+    });
+
+    test('should reject overlapping maintenance windows', async () => {
+      await MaintenanceWindow.create({
+        vehicleId: testVehicle._id,
+        startTime: tomorrow,
+        endTime: new Date(tomorrow.getTime() + 4 * HOUR)
+      });
+
+      const response = await request(app)
+        .post('/api/maintenance-windows')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          type: 'breakdown',
+          startTime: new Date(tomorrow.getTime() + 2 * HOUR).toISOString(),
+          endTime: new Date(tomorrow.getTime() + 6 * HOUR).toISOString()
+        })
+        .expect(409);
+
+      expect(response.body.error).toBe('Maintenance Conflict');
+    });
+
+    test('should reject windows that end before they start', async () => {
+      await request(app)
+        .post('/api/maintenance-windows')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          startTime: tomorrow.toISOString(),
+          endTime: new Date(tomorrow.getTime() - HOUR).toISOString()
+        })
+        .expect(400);
+    });
+
+    test('should not let customers create windows', async () => {
+      await request(app)
+        .post('/api/maintenance-windows')
+        .set('Authorization', authHeader('customer', { customerId: 'customer-1' }))
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          startTime: tomorrow.toISOString(),
+          endTime: new Date(tomorrow.getTime() + HOUR).toISOString()
+        })
+        .expect(403);
+    });
+  });
+
+  describe('Maintenance windows blocking the vehicle', () => {
+    beforeEach(async () => {
+      await MaintenanceWindow.create({
+        vehicleId: testVehicle._id,
+        startTime: tomorrow,
+        endTime: new Date(tomorrow.getTime() + 12 * HOUR)
+      });
+    });
+
+    test('should reject bookings during maintenance', async () => {
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({
+          vehicleId: testVehicle._id.toString(),
+          customerId: 'customer-1',
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(tomorrow.getTime() + HOUR).toISOString()
+        })
+        .expect(409);
+
+      expect(response.body.error).toBe('Booking Conflict');
+      expect(response.body.conflictingMaintenanceWindows).toHaveLength(1);
+    });
+
+    test('should leave the vehicle out of availability searches', async () => {
+      const response = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', dispatcherAuth)
+        .query({
+          capacityRequired: 1000,
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(tomorrow.getTime() + HOUR).toISOString()
+        })
+        .expect(200);
+
+      expect(response.body.availableVehicles).toHaveLength(0);
+    });
+
+    test('should show maintenance on the vehicle schedule', async () => {
+      const response = await request(app)
+        .get(`/api/vehicles/${testVehicle._id}/schedule`)
+        .set('Authorization', dispatcherAuth)
+        .query({ from: tomorrow.toISOString(), to: new Date(tomorrow.getTime() + 24 * HOUR).toISOString() })
+        .expect(200);
+
+      expect(response.body.timeline.map(entry => entry.type)).toEqual(['maintenance', 'free']);
+    });
+  });
+
+  describe('Updating and deleting windows', () => {
+    let maintenanceWindow;
+
+    beforeEach(async () => {
+      maintenanceWindow = await MaintenanceWindow.create({
+        vehicleId: testVehicle._id,
+        startTime: tomorrow,
+        endTime: new Date(tomorrow.getTime() + 2 * HOUR)
+      });
+    });
+
+    test('should refuse to extend scheduled maintenance over a booking', async () => {
+      await createBooking(new Date(tomorrow.getTime() + 3 * HOUR));
+
+      await request(app)
+        .patch(`/api/maintenance-windows/${maintenanceWindow._id}`)
+        .set('Authorization', dispatcherAuth)
+        .send({ endTime: new Date(tomorrow.getTime() + 4 * HOUR).toISOString() })
+        .expect(409);
+    });
+
+    test('should reject changes to the vehicle', async () => {
+      await request(app)
+        .patch(`/api/maintenance-windows/${maintenanceWindow._id}`)
+        .set('Authorization', dispatcherAuth)
+        .send({ vehicleId: new mongoose.Types.ObjectId().toString() })
+        .expect(400);
+    });
+
+    test('should list windows of a vehicle', async () => {
+      const response = await request(app)
+        .get('/api/maintenance-windows')
+        .set('Authorization', dispatcherAuth)
+        .query({ vehicleId: testVehicle._id.toString() })
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.maintenanceWindows[0].vehicleId.name).toBe('Test Truck');
+    });
+
+    test('should delete a window', async () => {
+      await request(app)
+        .delete(`/api/maintenance-windows/${maintenanceWindow._id}`)
+        .set('Authorization', dispatcherAuth)
+        .expect(200);
+
+      expect(await MaintenanceWindow.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const {
+  UnknownPincodeError,
+  getPincodeLocation,
+  haversineDistanceKm,
+  getRoadDistanceKm
+} = require('../utils/pincodeGeo');
+
+describe('Pincode Geodata', () => {
+  describe('getPincodeLocation', () => {
+    test('should return location details for a known pincode', () => {
+      const location = getPincodeLocation('110001');
+
+      expect(location.pincode).toBe('110001');
+      expect(location.district).toBe('New Delhi');
+      expect(location.state).toBe('Delhi');
+      expect(location.latitude).toBeCloseTo(28.63, 1);
+      expect(location.longitude).toBeCloseTo(77.22, 1);
+    });
+
+    test('should return null for an unknown pincode', () => {
+      expect(getPincodeLocation('999999')).toBeNull();
+    });
+  });
+
+  describe('haversineDistanceKm', () => {
+    test('should compute great-circle distance', () => {
+      const delhi = { latitude: 28.6328, longitude: 77.2197 };
+      const mumbai = { latitude: 18.9340, longitude: 72.8350 };
+
+      expect(haversineDistanceKm(delhi, mumbai)).toBeCloseTo(1166.8, 0);
+      expect(haversineDistanceKm(delhi, delhi)).toBe(0);
+    });
+  });
+
+  describe('getRoadDistanceKm', () => {
+    test('should apply the road factor to straight-line distance', () => {
+      expect(getRoadDistanceKm('400001', '411001')).toBe(152.1);
+    });
+
+    test('should report every unknown pincode', () => {
+      expect.assertions(3);
+      try {
+        getRoadDistanceKm('999998', '999999');
+      } catch (error) {
+        expect(error).toBeInstanceOf(UnknownPincodeError);
+        expect(error.name).toBe('UnknownPincodeError');
+        expect(error.unknownPincodes).toEqual(['999998', '999999']);
+      }
+    });
+  });
+});
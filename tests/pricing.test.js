@@ -0,0 +1,111 @@
+const { calculatePrice } = require('../utils/pricing');
+
+describe('Pricing', () => {
+  const settings = {
+    currency: 'INR',
+    baseFare: 300,
+    perKgCapacityRate: 0.05,
+    perKmRate: 12,
+    perExtraTyreKmRate: 2,
+    perHourRate: 150,
+    nightSurchargePercentage: 15,
+    nightStartHour: 22,
+    nightEndHour: 6,
+    weekendSurchargePercentage: 10,
+    timezoneOffsetMinutes: 330
+  };
+  const vehicle = { capacityKg: 5000, tyres: 6 };
+  // Wednesday 10:00 IST
+  const weekdayMorning = new Date('2023-10-25T04:30:00Z');
+
+  const codes = price => price.lineItems.map(item => item.code);
+
+  test('should itemise base fare, distance and duration', () => {
+    const price = calculatePrice({
+      vehicle,
+      distanceKm: 100,
+      estimatedRideDurationHours: 2.5,
+      startTime: weekdayMorning
+    }, null, settings);
+
+    expect(price.lineItems).toEqual([
+      { code: 'base_fare', description: 'Base fare (5000 kg capacity)', amount: 550 },
+      { code: 'distance', description: '100 km at 16/km (6 tyres)', amount: 1600 },
+      { code: 'duration', description: '2.5 h at 150/h', amount: 375 }
+    ]);
+    expect(price.subtotal).toBe(2525);
+    expect(price.totalCost).toBe(2525);
+    expect(price.currency).toBe('INR');
+    expect(price.rateCardId).toBeNull();
+  });
+
+  test('should skip the distance charge when distance is unknown', () => {
+    const price = calculatePrice({
+      vehicle,
+      distanceKm: null,
+      estimatedRideDurationHours: 1,
+      startTime: weekdayMorning
+    }, null, settings);
+
+    expect(codes(price)).toEqual(['base_fare', 'duration']);
+    expect(price.totalCost).toBe(700);
+  });
+
+  test('should add a night surcharge in local time', () => {
+    // Wednesday 23:30 IST
+    const price = calculatePrice({
+      vehicle,
+      distanceKm: 100,
+      estimatedRideDurationHours: 2.5,
+      startTime: new Date('2023-10-25T18:00:00Z')
+    }, null, settings);
+
+    expect(codes(price)).toContain('night_surcharge');
+    expect(price.totalCost).toBe(2903.75);
+  });
+
+  test('should add a weekend surcharge', () => {
+    // Saturday 10:00 IST
+    const price = calculatePrice({
+      vehicle,
+      distanceKm: 100,
+      estimatedRideDurationHours: 2.5,
+      startTime: new Date('2023-10-28T04:30:00Z')
+    }, null, settings);
+
+    expect(codes(price)).toEqual(['base_fare', 'distance', 'duration', 'weekend_surcharge']);
+    expect(price.totalCost).toBe(2777.5);
+  });
+
+  test('should apply customer rate card rates and discount', () => {
+    const rateCard = { _id: 'card-1', perKmRate: 10, discountPercentage: 10 };
+
+    const price = calculatePrice({
+      vehicle,
+      distanceKm: 100,
+      estimatedRideDurationHours: 2.5,
+      startTime: weekdayMorning
+    }, rateCard, settings);
+
+    expect(price.subtotal).toBe(2325);
+    expect(price.lineItems[price.lineItems.length - 1]).toEqual({
+      code: 'customer_discount',
+      description: 'Customer discount (10%)',
+      amount: -232.5
+    });
+    expect(price.totalCost).toBe(2092.5);
+    expect(price.rateCardId).toBe('card-1');
+  });
+
+  test('should top up to the rate card minimum charge', () => {
+    const price = calculatePrice({
+      vehicle: { capacityKg: 1000, tyres: 4 },
+      distanceKm: 3,
+      estimatedRideDurationHours: 0.5,
+      startTime: weekdayMorning
+    }, { minimumCharge: 1000 }, settings);
+
+    expect(codes(price)).toContain('minimum_charge');
+    expect(price.totalCost).toBe(1000);
+  });
+});
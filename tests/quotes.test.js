@@ -0,0 +1,150 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Quote = require('../models/Quote');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const dispatcherAuth = authHeader('dispatcher');
+
+describe('Quote API', () => {
+  let testVehicle;
+  let quoteRequest;
+
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Quote.deleteMany({});
+
+    testVehicle = await Vehicle.create({
+      name: 'Test Truck',
+      capacityKg: 5000,
+      tyres: 6
+    });
+
+    quoteRequest = {
+      vehicleId: testVehicle._id.toString(),
+      customerId: 'test-customer-123',
+      fromPincode: '400001',
+      toPincode: '411001',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+    };
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await Quote.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe('POST /api/quotes', () => {
+    test('should return a price, duration and expiry', async () => {
+      const response = await request(app)
+        .post('/api/quotes')
+        .set('Authorization', dispatcherAuth)
+        .send(quoteRequest)
+        .expect(201);
+
+      const { quote } = response.body;
+      expect(quote._id).toBeDefined();
+      expect(quote.totalCost).toBeGreaterThan(0);
+      expect(quote.estimatedRideDurationHours).toBeGreaterThan(0);
+      expect(new Date(quote.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(quote.isValid).toBe(true);
+    });
+
+    test('should validate inputs like bookings do', async () => {
+      const response = await request(app)
+        .post('/api/quotes')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...quoteRequest, fromPincode: '12345' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('POST /api/bookings with quoteId', () => {
+    test('should honour the locked price', async () => {
+      const quoteResponse = await request(app).post('/api/quotes').set('Authorization', dispatcherAuth).send(quoteRequest).expect(201);
+      const quote = quoteResponse.body.quote;
+
+      // Prices may change after the quote was issued
+      await Quote.updateOne({ _id: quote._id }, { totalCost: 1234, 'priceBreakdown.totalCost': 1234 });
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...quoteRequest, quoteId: quote._id })
+        .expect(201);
+
+      expect(response.body.booking.totalCost).toBe(1234);
+      expect(response.body.booking.quoteId).toBe(quote._id);
+
+      const usedQuote = await Quote.findById(quote._id);
+      expect(usedQuote.usedAt).not.toBeNull();
+      expect(usedQuote.bookingId.toString()).toBe(response.body.booking._id);
+    });
+
+    test('should reject expired quotes', async () => {
+      const quoteResponse = await request(app).post('/api/quotes').set('Authorization', dispatcherAuth).send(quoteRequest).expect(201);
+      await Quote.updateOne({ _id: quoteResponse.body.quote._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...quoteRequest, quoteId: quoteResponse.body.quote._id })
+        .expect(410);
+
+      expect(response.body.error).toBe('Quote Expired');
+    });
+
+    test('should reject quotes for different booking details', async () => {
+      const quoteResponse = await request(app).post('/api/quotes').set('Authorization', dispatcherAuth).send(quoteRequest).expect(201);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...quoteRequest, toPincode: '411014', quoteId: quoteResponse.body.quote._id })
+        .expect(409);
+
+      expect(response.body.error).toBe('Quote Mismatch');
+      expect(response.body.mismatchedFields).toEqual(['toPincode']);
+    });
+
+    test('should not allow a quote to be used twice', async () => {
+      const quoteResponse = await request(app).post('/api/quotes').set('Authorization', dispatcherAuth).send(quoteRequest).expect(201);
+      const quoteId = quoteResponse.body.quote._id;
+
+      const first = await request(app).post('/api/bookings').set('Authorization', dispatcherAuth).send({ ...quoteRequest, quoteId }).expect(201);
+      await request(app)
+        .post(`/api/bookings/${first.body.booking._id}/cancel`)
+        .set('Authorization', dispatcherAuth)
+        .send({ reason: 'Retry', cancelledBy: 'test-customer-123' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/bookings')
+        .set('Authorization', dispatcherAuth)
+        .send({ ...quoteRequest, quoteId })
+        .expect(409);
+
+      expect(response.body.error).toBe('Quote Already Used');
+    });
+  });
+});
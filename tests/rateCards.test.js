@@ -0,0 +1,90 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const RateCard = require('../models/RateCard');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const adminAuth = authHeader('admin');
+
+describe('Rate Card API', () => {
+  beforeAll(async () => {
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await RateCard.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await RateCard.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe('PUT /api/rate-cards/:customerId', () => {
+    test('should create a rate card', async () => {
+      const response = await request(app)
+        .put('/api/rate-cards/customer-1')
+        .set('Authorization', adminAuth)
+        .send({ perKmRate: 10, discountPercentage: 5 })
+        .expect(200);
+
+      expect(response.body.rateCard.customerId).toBe('customer-1');
+      expect(response.body.rateCard.perKmRate).toBe(10);
+      expect(response.body.rateCard.isActive).toBe(true);
+    });
+
+    test('should replace an existing rate card', async () => {
+      await RateCard.create({ customerId: 'customer-1', perKmRate: 10, minimumCharge: 500 });
+
+      const response = await request(app)
+        .put('/api/rate-cards/customer-1')
+        .set('Authorization', adminAuth)
+        .send({ perHourRate: 120 })
+        .expect(200);
+
+      expect(response.body.rateCard.perHourRate).toBe(120);
+      expect(response.body.rateCard.perKmRate).toBeUndefined();
+      expect(await RateCard.countDocuments()).toBe(1);
+    });
+
+    test('should reject non-numeric rates', async () => {
+      const response = await request(app)
+        .put('/api/rate-cards/customer-1')
+        .set('Authorization', adminAuth)
+        .send({ perKmRate: 'cheap' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('should reject discounts above 100%', async () => {
+      const response = await request(app)
+        .put('/api/rate-cards/customer-1')
+        .set('Authorization', adminAuth)
+        .send({ discountPercentage: 150 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
+  describe('GET /api/rate-cards/:customerId', () => {
+    test('should return 404 for customers without a rate card', async () => {
+      const response = await request(app)
+        .get('/api/rate-cards/unknown-customer')
+        .set('Authorization', adminAuth)
+        .expect(404);
+
+      expect(response.body.error).toBe('Not Found');
+    });
+  });
+});
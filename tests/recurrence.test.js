@@ -0,0 +1,67 @@
+const { validateRecurrence, expandRecurrence } = require('../utils/recurrence');
+
+// 2030-01-07 is a Monday; 08:00 UTC
+const monday = new Date(Date.UTC(2030, 0, 7, 8));
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Recurrence', () => {
+  describe('validateRecurrence', () => {
+    test('should normalise a valid rule', () => {
+      const result = validateRecurrence({ freq: 'weekly', byDay: ['MO', 'WE'], count: 4 }, { maxOccurrences: 100 });
+
+      expect(result).toEqual({
+        isValid: true,
+        rule: { freq: 'weekly', interval: 1, byDay: ['MO', 'WE'], count: 4, until: null }
+      });
+    });
+
+    test('should require exactly one of count and until', () => {
+      expect(validateRecurrence({ freq: 'daily' }).isValid).toBe(false);
+      expect(validateRecurrence({ freq: 'daily', count: 2, until: '2030-02-01' }).isValid).toBe(false);
+    });
+
+    test('should reject unknown weekdays and frequencies', () => {
+      expect(validateRecurrence({ freq: 'daily', byDay: ['XX'], count: 2 }).isValid).toBe(false);
+      expect(validateRecurrence({ freq: 'monthly', count: 2 }).isValid).toBe(false);
+    });
+
+    test('should cap the number of occurrences', () => {
+      expect(validateRecurrence({ freq: 'daily', count: 101 }, { maxOccurrences: 100 }).isValid).toBe(false);
+    });
+  });
+
+  describe('expandRecurrence', () => {
+    test('should repeat every weekday', () => {
+      const { rule } = validateRecurrence({ freq: 'daily', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], count: 6 });
+
+      const occurrences = expandRecurrence(monday, rule, 0);
+
+      // Monday to Friday, then the next Monday
+      expect(occurrences.map(time => (time - monday) / DAY)).toEqual([0, 1, 2, 3, 4, 7]);
+    });
+
+    test('should repeat on the start weekday every other week until a date', () => {
+      const { rule } = validateRecurrence({ freq: 'weekly', interval: 2, until: new Date(monday.getTime() + 30 * DAY) });
+
+      const occurrences = expandRecurrence(monday, rule, 0);
+
+      expect(occurrences.map(time => (time - monday) / DAY)).toEqual([0, 14, 28]);
+    });
+
+    test('should take weekdays in local time', () => {
+      // 20:00 UTC on Monday is already Tuesday in IST
+      const lateMonday = new Date(Date.UTC(2030, 0, 7, 20));
+      const { rule } = validateRecurrence({ freq: 'daily', byDay: ['TU'], count: 2 });
+
+      const occurrences = expandRecurrence(lateMonday, rule, 330);
+
+      expect(occurrences.map(time => (time - lateMonday) / DAY)).toEqual([0, 7]);
+    });
+
+    test('should stop at the limit', () => {
+      const { rule } = validateRecurrence({ freq: 'daily', until: new Date(monday.getTime() + 365 * DAY) });
+
+      expect(expandRecurrence(monday, rule, 0, 10)).toHaveLength(10);
+    });
+  });
+});
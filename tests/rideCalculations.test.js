@@ -1,4 +1,6 @@
 const {
+  getVehicleClass,
+  estimateRide,
   calculateRideDuration,
   doTimeRangesOverlap,
   calculateEndTime,
@@ -7,15 +9,27 @@ const {
 
 describe('Ride Calculations', () => {
   describe('calculateRideDuration', () => {
-    test('should calculate duration correctly for valid pincodes', () => {
-      expect(calculateRideDuration('110001', '110002')).toBe(1);
-      expect(calculateRideDuration('110001', '110025')).toBe(24);
-      expect(calculateRideDuration('110025', '110001')).toBe(24);
-      expect(calculateRideDuration('400001', '400051')).toBe(50 % 24); // 2 hours
+    test('should calculate duration from road distance', () => {
+      // Mumbai Fort -> Pune: ~152 km at 40 km/h for an unspecified vehicle
+      expect(calculateRideDuration('400001', '411001')).toBe(3.8);
+      expect(calculateRideDuration('411001', '400001')).toBe(3.8);
+    });
+
+    test('should use the average speed of the vehicle class', () => {
+      const lightVehicle = { capacityKg: 1000, tyres: 4 };
+      const heavyVehicle = { capacityKg: 20000, tyres: 12 };
+
+      expect(calculateRideDuration('400001', '411001', lightVehicle)).toBe(3.38);
+      expect(calculateRideDuration('400001', '411001', heavyVehicle)).toBe(4.75);
     });
 
     test('should return minimum duration of 0.5 hours', () => {
       expect(calculateRideDuration('110001', '110001')).toBe(0.5);
+      expect(calculateRideDuration('110001', '110002')).toBe(0.5);
+    });
+
+    test('should throw UnknownPincodeError for pincodes missing from the dataset', () => {
+      expect(() => calculateRideDuration('999999', '110001')).toThrow('Unknown pincode(s): 999999');
     });
 
     test('should throw error for invalid pincodes', () => {
@@ -31,6 +45,24 @@ describe('Ride Calculations', () => {
     });
   });
 
+  describe('estimateRide', () => {
+    test('should return distance alongside duration', () => {
+      expect(estimateRide('400001', '411001')).toEqual({
+        distanceKm: 152.1,
+        estimatedRideDurationHours: 3.8
+      });
+    });
+  });
+
+  describe('getVehicleClass', () => {
+    test('should classify vehicles by capacity and tyres', () => {
+      expect(getVehicleClass({ capacityKg: 1000, tyres: 4 })).toBe('light');
+      expect(getVehicleClass({ capacityKg: 5000, tyres: 6 })).toBe('medium');
+      expect(getVehicleClass({ capacityKg: 25000, tyres: 12 })).toBe('heavy');
+      expect(getVehicleClass()).toBe('medium');
+    });
+  });
+
   describe('doTimeRangesOverlap', () => {
     const baseDate = new Date('2023-10-27T10:00:00Z');
     
@@ -0,0 +1,140 @@
+const {
+  mergeIntervals,
+  findFreeGaps,
+  findNearestStartTimes,
+  buildTimeline,
+  summariseUtilisation,
+  splitIntoBuckets,
+  bucketUtilisation
+} = require('../utils/schedule');
+
+const at = hour => new Date(Date.UTC(2030, 0, 1, hour));
+const HOUR = 60 * 60 * 1000;
+
+describe('Schedule helpers', () => {
+  describe('mergeIntervals', () => {
+    test('should merge overlapping and touching intervals', () => {
+      const merged = mergeIntervals([
+        { startTime: at(10), endTime: at(12) },
+        { startTime: at(8), endTime: at(9) },
+        { startTime: at(11), endTime: at(13) },
+        { startTime: at(13), endTime: at(14) }
+      ]);
+
+      expect(merged).toEqual([
+        { startTime: at(8), endTime: at(9) },
+        { startTime: at(10), endTime: at(14) }
+      ]);
+    });
+  });
+
+  describe('findFreeGaps', () => {
+    test('should return the gaps between busy intervals within the range', () => {
+      const gaps = findFreeGaps([
+        { startTime: at(6), endTime: at(9) },
+        { startTime: at(12), endTime: at(13) }
+      ], at(8), at(16));
+
+      expect(gaps).toEqual([
+        { startTime: at(9), endTime: at(12) },
+        { startTime: at(13), endTime: at(16) }
+      ]);
+    });
+
+    test('should return the whole range when nothing is booked', () => {
+      expect(findFreeGaps([], at(8), at(16))).toEqual([{ startTime: at(8), endTime: at(16) }]);
+    });
+  });
+
+  describe('findNearestStartTimes', () => {
+    const gaps = [
+      { startTime: at(0), endTime: at(9) },
+      { startTime: new Date(at(13).getTime() + 10 * 60 * 1000), endTime: at(20) }
+    ];
+
+    test('should find the closest start on each side of a busy request', () => {
+      const { before, after } = findNearestStartTimes(gaps, at(11), 2 * HOUR, { granularityMs: 15 * 60 * 1000 });
+
+      expect(before).toEqual(at(7));
+      // 13:10 is rounded up to the next quarter hour
+      expect(after).toEqual(new Date(at(13).getTime() + 15 * 60 * 1000));
+    });
+
+    test('should keep the requested start when it is free', () => {
+      const { after } = findNearestStartTimes(gaps, at(14), HOUR);
+
+      expect(after).toEqual(at(14));
+    });
+
+    test('should skip gaps that are too short', () => {
+      const { before, after } = findNearestStartTimes(gaps, at(11), 10 * HOUR);
+
+      expect(before).toBeNull();
+      expect(after).toBeNull();
+    });
+
+    test('should not suggest starts before notBefore', () => {
+      const { before } = findNearestStartTimes(gaps, at(11), 2 * HOUR, { notBefore: at(8) });
+
+      expect(before).toBeNull();
+    });
+  });
+
+  describe('buildTimeline', () => {
+    test('should interleave bookings with free gaps in order', () => {
+      const timeline = buildTimeline([
+        { type: 'booking', status: 'confirmed', startTime: at(12), endTime: at(14) },
+        { type: 'booking', status: 'completed', startTime: at(9), endTime: at(10) }
+      ], at(8), at(16));
+
+      expect(timeline.map(entry => [entry.type, entry.startTime.getUTCHours()])).toEqual([
+        ['free', 8],
+        ['booking', 9],
+        ['free', 10],
+        ['booking', 12],
+        ['free', 14]
+      ]);
+    });
+  });
+
+  describe('summariseUtilisation', () => {
+    test('should only count booked time inside the range', () => {
+      const utilisation = summariseUtilisation([
+        { startTime: at(6), endTime: at(10) },
+        { startTime: at(12), endTime: at(14) }
+      ], at(8), at(16));
+
+      expect(utilisation).toEqual({ bookedHours: 4, freeHours: 4, utilisationPercentage: 50 });
+    });
+  });
+
+  describe('splitIntoBuckets', () => {
+    test('should split into local days, clipping the first and last day', () => {
+      // 2030-01-01 is a Tuesday; IST midnight is 18:30 UTC the day before
+      const buckets = splitIntoBuckets(at(0), at(48), 'day', 330);
+
+      expect(buckets).toHaveLength(3);
+      expect(buckets[0]).toEqual({ startTime: at(0), endTime: new Date(Date.UTC(2030, 0, 1, 18, 30)) });
+      expect(buckets[2].endTime).toEqual(at(48));
+    });
+
+    test('should start weeks on Monday', () => {
+      const buckets = splitIntoBuckets(at(0), at(24 * 14), 'week', 0);
+
+      expect(buckets[1].startTime).toEqual(new Date(Date.UTC(2030, 0, 7)));
+      expect(buckets[1].startTime.getUTCDay()).toBe(1);
+    });
+  });
+
+  describe('bucketUtilisation', () => {
+    test('should report bookings and utilisation per day', () => {
+      const buckets = bucketUtilisation([
+        { startTime: at(6), endTime: at(12) },
+        { startTime: at(30), endTime: at(36) }
+      ], at(0), at(48), 'day', 0);
+
+      expect(buckets.map(bucket => bucket.bookingCount)).toEqual([1, 1]);
+      expect(buckets.map(bucket => bucket.utilisationPercentage)).toEqual([25, 25]);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { validateStops, findLoadProblems, planStops } = require('../utils/stops');
+const { DurationEstimator, getDurationEstimator, setDurationEstimator } = require('../utils/durationEstimator');
+const DurationProvider = require('../utils/durationProviders/DurationProvider');
+
+// Every leg between different pincodes is 50 km and takes one hour
+class FixedProvider extends DurationProvider {
+  async estimate() {
+    return { distanceKm: 50, estimatedRideDurationHours: 1 };
+  }
+}
+
+const at = hour => new Date(Date.UTC(2030, 0, 1, hour));
+const stops = [
+  { type: 'pickup', pincode: '110001', cargoDeltaKg: 800 },
+  { type: 'pickup', pincode: '110002', cargoDeltaKg: '400' },
+  { type: 'drop', pincode: '110003', cargoDeltaKg: -700 },
+  { type: 'drop', pincode: '110004', cargoDeltaKg: -500 }
+];
+
+describe('Stops', () => {
+  const originalEstimator = getDurationEstimator();
+
+  beforeAll(() => {
+    setDurationEstimator(new DurationEstimator({ providers: [new FixedProvider('fixed')] }));
+  });
+
+  afterAll(() => {
+    setDurationEstimator(originalEstimator);
+  });
+
+  describe('validateStops', () => {
+    test('should track the running load after each stop', () => {
+      const result = validateStops(stops, { maxStops: 10 });
+
+      expect(result.isValid).toBe(true);
+      expect(result.stops.map(stop => stop.loadKg)).toEqual([800, 1200, 500, 0]);
+      expect(result.peakLoadKg).toBe(1200);
+    });
+
+    test('should reject dropping more than is on board', () => {
+      const result = validateStops([stops[0], { type: 'drop', pincode: '110002', cargoDeltaKg: -900 }]);
+
+      expect(result.message).toBe('Stop 2: drops more cargo than is on board');
+    });
+
+    test('should require a pickup first and a drop last', () => {
+      expect(validateStops([stops[2], stops[0]]).message).toBe('The first stop must be a pickup and the last a drop');
+      expect(validateStops([stops[0]], { maxStops: 10 }).message).toBe('stops must be a list of 2 to 10 stops');
+    });
+
+    test('should reject a loading drop and an invalid window', () => {
+      expect(validateStops([stops[0], { type: 'drop', pincode: '110002', cargoDeltaKg: 10 }]).isValid).toBe(false);
+      expect(validateStops([
+        { ...stops[0], windowStart: '2030-01-01T12:00:00Z', windowEnd: '2030-01-01T10:00:00Z' },
+        stops[3]
+      ]).message).toBe('Stop 1: windowEnd must be after windowStart');
+    });
+  });
+
+  describe('findLoadProblems', () => {
+    test('should report each stop after which the load exceeds capacity', () => {
+      const { stops: normalised } = validateStops(stops);
+
+      expect(findLoadProblems(normalised, { capacityKg: 1000 })).toEqual([{
+        field: 'stops',
+        message: 'Load of 1200 kg after stop 2 exceeds vehicle capacity of 1000 kg'
+      }]);
+      expect(findLoadProblems(normalised, { capacityKg: 1200 })).toEqual([]);
+    });
+  });
+
+  describe('planStops', () => {
+    test('should sum the legs and give arrival times', async () => {
+      const { stops: normalised } = validateStops(stops);
+
+      const route = await planStops(normalised, null, at(8));
+
+      expect(route.distanceKm).toBe(150);
+      expect(route.estimatedRideDurationHours).toBe(3);
+      expect(route.endTime).toEqual(at(11));
+      expect(route.stops.map(stop => stop.arrivalTime)).toEqual([at(8), at(9), at(10), at(11)]);
+    });
+
+    test('should wait for a window to open', async () => {
+      const { stops: normalised } = validateStops([stops[0], { ...stops[1], windowStart: at(12) }, stops[3]]);
+
+      const route = await planStops(normalised, null, at(8));
+
+      expect(route.stops.map(stop => stop.arrivalTime)).toEqual([at(8), at(9), at(13)]);
+      expect(route.estimatedRideDurationHours).toBe(5);
+    });
+
+    test('should fail when a window closes before the vehicle arrives', async () => {
+      const { stops: normalised } = validateStops([stops[0], { ...stops[3], windowEnd: at(8) }]);
+
+      await expect(planStops(normalised, null, at(8))).rejects.toMatchObject({ name: 'StopWindowError', stop: 2 });
+      await expect(planStops(normalised, null, at(8), { ignoreWindows: true })).resolves.toMatchObject({
+        endTime: at(9)
+      });
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { validateLocationPoints, estimateArrival } = require('../utils/telemetry');
+const { getPincodeLocation, getRoadDistanceKm } = require('../utils/pincodeGeo');
+
+const MINUTE = 60 * 1000;
+
+describe('Telemetry', () => {
+  describe('validateLocationPoints', () => {
+    const now = new Date('2030-01-07T10:00:00Z');
+    const point = { timestamp: '2030-01-07T09:59:30Z', latitude: 28.6328, longitude: 77.2197, speedKmph: 42 };
+
+    test('should accept a batch of valid points', () => {
+      const result = validateLocationPoints([point], { now });
+
+      expect(result.isValid).toBe(true);
+      expect(result.rejectedPoints).toEqual([]);
+      expect(result.points[0].timestamp).toEqual(new Date(point.timestamp));
+    });
+
+    test('should refuse empty and oversized batches', () => {
+      expect(validateLocationPoints([], { now }).isValid).toBe(false);
+      expect(validateLocationPoints(point, { now }).isValid).toBe(false);
+      expect(validateLocationPoints([point, point], { now, maxPoints: 1 }).message)
+        .toBe('points must be a list of 1 to 1 points');
+    });
+
+    test('should leave out invalid points and report them by index', () => {
+      const result = validateLocationPoints([
+        point,
+        { ...point, latitude: 91 },
+        { ...point, timestamp: '2030-01-07T11:00:00Z' },
+        { ...point, timestamp: '2029-11-01T00:00:00Z' },
+        { ...point, speedKmph: -5 }
+      ], { now, retentionDays: 30 });
+
+      expect(result.points).toHaveLength(1);
+      expect(result.rejectedPoints).toEqual([
+        { index: 1, message: 'latitude must be a number between -90 and 90' },
+        { index: 2, message: 'timestamp cannot be in the future' },
+        { index: 3, message: 'timestamp cannot be more than 30 days old' },
+        { index: 4, message: 'speedKmph must be a non-negative number' }
+      ]);
+    });
+  });
+
+  describe('estimateArrival', () => {
+    const vehicle = { capacityKg: 5000, tyres: 6 };
+    const timestamp = new Date('2030-01-07T10:00:00Z');
+    const position = { ...getPincodeLocation('110001'), timestamp };
+
+    test('should estimate the arrival at the drop-off at the class speed', () => {
+      const booking = { toPincode: '110002', endTime: new Date(timestamp.getTime() + 30 * MINUTE) };
+
+      const estimate = estimateArrival(booking, position, vehicle);
+
+      expect(estimate.remainingDistanceKm).toBe(getRoadDistanceKm('110001', '110002'));
+      // About 3.2 km at 40 km/h for a medium vehicle, five minutes after the point
+      expect(estimate.lateByMinutes).toBe(-25);
+      expect(estimate.isLate).toBe(false);
+    });
+
+    test('should flag rides expected past the late threshold', () => {
+      const booking = { toPincode: '110002', endTime: new Date(timestamp.getTime() - 20 * MINUTE) };
+
+      const estimate = estimateArrival(booking, position, vehicle);
+
+      expect(estimate.lateByMinutes).toBe(25);
+      expect(estimate.isLate).toBe(true);
+    });
+
+    test('should drive through the stops not yet checked in', () => {
+      const booking = {
+        endTime: timestamp,
+        stops: [
+          { pincode: '110001', actualArrivalTime: timestamp },
+          { pincode: '110003' },
+          { pincode: '110004' }
+        ]
+      };
+
+      const estimate = estimateArrival(booking, position, vehicle);
+
+      expect(estimate.remainingDistanceKm).toBeCloseTo(
+        getRoadDistanceKm('110001', '110003') + getRoadDistanceKm('110003', '110004'), 0
+      );
+    });
+
+    test('should use the check-in time once the ride has arrived', () => {
+      const arrivedAt = new Date(timestamp.getTime() - 10 * MINUTE);
+      const booking = { toPincode: '110002', endTime: timestamp, trip: { arrivedAt } };
+
+      expect(estimateArrival(booking, position, vehicle)).toEqual({
+        estimatedArrivalTime: arrivedAt,
+        remainingDistanceKm: 0,
+        lateByMinutes: -10,
+        isLate: false
+      });
+    });
+
+    test('should give no estimate for unknown pincodes', () => {
+      const booking = { toPincode: '999999', endTime: timestamp };
+
+      expect(estimateArrival(booking, position, vehicle)).toBeNull();
+    });
+  });
+});
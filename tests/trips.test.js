@@ -0,0 +1,66 @@
+const { validateOdometer, parseSignature, measureTrip } = require('../utils/trips');
+
+describe('Trips', () => {
+  describe('validateOdometer', () => {
+    test('should accept readings at or above the minimum', () => {
+      expect(validateOdometer(0).isValid).toBe(true);
+      expect(validateOdometer(12500.4, 12500).isValid).toBe(true);
+    });
+
+    test('should reject missing, negative and decreasing readings', () => {
+      expect(validateOdometer(undefined).isValid).toBe(false);
+      expect(validateOdometer('100').isValid).toBe(false);
+      expect(validateOdometer(-1).isValid).toBe(false);
+      expect(validateOdometer(90, 100).message)
+        .toBe('Odometer reading cannot be below 100 km at the start of the trip');
+    });
+  });
+
+  describe('parseSignature', () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64');
+
+    test('should decode a PNG data URL', () => {
+      const result = parseSignature(`data:image/png;base64,${png}`, 1024);
+
+      expect(result.isValid).toBe(true);
+      expect(result.signature.contentType).toBe('image/png');
+      expect(result.signature.data).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    });
+
+    test('should reject other types, bad encodings and large images', () => {
+      expect(parseSignature(`data:image/gif;base64,${png}`, 1024).isValid).toBe(false);
+      expect(parseSignature('data:image/png;base64,not base64!', 1024).isValid).toBe(false);
+      expect(parseSignature(png, 1024).isValid).toBe(false);
+      expect(parseSignature(`data:image/png;base64,${png}`, 3).message)
+        .toBe('signature must be between 1 and 3 bytes');
+    });
+  });
+
+  describe('measureTrip', () => {
+    const startedAt = new Date('2030-01-07T08:00:00Z');
+
+    test('should compare the actual duration and distance with the estimate', () => {
+      const measured = measureTrip({
+        startedAt,
+        completedAt: new Date('2030-01-07T10:30:00Z'),
+        startOdometerKm: 12000,
+        endOdometerKm: 12084.26
+      }, 2);
+
+      expect(measured).toEqual({
+        actualDurationHours: 2.5,
+        actualDistanceKm: 84.3,
+        durationVarianceHours: 0.5,
+        durationVariancePercentage: 25
+      });
+    });
+
+    test('should leave out the distance without both odometer readings', () => {
+      const measured = measureTrip({ startedAt, completedAt: new Date('2030-01-07T09:30:00Z') }, 2);
+
+      expect(measured.actualDistanceKm).toBeUndefined();
+      expect(measured.durationVarianceHours).toBe(-0.5);
+      expect(measured.durationVariancePercentage).toBe(-25);
+    });
+  });
+});
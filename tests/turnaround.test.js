@@ -0,0 +1,114 @@
+const config = require('../config');
+const { getBuffers, checkRepositioning, findVehiclesBlockedByRepositioning } = require('../utils/turnaround');
+const { DurationEstimator, getDurationEstimator, setDurationEstimator } = require('../utils/durationEstimator');
+const DurationProvider = require('../utils/durationProviders/DurationProvider');
+const { UnknownPincodeError } = require('../utils/pincodeGeo');
+
+const UNKNOWN_PINCODE = '999999';
+
+// Every drive between different pincodes takes two hours
+class FixedProvider extends DurationProvider {
+  async estimate(fromPincode, toPincode) {
+    const unknown = [fromPincode, toPincode].filter(pincode => pincode === UNKNOWN_PINCODE);
+    if (unknown.length > 0) {
+      throw new UnknownPincodeError(unknown);
+    }
+    return { distanceKm: 80, estimatedRideDurationHours: 2 };
+  }
+}
+
+const HOUR = 60 * 60 * 1000;
+const at = hour => new Date(Date.UTC(2030, 0, 1, hour));
+const lightVehicle = { _id: 'vehicle-1', capacityKg: 1000, tyres: 4 };
+
+describe('Turnaround', () => {
+  const originalEstimator = getDurationEstimator();
+  const originalBuffers = {
+    before: config.turnaround.bufferBeforeMinutes.light,
+    after: config.turnaround.bufferAfterMinutes.light
+  };
+
+  beforeAll(() => {
+    setDurationEstimator(new DurationEstimator({ providers: [new FixedProvider('fixed')] }));
+    config.turnaround.bufferBeforeMinutes.light = 15;
+    config.turnaround.bufferAfterMinutes.light = 30;
+  });
+
+  afterAll(() => {
+    setDurationEstimator(originalEstimator);
+    config.turnaround.bufferBeforeMinutes.light = originalBuffers.before;
+    config.turnaround.bufferAfterMinutes.light = originalBuffers.after;
+  });
+
+  describe('getBuffers', () => {
+    test('should use the vehicle class defaults', () => {
+      expect(getBuffers(lightVehicle)).toEqual({ beforeMs: 15 * 60 * 1000, afterMs: 30 * 60 * 1000 });
+    });
+
+    test('should prefer the buffers of the vehicle', () => {
+      const vehicle = { ...lightVehicle, bufferBeforeMinutes: 0, bufferAfterMinutes: 60 };
+
+      expect(getBuffers(vehicle)).toEqual({ beforeMs: 0, afterMs: HOUR });
+    });
+  });
+
+  describe('checkRepositioning', () => {
+    const ride = { fromPincode: '400001', toPincode: '411001', startTime: at(10), endTime: at(14) };
+
+    test('should flag a previous booking that leaves too little time to drive over', async () => {
+      // Needs 30 min unloading + 2 h driving + 15 min loading; only 2 h are left
+      const previous = { _id: 'booking-1', toPincode: '110001', startTime: at(6), endTime: at(8) };
+
+      const conflicts = await checkRepositioning(lightVehicle, ride, { previous, next: null });
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        direction: 'previous',
+        repositioningFrom: '110001',
+        repositioningTo: '400001',
+        requiredMinutes: 165,
+        availableMinutes: 120
+      });
+    });
+
+    test('should accept neighbours with enough time to drive', async () => {
+      const next = { _id: 'booking-2', fromPincode: '110001', startTime: at(17), endTime: at(20) };
+
+      expect(await checkRepositioning(lightVehicle, ride, { previous: null, next })).toEqual([]);
+    });
+
+    test('should not need driving time when the next pickup is the drop-off', async () => {
+      const next = { _id: 'booking-3', fromPincode: '411001', startTime: at(14), endTime: at(16) };
+
+      expect(await checkRepositioning(lightVehicle, ride, { previous: null, next })).toEqual([]);
+    });
+
+    test('should skip neighbours with pincodes outside the dataset', async () => {
+      const previous = { _id: 'booking-4', toPincode: UNKNOWN_PINCODE, startTime: at(8), endTime: at(9) };
+
+      expect(await checkRepositioning(lightVehicle, ride, { previous, next: null })).toEqual([]);
+    });
+  });
+
+  describe('findVehiclesBlockedByRepositioning', () => {
+    const ride = { fromPincode: '400001', toPincode: '411001', startTime: at(10) };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should estimate each pincode pair once for the whole fleet', async () => {
+      const estimate = jest.spyOn(FixedProvider.prototype, 'estimate');
+      const previousAt = (id, hour) => ({ _id: id, toPincode: '110001', startTime: at(hour - 2), endTime: at(hour) });
+      const candidates = [
+        { vehicle: { ...lightVehicle, _id: 'vehicle-1' }, endTime: at(14), previous: previousAt('booking-1', 8) },
+        { vehicle: { ...lightVehicle, _id: 'vehicle-2' }, endTime: at(14), previous: previousAt('booking-2', 6) },
+        { vehicle: { ...lightVehicle, _id: 'vehicle-3' }, endTime: at(14), previous: previousAt('booking-3', 7) }
+      ];
+
+      // 2 h 45 min are needed after the previous drop-off
+      expect(await findVehiclesBlockedByRepositioning(candidates, ride)).toEqual(['vehicle-1']);
+      expect(estimate).toHaveBeenCalledTimes(1);
+    });
+  });
+});
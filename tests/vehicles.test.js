@@ -1,12 +1,19 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../server');
+const { authHeader } = require('./helpers/auth');
 const Vehicle = require('../models/Vehicle');
 const Booking = require('../models/Booking');
+const Driver = require('../models/Driver');
+const VehicleLocation = require('../models/VehicleLocation');
+const { planStops } = require('../utils/stops');
+const { planRide } = require('../utils/bookingRequest');
 
 // Test database
 const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
 
+const adminAuth = authHeader('admin');
+
 describe('Vehicle API', () => {
   beforeAll(async () => {
     // Connect to test database
@@ -20,12 +27,14 @@ describe('Vehicle API', () => {
     // Clean up database before each test
     await Vehicle.deleteMany({});
     await Booking.deleteMany({});
+    await Driver.deleteMany({});
   });
 
   afterAll(async () => {
     // Clean up and close connection
     await Vehicle.deleteMany({});
     await Booking.deleteMany({});
+    await Driver.deleteMany({});
     await mongoose.connection.close();
   });
 
@@ -39,6 +48,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .post('/api/vehicles')
+        .set('Authorization', adminAuth)
         .send(vehicleData)
         .expect(201);
 
@@ -48,6 +58,16 @@ describe('Vehicle API', () => {
       expect(response.body.vehicle.tyres).toBe(vehicleData.tyres);
     });
 
+    test('should only let admins add vehicles', async () => {
+      const response = await request(app)
+        .post('/api/vehicles')
+        .set('Authorization', authHeader('customer', { customerId: 'customer-1' }))
+        .send({ name: 'Test Truck', capacityKg: 5000, tyres: 6 })
+        .expect(403);
+
+      expect(response.body.error).toBe('Forbidden');
+    });
+
     test('should reject vehicle with missing required fields', async () => {
       const incompleteData = {
         name: 'Test Truck'
@@ -56,6 +76,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .post('/api/vehicles')
+        .set('Authorization', adminAuth)
         .send(incompleteData)
         .expect(400);
 
@@ -71,6 +92,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .post('/api/vehicles')
+        .set('Authorization', adminAuth)
         .send(invalidData)
         .expect(400);
 
@@ -86,6 +108,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .post('/api/vehicles')
+        .set('Authorization', adminAuth)
         .send(invalidData)
         .expect(400);
 
@@ -121,11 +144,100 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
         .query(queryParams)
         .expect(200);
 
       expect(response.body.availableVehicles).toHaveLength(2); // Both vehicles should be available
-      expect(response.body.searchCriteria.estimatedRideDurationHours).toBe(1);
+      expect(response.body.searchCriteria.distanceKm).toBe(3.2);
+      expect(response.body.searchCriteria.estimatedRideDurationHours).toBe(0.5);
+      expect(response.body.availableVehicles[0].distanceKm).toBe(3.2);
+      expect(response.body.availableVehicles[0].quote.totalCost).toBeGreaterThan(0);
+      expect(response.body.availableVehicles[0].quote.lineItems[0].code).toBe('base_fare');
+    });
+
+    test('should only offer certified vehicles with room for the cargo', async () => {
+      await Vehicle.updateOne({ _id: testVehicle1._id }, { volumeM3: 4, hazmatCertified: true });
+      await Vehicle.updateOne({ _id: testVehicle2._id }, { volumeM3: 20 });
+
+      const query = {
+        capacityRequired: 500,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      };
+
+      const hazardous = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query({ ...query, hazardous: 'true' })
+        .expect(200);
+      const bulky = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query({ ...query, volumeRequired: 10 })
+        .expect(200);
+
+      expect(hazardous.body.availableVehicles.map(vehicle => vehicle.name)).toEqual(['Small Truck']);
+      expect(bulky.body.availableVehicles.map(vehicle => vehicle.name)).toEqual(['Large Truck']);
+    });
+
+    test('should search along multiple stops by peak load', async () => {
+      const stops = [
+        { type: 'pickup', pincode: '110001', cargoDeltaKg: 600 },
+        { type: 'pickup', pincode: '110002', cargoDeltaKg: 900 },
+        { type: 'drop', pincode: '110003', cargoDeltaKg: -1500 }
+      ];
+
+      const response = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query({
+          capacityRequired: 500,
+          stops: JSON.stringify(stops),
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(200);
+
+      expect(response.body.availableVehicles.map(vehicle => vehicle.name)).toEqual(['Large Truck']);
+      expect(response.body.searchCriteria.stops).toHaveLength(3);
+      expect(response.body.searchCriteria.distanceKm).toBeGreaterThan(3.2);
+    });
+
+    test('should paginate and sort results', async () => {
+      const response = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query({
+          capacityRequired: 800,
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          sortBy: 'capacity',
+          order: 'desc',
+          limit: 1
+        })
+        .expect(200);
+
+      expect(response.body.availableVehicles).toHaveLength(1);
+      expect(response.body.availableVehicles[0].name).toBe('Large Truck');
+      expect(response.body.pagination).toEqual({ page: 1, limit: 1, total: 2, totalPages: 2 });
+    });
+
+    test('should reject unknown sort fields', async () => {
+      const response = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query({
+          capacityRequired: 800,
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+          sortBy: 'tyres'
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
     });
 
     test('should filter vehicles by capacity requirement', async () => {
@@ -138,6 +250,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
         .query(queryParams)
         .expect(200);
 
@@ -170,6 +283,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
         .query(queryParams)
         .expect(200);
 
@@ -181,6 +295,7 @@ describe('Vehicle API', () => {
     test('should reject request with missing parameters', async () => {
       const response = await request(app)
         .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
         .query({
           capacityRequired: 1000
           // Missing other required parameters
@@ -200,12 +315,31 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
         .query(queryParams)
         .expect(400);
 
       expect(response.body.error).toBe('Validation Error');
     });
 
+    test('should return 422 for pincodes missing from the geodata set', async () => {
+      const queryParams = {
+        capacityRequired: 1000,
+        fromPincode: '110001',
+        toPincode: '999999',
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      };
+
+      const response = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query(queryParams)
+        .expect(422);
+
+      expect(response.body.error).toBe('Unknown Pincode');
+      expect(response.body.unknownPincodes).toEqual(['999999']);
+    });
+
     test('should reject request with past start time', async () => {
       const queryParams = {
         capacityRequired: 1000,
@@ -216,6 +350,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
         .query(queryParams)
         .expect(400);
 
@@ -223,6 +358,73 @@ describe('Vehicle API', () => {
     });
   });
 
+  describe('GET /api/vehicles/available/suggestions', () => {
+    test('should suggest the nearest free slots around a fully booked time', async () => {
+      const vehicle = await Vehicle.create({ name: 'Only Truck', capacityKg: 5000, tyres: 6 });
+      const startTime = new Date(Date.now() + 48 * 60 * 60 * 1000);
+      startTime.setUTCMinutes(0, 0, 0);
+
+      await Booking.create({
+        vehicleId: vehicle._id,
+        customerId: 'test-customer',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(startTime.getTime() - 60 * 60 * 1000),
+        endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 3,
+        status: 'confirmed'
+      });
+
+      const query = {
+        capacityRequired: 1000,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: startTime.toISOString()
+      };
+
+      const available = await request(app)
+        .get('/api/vehicles/available')
+        .set('Authorization', adminAuth)
+        .query(query)
+        .expect(200);
+
+      expect(available.body.availableVehicles).toHaveLength(0);
+      expect(available.body.suggestions.after).toHaveLength(1);
+
+      const response = await request(app)
+        .get('/api/vehicles/available/suggestions')
+        .set('Authorization', adminAuth)
+        .query(query)
+        .expect(200);
+
+      const [after] = response.body.suggestions.after;
+      const [before] = response.body.suggestions.before;
+
+      expect(after.vehicleName).toBe('Only Truck');
+      expect(new Date(after.startTime).getTime()).toBe(startTime.getTime() + 2 * 60 * 60 * 1000);
+      expect(after.offsetMinutes).toBe(120);
+      // The 0.5 hour ride has to finish before the booking starts
+      expect(new Date(before.endTime).getTime()).toBeLessThanOrEqual(startTime.getTime() - 60 * 60 * 1000);
+      expect(before.offsetMinutes).toBeLessThan(0);
+    });
+
+    test('should validate the number of suggestions', async () => {
+      const response = await request(app)
+        .get('/api/vehicles/available/suggestions')
+        .set('Authorization', adminAuth)
+        .query({
+          capacityRequired: 1000,
+          fromPincode: '110001',
+          toPincode: '110002',
+          startTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(),
+          count: 0
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+  });
+
   describe('GET /api/vehicles', () => {
     test('should retrieve all active vehicles', async () => {
       // Create test vehicles
@@ -240,6 +442,7 @@ describe('Vehicle API', () => {
 
       const response = await request(app)
         .get('/api/vehicles')
+        .set('Authorization', adminAuth)
         .expect(200);
 
       expect(response.body.vehicles).toHaveLength(2);
@@ -249,10 +452,418 @@ describe('Vehicle API', () => {
     test('should return empty array when no vehicles exist', async () => {
       const response = await request(app)
         .get('/api/vehicles')
+        .set('Authorization', adminAuth)
         .expect(200);
 
       expect(response.body.vehicles).toHaveLength(0);
       expect(response.body.count).toBe(0);
     });
   });
+
+  describe('Vehicle schedules', () => {
+    let vehicle;
+    const from = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+
+    beforeEach(async () => {
+      vehicle = await Vehicle.create({ name: 'Truck 1', capacityKg: 5000, tyres: 6 });
+      await Vehicle.create({ name: 'Truck 2', capacityKg: 2000, tyres: 4 });
+
+      await Booking.create({
+        vehicleId: vehicle._id,
+        customerId: 'customer-1',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(from.getTime() + 2 * 60 * 60 * 1000),
+        endTime: new Date(from.getTime() + 8 * 60 * 60 * 1000),
+        estimatedRideDurationHours: 6,
+        status: 'confirmed'
+      });
+    });
+
+    test('should return booked intervals and free gaps in order', async () => {
+      const response = await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .set('Authorization', adminAuth)
+        .query({ from: from.toISOString(), to: to.toISOString() })
+        .expect(200);
+
+      expect(response.body.timeline.map(entry => entry.type)).toEqual(['free', 'booking', 'free']);
+      expect(response.body.timeline[1].status).toBe('confirmed');
+      expect(response.body.utilisation).toEqual({ bookedHours: 6, freeHours: 18, utilisationPercentage: 25 });
+    });
+
+    test('should bucket the schedule by day', async () => {
+      const response = await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .set('Authorization', adminAuth)
+        .query({ from: from.toISOString(), to: to.toISOString(), bucket: 'day' })
+        .expect(200);
+
+      const bookingCount = response.body.buckets.reduce((total, bucket) => total + bucket.bookingCount, 0);
+      expect(bookingCount).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should return a fleet-wide schedule', async () => {
+      const response = await request(app)
+        .get('/api/vehicles/schedule')
+        .set('Authorization', adminAuth)
+        .query({ from: from.toISOString(), to: to.toISOString() })
+        .expect(200);
+
+      expect(response.body.schedules.map(schedule => schedule.vehicle.name)).toEqual(['Truck 1', 'Truck 2']);
+      expect(response.body.schedules[1].timeline).toHaveLength(1);
+      expect(response.body.fleetUtilisation.utilisationPercentage).toBe(12.5);
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    test('should reject ranges that end before they start', async () => {
+      await request(app)
+        .get(`/api/vehicles/${vehicle._id}/schedule`)
+        .set('Authorization', adminAuth)
+        .query({ from: to.toISOString(), to: from.toISOString() })
+        .expect(400);
+    });
+
+    test('should hide schedules from customers', async () => {
+      await request(app)
+        .get('/api/vehicles/schedule')
+        .set('Authorization', authHeader('customer', { customerId: 'customer-1' }))
+        .expect(403);
+    });
+  });
+
+  describe('Managing a vehicle', () => {
+    let vehicle;
+
+    const createBooking = (overrides = {}) => Booking.create({
+      vehicleId: vehicle._id,
+      customerId: 'customer-1',
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      endTime: new Date(Date.now() + 25 * 60 * 60 * 1000),
+      estimatedRideDurationHours: 1,
+      status: 'confirmed',
+      ...overrides
+    });
+
+    beforeEach(async () => {
+      vehicle = await Vehicle.create({ name: 'Truck 1', capacityKg: 5000, tyres: 6 });
+    });
+
+    test('should get a vehicle by ID', async () => {
+      await createBooking();
+
+      const response = await request(app)
+        .get(`/api/vehicles/${vehicle._id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.vehicle.name).toBe('Truck 1');
+      expect(response.body.vehicle.upcomingBookingCount).toBe(1);
+    });
+
+    test('should update name and capacity', async () => {
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .set('Authorization', adminAuth)
+        .send({ name: ' Truck One ', capacityKg: 6000 })
+        .expect(200);
+
+      expect(response.body.vehicle.name).toBe('Truck One');
+      expect(response.body.vehicle.capacityKg).toBe(6000);
+      expect(response.body.flaggedBookings).toEqual([]);
+    });
+
+    test('should flag bookings whose cargo no longer fits', async () => {
+      const heavy = await createBooking({ cargo: { weightKg: 4500 } });
+      await createBooking({
+        cargo: { weightKg: 1000 },
+        startTime: new Date(Date.now() + 48 * 60 * 60 * 1000),
+        endTime: new Date(Date.now() + 49 * 60 * 60 * 1000)
+      });
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .set('Authorization', adminAuth)
+        .send({ capacityKg: 3000 })
+        .expect(200);
+
+      expect(response.body.flaggedBookings).toHaveLength(1);
+      expect(response.body.flaggedBookings[0].id).toBe(heavy._id.toString());
+
+      const stored = await Booking.findById(heavy._id);
+      expect(stored.flags.map(flag => flag.code)).toEqual(['cargo_exceeds_capacity']);
+    });
+
+    test('should flag hazardous cargo when the certification is withdrawn', async () => {
+      await Vehicle.updateOne({ _id: vehicle._id }, { hazmatCertified: true });
+      const hazardous = await createBooking({ cargo: { weightKg: 100, hazardous: true } });
+
+      const response = await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .set('Authorization', adminAuth)
+        .send({ hazmatCertified: false })
+        .expect(200);
+
+      expect(response.body.flaggedBookings.map(entry => entry.id)).toEqual([hazardous._id.toString()]);
+
+      const stored = await Booking.findById(hazardous._id);
+      expect(stored.flags.map(flag => flag.code)).toEqual(['hazardous_cargo_not_permitted']);
+    });
+
+    test('should refuse to deactivate a vehicle with upcoming bookings', async () => {
+      const booking = await createBooking();
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .expect(409);
+
+      expect(response.body.error).toBe('Vehicle Has Bookings');
+      expect(response.body.affectedBookings.map(entry => entry.id)).toEqual([booking._id.toString()]);
+
+      const stored = await Vehicle.findById(vehicle._id);
+      expect(stored.isActive).toBe(true);
+    });
+
+    test('should cancel upcoming bookings without a fee when forced', async () => {
+      const booking = await createBooking();
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .send({ onFutureBookings: 'cancel', reason: 'Engine failure' })
+        .expect(200);
+
+      expect(response.body.vehicle.isActive).toBe(false);
+      expect(response.body.affectedBookings[0].action).toBe('cancelled');
+
+      const stored = await Booking.findById(booking._id);
+      expect(stored.status).toBe('cancelled');
+      expect(stored.cancellationReason).toBe('Engine failure');
+      expect(stored.cancellationFee).toBe(0);
+    });
+
+    test('should reassign upcoming bookings to a free vehicle', async () => {
+      const booking = await createBooking({ cargo: { weightKg: 2000 } });
+      const replacement = await Vehicle.create({ name: 'Truck 2', capacityKg: 2500, tyres: 6 });
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .send({ onFutureBookings: 'reassign' })
+        .expect(200);
+
+      expect(response.body.affectedBookings[0]).toMatchObject({
+        action: 'reassigned',
+        newVehicleId: replacement._id.toString()
+      });
+
+      const stored = await Booking.findById(booking._id);
+      expect(stored.vehicleId.toString()).toBe(replacement._id.toString());
+
+      // Priced again for the replacement's class
+      const expected = await planRide({
+        vehicle: replacement,
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: booking.startTime,
+        customerId: 'customer-1'
+      });
+      expect(stored.distanceKm).toBe(expected.distanceKm);
+      expect(stored.totalCost).toBe(expected.priceBreakdown.totalCost);
+      expect(response.body.affectedBookings[0].totalCost).toBe(expected.priceBreakdown.totalCost);
+    });
+
+    test('should re-time multi-stop bookings through their stops when reassigning', async () => {
+      const stops = [
+        { type: 'pickup', pincode: '110001', cargoDeltaKg: 2000, loadKg: 2000 },
+        { type: 'drop', pincode: '110005', cargoDeltaKg: -1000, loadKg: 1000 },
+        { type: 'drop', pincode: '110002', cargoDeltaKg: -1000, loadKg: 0 }
+      ];
+      const booking = await createBooking({ toPincode: '110002', stops, cargo: { weightKg: 2000 } });
+      // Light, so it drives faster than the booked vehicle
+      const replacement = await Vehicle.create({ name: 'Van', capacityKg: 2000, tyres: 4 });
+
+      await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .send({ onFutureBookings: 'reassign' })
+        .expect(200);
+
+      const expected = await planStops(stops, replacement, booking.startTime);
+      const stored = await Booking.findById(booking._id);
+      expect(stored.vehicleId.toString()).toBe(replacement._id.toString());
+      expect(stored.estimatedRideDurationHours).toBe(expected.estimatedRideDurationHours);
+      expect(stored.stops.map(stop => stop.arrivalTime)).toEqual(expected.stops.map(stop => stop.arrivalTime));
+    });
+
+    test('should only reassign to vehicles the booked driver may drive', async () => {
+      const driver = await Driver.create({
+        name: 'Test Driver',
+        licenceClass: 'medium',
+        licenceExpiry: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000)
+      });
+      const booking = await createBooking({ driverId: driver._id });
+      // Heavy for its tyres, and tried first as the smallest
+      await Vehicle.create({ name: 'Trailer', capacityKg: 6000, tyres: 12 });
+      const replacement = await Vehicle.create({ name: 'Truck 2', capacityKg: 8000, tyres: 6 });
+
+      await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .send({ onFutureBookings: 'reassign' })
+        .expect(200);
+
+      const stored = await Booking.findById(booking._id);
+      expect(stored.vehicleId.toString()).toBe(replacement._id.toString());
+    });
+
+    test('should not reassign past the expiry of the booked driver\'s licence', async () => {
+      const booking = await createBooking();
+      const driver = await Driver.create({
+        name: 'Test Driver',
+        licenceClass: 'heavy',
+        licenceExpiry: new Date(booking.startTime.getTime() + 60 * 1000)
+      });
+      await Booking.updateOne({ _id: booking._id }, { driverId: driver._id });
+      await Vehicle.create({ name: 'Truck 2', capacityKg: 8000, tyres: 6 });
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .send({ onFutureBookings: 'reassign' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Reassignment Failed');
+    });
+
+    test('should change nothing when a booking cannot be reassigned', async () => {
+      const booking = await createBooking();
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/deactivate`)
+        .set('Authorization', adminAuth)
+        .send({ onFutureBookings: 'reassign' })
+        .expect(409);
+
+      expect(response.body.error).toBe('Reassignment Failed');
+
+      const stored = await Booking.findById(booking._id);
+      expect(stored.vehicleId.toString()).toBe(vehicle._id.toString());
+      expect((await Vehicle.findById(vehicle._id)).isActive).toBe(true);
+    });
+
+    test('should reactivate a deactivated vehicle', async () => {
+      await Vehicle.updateOne({ _id: vehicle._id }, { isActive: false });
+
+      const response = await request(app)
+        .post(`/api/vehicles/${vehicle._id}/reactivate`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(response.body.vehicle.isActive).toBe(true);
+    });
+
+    test('should only let admins change vehicles', async () => {
+      await request(app)
+        .patch(`/api/vehicles/${vehicle._id}`)
+        .set('Authorization', authHeader('dispatcher'))
+        .send({ capacityKg: 3000 })
+        .expect(403);
+    });
+  });
+
+  describe('Vehicle locations', () => {
+    const MINUTE = 60 * 1000;
+    const driverUserId = new mongoose.Types.ObjectId().toString();
+    const driverAuth = authHeader('driver', { _id: driverUserId });
+    let testVehicle;
+    let testBooking;
+
+    beforeEach(async () => {
+      await VehicleLocation.deleteMany({});
+      await Driver.deleteMany({});
+
+      testVehicle = await Vehicle.create({ name: 'Test Truck', capacityKg: 5000, tyres: 6 });
+      const driver = await Driver.create({
+        name: 'Test Driver',
+        licenceClass: 'heavy',
+        licenceExpiry: new Date(Date.now() + 365 * 24 * 60 * MINUTE),
+        userId: driverUserId
+      });
+
+      testBooking = await Booking.create({
+        vehicleId: testVehicle._id,
+        driverId: driver._id,
+        customerId: 'customer-1',
+        fromPincode: '110001',
+        toPincode: '110002',
+        startTime: new Date(Date.now() - 60 * MINUTE),
+        endTime: new Date(Date.now() - 30 * MINUTE),
+        estimatedRideDurationHours: 0.5,
+        status: 'in-progress'
+      });
+    });
+
+    afterAll(async () => {
+      await VehicleLocation.deleteMany({});
+      await Driver.deleteMany({});
+    });
+
+    const point = (minutesAgo, fields = {}) => ({
+      timestamp: new Date(Date.now() - minutesAgo * MINUTE).toISOString(),
+      latitude: 28.6328,
+      longitude: 77.2197,
+      speedKmph: 30,
+      ...fields
+    });
+
+    test('should record locations and flag a ride running late', async () => {
+      const response = await request(app)
+        .post(`/api/vehicles/${testVehicle._id}/locations`)
+        .set('Authorization', driverAuth)
+        .send({ points: [point(2), point(1), point(1, { latitude: 95 })] })
+        .expect(201);
+
+      expect(response.body.acceptedCount).toBe(2);
+      expect(response.body.rejectedPoints).toEqual([
+        { index: 2, message: 'latitude must be a number between -90 and 90' }
+      ]);
+      expect(response.body.activeBooking.eta.lateByMinutes).toBeGreaterThan(30);
+
+      const flagged = await Booking.findById(testBooking._id);
+      expect(flagged.flags.map(flag => flag.code)).toEqual(['running_late']);
+    });
+
+    test('should return the last known position with the active booking', async () => {
+      await VehicleLocation.insertMany([
+        { vehicleId: testVehicle._id, ...point(5), timestamp: new Date(Date.now() - 5 * MINUTE) },
+        { vehicleId: testVehicle._id, ...point(1, { latitude: 28.6448 }), timestamp: new Date(Date.now() - MINUTE) }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/vehicles/${testVehicle._id}/location`)
+        .set('Authorization', authHeader('dispatcher'))
+        .expect(200);
+
+      expect(response.body.location.latitude).toBe(28.6448);
+      expect(response.body.activeBooking.id).toBe(testBooking._id.toString());
+    });
+
+    test('should only let drivers report for their own trip', async () => {
+      await request(app)
+        .post(`/api/vehicles/${testVehicle._id}/locations`)
+        .set('Authorization', authHeader('driver'))
+        .send({ points: [point(1)] })
+        .expect(403);
+
+      await request(app)
+        .get(`/api/vehicles/${testVehicle._id}/location`)
+        .set('Authorization', authHeader('customer', { customerId: 'customer-1' }))
+        .expect(403);
+    });
+  });
 });
@@ -0,0 +1,180 @@
+const http = require('http');
+const config = require('../config');
+const {
+  toWebhookEvent,
+  signPayload,
+  getRetryDelayMs,
+  isPrivateAddress,
+  checkWebhookUrl,
+  sendWebhook
+} = require('../utils/webhooks');
+
+describe('Webhook sending', () => {
+  describe('toWebhookEvent', () => {
+    const busEvent = (type, data) => ({
+      id: 42,
+      type,
+      occurredAt: new Date('2030-01-07T10:00:00Z'),
+      customerId: 'customer-1',
+      data
+    });
+
+    test('should announce created, started, completed and cancelled bookings', () => {
+      expect(toWebhookEvent(busEvent('booking.created', { booking: {} }))).toEqual({
+        id: 'evt_42',
+        type: 'booking.created',
+        occurredAt: new Date('2030-01-07T10:00:00Z'),
+        customerId: 'customer-1',
+        data: { booking: {} }
+      });
+
+      const statusTypes = ['in-progress', 'completed', 'cancelled']
+        .map(to => toWebhookEvent(busEvent('booking.statusChanged', { from: 'confirmed', to })).type);
+      expect(statusTypes).toEqual(['booking.started', 'booking.completed', 'booking.cancelled']);
+    });
+
+    test('should leave out other changes', () => {
+      expect(toWebhookEvent(busEvent('booking.statusChanged', { from: 'cancelled', to: 'confirmed' }))).toBeNull();
+      expect(toWebhookEvent(busEvent('booking.updated', { changedFields: ['eta'] }))).toBeNull();
+      expect(toWebhookEvent(busEvent('vehicle.added', {}))).toBeNull();
+    });
+  });
+
+  describe('signPayload', () => {
+    test('should sign the timestamp and body with HMAC-SHA256', () => {
+      expect(signPayload('whsec_test_secret_123', 1700000000, '{"id":"evt_1"}'))
+        .toBe('2913be30e714a8791de4f166b314c398b914044f71410603a5ed28bed784f4d4');
+    });
+  });
+
+  describe('getRetryDelayMs', () => {
+    test('should double the delay after every attempt up to the maximum', () => {
+      const settings = { retryBaseSeconds: 30, retryMaxSeconds: 600 };
+
+      expect([1, 2, 3, 4, 5, 6].map(attempt => getRetryDelayMs(attempt, settings) / 1000))
+        .toEqual([30, 60, 120, 240, 480, 600]);
+    });
+  });
+
+  describe('isPrivateAddress', () => {
+    test('should flag loopback, private, link-local and unique-local addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1',
+        'fe80::1', '::ffff:127.0.0.1', 'not-an-address']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    });
+
+    test('should let public addresses through', () => {
+      ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']
+        .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+    });
+  });
+
+  describe('checkWebhookUrl', () => {
+    test('should refuse other schemes and private hosts', async () => {
+      expect(await checkWebhookUrl('ftp://example.com/hooks', false)).toBe('url must be an http or https URL');
+      expect(await checkWebhookUrl('http://169.254.169.254/latest/meta-data', false))
+        .toBe('url must not point to a private or local network address');
+      expect(await checkWebhookUrl('http://[::1]:8080/', false))
+        .toBe('url must not point to a private or local network address');
+      expect(await checkWebhookUrl('http://localhost:27017', false))
+        .toBe('url must not point to a private or local network address');
+    });
+
+    test('should accept public addresses, and private ones when allowed', async () => {
+      expect(await checkWebhookUrl('https://93.184.216.34/hooks', false)).toBeNull();
+      expect(await checkWebhookUrl('http://localhost:3000/hooks', true)).toBeNull();
+    });
+  });
+
+  describe('sendWebhook', () => {
+    let server;
+    let received;
+    let respond;
+    const { allowPrivateUrls } = config.webhooks;
+
+    beforeAll(done => {
+      // The receiver below runs on localhost
+      config.webhooks.allowPrivateUrls = true;
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body };
+          respond(res);
+        });
+      });
+      server.listen(0, done);
+    });
+
+    afterAll(done => {
+      config.webhooks.allowPrivateUrls = allowPrivateUrls;
+      server.close(done);
+    });
+
+    const url = () => `http://localhost:${server.address().port}/hooks`;
+    const delivery = {
+      _id: 'delivery-1',
+      eventId: 'evt_1',
+      eventType: 'booking.created',
+      payload: { id: 'evt_1', type: 'booking.created', data: { booking: { id: 'booking-1' } } }
+    };
+
+    test('should POST the signed payload', async () => {
+      respond = res => res.writeHead(204).end();
+
+      const result = await sendWebhook(url(), delivery, 'whsec_test_secret_123');
+
+      expect(result.responseStatus).toBe(204);
+      expect(JSON.parse(received.body)).toEqual(delivery.payload);
+      expect(received.headers['x-webhook-event']).toBe('booking.created');
+      expect(received.headers['x-webhook-id']).toBe('evt_1');
+
+      const timestamp = received.headers['x-webhook-timestamp'];
+      expect(received.headers['x-webhook-signature'])
+        .toBe(`sha256=${signPayload('whsec_test_secret_123', timestamp, received.body)}`);
+    });
+
+    test('should report only the status of failed responses', async () => {
+      respond = res => res.writeHead(500).end('internal details');
+
+      const result = await sendWebhook(url(), delivery, 'whsec_test_secret_123');
+
+      expect(result).toEqual({ responseStatus: 500 });
+    });
+
+    test('should refuse receivers on private addresses', async () => {
+      config.webhooks.allowPrivateUrls = false;
+      respond = res => res.writeHead(204).end();
+
+      try {
+        await expect(sendWebhook(url(), delivery, 'whsec_test_secret_123'))
+          .rejects.toThrow('Webhook host localhost resolves to a private address');
+        await expect(sendWebhook(url().replace('localhost', '127.0.0.1'), delivery, 'whsec_test_secret_123'))
+          .rejects.toThrow('url must not point to a private or local network address');
+      } finally {
+        config.webhooks.allowPrivateUrls = true;
+      }
+    });
+
+    test('should give up on receivers that do not answer in time', async () => {
+      respond = res => setTimeout(() => res.writeHead(200).end(), 500);
+
+      await expect(sendWebhook(url(), delivery, 'whsec_test_secret_123', 50))
+        .rejects.toThrow('Webhook request timed out after 50ms');
+    });
+
+    test('should give up on receivers that send their answer too slowly', async () => {
+      respond = res => {
+        res.writeHead(200);
+        const trickle = setInterval(() => res.write('.'), 10);
+        setTimeout(() => {
+          clearInterval(trickle);
+          res.end();
+        }, 500);
+      };
+
+      await expect(sendWebhook(url(), delivery, 'whsec_test_secret_123', 100))
+        .rejects.toThrow('Webhook request timed out after 100ms');
+    });
+  });
+});
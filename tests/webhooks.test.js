@@ -0,0 +1,232 @@
+const http = require('http');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const { authHeader } = require('./helpers/auth');
+const config = require('../config');
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload } = require('../utils/webhooks');
+const { processDueDeliveries } = require('../utils/webhookQueue');
+
+// Test database
+const MONGODB_TEST_URI = 'mongodb://localhost:27017/fleetlink_test';
+
+const customerAuth = authHeader('customer', { customerId: 'customer-1' });
+const dispatcherAuth = authHeader('dispatcher');
+
+/**
+ * Wait until the expected deliveries are queued
+ *
+ * @param {number} count - Deliveries expected
+ * @returns {Promise<Array>} Deliveries, oldest first
+ */
+async function waitForDeliveries(count) {
+  for (let tries = 0; tries < 50; tries++) {
+    const deliveries = await WebhookDelivery.find({}).sort({ createdAt: 1 });
+    if (deliveries.length >= count) {
+      return deliveries;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Expected ${count} webhook deliveries`);
+}
+
+describe('Webhook API', () => {
+  let receiver;
+  let received;
+  let responseStatus;
+  let testVehicle;
+  const { allowPrivateUrls } = config.webhooks;
+
+  beforeAll(async () => {
+    // The receiver below runs on localhost
+    config.webhooks.allowPrivateUrls = true;
+
+    // Connect to test database
+    await mongoose.connect(MONGODB_TEST_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    // Local receiver standing in for a customer's system
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+  });
+
+  beforeEach(async () => {
+    // Clean up database before each test
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await WebhookSubscription.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    received = [];
+    responseStatus = 200;
+
+    testVehicle = await Vehicle.create({
+      name: 'Test Truck',
+      capacityKg: 5000,
+      tyres: 6
+    });
+  });
+
+  afterAll(async () => {
+    // Clean up and close connection
+    await Vehicle.deleteMany({});
+    await Booking.deleteMany({});
+    await WebhookSubscription.deleteMany({});
+    await WebhookDelivery.deleteMany({});
+    await new Promise(resolve => receiver.close(resolve));
+    await mongoose.connection.close();
+    config.webhooks.allowPrivateUrls = allowPrivateUrls;
+  });
+
+  const receiverUrl = () => `http://localhost:${receiver.address().port}/fleetlink`;
+
+  const subscribe = (eventTypes = ['booking.created', 'booking.cancelled']) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', customerAuth)
+    .send({ url: receiverUrl(), eventTypes })
+    .expect(201);
+
+  const bookRide = customerId => request(app)
+    .post('/api/bookings')
+    .set('Authorization', dispatcherAuth)
+    .send({
+      vehicleId: testVehicle._id.toString(),
+      customerId,
+      fromPincode: '110001',
+      toPincode: '110002',
+      startTime: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString()
+    })
+    .expect(201);
+
+  test('should subscribe customers to their own bookings', async () => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', customerAuth)
+      .send({ url: receiverUrl(), eventTypes: ['booking.created'], customerId: 'someone-else' })
+      .expect(201);
+
+    expect(response.body.secret).toMatch(/^whsec_/);
+    expect(response.body.webhook.customerId).toBe('customer-1');
+    expect(response.body.webhook.secret).toBeUndefined();
+
+    await request(app)
+      .get(`/api/webhooks/${response.body.webhook._id}`)
+      .set('Authorization', authHeader('customer', { customerId: 'customer-2' }))
+      .expect(404);
+  });
+
+  test('should refuse unknown event types and non-http URLs', async () => {
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', customerAuth)
+      .send({ url: receiverUrl(), eventTypes: ['booking.deleted'] })
+      .expect(400);
+
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', customerAuth)
+      .send({ url: 'ftp://example.com/hooks', eventTypes: ['booking.created'] })
+      .expect(400);
+  });
+
+  test('should refuse URLs on private networks', async () => {
+    config.webhooks.allowPrivateUrls = false;
+
+    try {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', customerAuth)
+        .send({ url: 'http://169.254.169.254/latest/meta-data', eventTypes: ['booking.created'] })
+        .expect(400);
+      expect(response.body.message).toBe('url must not point to a private or local network address');
+
+      await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', customerAuth)
+        .send({ url: receiverUrl(), eventTypes: ['booking.created'] })
+        .expect(400);
+    } finally {
+      config.webhooks.allowPrivateUrls = true;
+    }
+  });
+
+  test('should deliver signed booking events', async () => {
+    const { secret } = (await subscribe()).body;
+
+    const booking = (await bookRide('customer-1')).body.booking;
+    await bookRide('customer-2');
+    await request(app)
+      .post(`/api/bookings/${booking._id}/cancel`)
+      .set('Authorization', dispatcherAuth)
+      .send({ reason: 'Plans changed' })
+      .expect(200);
+
+    await waitForDeliveries(2);
+    expect(await processDueDeliveries()).toBe(2);
+
+    expect(received.map(entry => entry.headers['x-webhook-event'])).toEqual(['booking.created', 'booking.cancelled']);
+    const [created] = received;
+    expect(created.headers['x-webhook-signature'])
+      .toBe(`sha256=${signPayload(secret, created.headers['x-webhook-timestamp'], created.body)}`);
+    expect(JSON.parse(created.body).data.booking.id).toBe(booking._id);
+
+    const deliveries = await WebhookDelivery.find({});
+    expect(deliveries.map(delivery => delivery.status)).toEqual(['succeeded', 'succeeded']);
+  });
+
+  test('should retry failed deliveries with backoff and log every attempt', async () => {
+    const webhook = (await subscribe()).body.webhook;
+    responseStatus = 503;
+
+    await bookRide('customer-1');
+    await waitForDeliveries(1);
+    await processDueDeliveries();
+
+    const [delivery] = await WebhookDelivery.find({});
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts[0].responseStatus).toBe(503);
+    expect(delivery.nextAttemptAt.getTime())
+      .toBeGreaterThanOrEqual(Date.now() + config.webhooks.retryBaseSeconds * 1000 - 5000);
+
+    // Not due yet
+    expect(await processDueDeliveries()).toBe(0);
+
+    const log = await request(app)
+      .get(`/api/webhooks/${webhook._id}/deliveries`)
+      .set('Authorization', customerAuth)
+      .expect(200);
+    expect(log.body.deliveries).toHaveLength(1);
+    expect(log.body.deliveries[0].attempts[0].error).toBe('Receiver answered with status 503');
+  });
+
+  test('should redeliver an event on request', async () => {
+    const webhook = (await subscribe()).body.webhook;
+    responseStatus = 500;
+
+    await bookRide('customer-1');
+    const [failed] = await waitForDeliveries(1);
+    await processDueDeliveries();
+
+    responseStatus = 200;
+    const response = await request(app)
+      .post(`/api/webhooks/${webhook._id}/deliveries/${failed._id}/redeliver`)
+      .set('Authorization', customerAuth)
+      .expect(201);
+
+    expect(response.body.delivery.status).toBe('succeeded');
+    expect(response.body.delivery.redeliveryOf).toBe(failed._id.toString());
+    expect(received.map(entry => entry.headers['x-webhook-id'])).toEqual([failed.eventId, failed.eventId]);
+  });
+});
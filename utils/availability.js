@@ -0,0 +1,316 @@
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const config = require('../config');
+const { vehicleClassExpression, calculateEndTime } = require('./rideCalculations');
+const { getDurationEstimator } = require('./durationEstimator');
+const { calculatePrice } = require('./pricing');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { bufferExpression, findVehiclesBlockedByRepositioning } = require('./turnaround');
+const { cargoVehicleFilter } = require('./cargo');
+const { planStops } = require('./stops');
+
+const AVAILABILITY_SORTS = ['capacity', 'price', 'name'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Estimate the ride once per vehicle class present among the eligible
+ * vehicles, using one vehicle of each class as the example
+ *
+ * Classes that cannot make the time windows of the stops are left out.
+ *
+ * @param {object} match - Filter selecting eligible vehicles
+ * @param {object} ride - { fromPincode, toPincode, stops, startTime }
+ * @returns {Promise<object>} Estimate keyed by vehicle class
+ */
+async function estimateByVehicleClass(match, { fromPincode, toPincode, stops, startTime }) {
+  const samples = await Vehicle.aggregate([
+    { $match: match },
+    { $group: { _id: vehicleClassExpression(), vehicle: { $first: '$$ROOT' } } }
+  ]);
+
+  const estimates = {};
+  for (const { _id: vehicleClass, vehicle } of samples) {
+    if (stops) {
+      try {
+        const route = await planStops(stops, vehicle, startTime);
+        estimates[vehicleClass] = {
+          estimatedRideDurationHours: route.estimatedRideDurationHours,
+          endTime: route.endTime,
+          stops: route.stops
+        };
+      } catch (error) {
+        if (error.name !== 'StopWindowError') {
+          throw error;
+        }
+      }
+      continue;
+    }
+
+    const { estimatedRideDurationHours } = await getDurationEstimator()
+      .estimate(fromPincode, toPincode, vehicle, startTime);
+
+    estimates[vehicleClass] = {
+      estimatedRideDurationHours,
+      endTime: calculateEndTime(startTime, estimatedRideDurationHours)
+    };
+  }
+
+  return estimates;
+}
+
+/**
+ * Pipeline stage joining the first record of a collection that blocks the vehicle
+ *
+ * Uses the { vehicleId, startTime, endTime } index of the joined collection.
+ *
+ * @param {string} from - Collection name
+ * @param {object} match - Extra filter on the joined records
+ * @param {object} range - { blockedFrom, blockedUntil } expressions over the vehicle
+ * @param {string} as - Output field
+ * @returns {object} $lookup stage
+ */
+function blockingLookup(from, match, { blockedFrom, blockedUntil }, as) {
+  return {
+    $lookup: {
+      from,
+      localField: '_id',
+      foreignField: 'vehicleId',
+      let: { blockedFrom, blockedUntil },
+      pipeline: [
+        {
+          $match: {
+            ...match,
+            $expr: {
+              $and: [
+                { $gt: ['$endTime', '$$blockedFrom'] },
+                { $lt: ['$startTime', '$$blockedUntil'] }
+              ]
+            }
+          }
+        },
+        { $limit: 1 },
+        { $project: { _id: 1 } }
+      ],
+      as
+    }
+  };
+}
+
+/**
+ * Pipeline stage joining the record of a collection right before or after the
+ * ride within the repositioning horizon, like findNeighbours() in turnaround
+ *
+ * @param {string} from - Collection name
+ * @param {object} match - Extra filter on the joined records
+ * @param {object} window - { side, startTime, horizonMs }; side is 'previous' or 'next'
+ * @param {string} as - Output field
+ * @returns {object} $lookup stage
+ */
+function neighbourLookup(from, match, { side, startTime, horizonMs }, as) {
+  const range = side === 'previous'
+    ? {
+      $and: [
+        { $lte: ['$endTime', startTime] },
+        { $gt: ['$endTime', new Date(startTime.getTime() - horizonMs)] }
+      ]
+    }
+    : {
+      $and: [
+        { $gte: ['$startTime', '$$rideEnd'] },
+        { $lt: ['$startTime', { $add: ['$$rideEnd', horizonMs] }] }
+      ]
+    };
+
+  return {
+    $lookup: {
+      from,
+      localField: '_id',
+      foreignField: 'vehicleId',
+      let: { rideEnd: '$requestedEndTime' },
+      pipeline: [
+        { $match: { ...match, $expr: range } },
+        { $sort: side === 'previous' ? { endTime: -1 } : { startTime: 1 } },
+        { $limit: 1 },
+        { $project: { fromPincode: 1, toPincode: 1, startTime: 1, endTime: 1 } }
+      ],
+      as
+    }
+  };
+}
+
+/**
+ * Find the free vehicles that could not reposition in time for the ride. The
+ * neighbours come from one aggregation, and each pincode pair is estimated once.
+ *
+ * @param {Array<object>} freeStages - Pipeline selecting the vehicles free for the ride
+ * @param {object} ride - { fromPincode, toPincode, startTime }
+ * @returns {Promise<Array<ObjectId>>} IDs of vehicles to leave out
+ */
+async function findCannotReposition(freeStages, ride) {
+  const horizonMs = config.turnaround.repositioningHorizonHours * HOUR_MS;
+  if (horizonMs <= 0) {
+    return [];
+  }
+
+  const bookingMatch = { status: { $in: ACTIVE_STATUSES } };
+  const holdMatch = { expiresAt: { $gt: new Date() } };
+  const previous = { side: 'previous', startTime: ride.startTime, horizonMs };
+  const next = { side: 'next', startTime: ride.startTime, horizonMs };
+
+  const vehicles = await Vehicle.aggregate([
+    ...freeStages,
+    neighbourLookup(Booking.collection.name, bookingMatch, previous, 'previousBooking'),
+    neighbourLookup(Hold.collection.name, holdMatch, previous, 'previousHold'),
+    neighbourLookup(Booking.collection.name, bookingMatch, next, 'nextBooking'),
+    neighbourLookup(Hold.collection.name, holdMatch, next, 'nextHold'),
+    {
+      $project: {
+        capacityKg: 1,
+        tyres: 1,
+        bufferBeforeMinutes: 1,
+        bufferAfterMinutes: 1,
+        requestedEndTime: 1,
+        previous: { $concatArrays: ['$previousBooking', '$previousHold'] },
+        next: { $concatArrays: ['$nextBooking', '$nextHold'] }
+      }
+    },
+    { $match: { $or: [{ 'previous.0': { $exists: true } }, { 'next.0': { $exists: true } }] } }
+  ]);
+
+  const latest = records => records.reduce((a, b) => (!a || b.endTime > a.endTime ? b : a), null);
+  const earliest = records => records.reduce((a, b) => (!a || b.startTime < a.startTime ? b : a), null);
+
+  return findVehiclesBlockedByRepositioning(vehicles.map(vehicle => ({
+    vehicle,
+    endTime: vehicle.requestedEndTime,
+    previous: latest(vehicle.previous),
+    next: earliest(vehicle.next)
+  })), ride);
+}
+
+/**
+ * Find vehicles that can carry the load and are free for the ride, in one aggregation
+ *
+ * @param {object} search - { capacity, cargo, fromPincode, toPincode, stops, startTime, distanceKm, rateCard }
+ * @param {object} [options] - { sortBy, order, page, limit }
+ * @returns {Promise<object>} { availableVehicles, total }
+ */
+async function findAvailableVehicles(search, options = {}) {
+  const { capacity, cargo, fromPincode, toPincode, stops = null, startTime, distanceKm, rateCard = null } = search;
+  const { sortBy = 'capacity', order = 'asc', page = 1, limit = 20 } = options;
+  const direction = order === 'desc' ? -1 : 1;
+
+  const match = { ...cargoVehicleFilter(cargo, capacity), isActive: true };
+  const estimates = await estimateByVehicleClass(match, { fromPincode, toPincode, stops, startTime });
+
+  if (Object.keys(estimates).length === 0) {
+    return { availableVehicles: [], total: 0 };
+  }
+
+  // Bookings and holds carry buffers on both sides, maintenance windows do not
+  const bothBuffers = { $add: ['$bufferBeforeMs', '$bufferAfterMs'] };
+  const bookingRange = {
+    blockedFrom: { $subtract: [startTime, bothBuffers] },
+    blockedUntil: { $add: ['$requestedEndTime', bothBuffers] }
+  };
+  const maintenanceRange = {
+    blockedFrom: { $subtract: [startTime, '$bufferBeforeMs'] },
+    blockedUntil: { $add: ['$requestedEndTime', '$bufferAfterMs'] }
+  };
+
+  const freeStages = [
+    { $match: match },
+    { $addFields: { vehicleClass: vehicleClassExpression() } },
+    // Skip vehicles of a class added since the estimates were made
+    { $match: { vehicleClass: { $in: Object.keys(estimates) } } },
+    {
+      $addFields: {
+        requestedEndTime: {
+          $switch: {
+            branches: Object.entries(estimates).map(([vehicleClass, estimate]) => ({
+              case: { $eq: ['$vehicleClass', vehicleClass] },
+              then: estimate.endTime
+            })),
+            default: startTime
+          }
+        },
+        bufferBeforeMs: bufferExpression('before'),
+        bufferAfterMs: bufferExpression('after')
+      }
+    },
+    blockingLookup(Booking.collection.name, { status: { $in: ACTIVE_STATUSES } }, bookingRange, 'blockingBookings'),
+    blockingLookup(Hold.collection.name, { expiresAt: { $gt: new Date() } }, bookingRange, 'blockingHolds'),
+    blockingLookup(MaintenanceWindow.collection.name, {}, maintenanceRange, 'blockingMaintenance'),
+    {
+      $match: {
+        blockingBookings: { $size: 0 },
+        blockingHolds: { $size: 0 },
+        blockingMaintenance: { $size: 0 }
+      }
+    }
+  ];
+
+  const cannotReposition = await findCannotReposition(freeStages, { fromPincode, toPincode, startTime });
+
+  const pipeline = [
+    ...freeStages,
+    { $match: { _id: { $nin: cannotReposition } } },
+    {
+      $project: {
+        blockingBookings: 0,
+        blockingHolds: 0,
+        blockingMaintenance: 0,
+        requestedEndTime: 0,
+        bufferBeforeMs: 0,
+        bufferAfterMs: 0
+      }
+    }
+  ];
+
+  // Prices are not stored, so for price sorting every match is priced and paged afterwards
+  const pageStages = sortBy === 'price'
+    ? [{ $match: {} }]
+    : [{ $skip: (page - 1) * limit }, { $limit: limit }];
+
+  pipeline.push(
+    { $sort: sortBy === 'name' ? { name: direction, _id: 1 } : { capacityKg: direction, _id: 1 } },
+    { $facet: { total: [{ $count: 'count' }], vehicles: pageStages } }
+  );
+
+  const [result] = await Vehicle.aggregate(pipeline);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  let availableVehicles = result.vehicles.map(({ vehicleClass, ...doc }) => {
+    const vehicle = Vehicle.hydrate(doc);
+    const { estimatedRideDurationHours, endTime, stops: plannedStops } = estimates[vehicleClass];
+
+    return {
+      ...vehicle.toJSON(),
+      distanceKm,
+      estimatedRideDurationHours,
+      quote: calculatePrice({ vehicle, distanceKm, estimatedRideDurationHours, startTime }, rateCard),
+      availableForRoute: {
+        from: fromPincode,
+        to: toPincode,
+        stops: plannedStops,
+        startTime,
+        endTime
+      }
+    };
+  });
+
+  if (sortBy === 'price') {
+    availableVehicles = availableVehicles
+      .sort((a, b) => direction * (a.quote.totalCost - b.quote.totalCost))
+      .slice((page - 1) * limit, page * limit);
+  }
+
+  return { availableVehicles, total };
+}
+
+module.exports = {
+  AVAILABILITY_SORTS,
+  findAvailableVehicles
+};
@@ -0,0 +1,159 @@
+const REQUIRED_COLUMNS = ['vehicleId', 'customerId', 'fromPincode', 'toPincode', 'startTime'];
+// Optional columns and the cargo field each one fills
+const CARGO_COLUMNS = {
+  cargoWeightKg: 'weightKg',
+  cargoVolumeM3: 'volumeM3',
+  cargoItemCount: 'itemCount',
+  cargoHazardous: 'hazardous',
+  cargoDescription: 'description'
+};
+const IMPORT_COLUMNS = [...REQUIRED_COLUMNS, ...Object.keys(CARGO_COLUMNS)];
+// Spellings of cargoHazardous accepted in CSV files
+const HAZARDOUS_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+/**
+ * Split CSV content into rows of fields, honouring double-quoted fields that
+ * contain commas, quotes ("") or line breaks
+ *
+ * @param {string} content - Raw CSV content
+ * @returns {Array<Array<string>>} Rows of fields, blank lines skipped
+ */
+function splitCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index++) {
+    const char = content[index];
+
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse an import CSV with a header row into plain row objects
+ *
+ * @param {string} content - Raw CSV content
+ * @returns {Array<object>} One object per data row, keyed by header
+ * @throws {Error} If the header is missing a required column
+ */
+function parseImportCsv(content) {
+  const [headerFields, ...dataRows] = splitCsv(content);
+  const headers = (headerFields || []).map(header => header.trim());
+
+  const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing column(s): ${missing.join(', ')}`);
+  }
+
+  return dataRows.map(fields => headers.reduce((record, header, index) => {
+    const value = fields[index] === undefined ? '' : fields[index].trim();
+    if (value !== '') {
+      record[header] = value;
+    }
+    return record;
+  }, {}));
+}
+
+/**
+ * Convert a cargo column of a CSV row to the type of its cargo field
+ *
+ * Values that do not convert are returned as they are, for validateCargo() to reject.
+ *
+ * @param {string} field - Cargo field
+ * @param {*} value - Column value
+ * @returns {*} Converted value
+ */
+function parseCargoValue(field, value) {
+  if (typeof value !== 'string' || field === 'description') {
+    return value;
+  }
+
+  if (field === 'hazardous') {
+    const key = value.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(HAZARDOUS_VALUES, key) ? HAZARDOUS_VALUES[key] : value;
+  }
+
+  return value.trim() === '' ? value : Number(value);
+}
+
+/**
+ * Bring a CSV or JSON import row into the shape of a booking request
+ *
+ * @param {object} row - Parsed row
+ * @returns {object} { isValid, message } plus the booking request when valid; cargo is
+ * converted but not validated
+ */
+function normaliseImportRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return {
+      isValid: false,
+      message: 'Row must be an object'
+    };
+  }
+
+  const request = {
+    vehicleId: row.vehicleId,
+    customerId: typeof row.customerId === 'string' ? row.customerId.trim() : row.customerId,
+    fromPincode: row.fromPincode === undefined ? undefined : String(row.fromPincode),
+    toPincode: row.toPincode === undefined ? undefined : String(row.toPincode),
+    startTime: row.startTime
+  };
+
+  if (row.cargo !== undefined) {
+    // JSON rows may send cargo as in POST /api/bookings; validateCargo() checks it
+    request.cargo = row.cargo;
+  } else {
+    const cargo = {};
+    for (const [column, field] of Object.entries(CARGO_COLUMNS)) {
+      if (row[column] !== undefined) {
+        cargo[field] = parseCargoValue(field, row[column]);
+      }
+    }
+    if (Object.keys(cargo).length > 0) {
+      request.cargo = cargo;
+    }
+  }
+
+  return {
+    isValid: true,
+    request
+  };
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  splitCsv,
+  parseImportCsv,
+  normaliseImportRow
+};
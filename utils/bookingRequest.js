@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const RateCard = require('../models/RateCard');
+const { calculateEndTime, validateBookingTime } = require('./rideCalculations');
+const { getDurationEstimator } = require('./durationEstimator');
+const { calculatePrice } = require('./pricing');
+const { planStops } = require('./stops');
+
+/**
+ * Validate the fields shared by booking and quote requests
+ *
+ * @param {object} input - { vehicleId, fromPincode, toPincode, startTime, customerId }
+ * @param {object} [options] - { vehicleRequired }, false when a vehicle is assigned automatically
+ * @returns {object} { isValid, message } plus the parsed startTime when valid
+ */
+function validateBookingRequest({ vehicleId, fromPincode, toPincode, startTime, customerId },
+  { vehicleRequired = true } = {}) {
+  // Validate required fields
+  if ((vehicleRequired && !vehicleId) || !fromPincode || !toPincode || !startTime || !customerId) {
+    return {
+      isValid: false,
+      message: vehicleRequired
+        ? 'vehicleId, fromPincode, toPincode, startTime, and customerId are required'
+        : 'fromPincode, toPincode, startTime, and customerId are required'
+    };
+  }
+
+  // Validate customerId type; JSON bodies may send numbers or objects
+  if (typeof customerId !== 'string' || customerId.trim() === '') {
+    return {
+      isValid: false,
+      message: 'customerId must be a non-empty string'
+    };
+  }
+
+  // Validate vehicleId format
+  if (vehicleId && !mongoose.Types.ObjectId.isValid(vehicleId)) {
+    return {
+      isValid: false,
+      message: 'Invalid vehicleId format'
+    };
+  }
+
+  // Validate pincodes
+  if (!/^\d{6}$/.test(fromPincode) || !/^\d{6}$/.test(toPincode)) {
+    return {
+      isValid: false,
+      message: 'Pincodes must be exactly 6 digits'
+    };
+  }
+
+  // Parse and validate start time
+  const parsedStartTime = new Date(startTime);
+  if (isNaN(parsedStartTime.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid startTime format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+    };
+  }
+
+  // Validate booking time constraints
+  const timeValidation = validateBookingTime(parsedStartTime);
+  if (!timeValidation.isValid) {
+    return timeValidation;
+  }
+
+  return {
+    isValid: true,
+    message: 'Valid booking request',
+    startTime: parsedStartTime
+  };
+}
+
+/**
+ * Estimate distance, duration and price of a ride for a vehicle
+ *
+ * With stops, the legs between them are summed and the stops come back with
+ * their arrival times.
+ *
+ * @param {object} ride - { vehicle, fromPincode, toPincode, stops, startTime, customerId }
+ * @returns {Promise<object>} { distanceKm, estimatedRideDurationHours, endTime, priceBreakdown }, plus stops
+ * @throws {UnknownPincodeError|DurationEstimationError} If the ride cannot be estimated
+ * @throws {StopWindowError} If a stop cannot be reached within its time window
+ */
+async function planRide({ vehicle, fromPincode, toPincode, stops, startTime, customerId }) {
+  const route = stops && stops.length > 0
+    ? await planStops(stops, vehicle, startTime)
+    : await getDurationEstimator().estimate(fromPincode, toPincode, vehicle, startTime);
+  const { distanceKm, estimatedRideDurationHours } = route;
+
+  // Price the ride using the customer's rate card, if any
+  const rateCard = await RateCard.findOne({ customerId: customerId.trim(), isActive: true });
+  const priceBreakdown = calculatePrice({
+    vehicle,
+    distanceKm,
+    estimatedRideDurationHours,
+    startTime
+  }, rateCard);
+
+  return {
+    distanceKm,
+    estimatedRideDurationHours,
+    endTime: route.endTime || calculateEndTime(startTime, estimatedRideDurationHours),
+    priceBreakdown,
+    stops: route.stops
+  };
+}
+
+/**
+ * List the booking fields that differ from what a hold or quote was made for
+ *
+ * @param {object} reserved - Hold or quote
+ * @param {object} request - { vehicleId, customerId, fromPincode, toPincode, startTime }
+ * @returns {Array<string>} Names of mismatched fields
+ */
+function getMismatchedFields(reserved, request) {
+  const mismatched = [];
+
+  if (reserved.vehicleId.toString() !== String(request.vehicleId)) mismatched.push('vehicleId');
+  if (reserved.customerId !== String(request.customerId).trim()) mismatched.push('customerId');
+  if (reserved.fromPincode !== request.fromPincode) mismatched.push('fromPincode');
+  if (reserved.toPincode !== request.toPincode) mismatched.push('toPincode');
+  if (reserved.startTime.getTime() !== request.startTime.getTime()) mismatched.push('startTime');
+
+  return mismatched;
+}
+
+module.exports = {
+  validateBookingRequest,
+  planRide,
+  getMismatchedFields
+};
@@ -0,0 +1,55 @@
+const BOOKING_STATUSES = ['confirmed', 'in-progress', 'completed', 'cancelled'];
+
+// Statuses that occupy the vehicle and therefore conflict with new bookings
+const ACTIVE_STATUSES = ['confirmed', 'in-progress'];
+
+// Allowed next statuses for each status
+const STATUS_TRANSITIONS = {
+  confirmed: ['in-progress', 'cancelled'],
+  'in-progress': ['completed'],
+  completed: [],
+  cancelled: ['confirmed']
+};
+
+/**
+ * Error raised when a booking is moved to a status it cannot reach
+ */
+class StatusTransitionError extends Error {
+  constructor(fromStatus, toStatus) {
+    super(`Cannot change booking status from ${fromStatus} to ${toStatus}`);
+    this.name = 'StatusTransitionError';
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+    this.allowedNextStates = getAllowedTransitions(fromStatus);
+  }
+}
+
+/**
+ * Get the statuses a booking can move to from its current status
+ *
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+function getAllowedTransitions(status) {
+  return STATUS_TRANSITIONS[status] || [];
+}
+
+/**
+ * Check whether a status transition is allowed
+ *
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if the transition is allowed
+ */
+function isTransitionAllowed(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  ACTIVE_STATUSES,
+  STATUS_TRANSITIONS,
+  StatusTransitionError,
+  getAllowedTransitions,
+  isTransitionAllowed
+};
@@ -0,0 +1,35 @@
+const config = require('../config');
+
+/**
+ * Decide whether a booking may be cancelled and what it costs
+ *
+ * @param {object} booking - Booking with status, startTime and totalCost
+ * @param {Date} [now] - Time of the cancellation request
+ * @param {object} [policy] - { freeWindowHours, feePercentage }, defaults to config.cancellation
+ * @returns {object} { allowed, message } plus fee details when allowed
+ */
+function evaluateCancellation(booking, now = new Date(), policy = config.cancellation) {
+  if (booking.status !== 'confirmed') {
+    return {
+      allowed: false,
+      message: `Booking cannot be cancelled once it is ${booking.status}`
+    };
+  }
+
+  const freeCancellationUntil = new Date(booking.startTime.getTime() - (policy.freeWindowHours * 60 * 60 * 1000));
+  const totalCost = booking.totalCost || 0;
+  const feePercentage = now <= freeCancellationUntil ? 0 : policy.feePercentage;
+
+  return {
+    allowed: true,
+    message: feePercentage === 0 ? 'Free cancellation' : `Late cancellation fee of ${feePercentage}% applies`,
+    freeCancellationUntil,
+    feePercentage,
+    totalCost,
+    fee: Math.round(totalCost * feePercentage) / 100
+  };
+}
+
+module.exports = {
+  evaluateCancellation
+};
@@ -0,0 +1,128 @@
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Booking flags raised when a vehicle change leaves cargo it cannot carry
+const CARGO_FLAGS = {
+  weightKg: 'cargo_exceeds_capacity',
+  volumeM3: 'cargo_exceeds_volume',
+  hazardous: 'hazardous_cargo_not_permitted'
+};
+
+const isNonNegativeNumber = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+/**
+ * Validate the cargo details of a booking request
+ *
+ * @param {object} [cargo] - { weightKg, volumeM3, itemCount, hazardous, description }
+ * @returns {object} { isValid, message }
+ */
+function validateCargo(cargo) {
+  if (cargo === undefined || cargo === null) {
+    return { isValid: true };
+  }
+
+  if (typeof cargo !== 'object' || Array.isArray(cargo)) {
+    return { isValid: false, message: 'cargo must be an object' };
+  }
+
+  const { weightKg, volumeM3, itemCount, hazardous, description } = cargo;
+
+  if (weightKg !== undefined && !isNonNegativeNumber(weightKg)) {
+    return { isValid: false, message: 'cargo.weightKg must be a non-negative number' };
+  }
+
+  if (volumeM3 !== undefined && !isNonNegativeNumber(volumeM3)) {
+    return { isValid: false, message: 'cargo.volumeM3 must be a non-negative number' };
+  }
+
+  if (itemCount !== undefined && (!Number.isInteger(itemCount) || itemCount < 1)) {
+    return { isValid: false, message: 'cargo.itemCount must be a positive integer' };
+  }
+
+  if (hazardous !== undefined && typeof hazardous !== 'boolean') {
+    return { isValid: false, message: 'cargo.hazardous must be true or false' };
+  }
+
+  if (description !== undefined &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return {
+      isValid: false,
+      message: `cargo.description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`
+    };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * List the reasons a vehicle cannot carry some cargo
+ *
+ * Vehicles without a volumeM3 are not checked for volume.
+ *
+ * @param {object} [cargo] - Booking cargo
+ * @param {object} vehicle - { capacityKg, volumeM3, hazmatCertified }
+ * @returns {Array<object>} { field, code, message } per problem, empty when it fits
+ */
+function findCargoProblems(cargo, vehicle) {
+  if (!cargo) {
+    return [];
+  }
+
+  const problems = [];
+
+  if (typeof cargo.weightKg === 'number' && cargo.weightKg > vehicle.capacityKg) {
+    problems.push({
+      field: 'weightKg',
+      code: CARGO_FLAGS.weightKg,
+      message: `Cargo of ${cargo.weightKg} kg exceeds vehicle capacity of ${vehicle.capacityKg} kg`
+    });
+  }
+
+  if (typeof cargo.volumeM3 === 'number' && typeof vehicle.volumeM3 === 'number' &&
+      cargo.volumeM3 > vehicle.volumeM3) {
+    problems.push({
+      field: 'volumeM3',
+      code: CARGO_FLAGS.volumeM3,
+      message: `Cargo of ${cargo.volumeM3} m³ exceeds vehicle volume of ${vehicle.volumeM3} m³`
+    });
+  }
+
+  if (cargo.hazardous && !vehicle.hazmatCertified) {
+    problems.push({
+      field: 'hazardous',
+      code: CARGO_FLAGS.hazardous,
+      message: 'Vehicle is not certified to carry hazardous cargo'
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Vehicle filter matching the vehicles that can carry some cargo, like findCargoProblems()
+ *
+ * @param {object} [cargo] - { weightKg, volumeM3, hazardous }
+ * @param {number} [minCapacityKg] - Capacity needed regardless of the cargo weight
+ * @returns {object} Filter on capacityKg, volumeM3 and hazmatCertified
+ */
+function cargoVehicleFilter(cargo, minCapacityKg = 0) {
+  const { weightKg, volumeM3, hazardous } = cargo || {};
+  const filter = { capacityKg: { $gte: Math.max(minCapacityKg, weightKg || 0) } };
+
+  if (typeof volumeM3 === 'number') {
+    // Also matches vehicles without a known volume
+    filter.volumeM3 = { $not: { $lt: volumeM3 } };
+  }
+
+  if (hazardous) {
+    filter.hazmatCertified = true;
+  }
+
+  return filter;
+}
+
+module.exports = {
+  CARGO_FLAGS,
+  validateCargo,
+  findCargoProblems,
+  cargoVehicleFilter
+};
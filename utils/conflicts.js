@@ -0,0 +1,109 @@
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Vehicle = require('../models/Vehicle');
+const { getBuffers, findRepositioningConflicts } = require('./turnaround');
+
+/**
+ * Find everything that blocks a vehicle for a time range
+ *
+ * The vehicle's loading and unloading buffers are kept free on both sides of
+ * the range. When the route is given, neighbouring bookings must also leave
+ * time to drive between drop-off and pickup.
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @param {object} [options] - { vehicle, route: { fromPincode, toPincode }, excludeBookingId, excludeHoldId, session }
+ * @returns {Promise<object>} { bookings, holds, maintenanceWindows, repositioning, hasConflicts }
+ */
+async function findConflicts(vehicleId, startTime, endTime, options = {}) {
+  // Run sequentially: operations in one transaction must not overlap
+  const vehicle = options.vehicle || await Vehicle.findById(vehicleId).session(options.session || null);
+  const { beforeMs, afterMs } = getBuffers(vehicle);
+
+  // Both rides carry buffers, so bookings and holds must be apart by both
+  const bufferedStart = new Date(startTime.getTime() - beforeMs - afterMs);
+  const bufferedEnd = new Date(endTime.getTime() + beforeMs + afterMs);
+
+  const bookings = await Booking.findConflicting(vehicleId, bufferedStart, bufferedEnd, options);
+  const holds = await Hold.findConflicting(vehicleId, bufferedStart, bufferedEnd, options);
+  const maintenanceWindows = await MaintenanceWindow.findConflicting(
+    vehicleId,
+    new Date(startTime.getTime() - beforeMs),
+    new Date(endTime.getTime() + afterMs),
+    options
+  );
+
+  let repositioning = [];
+  if (options.route && vehicle) {
+    const overlapping = new Set([...bookings, ...holds].map(record => record._id.toString()));
+    repositioning = (await findRepositioningConflicts(vehicle, { ...options.route, startTime, endTime }, options))
+      .filter(neighbour => !overlapping.has(neighbour._id.toString()));
+  }
+
+  return {
+    bookings,
+    holds,
+    maintenanceWindows,
+    repositioning,
+    hasConflicts: bookings.length > 0 || holds.length > 0 || maintenanceWindows.length > 0 ||
+      repositioning.length > 0
+  };
+}
+
+/**
+ * Build the 409 response body describing conflicts
+ *
+ * @param {object} conflicts - Result of findConflicts
+ * @returns {object} Response body
+ */
+function buildConflictResponse(conflicts) {
+  let message = 'Vehicle is temporarily held for an overlapping time slot';
+  if (conflicts.bookings.length > 0) {
+    message = 'Vehicle is already booked for an overlapping time slot';
+  } else if (conflicts.maintenanceWindows.length > 0) {
+    message = 'Vehicle is out of service for maintenance during an overlapping time slot';
+  } else if (conflicts.holds.length === 0 && conflicts.repositioning.length > 0) {
+    message = 'Vehicle cannot reach the pickup or its next booking in time';
+  }
+
+  return {
+    error: 'Booking Conflict',
+    message,
+    conflictingBookings: conflicts.bookings.map(booking => ({
+      id: booking._id,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      route: `${booking.fromPincode} → ${booking.toPincode}`
+    })),
+    conflictingHolds: conflicts.holds.map(hold => ({
+      id: hold._id,
+      startTime: hold.startTime,
+      endTime: hold.endTime,
+      expiresAt: hold.expiresAt
+    })),
+    conflictingMaintenanceWindows: conflicts.maintenanceWindows.map(window => ({
+      id: window._id,
+      type: window.type,
+      startTime: window.startTime,
+      endTime: window.endTime,
+      reason: window.reason
+    })),
+    repositioningConflicts: conflicts.repositioning.map(neighbour => ({
+      id: neighbour._id,
+      type: neighbour.kind,
+      direction: neighbour.direction,
+      startTime: neighbour.startTime,
+      endTime: neighbour.endTime,
+      // The neighbour may be another customer's, so its pincodes are left out
+      requiredMinutes: neighbour.requiredMinutes,
+      availableMinutes: neighbour.availableMinutes
+    }))
+  };
+}
+
+module.exports = {
+  findConflicts,
+  buildConflictResponse
+};
@@ -0,0 +1,136 @@
+const Booking = require('../models/Booking');
+const config = require('../config');
+const { getVehicleClass } = require('./rideCalculations');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ordered lightest first; each licence class also covers the classes before it
+const LICENCE_CLASSES = ['light', 'medium', 'heavy'];
+
+// Booking flags raised when a licence change leaves rides the driver may not drive
+const LICENCE_FLAGS = {
+  licenceClass: 'licence_class_insufficient',
+  licenceExpiry: 'licence_expired'
+};
+
+/**
+ * Whether a licence class covers the class of a vehicle
+ *
+ * @param {string} licenceClass - One of LICENCE_CLASSES
+ * @param {object} vehicle - { capacityKg, tyres }
+ * @returns {boolean}
+ */
+function licenceCoversVehicle(licenceClass, vehicle) {
+  return LICENCE_CLASSES.indexOf(licenceClass) >= LICENCE_CLASSES.indexOf(getVehicleClass(vehicle));
+}
+
+/**
+ * List the reasons a driver may not drive a vehicle for a ride
+ *
+ * @param {object} driver - { licenceClass, licenceExpiry }
+ * @param {object} vehicle - { capacityKg, tyres }
+ * @param {Date} endTime - Ride end; the licence must be valid until then
+ * @returns {Array<object>} { code, message } per problem, empty when the driver may drive
+ */
+function findLicenceProblems(driver, vehicle, endTime) {
+  const problems = [];
+
+  if (!licenceCoversVehicle(driver.licenceClass, vehicle)) {
+    problems.push({
+      code: LICENCE_FLAGS.licenceClass,
+      message: `A ${driver.licenceClass} licence does not cover ${getVehicleClass(vehicle)} vehicles`
+    });
+  }
+
+  if (driver.licenceExpiry <= endTime) {
+    problems.push({
+      code: LICENCE_FLAGS.licenceExpiry,
+      message: `Driver licence expires on ${driver.licenceExpiry.toISOString().slice(0, 10)}, before the ride ends`
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Find what keeps a driver from a ride: overlapping bookings and the daily
+ * driving hours limit
+ *
+ * Driving hours count towards the local day (SCHEDULE_TIMEZONE_OFFSET_MINUTES)
+ * a ride starts on.
+ *
+ * @param {ObjectId|string} driverId - Driver to check
+ * @param {object} ride - { startTime, endTime, estimatedRideDurationHours }
+ * @param {object} [options] - { excludeBookingId, session }
+ * @returns {Promise<object>} { bookings, drivingHours, exceedsDrivingHours, hasConflicts }
+ */
+async function findDriverConflicts(driverId, { startTime, endTime, estimatedRideDurationHours }, options = {}) {
+  const exclude = options.excludeBookingId ? { _id: { $ne: options.excludeBookingId } } : {};
+
+  const bookings = await Booking.find({
+    driverId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    ...exclude
+  }).session(options.session || null);
+
+  const offsetMs = config.schedule.timezoneOffsetMinutes * 60 * 1000;
+  const dayStart = new Date(Math.floor((startTime.getTime() + offsetMs) / DAY_MS) * DAY_MS - offsetMs);
+  const sameDay = await Booking.find({
+    driverId,
+    status: { $in: ACTIVE_STATUSES },
+    startTime: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+    ...exclude
+  })
+    .select('estimatedRideDurationHours')
+    .session(options.session || null);
+
+  const bookedHours = sameDay.reduce((sum, booking) => sum + booking.estimatedRideDurationHours, 0);
+  const { maxDrivingHoursPerDay } = config.drivers;
+  const exceedsDrivingHours = bookedHours + estimatedRideDurationHours > maxDrivingHoursPerDay;
+
+  return {
+    bookings,
+    drivingHours: {
+      dayStart,
+      bookedHours: Math.round(bookedHours * 100) / 100,
+      requestedHours: estimatedRideDurationHours,
+      maxHours: maxDrivingHoursPerDay
+    },
+    exceedsDrivingHours,
+    hasConflicts: bookings.length > 0 || exceedsDrivingHours
+  };
+}
+
+/**
+ * Build the 409 response body describing why a driver is unavailable
+ *
+ * @param {object} conflicts - Result of findDriverConflicts
+ * @returns {object} Response body
+ */
+function buildDriverConflictResponse(conflicts) {
+  return {
+    error: 'Driver Unavailable',
+    message: conflicts.bookings.length > 0
+      ? 'Driver is already booked for an overlapping time slot'
+      : 'Ride would take the driver over the maximum driving hours for the day',
+    conflictingBookings: conflicts.bookings.map(booking => ({
+      id: booking._id,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      route: booking.routeSummary
+    })),
+    drivingHours: conflicts.drivingHours
+  };
+}
+
+module.exports = {
+  LICENCE_CLASSES,
+  LICENCE_FLAGS,
+  licenceCoversVehicle,
+  findLicenceProblems,
+  findDriverConflicts,
+  buildDriverConflictResponse
+};
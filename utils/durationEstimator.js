@@ -0,0 +1,200 @@
+const config = require('../config');
+const { getVehicleClass } = require('./rideCalculations');
+const PlaceholderProvider = require('./durationProviders/PlaceholderProvider');
+const PincodeDistanceProvider = require('./durationProviders/PincodeDistanceProvider');
+const OsrmProvider = require('./durationProviders/OsrmProvider');
+
+// Factories for providers that can be named in DURATION_PROVIDERS
+const providerFactories = {
+  placeholder: () => new PlaceholderProvider(),
+  pincode: () => new PincodeDistanceProvider(),
+  osrm: (settings) => new OsrmProvider({
+    ...settings.osrm,
+    timeoutMs: settings.timeoutMs,
+    minDurationHours: config.ride.minDurationHours
+  })
+};
+
+/**
+ * Error thrown when every configured provider failed
+ */
+class DurationEstimationError extends Error {
+  constructor(failures) {
+    super(`All duration providers failed: ${failures.map(failure => `${failure.provider} (${failure.message})`).join(', ')}`);
+    this.name = 'DurationEstimationError';
+    this.failures = failures;
+  }
+}
+
+/**
+ * Reject if a promise does not settle within the given time
+ *
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @param {string} label - Used in the timeout error message
+ * @returns {Promise} Promise that settles with the original one or times out
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs duration providers in order, falling back to the next one on failure,
+ * and caches results of the first provider per pincode pair and vehicle class
+ */
+class DurationEstimator {
+  /**
+   * @param {object} options
+   * @param {Array<DurationProvider>} options.providers - Providers in fallback order
+   * @param {number} [options.timeoutMs] - Maximum time to wait for a single provider
+   * @param {number} [options.cacheTtlMs] - How long results are cached (0 disables caching)
+   * @param {number} [options.cacheMaxEntries] - Oldest entries are evicted beyond this size
+   */
+  constructor({ providers, timeoutMs = 3000, cacheTtlMs = 0, cacheMaxEntries = 5000 }) {
+    if (!providers || providers.length === 0) {
+      throw new Error('At least one duration provider is required');
+    }
+
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cacheMaxEntries = cacheMaxEntries;
+    this.cache = new Map();
+  }
+
+  /**
+   * Estimate distance and duration for a ride
+   *
+   * @param {string} fromPincode - Starting pincode (6 digits)
+   * @param {string} toPincode - Destination pincode (6 digits)
+   * @param {object} [vehicle] - Vehicle being booked
+   * @param {Date} [departAt] - Planned departure time
+   * @returns {Promise<object>} { distanceKm, estimatedRideDurationHours, provider }
+   * @throws {UnknownPincodeError} If a provider does not know a pincode
+   * @throws {DurationEstimationError} If every provider failed
+   */
+  async estimate(fromPincode, toPincode, vehicle, departAt) {
+    const cacheKey = `${fromPincode}:${toPincode}:${getVehicleClass(vehicle)}`;
+    const cached = this.cache.get(cacheKey);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    const failures = [];
+
+    for (const [index, provider] of this.providers.entries()) {
+      try {
+        const estimate = await withTimeout(
+          provider.estimate(fromPincode, toPincode, vehicle, departAt),
+          this.timeoutMs,
+          `${provider.name} provider`
+        );
+        const result = { ...estimate, provider: provider.name };
+
+        // Fallback results are not cached, so the primary provider is asked again once it recovers
+        if (index === 0) {
+          this.store(cacheKey, result);
+        }
+        return result;
+      } catch (error) {
+        // Unknown pincodes are bad input, not a provider failure
+        if (error.name === 'UnknownPincodeError') {
+          throw error;
+        }
+
+        console.error(`Duration provider ${provider.name} failed:`, error.message);
+        failures.push({ provider: provider.name, message: error.message });
+      }
+    }
+
+    throw new DurationEstimationError(failures);
+  }
+
+  store(cacheKey, result) {
+    if (this.cacheTtlMs <= 0) {
+      return;
+    }
+
+    if (this.cache.size >= this.cacheMaxEntries) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    this.cache.set(cacheKey, { result, expiresAt: Date.now() + this.cacheTtlMs });
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+/**
+ * Make a provider available by name in DURATION_PROVIDERS
+ *
+ * @param {string} name - Provider name
+ * @param {Function} factory - Receives the duration settings and returns a DurationProvider
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * Build an estimator from duration settings
+ *
+ * @param {object} [settings] - Defaults to config.duration
+ * @returns {DurationEstimator} Estimator
+ */
+function createDurationEstimator(settings = config.duration) {
+  const providers = settings.providers.map(name => {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown duration provider: ${name}`);
+    }
+    return factory(settings);
+  });
+
+  return new DurationEstimator({
+    providers,
+    timeoutMs: settings.timeoutMs,
+    cacheTtlMs: settings.cacheTtlMs,
+    cacheMaxEntries: settings.cacheMaxEntries
+  });
+}
+
+let defaultEstimator = null;
+
+/**
+ * Shared estimator used by the route handlers
+ *
+ * @returns {DurationEstimator} Estimator built from config.duration
+ */
+function getDurationEstimator() {
+  if (!defaultEstimator) {
+    defaultEstimator = createDurationEstimator();
+  }
+  return defaultEstimator;
+}
+
+/**
+ * Replace the shared estimator (e.g. to point tests at a stub routing service)
+ *
+ * @param {DurationEstimator|null} estimator - Estimator, or null to rebuild from config
+ */
+function setDurationEstimator(estimator) {
+  defaultEstimator = estimator;
+}
+
+module.exports = {
+  DurationEstimator,
+  DurationEstimationError,
+  registerProvider,
+  createDurationEstimator,
+  getDurationEstimator,
+  setDurationEstimator
+};
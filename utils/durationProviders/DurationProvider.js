@@ -0,0 +1,29 @@
+/**
+ * Base class for ride duration providers
+ *
+ * Providers estimate the road distance and ride duration between two pincodes.
+ * Implementations override `estimate` and resolve with
+ * `{ distanceKm, estimatedRideDurationHours }` (distanceKm may be null when the
+ * provider does not know it). Rejecting makes the estimator fall back to the
+ * next configured provider.
+ */
+class DurationProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Estimate a ride
+   *
+   * @param {string} fromPincode - Starting pincode (6 digits)
+   * @param {string} toPincode - Destination pincode (6 digits)
+   * @param {object} [vehicle] - Vehicle being booked (capacityKg, tyres)
+   * @param {Date} [departAt] - Planned departure time
+   * @returns {Promise<object>} { distanceKm, estimatedRideDurationHours }
+   */
+  async estimate(fromPincode, toPincode, vehicle, departAt) {
+    throw new Error(`${this.name} provider does not implement estimate()`);
+  }
+}
+
+module.exports = DurationProvider;
@@ -0,0 +1,88 @@
+const http = require('http');
+const https = require('https');
+const DurationProvider = require('./DurationProvider');
+const { getPincodeLocation, UnknownPincodeError } = require('../pincodeGeo');
+
+/**
+ * Routing engine exposing an OSRM-compatible `/route/v1/{profile}/{coordinates}` API.
+ * Pincodes are resolved to coordinates using the bundled geodata set.
+ */
+class OsrmProvider extends DurationProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Base URL of the routing service (e.g. http://localhost:5001)
+   * @param {string} [options.profile] - Routing profile
+   * @param {number} [options.timeoutMs] - Request timeout in milliseconds
+   * @param {number} [options.minDurationHours] - Lower bound for the returned duration
+   */
+  constructor({ baseUrl, profile = 'driving', timeoutMs = 3000, minDurationHours = 0.5 }) {
+    super('osrm');
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.profile = profile;
+    this.timeoutMs = timeoutMs;
+    this.minDurationHours = minDurationHours;
+  }
+
+  async estimate(fromPincode, toPincode) {
+    const from = getPincodeLocation(fromPincode);
+    const to = getPincodeLocation(toPincode);
+
+    if (!from || !to) {
+      const unknown = [];
+      if (!from) unknown.push(fromPincode);
+      if (!to && toPincode !== fromPincode) unknown.push(toPincode);
+      throw new UnknownPincodeError(unknown);
+    }
+
+    // OSRM expects longitude,latitude pairs
+    const coordinates = `${from.longitude},${from.latitude};${to.longitude},${to.latitude}`;
+    const body = await this.getJson(`${this.baseUrl}/route/v1/${this.profile}/${coordinates}?overview=false`);
+
+    if (body.code !== 'Ok' || !Array.isArray(body.routes) || body.routes.length === 0) {
+      throw new Error(`OSRM returned no route (${body.code || 'unknown code'})`);
+    }
+
+    const { distance, duration } = body.routes[0];
+    const durationHours = Math.round((duration / 3600) * 100) / 100;
+
+    return {
+      distanceKm: Math.round((distance / 1000) * 10) / 10,
+      estimatedRideDurationHours: Math.max(durationHours, this.minDurationHours)
+    };
+  }
+
+  /**
+   * GET a URL and parse the JSON response, aborting after timeoutMs
+   *
+   * @param {string} url - Request URL
+   * @returns {Promise<object>} Parsed response body
+   */
+  getJson(url) {
+    const client = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, { timeout: this.timeoutMs }, (response) => {
+        let raw = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { raw += chunk; });
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            return reject(new Error(`OSRM request failed with status ${response.statusCode}`));
+          }
+          try {
+            resolve(JSON.parse(raw));
+          } catch (error) {
+            reject(new Error('OSRM returned invalid JSON'));
+          }
+        });
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`OSRM request timed out after ${this.timeoutMs}ms`));
+      });
+      request.on('error', reject);
+    });
+  }
+}
+
+module.exports = OsrmProvider;
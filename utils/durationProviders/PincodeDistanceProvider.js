@@ -0,0 +1,18 @@
+const DurationProvider = require('./DurationProvider');
+const { estimateRide } = require('../rideCalculations');
+
+/**
+ * Haversine distance between pincodes from the bundled geodata set, scaled by
+ * the road factor and divided by the vehicle class average speed
+ */
+class PincodeDistanceProvider extends DurationProvider {
+  constructor() {
+    super('pincode');
+  }
+
+  async estimate(fromPincode, toPincode, vehicle) {
+    return estimateRide(fromPincode, toPincode, vehicle);
+  }
+}
+
+module.exports = PincodeDistanceProvider;
@@ -0,0 +1,22 @@
+const DurationProvider = require('./DurationProvider');
+
+/**
+ * Original placeholder formula: absolute pincode difference modulo 24 hours,
+ * with a minimum of 0.5 hours. Does not know distances.
+ */
+class PlaceholderProvider extends DurationProvider {
+  constructor() {
+    super('placeholder');
+  }
+
+  async estimate(fromPincode, toPincode) {
+    const duration = Math.abs(parseInt(toPincode) - parseInt(fromPincode)) % 24;
+
+    return {
+      distanceKm: null,
+      estimatedRideDurationHours: Math.max(duration, 0.5)
+    };
+  }
+}
+
+module.exports = PlaceholderProvider;
@@ -0,0 +1,117 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+
+const ALL_ROLES = ['admin', 'dispatcher', 'driver', 'customer'];
+
+// API key scope and user roles needed to receive each event, as for the matching REST routes
+const EVENT_TYPES = {
+  'booking.created': { scope: 'bookings:read', roles: ALL_ROLES },
+  'booking.statusChanged': { scope: 'bookings:read', roles: ALL_ROLES },
+  'booking.updated': { scope: 'bookings:read', roles: ALL_ROLES },
+  'vehicle.added': { scope: 'vehicles:read', roles: ALL_ROLES },
+  'vehicle.updated': { scope: 'vehicles:read', roles: ALL_ROLES },
+  'vehicle.deactivated': { scope: 'vehicles:read', roles: ALL_ROLES },
+  'vehicle.reactivated': { scope: 'vehicles:read', roles: ALL_ROLES },
+  'vehicle.locationReported': { scope: 'vehicles:read', roles: ['admin', 'dispatcher', 'driver'] }
+};
+
+const emitter = new EventEmitter();
+// One listener per open stream
+emitter.setMaxListeners(0);
+
+// Ids continue from the boot time, so cursors from before a restart are recognised as stale
+let lastEventId = Date.now();
+let recentEvents = [];
+const pendingByTransaction = new WeakMap();
+
+/**
+ * Number the event, keep it for reconnecting clients and pass it to listeners
+ *
+ * @param {object} event - { type, customerId, vehicleId, data }
+ */
+function emitEvent(event) {
+  lastEventId += 1;
+  const numbered = { id: lastEventId, occurredAt: new Date(), ...event };
+
+  recentEvents.push(numbered);
+  if (recentEvents.length > config.events.bufferSize) {
+    recentEvents.shift();
+  }
+
+  emitter.emit('event', numbered);
+}
+
+/**
+ * Publish an event. Events written inside a transaction are held back until it
+ * commits and dropped if it aborts.
+ *
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} details - { customerId, vehicleId, data }
+ * @param {object} [session] - Session the change was written with
+ */
+function publishEvent(type, { customerId, vehicleId, data }, session = null) {
+  const event = { type, customerId, vehicleId, data };
+
+  if (!session || !session.inTransaction()) {
+    emitEvent(event);
+    return;
+  }
+
+  // Every startTransaction() creates a new transaction object, so aborted retries are never published
+  const { transaction } = session;
+  if (!pendingByTransaction.has(transaction)) {
+    pendingByTransaction.set(transaction, []);
+    session.once('ended', () => {
+      if (transaction.isCommitted) {
+        pendingByTransaction.get(transaction).forEach(emitEvent);
+      }
+    });
+  }
+  pendingByTransaction.get(transaction).push(event);
+}
+
+/**
+ * Listen to events as they are published
+ *
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Stops listening
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+/**
+ * Events published after the given one, for clients reconnecting with a Last-Event-ID
+ *
+ * @param {number} eventId - Last event the client received
+ * @returns {Array<object>|null} Missed events, oldest first, or null if some are no longer kept
+ * or the id is not one of ours
+ */
+function getEventsSince(eventId) {
+  if (!Number.isInteger(eventId) || eventId > lastEventId) {
+    return null;
+  }
+
+  const oldestKeptId = recentEvents.length > 0 ? recentEvents[0].id : lastEventId + 1;
+  if (eventId < oldestKeptId - 1) {
+    return null;
+  }
+
+  return recentEvents.filter(event => event.id > eventId);
+}
+
+/**
+ * Forget the kept events (mainly for tests)
+ */
+function clearEvents() {
+  recentEvents = [];
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  subscribe,
+  getEventsSince,
+  clearEvents
+};
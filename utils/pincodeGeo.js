@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, 'geodata', 'pincodes.csv');
+const EARTH_RADIUS_KM = 6371;
+
+let pincodeIndex = null;
+
+/**
+ * Error thrown when a pincode is not present in the geodata set
+ */
+class UnknownPincodeError extends Error {
+  constructor(unknownPincodes) {
+    super(`Unknown pincode(s): ${unknownPincodes.join(', ')}`);
+    this.name = 'UnknownPincodeError';
+    this.unknownPincodes = unknownPincodes;
+  }
+}
+
+/**
+ * Parse the CSV dataset (header: pincode,latitude,longitude,district,state)
+ *
+ * @param {string} content - Raw CSV content
+ * @returns {Array<object>} Parsed records
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+  const headers = lines.shift().split(',').map(header => header.trim());
+
+  return lines.map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return headers.reduce((record, header, index) => {
+      record[header] = values[index];
+      return record;
+    }, {});
+  });
+}
+
+/**
+ * Load a dataset file into a Map keyed by pincode
+ *
+ * @param {string} datasetPath - Path to a .csv or .json dataset
+ * @returns {Map<string, object>} Pincode index
+ */
+function loadDataset(datasetPath) {
+  const content = fs.readFileSync(datasetPath, 'utf8');
+  const records = path.extname(datasetPath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : parseCsv(content);
+
+  const index = new Map();
+  for (const record of records) {
+    const latitude = parseFloat(record.latitude);
+    const longitude = parseFloat(record.longitude);
+
+    if (!/^\d{6}$/.test(String(record.pincode)) || isNaN(latitude) || isNaN(longitude)) {
+      continue;
+    }
+
+    index.set(String(record.pincode), {
+      pincode: String(record.pincode),
+      latitude,
+      longitude,
+      district: record.district,
+      state: record.state
+    });
+  }
+
+  return index;
+}
+
+/**
+ * Get the pincode index, loading the configured dataset on first use
+ *
+ * @returns {Map<string, object>} Pincode index
+ */
+function getIndex() {
+  if (!pincodeIndex) {
+    pincodeIndex = loadDataset(config.ride.pincodeDatasetPath || DEFAULT_DATASET_PATH);
+  }
+  return pincodeIndex;
+}
+
+/**
+ * Look up geodata for a pincode
+ *
+ * @param {string} pincode - 6 digit pincode
+ * @returns {object|null} Location record or null if unknown
+ */
+function getPincodeLocation(pincode) {
+  return getIndex().get(String(pincode)) || null;
+}
+
+/**
+ * Great-circle distance between two coordinates
+ *
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+function haversineDistanceKm(from, to) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Estimated road distance between two pincodes (haversine x road factor)
+ *
+ * @param {string} fromPincode - Starting pincode
+ * @param {string} toPincode - Destination pincode
+ * @returns {number} Road distance in kilometres, rounded to 0.1 km
+ * @throws {UnknownPincodeError} If either pincode is not in the dataset
+ */
+function getRoadDistanceKm(fromPincode, toPincode) {
+  const from = getPincodeLocation(fromPincode);
+  const to = getPincodeLocation(toPincode);
+
+  if (!from || !to) {
+    const unknown = [];
+    if (!from) unknown.push(fromPincode);
+    if (!to && toPincode !== fromPincode) unknown.push(toPincode);
+    throw new UnknownPincodeError(unknown);
+  }
+
+  const distance = haversineDistanceKm(from, to) * config.ride.roadFactor;
+  return Math.round(distance * 10) / 10;
+}
+
+/**
+ * Replace the loaded dataset (mainly for tests)
+ *
+ * @param {string|null} datasetPath - Dataset path, or null to reload the configured one lazily
+ */
+function reloadDataset(datasetPath = null) {
+  pincodeIndex = datasetPath ? loadDataset(datasetPath) : null;
+}
+
+module.exports = {
+  UnknownPincodeError,
+  getPincodeLocation,
+  haversineDistanceKm,
+  getRoadDistanceKm,
+  reloadDataset
+};
@@ -0,0 +1,147 @@
+const config = require('../config');
+
+/**
+ * Round a monetary amount to 2 decimal places
+ *
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Shift a date into the pricing time zone so getUTC* returns local values
+ *
+ * @param {Date} date - Date to convert
+ * @param {number} offsetMinutes - Offset from UTC in minutes
+ * @returns {Date} Shifted date
+ */
+function toLocalTime(date, offsetMinutes) {
+  return new Date(date.getTime() + (offsetMinutes * 60 * 1000));
+}
+
+/**
+ * Check whether a local hour falls in the night window (which may wrap past midnight)
+ *
+ * @param {number} hour - Local hour (0-23)
+ * @param {object} settings - Pricing settings with nightStartHour and nightEndHour
+ * @returns {boolean} True during night hours
+ */
+function isNightHour(hour, settings) {
+  if (settings.nightStartHour > settings.nightEndHour) {
+    return hour >= settings.nightStartHour || hour < settings.nightEndHour;
+  }
+  return hour >= settings.nightStartHour && hour < settings.nightEndHour;
+}
+
+/**
+ * Calculate the price of a ride with an itemised breakdown
+ *
+ * @param {object} ride - Ride details
+ * @param {object} ride.vehicle - Vehicle with capacityKg and tyres
+ * @param {number|null} ride.distanceKm - Road distance (null when unknown)
+ * @param {number} ride.estimatedRideDurationHours - Ride duration
+ * @param {Date} ride.startTime - Start of the ride
+ * @param {object} [rateCard] - Customer rate card overriding the default rates
+ * @param {object} [settings] - Pricing settings, defaults to config.pricing
+ * @returns {object} { currency, lineItems, subtotal, totalCost, rateCardId, calculatedAt }
+ */
+function calculatePrice(ride, rateCard = null, settings = config.pricing) {
+  const { vehicle, distanceKm, estimatedRideDurationHours, startTime } = ride;
+  const rates = {
+    baseFare: settings.baseFare,
+    perKmRate: settings.perKmRate,
+    perHourRate: settings.perHourRate,
+    discountPercentage: 0,
+    minimumCharge: 0
+  };
+
+  if (rateCard) {
+    for (const key of Object.keys(rates)) {
+      if (typeof rateCard[key] === 'number') {
+        rates[key] = rateCard[key];
+      }
+    }
+  }
+
+  const lineItems = [];
+
+  lineItems.push({
+    code: 'base_fare',
+    description: `Base fare (${vehicle.capacityKg} kg capacity)`,
+    amount: roundAmount(rates.baseFare + (vehicle.capacityKg * settings.perKgCapacityRate))
+  });
+
+  if (typeof distanceKm === 'number') {
+    const extraTyres = Math.max(vehicle.tyres - 4, 0);
+    const kmRate = rates.perKmRate + (extraTyres * settings.perExtraTyreKmRate);
+
+    lineItems.push({
+      code: 'distance',
+      description: `${distanceKm} km at ${kmRate}/km (${vehicle.tyres} tyres)`,
+      amount: roundAmount(distanceKm * kmRate)
+    });
+  }
+
+  lineItems.push({
+    code: 'duration',
+    description: `${estimatedRideDurationHours} h at ${rates.perHourRate}/h`,
+    amount: roundAmount(estimatedRideDurationHours * rates.perHourRate)
+  });
+
+  const rideCharge = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const localStart = toLocalTime(startTime, settings.timezoneOffsetMinutes);
+
+  if (settings.nightSurchargePercentage > 0 && isNightHour(localStart.getUTCHours(), settings)) {
+    lineItems.push({
+      code: 'night_surcharge',
+      description: `Night surcharge (${settings.nightSurchargePercentage}%)`,
+      amount: roundAmount(rideCharge * settings.nightSurchargePercentage / 100)
+    });
+  }
+
+  const day = localStart.getUTCDay();
+  if (settings.weekendSurchargePercentage > 0 && (day === 0 || day === 6)) {
+    lineItems.push({
+      code: 'weekend_surcharge',
+      description: `Weekend surcharge (${settings.weekendSurchargePercentage}%)`,
+      amount: roundAmount(rideCharge * settings.weekendSurchargePercentage / 100)
+    });
+  }
+
+  const subtotal = roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  let totalCost = subtotal;
+
+  if (rates.discountPercentage > 0) {
+    const discount = roundAmount(subtotal * rates.discountPercentage / 100);
+    lineItems.push({
+      code: 'customer_discount',
+      description: `Customer discount (${rates.discountPercentage}%)`,
+      amount: -discount
+    });
+    totalCost = roundAmount(totalCost - discount);
+  }
+
+  if (totalCost < rates.minimumCharge) {
+    lineItems.push({
+      code: 'minimum_charge',
+      description: `Minimum charge adjustment (minimum ${rates.minimumCharge})`,
+      amount: roundAmount(rates.minimumCharge - totalCost)
+    });
+    totalCost = rates.minimumCharge;
+  }
+
+  return {
+    currency: settings.currency,
+    lineItems,
+    subtotal,
+    totalCost,
+    rateCardId: rateCard ? rateCard._id || null : null,
+    calculatedAt: new Date()
+  };
+}
+
+module.exports = {
+  calculatePrice
+};
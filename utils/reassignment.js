@@ -0,0 +1,77 @@
+const Vehicle = require('../models/Vehicle');
+const { findConflicts } = require('./conflicts');
+const { cargoVehicleFilter } = require('./cargo');
+const { findLicenceProblems } = require('./drivers');
+const { findLoadProblems } = require('./stops');
+const { planRide } = require('./bookingRequest');
+
+/**
+ * Find another active vehicle that can take over a booking and carry its
+ * cargo, trying the smallest sufficient vehicle first
+ *
+ * Given the booking's driver, only vehicles their licence covers until the
+ * ride ends are considered. Multi-stop bookings are timed through their stops
+ * and need a vehicle that carries the running load and makes every window.
+ * The ride is priced again for the replacement's class and the customer's rate card.
+ *
+ * @param {object} booking - Booking to move
+ * @param {object} options - { excludeVehicleIds, minCapacityKg, driver, session }
+ * @returns {Promise<object|null>} { vehicle, distanceKm, estimatedRideDurationHours, endTime, priceBreakdown },
+ * plus the re-timed stops, or null if none is free
+ */
+async function findReplacementVehicle(booking, { excludeVehicleIds = [], minCapacityKg = 0, driver, session } = {}) {
+  const candidates = await Vehicle.find({
+    _id: { $nin: excludeVehicleIds },
+    isActive: true,
+    ...cargoVehicleFilter(booking.cargo, minCapacityKg)
+  })
+    .sort({ capacityKg: 1 })
+    .session(session || null);
+
+  const stops = booking.stops && booking.stops.length > 0 ? booking.stops.map(stop => stop.toObject()) : null;
+
+  for (const vehicle of candidates) {
+    if (stops && findLoadProblems(stops, vehicle).length > 0) {
+      continue;
+    }
+
+    // The ride may take longer or shorter, and cost more or less, in a vehicle of another class
+    let ride;
+    try {
+      ride = await planRide({
+        vehicle,
+        fromPincode: booking.fromPincode,
+        toPincode: booking.toPincode,
+        stops,
+        startTime: booking.startTime,
+        customerId: booking.customerId
+      });
+    } catch (error) {
+      // Slower vehicle classes may miss windows that faster ones make
+      if (error.name === 'StopWindowError') {
+        continue;
+      }
+      throw error;
+    }
+    const { endTime } = ride;
+
+    if (driver && findLicenceProblems(driver, vehicle, endTime).length > 0) {
+      continue;
+    }
+
+    const conflicts = await findConflicts(vehicle._id, booking.startTime, endTime, {
+      vehicle,
+      route: { fromPincode: booking.fromPincode, toPincode: booking.toPincode },
+      session
+    });
+    if (!conflicts.hasConflicts) {
+      return { vehicle, ...ride };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  findReplacementVehicle
+};
@@ -0,0 +1,119 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly'];
+// Indexed from Monday, as weeks start on Monday
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+// Occurrences are never searched further out than this
+const MAX_SEARCH_DAYS = 2 * 366;
+
+/**
+ * Validate an RRULE-like recurrence
+ *
+ * @param {object} recurrence - { freq, interval, byDay, count, until }
+ * @param {object} [limits] - { maxOccurrences }
+ * @returns {object} { isValid, message } plus the normalised rule when valid
+ */
+function validateRecurrence(recurrence, limits = {}) {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return { isValid: false, message: 'recurrence is required' };
+  }
+
+  const { freq, interval = 1, byDay, count, until } = recurrence;
+
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    return {
+      isValid: false,
+      message: `Invalid recurrence.freq. Must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`
+    };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { isValid: false, message: 'recurrence.interval must be a positive integer' };
+  }
+
+  if (byDay !== undefined &&
+      (!Array.isArray(byDay) || byDay.length === 0 || byDay.some(day => !WEEKDAYS.includes(day)))) {
+    return {
+      isValid: false,
+      message: `recurrence.byDay must be a non-empty list of: ${WEEKDAYS.join(', ')}`
+    };
+  }
+
+  if ((count === undefined) === (until === undefined)) {
+    return { isValid: false, message: 'Provide exactly one of recurrence.count or recurrence.until' };
+  }
+
+  if (count !== undefined &&
+      (!Number.isInteger(count) || count < 1 || (limits.maxOccurrences && count > limits.maxOccurrences))) {
+    return {
+      isValid: false,
+      message: `recurrence.count must be an integer between 1 and ${limits.maxOccurrences}`
+    };
+  }
+
+  const untilDate = until === undefined ? null : new Date(until);
+  if (untilDate && isNaN(untilDate.getTime())) {
+    return {
+      isValid: false,
+      message: 'Invalid recurrence.until format. Use ISO date format (e.g., 2023-10-27T10:00:00Z)'
+    };
+  }
+
+  return {
+    isValid: true,
+    rule: {
+      freq,
+      interval,
+      byDay: byDay || null,
+      count: count === undefined ? null : count,
+      until: untilDate
+    }
+  };
+}
+
+/**
+ * List the start times of a recurrence, the first one being startTime itself
+ * when it matches the rule
+ *
+ * Weekdays are taken in local time. Weekly rules without byDay repeat on the
+ * weekday of startTime.
+ *
+ * @param {Date} startTime - First requested start
+ * @param {object} rule - Normalised rule from validateRecurrence
+ * @param {number} timezoneOffsetMinutes - Local time offset from UTC
+ * @param {number} [limit] - Stop after this many occurrences
+ * @returns {Array<Date>} Start times in order
+ */
+function expandRecurrence(startTime, rule, timezoneOffsetMinutes, limit = Infinity) {
+  const offsetMs = timezoneOffsetMinutes * 60 * 1000;
+  const weekdayOf = time => WEEKDAYS[(new Date(time + offsetMs).getUTCDay() + 6) % 7];
+  const startWeekdayIndex = WEEKDAYS.indexOf(weekdayOf(startTime.getTime()));
+  const byDay = rule.byDay || (rule.freq === 'weekly' ? [WEEKDAYS[startWeekdayIndex]] : null);
+  const maxCount = Math.min(rule.count || Infinity, limit);
+
+  const occurrences = [];
+  for (let day = 0; day < MAX_SEARCH_DAYS && occurrences.length < maxCount; day++) {
+    const candidate = startTime.getTime() + day * DAY_MS;
+    if (rule.until && candidate > rule.until.getTime()) {
+      break;
+    }
+
+    // Weeks are counted from the Monday of the first one
+    const inPeriod = rule.freq === 'daily'
+      ? day % rule.interval === 0
+      : Math.floor((day + startWeekdayIndex) / 7) % rule.interval === 0;
+
+    if (inPeriod && (!byDay || byDay.includes(weekdayOf(candidate)))) {
+      occurrences.push(new Date(candidate));
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+  validateRecurrence,
+  expandRecurrence
+};
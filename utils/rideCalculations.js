@@ -1,29 +1,108 @@
+const config = require('../config');
+const { getRoadDistanceKm } = require('./pincodeGeo');
+
+// Vehicle class boundaries
+const HEAVY_MIN_CAPACITY_KG = 10000;
+const HEAVY_MIN_TYRES = 10;
+const LIGHT_MAX_CAPACITY_KG = 2000;
+const LIGHT_MAX_TYRES = 4;
+
 /**
- * Calculate estimated ride duration based on pincodes
- * Note: This is a simplified placeholder logic as specified in requirements
- * In a real-world scenario, this would integrate with mapping services
- * 
+ * Classify a vehicle for speed lookups
+ *
+ * @param {object} [vehicle] - Vehicle with capacityKg and tyres
+ * @returns {string} 'light', 'medium' or 'heavy' ('medium' when no vehicle is given)
+ */
+function getVehicleClass(vehicle) {
+  if (!vehicle) {
+    return 'medium';
+  }
+
+  if (vehicle.capacityKg > HEAVY_MIN_CAPACITY_KG || vehicle.tyres > HEAVY_MIN_TYRES) {
+    return 'heavy';
+  }
+
+  if (vehicle.capacityKg <= LIGHT_MAX_CAPACITY_KG && vehicle.tyres <= LIGHT_MAX_TYRES) {
+    return 'light';
+  }
+
+  return 'medium';
+}
+
+/**
+ * Aggregation expression that classifies vehicle documents like getVehicleClass()
+ *
+ * @returns {object} $switch expression over $capacityKg and $tyres
+ */
+function vehicleClassExpression() {
+  return {
+    $switch: {
+      branches: [
+        {
+          case: { $or: [{ $gt: ['$capacityKg', HEAVY_MIN_CAPACITY_KG] }, { $gt: ['$tyres', HEAVY_MIN_TYRES] }] },
+          then: 'heavy'
+        },
+        {
+          case: { $and: [{ $lte: ['$capacityKg', LIGHT_MAX_CAPACITY_KG] }, { $lte: ['$tyres', LIGHT_MAX_TYRES] }] },
+          then: 'light'
+        }
+      ],
+      default: 'medium'
+    }
+  };
+}
+
+/**
+ * Convert a road distance into a ride duration for a vehicle
+ *
+ * @param {number} distanceKm - Road distance in kilometres
+ * @param {object} [vehicle] - Vehicle used to pick the average speed
+ * @returns {number} Duration in hours, rounded to 0.01 hours
+ */
+function calculateDurationForDistance(distanceKm, vehicle) {
+  const speed = config.ride.averageSpeedKmph[getVehicleClass(vehicle)];
+  const duration = Math.round((distanceKm / speed) * 100) / 100;
+
+  return Math.max(duration, config.ride.minDurationHours);
+}
+
+/**
+ * Estimate road distance and ride duration between two pincodes
+ *
  * @param {string} fromPincode - Starting pincode (6 digits)
  * @param {string} toPincode - Destination pincode (6 digits)
- * @returns {number} Estimated ride duration in hours
+ * @param {object} [vehicle] - Vehicle used to pick the average speed
+ * @returns {object} { distanceKm, estimatedRideDurationHours }
+ * @throws {UnknownPincodeError} If either pincode is not in the geodata set
  */
-function calculateRideDuration(fromPincode, toPincode) {
+function estimateRide(fromPincode, toPincode, vehicle) {
   // Validate input
   if (!fromPincode || !toPincode) {
     throw new Error('Both from and to pincodes are required');
   }
-  
+
   if (!/^\d{6}$/.test(fromPincode) || !/^\d{6}$/.test(toPincode)) {
     throw new Error('Pincodes must be exactly 6 digits');
   }
-  
-  // Simplified logic: absolute difference modulo 24
-  const fromNum = parseInt(fromPincode);
-  const toNum = parseInt(toPincode);
-  const duration = Math.abs(toNum - fromNum) % 24;
-  
-  // Ensure minimum duration of 0.5 hours (30 minutes)
-  return Math.max(duration, 0.5);
+
+  const distanceKm = getRoadDistanceKm(fromPincode, toPincode);
+
+  return {
+    distanceKm,
+    estimatedRideDurationHours: calculateDurationForDistance(distanceKm, vehicle)
+  };
+}
+
+/**
+ * Calculate estimated ride duration based on pincodes
+ *
+ * @param {string} fromPincode - Starting pincode (6 digits)
+ * @param {string} toPincode - Destination pincode (6 digits)
+ * @param {object} [vehicle] - Vehicle used to pick the average speed
+ * @returns {number} Estimated ride duration in hours
+ */
+function calculateRideDuration(fromPincode, toPincode, vehicle) {
+  return estimateRide(fromPincode, toPincode, vehicle).estimatedRideDurationHours;
 }
 
 /**
@@ -81,6 +160,10 @@ function validateBookingTime(startTime) {
 }
 
 module.exports = {
+  getVehicleClass,
+  vehicleClassExpression,
+  calculateDurationForDistance,
+  estimateRide,
   calculateRideDuration,
   doTimeRangesOverlap,
   calculateEndTime,
@@ -0,0 +1,211 @@
+const { doTimeRangesOverlap } = require('./rideCalculations');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Merge overlapping or touching intervals
+ *
+ * @param {Array<object>} intervals - Objects with startTime and endTime
+ * @returns {Array<object>} Sorted { startTime, endTime } intervals that do not touch
+ */
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(({ startTime, endTime }) => ({ startTime: new Date(startTime), endTime: new Date(endTime) }))
+    .sort((a, b) => a.startTime - b.startTime);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+
+    if (last && interval.startTime <= last.endTime) {
+      if (interval.endTime > last.endTime) {
+        last.endTime = interval.endTime;
+      }
+    } else {
+      merged.push(interval);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Find the free gaps between busy intervals within a range
+ *
+ * @param {Array<object>} intervals - Busy intervals with startTime and endTime
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<object>} Free { startTime, endTime } gaps in order
+ */
+function findFreeGaps(intervals, from, to) {
+  const busy = mergeIntervals(intervals)
+    .filter(interval => doTimeRangesOverlap(interval.startTime, interval.endTime, from, to));
+
+  const gaps = [];
+  let cursor = new Date(from);
+
+  for (const interval of busy) {
+    if (interval.startTime > cursor) {
+      gaps.push({ startTime: cursor, endTime: interval.startTime });
+    }
+    if (interval.endTime > cursor) {
+      cursor = interval.endTime;
+    }
+  }
+
+  if (cursor < to) {
+    gaps.push({ startTime: cursor, endTime: new Date(to) });
+  }
+
+  return gaps;
+}
+
+/**
+ * Find the free start times closest to a requested start on either side
+ *
+ * Start times other than the requested one are rounded to the granularity,
+ * later starts up and earlier starts down.
+ *
+ * @param {Array<object>} gaps - Free gaps from findFreeGaps
+ * @param {Date} requestedStart - Requested start time
+ * @param {number} durationMs - Length of the ride
+ * @param {object} [options] - { granularityMs, notBefore }
+ * @returns {object} { before, after } start times, or null when there is none
+ */
+function findNearestStartTimes(gaps, requestedStart, durationMs, options = {}) {
+  const { granularityMs = 60 * 1000, notBefore = null } = options;
+  const requested = requestedStart.getTime();
+  let before = null;
+  let after = null;
+
+  for (const gap of gaps) {
+    const gapStart = gap.startTime.getTime();
+    const gapEnd = gap.endTime.getTime();
+
+    // Earliest start at or after the requested time
+    if (after === null && gapEnd > requested) {
+      let start = Math.max(gapStart, requested);
+      if (start > requested) {
+        start = Math.ceil(start / granularityMs) * granularityMs;
+      }
+      if (start + durationMs <= gapEnd) {
+        after = start;
+      }
+    }
+
+    // Latest start before the requested time; later gaps are closer
+    if (gapStart < requested) {
+      const start = Math.floor(Math.min(gapEnd - durationMs, requested - 1) / granularityMs) * granularityMs;
+      if (start >= gapStart && (!notBefore || start >= notBefore.getTime())) {
+        before = start;
+      }
+    }
+  }
+
+  return {
+    before: before === null ? null : new Date(before),
+    after: after === null ? null : new Date(after)
+  };
+}
+
+/**
+ * Interleave busy entries with the free gaps between them
+ *
+ * @param {Array<object>} entries - Busy entries with startTime, endTime and any details
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<object>} Entries and { type: 'free', startTime, endTime } gaps in order
+ */
+function buildTimeline(entries, from, to) {
+  const gaps = findFreeGaps(entries, from, to).map(gap => ({ type: 'free', ...gap }));
+
+  return [...entries, ...gaps].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+}
+
+/**
+ * Sum how much of a range is covered by busy intervals
+ *
+ * @param {Array<object>} intervals - Busy intervals with startTime and endTime
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {object} { bookedHours, freeHours, utilisationPercentage }
+ */
+function summariseUtilisation(intervals, from, to) {
+  const rangeMs = to - from;
+  const bookedMs = mergeIntervals(intervals).reduce((total, interval) => {
+    const overlap = Math.min(interval.endTime, to) - Math.max(interval.startTime, from);
+    return total + Math.max(0, overlap);
+  }, 0);
+
+  return {
+    bookedHours: Math.round((bookedMs / HOUR_MS) * 100) / 100,
+    freeHours: Math.round(((rangeMs - bookedMs) / HOUR_MS) * 100) / 100,
+    utilisationPercentage: rangeMs > 0 ? Math.round((bookedMs / rangeMs) * 1000) / 10 : 0
+  };
+}
+
+/**
+ * Split a range into local days or weeks (starting Monday)
+ *
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} bucket - 'day' or 'week'
+ * @param {number} timezoneOffsetMinutes - Local time offset from UTC
+ * @returns {Array<object>} { startTime, endTime } buckets, the first and last clipped to the range
+ */
+function splitIntoBuckets(from, to, bucket, timezoneOffsetMinutes) {
+  const offsetMs = timezoneOffsetMinutes * 60 * 1000;
+  const local = new Date(from.getTime() + offsetMs);
+  let boundary = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()) - offsetMs;
+
+  if (bucket === 'week') {
+    // getUTCDay() is 0 for Sunday; weeks start on Monday
+    boundary -= ((local.getUTCDay() + 6) % 7) * DAY_MS;
+  }
+
+  const step = bucket === 'week' ? 7 * DAY_MS : DAY_MS;
+  const buckets = [];
+
+  for (let start = boundary; start < to.getTime(); start += step) {
+    buckets.push({
+      startTime: new Date(Math.max(start, from.getTime())),
+      endTime: new Date(Math.min(start + step, to.getTime()))
+    });
+  }
+
+  return buckets;
+}
+
+/**
+ * Utilisation of each day or week in a range
+ *
+ * @param {Array<object>} intervals - Busy intervals with startTime and endTime
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} bucket - 'day' or 'week'
+ * @param {number} timezoneOffsetMinutes - Local time offset from UTC
+ * @returns {Array<object>} Buckets with bookingCount and utilisation figures
+ */
+function bucketUtilisation(intervals, from, to, bucket, timezoneOffsetMinutes) {
+  return splitIntoBuckets(from, to, bucket, timezoneOffsetMinutes).map(range => {
+    const inBucket = intervals.filter(interval =>
+      doTimeRangesOverlap(interval.startTime, interval.endTime, range.startTime, range.endTime));
+
+    return {
+      ...range,
+      bookingCount: inBucket.length,
+      ...summariseUtilisation(inBucket, range.startTime, range.endTime)
+    };
+  });
+}
+
+module.exports = {
+  mergeIntervals,
+  findFreeGaps,
+  findNearestStartTimes,
+  buildTimeline,
+  summariseUtilisation,
+  splitIntoBuckets,
+  bucketUtilisation
+};
@@ -0,0 +1,193 @@
+const { getDurationEstimator } = require('./durationEstimator');
+
+const HOUR_MS = 60 * 60 * 1000;
+const STOP_TYPES = ['pickup', 'drop'];
+
+/**
+ * Error thrown when a stop of a route cannot be reached within its time window
+ */
+class StopWindowError extends Error {
+  constructor(stopNumber, pincode) {
+    super(`Stop ${stopNumber} (${pincode}) cannot be reached within its time window`);
+    this.name = 'StopWindowError';
+    this.stop = stopNumber;
+  }
+}
+
+/**
+ * Parse an optional time window bound of a stop
+ *
+ * @param {*} value - Request value
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+function parseWindowBound(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Validate an ordered list of stops and work out the load carried after each one
+ *
+ * Pickups load cargoDeltaKg (zero or more) and drops unload it (zero or less).
+ * Values may be strings, as they arrive from query strings.
+ *
+ * @param {Array<object>} stops - { type, pincode, windowStart, windowEnd, cargoDeltaKg }
+ * @param {object} [limits] - { maxStops }
+ * @returns {object} { isValid, message } plus the normalised stops and peakLoadKg when valid
+ */
+function validateStops(stops, limits = {}) {
+  const maxStops = limits.maxStops || Infinity;
+
+  if (!Array.isArray(stops) || stops.length < 2 || stops.length > maxStops) {
+    return {
+      isValid: false,
+      message: `stops must be a list of 2 to ${maxStops} stops`
+    };
+  }
+
+  const first = stops[0] || {};
+  const last = stops[stops.length - 1] || {};
+  if (first.type !== 'pickup' || last.type !== 'drop') {
+    return {
+      isValid: false,
+      message: 'The first stop must be a pickup and the last a drop'
+    };
+  }
+
+  const normalised = [];
+  let loadKg = 0;
+  let peakLoadKg = 0;
+
+  for (const [index, stop] of stops.entries()) {
+    const label = `Stop ${index + 1}`;
+
+    if (!stop || typeof stop !== 'object' || !STOP_TYPES.includes(stop.type)) {
+      return {
+        isValid: false,
+        message: `${label}: type must be one of: ${STOP_TYPES.join(', ')}`
+      };
+    }
+
+    const pincode = stop.pincode === undefined ? '' : String(stop.pincode);
+    if (!/^\d{6}$/.test(pincode)) {
+      return { isValid: false, message: `${label}: pincode must be exactly 6 digits` };
+    }
+
+    const windowStart = parseWindowBound(stop.windowStart);
+    const windowEnd = parseWindowBound(stop.windowEnd);
+    if (windowStart === undefined || windowEnd === undefined) {
+      return { isValid: false, message: `${label}: invalid time window, use ISO date format` };
+    }
+    if (windowStart && windowEnd && windowEnd <= windowStart) {
+      return { isValid: false, message: `${label}: windowEnd must be after windowStart` };
+    }
+
+    const cargoDeltaKg = stop.cargoDeltaKg === undefined ? 0 : Number(stop.cargoDeltaKg);
+    if (stop.cargoDeltaKg === '' || isNaN(cargoDeltaKg) ||
+        (stop.type === 'pickup' && cargoDeltaKg < 0) || (stop.type === 'drop' && cargoDeltaKg > 0)) {
+      return {
+        isValid: false,
+        message: `${label}: cargoDeltaKg must be zero or more at a pickup and zero or less at a drop`
+      };
+    }
+
+    loadKg += cargoDeltaKg;
+    if (loadKg < 0) {
+      return { isValid: false, message: `${label}: drops more cargo than is on board` };
+    }
+    peakLoadKg = Math.max(peakLoadKg, loadKg);
+
+    normalised.push({ type: stop.type, pincode, windowStart, windowEnd, cargoDeltaKg, loadKg });
+  }
+
+  return {
+    isValid: true,
+    stops: normalised,
+    peakLoadKg
+  };
+}
+
+/**
+ * List the stops after which the running load exceeds a vehicle's capacity
+ *
+ * @param {Array<object>} stops - Normalised stops from validateStops
+ * @param {object} vehicle - { capacityKg }
+ * @returns {Array<object>} { field, message } per overloaded stop, empty when the load always fits
+ */
+function findLoadProblems(stops, vehicle) {
+  return stops
+    .map((stop, index) => ({ stop, index }))
+    .filter(({ stop }) => stop.loadKg > vehicle.capacityKg)
+    .map(({ stop, index }) => ({
+      field: 'stops',
+      message: `Load of ${stop.loadKg} kg after stop ${index + 1} exceeds vehicle capacity of ${vehicle.capacityKg} kg`
+    }));
+}
+
+/**
+ * Time a route through its stops, summing the legs between consecutive stops
+ *
+ * The vehicle waits at a stop whose window has not opened yet. The first stop
+ * is reached at startTime.
+ *
+ * @param {Array<object>} stops - Normalised stops from validateStops
+ * @param {object} [vehicle] - Vehicle doing the route, null for a default estimate
+ * @param {Date} startTime - Departure from the first stop
+ * @param {object} [options] - { ignoreWindows }, e.g. when trying other start times
+ * @returns {Promise<object>} { distanceKm, estimatedRideDurationHours, endTime, stops } with
+ * arrivalTime per stop
+ * @throws {StopWindowError} If a stop is reached after its window closes
+ * @throws {UnknownPincodeError|DurationEstimationError} If a leg cannot be estimated
+ */
+async function planStops(stops, vehicle, startTime, { ignoreWindows = false } = {}) {
+  let distanceKm = 0;
+  let arrivalTime = startTime;
+  let departureTime = startTime;
+  const plannedStops = [];
+
+  for (const [index, stop] of stops.entries()) {
+    if (index > 0) {
+      const previous = stops[index - 1];
+      // Consecutive stops at the same pincode need no driving
+      if (previous.pincode !== stop.pincode) {
+        const leg = await getDurationEstimator().estimate(previous.pincode, stop.pincode, vehicle, departureTime);
+        distanceKm += leg.distanceKm;
+        arrivalTime = new Date(departureTime.getTime() + leg.estimatedRideDurationHours * HOUR_MS);
+      } else {
+        arrivalTime = departureTime;
+      }
+    }
+
+    if (!ignoreWindows && ((stop.windowEnd && arrivalTime > stop.windowEnd) ||
+        (index === 0 && stop.windowStart && arrivalTime < stop.windowStart))) {
+      throw new StopWindowError(index + 1, stop.pincode);
+    }
+
+    departureTime = !ignoreWindows && stop.windowStart && stop.windowStart > arrivalTime
+      ? stop.windowStart
+      : arrivalTime;
+    plannedStops.push({ ...stop, arrivalTime });
+  }
+
+  const durationHours = (arrivalTime - startTime) / HOUR_MS;
+
+  return {
+    distanceKm: Math.round(distanceKm * 10) / 10,
+    // Bookings last at least 0.1 hours
+    estimatedRideDurationHours: Math.max(0.1, Math.round(durationHours * 100) / 100),
+    endTime: new Date(Math.max(arrivalTime.getTime(), startTime.getTime() + 0.1 * HOUR_MS)),
+    stops: plannedStops
+  };
+}
+
+module.exports = {
+  STOP_TYPES,
+  StopWindowError,
+  validateStops,
+  findLoadProblems,
+  planStops
+};
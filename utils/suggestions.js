@@ -0,0 +1,133 @@
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const config = require('../config');
+const { getVehicleClass, calculateEndTime } = require('./rideCalculations');
+const { getDurationEstimator } = require('./durationEstimator');
+const { findFreeGaps, findNearestStartTimes } = require('./schedule');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { getBuffers } = require('./turnaround');
+const { cargoVehicleFilter } = require('./cargo');
+const { planStops } = require('./stops');
+
+/**
+ * Suggest the nearest free start times before and after a requested start
+ * on vehicles that can carry the load
+ *
+ * Bookings, holds and maintenance windows of all eligible vehicles are
+ * loaded with one query per collection, and each vehicle contributes its
+ * closest slot on each side.
+ *
+ * @param {object} search - { capacity, cargo, fromPincode, toPincode, stops, startTime }
+ * @param {object} [options] - { count, searchWindowHours }
+ * @returns {Promise<object>} { before, after } suggestions, closest first
+ */
+async function suggestTimeSlots({ capacity, cargo, fromPincode, toPincode, stops, startTime }, options = {}) {
+  const {
+    count = config.suggestions.count,
+    searchWindowHours = config.suggestions.searchWindowHours
+  } = options;
+  const granularityMs = config.suggestions.slotGranularityMinutes * 60 * 1000;
+
+  const vehicles = await Vehicle.find({ ...cargoVehicleFilter(cargo, capacity), isActive: true });
+  if (vehicles.length === 0) {
+    return { before: [], after: [] };
+  }
+
+  // Durations only differ per vehicle class
+  const estimates = new Map();
+  for (const vehicle of vehicles) {
+    const vehicleClass = getVehicleClass(vehicle);
+    if (!estimates.has(vehicleClass)) {
+      // Stop time windows are for the requested start, so other starts ignore them
+      const { estimatedRideDurationHours } = stops
+        ? await planStops(stops, vehicle, startTime, { ignoreWindows: true })
+        : await getDurationEstimator().estimate(fromPincode, toPincode, vehicle, startTime);
+      estimates.set(vehicleClass, estimatedRideDurationHours);
+    }
+  }
+
+  const windowMs = searchWindowHours * 60 * 60 * 1000;
+  const longestRideMs = Math.max(...estimates.values()) * 60 * 60 * 1000;
+  const now = new Date();
+  const notBefore = new Date(Math.ceil(now.getTime() / granularityMs) * granularityMs);
+  const windowStart = new Date(Math.max(notBefore.getTime(), startTime.getTime() - windowMs));
+  const windowEnd = new Date(startTime.getTime() + windowMs + longestRideMs);
+
+  const vehicleIds = vehicles.map(vehicle => vehicle._id);
+  const overlapsWindow = {
+    vehicleId: { $in: vehicleIds },
+    startTime: { $lt: windowEnd },
+    endTime: { $gt: windowStart }
+  };
+
+  const bookings = await Booking.find({ ...overlapsWindow, status: { $in: ACTIVE_STATUSES } })
+    .select('vehicleId startTime endTime');
+  const holds = await Hold.find({ ...overlapsWindow, expiresAt: { $gt: now } })
+    .select('vehicleId startTime endTime');
+  const maintenanceWindows = await MaintenanceWindow.find(overlapsWindow)
+    .select('vehicleId startTime endTime');
+
+  const busyByVehicle = new Map();
+  const addBusy = (records, kind) => {
+    for (const record of records) {
+      const key = record.vehicleId.toString();
+      if (!busyByVehicle.has(key)) {
+        busyByVehicle.set(key, []);
+      }
+      busyByVehicle.get(key).push({ kind, startTime: record.startTime, endTime: record.endTime });
+    }
+  };
+  addBusy(bookings, 'ride');
+  addBusy(holds, 'ride');
+  addBusy(maintenanceWindows, 'maintenance');
+
+  const before = [];
+  const after = [];
+
+  for (const vehicle of vehicles) {
+    const estimatedRideDurationHours = estimates.get(getVehicleClass(vehicle));
+
+    // Widen busy time by the buffers the new ride and the other rides need
+    const { beforeMs, afterMs } = getBuffers(vehicle);
+    const busy = (busyByVehicle.get(vehicle._id.toString()) || []).map(interval => ({
+      startTime: new Date(interval.startTime.getTime() - (interval.kind === 'ride' ? beforeMs + afterMs : afterMs)),
+      endTime: new Date(interval.endTime.getTime() + (interval.kind === 'ride' ? beforeMs + afterMs : beforeMs))
+    }));
+    const gaps = findFreeGaps(busy, windowStart, windowEnd);
+    const nearest = findNearestStartTimes(gaps, startTime, estimatedRideDurationHours * 60 * 60 * 1000, {
+      granularityMs,
+      notBefore
+    });
+
+    const toSuggestion = slotStart => ({
+      vehicleId: vehicle._id,
+      vehicleName: vehicle.name,
+      capacityKg: vehicle.capacityKg,
+      startTime: slotStart,
+      endTime: calculateEndTime(slotStart, estimatedRideDurationHours),
+      estimatedRideDurationHours,
+      offsetMinutes: Math.round((slotStart - startTime) / (60 * 1000))
+    });
+
+    if (nearest.before) {
+      before.push(toSuggestion(nearest.before));
+    }
+    if (nearest.after && nearest.after - startTime <= windowMs) {
+      after.push(toSuggestion(nearest.after));
+    }
+  }
+
+  // Closest first; ties go to the smallest sufficient vehicle
+  const byDistance = (a, b) => Math.abs(a.offsetMinutes) - Math.abs(b.offsetMinutes) || a.capacityKg - b.capacityKg;
+
+  return {
+    before: before.sort(byDistance).slice(0, count),
+    after: after.sort(byDistance).slice(0, count)
+  };
+}
+
+module.exports = {
+  suggestTimeSlots
+};
@@ -0,0 +1,157 @@
+const config = require('../config');
+const { getVehicleClass } = require('./rideCalculations');
+const { getPincodeLocation, haversineDistanceKm } = require('./pincodeGeo');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Device clocks may run a little ahead of the server
+const MAX_CLOCK_SKEW_MS = 5 * MINUTE_MS;
+const LATE_FLAG = 'running_late';
+
+/**
+ * Check one reported GPS point
+ *
+ * @param {object} point - { timestamp, latitude, longitude, speedKmph }
+ * @param {Date} now - Time the batch was received
+ * @param {number} retentionDays - Points older than this are not kept
+ * @returns {string|null} Problem with the point, or null if it is valid
+ */
+function findPointProblem(point, now, retentionDays) {
+  if (!point || typeof point !== 'object') {
+    return 'Point must be an object';
+  }
+
+  const timestamp = new Date(point.timestamp);
+  if (!point.timestamp || isNaN(timestamp.getTime())) {
+    return 'timestamp must be a valid date';
+  }
+  if (timestamp.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+    return 'timestamp cannot be in the future';
+  }
+  if (timestamp.getTime() < now.getTime() - retentionDays * DAY_MS) {
+    return `timestamp cannot be more than ${retentionDays} days old`;
+  }
+
+  if (typeof point.latitude !== 'number' || point.latitude < -90 || point.latitude > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+  if (typeof point.longitude !== 'number' || point.longitude < -180 || point.longitude > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+  if (point.speedKmph !== undefined && (typeof point.speedKmph !== 'number' || point.speedKmph < 0)) {
+    return 'speedKmph must be a non-negative number';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a batch of GPS points; invalid points are reported and left out
+ *
+ * @param {*} points - Request value, a list of { timestamp, latitude, longitude, speedKmph }
+ * @param {object} [options] - { maxPoints, retentionDays, now }
+ * @returns {object} { isValid, message } plus the normalised points and rejectedPoints
+ * ({ index, message }) when the list itself is valid
+ */
+function validateLocationPoints(points, options = {}) {
+  const {
+    maxPoints = config.telemetry.maxPointsPerBatch,
+    retentionDays = config.telemetry.retentionDays,
+    now = new Date()
+  } = options;
+
+  if (!Array.isArray(points) || points.length === 0 || points.length > maxPoints) {
+    return {
+      isValid: false,
+      message: `points must be a list of 1 to ${maxPoints} points`
+    };
+  }
+
+  const accepted = [];
+  const rejectedPoints = [];
+
+  points.forEach((point, index) => {
+    const problem = findPointProblem(point, now, retentionDays);
+    if (problem) {
+      rejectedPoints.push({ index, message: problem });
+      return;
+    }
+
+    accepted.push({
+      timestamp: new Date(point.timestamp),
+      latitude: point.latitude,
+      longitude: point.longitude,
+      speedKmph: point.speedKmph
+    });
+  });
+
+  return {
+    isValid: true,
+    points: accepted,
+    rejectedPoints
+  };
+}
+
+/**
+ * Pincodes a ride still has to reach, in order
+ *
+ * @param {object} booking - In-progress booking
+ * @returns {Array<string>} Remaining stops, or the drop-off of a single-route booking
+ */
+function getRemainingPincodes(booking) {
+  if (booking.trip && booking.trip.arrivedAt) {
+    return [];
+  }
+
+  if (booking.stops && booking.stops.length > 0) {
+    return booking.stops.filter(stop => !stop.actualArrivalTime).map(stop => stop.pincode);
+  }
+
+  return [booking.toPincode];
+}
+
+/**
+ * Estimate when an in-progress ride will arrive, driving from the vehicle's
+ * last known position through its remaining stops at the average speed of
+ * the vehicle class
+ *
+ * @param {object} booking - In-progress booking
+ * @param {object} position - Last known location { timestamp, latitude, longitude }
+ * @param {object} vehicle - Vehicle of the booking
+ * @returns {object|null} { estimatedArrivalTime, remainingDistanceKm, lateByMinutes, isLate },
+ * or null if a remaining pincode is unknown
+ */
+function estimateArrival(booking, position, vehicle) {
+  const locations = getRemainingPincodes(booking).map(getPincodeLocation);
+  if (locations.some(location => !location)) {
+    return null;
+  }
+
+  let remainingDistanceKm = 0;
+  let from = position;
+  locations.forEach(location => {
+    remainingDistanceKm += haversineDistanceKm(from, location) * config.ride.roadFactor;
+    from = location;
+  });
+
+  const speedKmph = config.ride.averageSpeedKmph[getVehicleClass(vehicle)];
+  const estimatedArrivalTime = locations.length === 0
+    ? booking.trip.arrivedAt
+    : new Date(position.timestamp.getTime() + (remainingDistanceKm / speedKmph) * HOUR_MS);
+  // Negative when the ride is ahead of schedule
+  const lateByMinutes = Math.round((estimatedArrivalTime - booking.endTime) / MINUTE_MS);
+
+  return {
+    estimatedArrivalTime,
+    remainingDistanceKm: Math.round(remainingDistanceKm * 10) / 10,
+    lateByMinutes,
+    isLate: lateByMinutes > config.telemetry.lateThresholdMinutes
+  };
+}
+
+module.exports = {
+  LATE_FLAG,
+  validateLocationPoints,
+  estimateArrival
+};
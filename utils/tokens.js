@@ -0,0 +1,66 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * Get the signing secret, failing loudly when it is not configured
+ *
+ * @returns {string} JWT secret
+ */
+function getSecret() {
+  if (!config.auth.jwtSecret) {
+    throw new Error('JWT_SECRET must be set');
+  }
+  return config.auth.jwtSecret;
+}
+
+/**
+ * Issue a short-lived access token
+ *
+ * @param {object} user - User with _id, role and customerId
+ * @returns {string} Signed JWT
+ */
+function signAccessToken(user) {
+  return jwt.sign(
+    { role: user.role, customerId: user.customerId || null, type: 'access' },
+    getSecret(),
+    { subject: user._id.toString(), expiresIn: config.auth.accessTokenTtl }
+  );
+}
+
+/**
+ * Issue a long-lived refresh token tied to the user's token version
+ *
+ * @param {object} user - User with _id and tokenVersion
+ * @returns {string} Signed JWT
+ */
+function signRefreshToken(user) {
+  return jwt.sign(
+    { tokenVersion: user.tokenVersion || 0, type: 'refresh' },
+    getSecret(),
+    { subject: user._id.toString(), expiresIn: config.auth.refreshTokenTtl }
+  );
+}
+
+/**
+ * Verify a token and check its type
+ *
+ * @param {string} token - JWT
+ * @param {string} type - Expected token type ('access' or 'refresh')
+ * @returns {object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or of another type
+ */
+function verifyToken(token, type) {
+  const payload = jwt.verify(token, getSecret());
+
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected a ${type} token`);
+  }
+
+  return payload;
+}
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyToken
+};
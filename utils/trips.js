@@ -0,0 +1,81 @@
+const HOUR_MS = 60 * 60 * 1000;
+const SIGNATURE_TYPES = ['image/png', 'image/jpeg'];
+const DATA_URL_PATTERN = /^data:([a-z/]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+/**
+ * Check an odometer reading sent by a driver
+ *
+ * @param {*} value - Request value
+ * @param {number} [minimumKm] - Reading it cannot be below, e.g. the one at the start of the trip
+ * @returns {object} { isValid, message }
+ */
+function validateOdometer(value, minimumKm = 0) {
+  if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+    return { isValid: false, message: 'Odometer reading must be a non-negative number of km' };
+  }
+
+  if (value < minimumKm) {
+    return { isValid: false, message: `Odometer reading cannot be below ${minimumKm} km at the start of the trip` };
+  }
+
+  return { isValid: true };
+}
+
+/**
+ * Decode a signature image sent as a base64 data URL
+ *
+ * @param {*} value - Request value, e.g. 'data:image/png;base64,iVBOR...'
+ * @param {number} maxBytes - Largest decoded image allowed
+ * @returns {object} { isValid, message } plus the signature { contentType, data } when valid
+ */
+function parseSignature(value, maxBytes) {
+  const match = typeof value === 'string' ? DATA_URL_PATTERN.exec(value) : null;
+  if (!match || !SIGNATURE_TYPES.includes(match[1])) {
+    return {
+      isValid: false,
+      message: `signature must be a base64 data URL of type ${SIGNATURE_TYPES.join(' or ')}`
+    };
+  }
+
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length === 0 || data.length > maxBytes) {
+    return {
+      isValid: false,
+      message: `signature must be between 1 and ${maxBytes} bytes`
+    };
+  }
+
+  return {
+    isValid: true,
+    signature: { contentType: match[1], data }
+  };
+}
+
+/**
+ * Compare a finished trip with its estimated duration
+ *
+ * @param {object} trip - { startedAt, completedAt, startOdometerKm, endOdometerKm }
+ * @param {number} estimatedRideDurationHours - Duration the booking was planned with
+ * @returns {object} { actualDurationHours, actualDistanceKm, durationVarianceHours, durationVariancePercentage },
+ * without actualDistanceKm unless both odometer readings are known
+ */
+function measureTrip(trip, estimatedRideDurationHours) {
+  const actualDurationHours = Math.round(((trip.completedAt - trip.startedAt) / HOUR_MS) * 100) / 100;
+  const durationVarianceHours = Math.round((actualDurationHours - estimatedRideDurationHours) * 100) / 100;
+  const hasOdometer = typeof trip.startOdometerKm === 'number' && typeof trip.endOdometerKm === 'number';
+
+  return {
+    actualDurationHours,
+    actualDistanceKm: hasOdometer ? Math.round((trip.endOdometerKm - trip.startOdometerKm) * 10) / 10 : undefined,
+    durationVarianceHours,
+    // Positive when the trip took longer than estimated
+    durationVariancePercentage: Math.round((durationVarianceHours / estimatedRideDurationHours) * 1000) / 10
+  };
+}
+
+module.exports = {
+  SIGNATURE_TYPES,
+  validateOdometer,
+  parseSignature,
+  measureTrip
+};
@@ -0,0 +1,281 @@
+const Booking = require('../models/Booking');
+const Hold = require('../models/Hold');
+const config = require('../config');
+const { getVehicleClass } = require('./rideCalculations');
+const { getDurationEstimator } = require('./durationEstimator');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const BUFFER_FIELDS = {
+  before: 'bufferBeforeMinutes',
+  after: 'bufferAfterMinutes'
+};
+
+/**
+ * Loading and unloading time blocked around each booking of a vehicle
+ *
+ * @param {object} [vehicle] - Vehicle, possibly with its own buffers
+ * @returns {object} { beforeMs, afterMs }
+ */
+function getBuffers(vehicle) {
+  const vehicleClass = getVehicleClass(vehicle);
+  const minutes = side => {
+    const own = vehicle ? vehicle[BUFFER_FIELDS[side]] : null;
+    return own === undefined || own === null ? config.turnaround[BUFFER_FIELDS[side]][vehicleClass] : own;
+  };
+
+  return {
+    beforeMs: minutes('before') * MINUTE_MS,
+    afterMs: minutes('after') * MINUTE_MS
+  };
+}
+
+/**
+ * Aggregation expression for a vehicle buffer in milliseconds, like getBuffers()
+ *
+ * Expects the documents to have a vehicleClass field.
+ *
+ * @param {string} side - 'before' or 'after'
+ * @returns {object} Expression over the vehicle's own buffer and $vehicleClass
+ */
+function bufferExpression(side) {
+  const field = BUFFER_FIELDS[side];
+  const defaults = config.turnaround[field];
+
+  return {
+    $multiply: [
+      {
+        $ifNull: [`$${field}`, {
+          $switch: {
+            branches: Object.entries(defaults).map(([vehicleClass, minutes]) => ({
+              case: { $eq: ['$vehicleClass', vehicleClass] },
+              then: minutes
+            })),
+            default: defaults.medium
+          }
+        }]
+      },
+      MINUTE_MS
+    ]
+  };
+}
+
+// Booking and hold fields needed to work out repositioning
+const toNeighbour = kind => record => ({
+  kind,
+  _id: record._id,
+  vehicleId: record.vehicleId,
+  fromPincode: record.fromPincode,
+  toPincode: record.toPincode,
+  startTime: record.startTime,
+  endTime: record.endTime
+});
+
+/**
+ * Drives a vehicle needs between a ride and its neighbours; staying put only
+ * needs the buffers, which the overlap check covers
+ *
+ * @param {object} ride - { fromPincode, toPincode, startTime, endTime }
+ * @param {object} neighbours - { previous, next } bookings or holds, either may be null
+ * @returns {Array<object>} Legs with the neighbour, direction, pincodes, departAt and availableMs
+ */
+function buildLegs(ride, { previous, next }) {
+  const legs = [];
+
+  if (previous) {
+    legs.push({
+      neighbour: previous,
+      direction: 'previous',
+      fromPincode: previous.toPincode,
+      toPincode: ride.fromPincode,
+      departAt: previous.endTime,
+      availableMs: ride.startTime - previous.endTime
+    });
+  }
+  if (next) {
+    legs.push({
+      neighbour: next,
+      direction: 'next',
+      fromPincode: ride.toPincode,
+      toPincode: next.fromPincode,
+      departAt: ride.endTime,
+      availableMs: next.startTime - ride.endTime
+    });
+  }
+
+  return legs.filter(leg => leg.fromPincode !== leg.toPincode);
+}
+
+/**
+ * Estimate the drive of a leg
+ *
+ * @param {object} leg - Leg from buildLegs()
+ * @param {object} vehicle - Vehicle driving it
+ * @returns {Promise<number|null>} Hours, or null when a pincode is outside the dataset
+ */
+async function estimateLegHours(leg, vehicle) {
+  try {
+    const { estimatedRideDurationHours } = await getDurationEstimator()
+      .estimate(leg.fromPincode, leg.toPincode, vehicle, leg.departAt);
+    return estimatedRideDurationHours;
+  } catch (error) {
+    // Neighbours booked with pincodes outside the dataset cannot be driven to;
+    // only their buffers, which the overlap check covers, are kept free
+    if (error.name === 'UnknownPincodeError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Time a vehicle needs between two rides: unloading, the drive and loading
+ *
+ * @param {object} buffers - { beforeMs, afterMs } from getBuffers()
+ * @param {number} hours - Drive in hours
+ * @returns {number} Milliseconds
+ */
+function getRequiredMs({ beforeMs, afterMs }, hours) {
+  return afterMs + hours * HOUR_MS + beforeMs;
+}
+
+/**
+ * Check that a vehicle can get from the previous drop-off to the ride's pickup,
+ * and from the ride's drop-off to the next pickup, with buffers on both ends.
+ * Legs to or from pincodes outside the dataset are not checked.
+ *
+ * @param {object} vehicle - Vehicle doing the ride
+ * @param {object} ride - { fromPincode, toPincode, startTime, endTime }
+ * @param {object} neighbours - { previous, next } bookings or holds, either may be null
+ * @returns {Promise<Array>} One entry per neighbour that is too close
+ */
+async function checkRepositioning(vehicle, ride, neighbours) {
+  const buffers = getBuffers(vehicle);
+  const conflicts = [];
+
+  for (const leg of buildLegs(ride, neighbours)) {
+    const hours = await estimateLegHours(leg, vehicle);
+    if (hours === null) {
+      continue;
+    }
+    const requiredMs = getRequiredMs(buffers, hours);
+
+    if (requiredMs > leg.availableMs) {
+      conflicts.push({
+        ...leg.neighbour,
+        direction: leg.direction,
+        repositioningFrom: leg.fromPincode,
+        repositioningTo: leg.toPincode,
+        requiredMinutes: Math.ceil(requiredMs / MINUTE_MS),
+        availableMinutes: Math.floor(leg.availableMs / MINUTE_MS)
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Find the bookings or holds of a vehicle right before and after a ride,
+ * within the repositioning horizon
+ *
+ * @param {ObjectId|string} vehicleId - Vehicle to check
+ * @param {object} ride - { startTime, endTime }
+ * @param {object} [options] - { excludeBookingId, excludeHoldId, session }
+ * @returns {Promise<object>} { previous, next }, either may be null
+ */
+async function findNeighbours(vehicleId, { startTime, endTime }, options = {}) {
+  const horizonMs = config.turnaround.repositioningHorizonHours * HOUR_MS;
+  const session = options.session || null;
+
+  const bookingFilter = { vehicleId, status: { $in: ACTIVE_STATUSES } };
+  if (options.excludeBookingId) {
+    bookingFilter._id = { $ne: options.excludeBookingId };
+  }
+  const holdFilter = { vehicleId, expiresAt: { $gt: new Date() } };
+  if (options.excludeHoldId) {
+    holdFilter._id = { $ne: options.excludeHoldId };
+  }
+
+  const before = { endTime: { $lte: startTime, $gt: new Date(startTime.getTime() - horizonMs) } };
+  const after = { startTime: { $gte: endTime, $lt: new Date(endTime.getTime() + horizonMs) } };
+
+  // Run sequentially: operations in one transaction must not overlap
+  const candidates = [
+    await Booking.findOne({ ...bookingFilter, ...before }).sort({ endTime: -1 }).session(session),
+    await Hold.findOne({ ...holdFilter, ...before }).sort({ endTime: -1 }).session(session),
+    await Booking.findOne({ ...bookingFilter, ...after }).sort({ startTime: 1 }).session(session),
+    await Hold.findOne({ ...holdFilter, ...after }).sort({ startTime: 1 }).session(session)
+  ].map((record, index) => record && toNeighbour(index % 2 === 0 ? 'booking' : 'hold')(record));
+
+  const [previousBooking, previousHold, nextBooking, nextHold] = candidates;
+  const latest = (a, b) => (!a || (b && b.endTime > a.endTime) ? b : a);
+  const earliest = (a, b) => (!a || (b && b.startTime < a.startTime) ? b : a);
+
+  return {
+    previous: latest(previousBooking, previousHold),
+    next: earliest(nextBooking, nextHold)
+  };
+}
+
+/**
+ * Find the neighbours of a ride that leave the vehicle too little time to reposition
+ *
+ * @param {object} vehicle - Vehicle doing the ride
+ * @param {object} ride - { fromPincode, toPincode, startTime, endTime }
+ * @param {object} [options] - { excludeBookingId, excludeHoldId, session }
+ * @returns {Promise<Array>} Neighbours that are too close, empty when the check is off
+ */
+async function findRepositioningConflicts(vehicle, ride, options = {}) {
+  if (config.turnaround.repositioningHorizonHours <= 0) {
+    return [];
+  }
+
+  const neighbours = await findNeighbours(vehicle._id, ride, options);
+  return checkRepositioning(vehicle, ride, neighbours);
+}
+
+/**
+ * Find the vehicles of an availability search that could not reposition in
+ * time, estimating every distinct pincode pair and vehicle class once
+ *
+ * @param {Array<object>} candidates - { vehicle, endTime, previous, next } per vehicle with neighbours
+ * @param {object} ride - { fromPincode, toPincode, startTime }
+ * @returns {Promise<Array<ObjectId>>} IDs of vehicles to leave out
+ */
+async function findVehiclesBlockedByRepositioning(candidates, { fromPincode, toPincode, startTime }) {
+  const withLegs = candidates.map(({ vehicle, endTime, previous, next }) => ({
+    vehicle,
+    legs: buildLegs({ fromPincode, toPincode, startTime, endTime }, { previous, next })
+  }));
+
+  const legKey = (leg, vehicle) => `${leg.fromPincode}:${leg.toPincode}:${getVehicleClass(vehicle)}`;
+  const estimates = new Map();
+  for (const { vehicle, legs } of withLegs) {
+    for (const leg of legs) {
+      const key = legKey(leg, vehicle);
+      if (!estimates.has(key)) {
+        estimates.set(key, estimateLegHours(leg, vehicle));
+      }
+    }
+  }
+  const hoursByKey = new Map(await Promise.all(
+    [...estimates].map(async ([key, estimate]) => [key, await estimate])
+  ));
+
+  return withLegs
+    .filter(({ vehicle, legs }) => legs.some(leg => {
+      const hours = hoursByKey.get(legKey(leg, vehicle));
+      return hours !== null && getRequiredMs(getBuffers(vehicle), hours) > leg.availableMs;
+    }))
+    .map(({ vehicle }) => vehicle._id);
+}
+
+module.exports = {
+  getBuffers,
+  bufferExpression,
+  checkRepositioning,
+  findRepositioningConflicts,
+  findVehiclesBlockedByRepositioning
+};
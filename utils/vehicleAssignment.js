@@ -0,0 +1,208 @@
+const Vehicle = require('../models/Vehicle');
+const Booking = require('../models/Booking');
+const config = require('../config');
+const { getDurationEstimator } = require('./durationEstimator');
+const { planRide } = require('./bookingRequest');
+const { findConflicts } = require('./conflicts');
+const { ACTIVE_STATUSES } = require('./bookingStatus');
+const { cargoVehicleFilter } = require('./cargo');
+const { licenceCoversVehicle } = require('./drivers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ASSIGNMENT_STRATEGIES = ['smallest-sufficient', 'least-utilised', 'cheapest', 'closest'];
+
+/**
+ * Plan a ride for a candidate vehicle
+ *
+ * @param {object} ride - { fromPincode, toPincode, stops, startTime, customerId }
+ * @param {object} vehicle - Candidate vehicle
+ * @returns {Promise<object|null>} Planned ride, or null if the vehicle cannot make the stop windows
+ */
+async function planCandidateRide(ride, vehicle) {
+  try {
+    return await planRide({ ...ride, vehicle });
+  } catch (error) {
+    // Slower vehicle classes may miss windows that faster ones make
+    if (error.name === 'StopWindowError') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// Smaller vehicles first, so ties keep the larger ones free for heavier loads
+const bySize = (a, b) => a.vehicle.capacityKg - b.vehicle.capacityKg ||
+  a.vehicle._id.toString().localeCompare(b.vehicle._id.toString());
+
+/**
+ * Booked hours of each vehicle within the utilisation window around a ride
+ *
+ * @param {Array<ObjectId>} vehicleIds - Vehicles to measure
+ * @param {Date} startTime - Ride start
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Map>} Booked milliseconds keyed by vehicle ID
+ */
+async function getBookedTime(vehicleIds, startTime, session) {
+  const windowMs = config.assignment.utilisationWindowDays * DAY_MS;
+  const windowStart = new Date(startTime.getTime() - windowMs);
+  const windowEnd = new Date(startTime.getTime() + windowMs);
+
+  const usage = await Booking.aggregate([
+    {
+      $match: {
+        vehicleId: { $in: vehicleIds },
+        status: { $in: ACTIVE_STATUSES },
+        startTime: { $lt: windowEnd },
+        endTime: { $gt: windowStart }
+      }
+    },
+    {
+      $group: {
+        _id: '$vehicleId',
+        bookedMs: {
+          $sum: { $subtract: [{ $min: ['$endTime', windowEnd] }, { $max: ['$startTime', windowStart] }] }
+        }
+      }
+    }
+  ]).session(session || null);
+
+  return new Map(usage.map(entry => [entry._id.toString(), entry.bookedMs]));
+}
+
+/**
+ * Drop-off pincode of the last booking of each vehicle ending before a ride
+ *
+ * @param {Array<ObjectId>} vehicleIds - Vehicles to look up
+ * @param {Date} startTime - Ride start
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Map>} Pincode keyed by vehicle ID, missing for vehicles without one
+ */
+async function getPreviousDropOffs(vehicleIds, startTime, session) {
+  const dropOffs = await Booking.aggregate([
+    { $match: { vehicleId: { $in: vehicleIds }, status: { $in: ACTIVE_STATUSES }, endTime: { $lte: startTime } } },
+    { $sort: { endTime: -1 } },
+    { $group: { _id: '$vehicleId', toPincode: { $first: '$toPincode' } } }
+  ]).session(session || null);
+
+  return new Map(dropOffs.map(entry => [entry._id.toString(), entry.toPincode]));
+}
+
+/**
+ * Order candidate vehicles by an assignment strategy
+ *
+ * @param {Array<object>} candidates - { vehicle, ride } with ride planned lazily
+ * @param {string} strategy - One of ASSIGNMENT_STRATEGIES
+ * @param {object} request - { fromPincode, toPincode, stops, startTime, customerId }
+ * @param {ClientSession} [session] - Transaction to read in
+ * @returns {Promise<Array<object>>} Candidates, best first
+ */
+async function rankCandidates(candidates, strategy, request, session) {
+  const vehicleIds = candidates.map(candidate => candidate.vehicle._id);
+
+  if (strategy === 'least-utilised') {
+    const bookedTime = await getBookedTime(vehicleIds, request.startTime, session);
+    const bookedMs = candidate => bookedTime.get(candidate.vehicle._id.toString()) || 0;
+
+    return candidates.sort((a, b) => bookedMs(a) - bookedMs(b) || bySize(a, b));
+  }
+
+  if (strategy === 'cheapest') {
+    for (const candidate of candidates) {
+      candidate.ride = await planCandidateRide(request, candidate.vehicle);
+    }
+    const cost = candidate => (candidate.ride ? candidate.ride.priceBreakdown.totalCost : Infinity);
+
+    return candidates.sort((a, b) => cost(a) - cost(b) || bySize(a, b));
+  }
+
+  if (strategy === 'closest') {
+    const dropOffs = await getPreviousDropOffs(vehicleIds, request.startTime, session);
+
+    for (const candidate of candidates) {
+      const dropOff = dropOffs.get(candidate.vehicle._id.toString());
+      if (!dropOff) {
+        // Vehicles with no known location go last
+        candidate.distanceKm = Infinity;
+      } else if (dropOff === request.fromPincode) {
+        candidate.distanceKm = 0;
+      } else {
+        try {
+          const { distanceKm } = await getDurationEstimator()
+            .estimate(dropOff, request.fromPincode, candidate.vehicle, request.startTime);
+          candidate.distanceKm = distanceKm;
+        } catch (error) {
+          // Drop-offs outside the dataset, such as older bookings', are no known location
+          if (error.name !== 'UnknownPincodeError') {
+            throw error;
+          }
+          candidate.distanceKm = Infinity;
+        }
+      }
+    }
+
+    return candidates.sort((a, b) => (a.distanceKm === b.distanceKm ? bySize(a, b) : a.distanceKm - b.distanceKm));
+  }
+
+  return candidates.sort(bySize);
+}
+
+/**
+ * Pick a free active vehicle that can carry the load of a ride and claim it in
+ * the transaction
+ *
+ * Claiming writes to the vehicle, so a concurrent transaction picking the same
+ * vehicle fails with a TransientTransactionError and can be retried.
+ *
+ * Given a driver, only vehicles their licence covers are considered.
+ *
+ * @param {object} request - { capacityRequired, cargo, driver, fromPincode, toPincode, stops, startTime, customerId }
+ * @param {object} options - { strategy, session }
+ * @returns {Promise<object|null>} { vehicle, ride } or null if no vehicle is free
+ */
+async function assignVehicle(request, { strategy = config.assignment.strategy, session } = {}) {
+  const { capacityRequired, cargo, driver, ...ride } = request;
+  const vehicles = (await Vehicle.find({ isActive: true, ...cargoVehicleFilter(cargo, capacityRequired) })
+    .session(session || null))
+    .filter(vehicle => !driver || licenceCoversVehicle(driver.licenceClass, vehicle));
+
+  const candidates = await rankCandidates(vehicles.map(vehicle => ({ vehicle })), strategy, ride, session);
+
+  for (const candidate of candidates) {
+    const { vehicle } = candidate;
+    // Durations are cached per route and vehicle class, so this is cheap after the first
+    const plannedRide = candidate.ride === undefined ? await planCandidateRide(ride, vehicle) : candidate.ride;
+    if (!plannedRide) {
+      continue;
+    }
+
+    const conflicts = await findConflicts(vehicle._id, ride.startTime, plannedRide.endTime, {
+      vehicle,
+      route: { fromPincode: ride.fromPincode, toPincode: ride.toPincode },
+      session
+    });
+    if (conflicts.hasConflicts) {
+      continue;
+    }
+
+    await Vehicle.updateOne({ _id: vehicle._id }, { lastAssignedAt: new Date() }, { session });
+    return { vehicle, ride: plannedRide };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a failed transaction may succeed when run again
+ *
+ * @param {Error} error - Error thrown inside the transaction
+ * @returns {boolean}
+ */
+function isTransientTransactionError(error) {
+  return typeof error.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError');
+}
+
+module.exports = {
+  ASSIGNMENT_STRATEGIES,
+  assignVehicle,
+  isTransientTransactionError
+};
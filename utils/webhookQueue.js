@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { toWebhookEvent, getRetryDelayMs, sendWebhook } = require('./webhooks');
+
+// Deliveries sent per worker run, so one run cannot go on indefinitely
+const MAX_DELIVERIES_PER_RUN = 100;
+
+/**
+ * How long a delivery stays claimed while it is sent: longer than the request
+ * deadline, so it is never sent twice at once, yet short enough that a crashed
+ * worker's deliveries are picked up again
+ *
+ * @returns {number} Lock duration in milliseconds
+ */
+function getDeliveryLockMs() {
+  return config.webhooks.timeoutMs * 2;
+}
+
+let workerTimer = null;
+let isProcessing = false;
+
+/**
+ * Queue a webhook event for every active subscription that wants it
+ *
+ * @param {object} webhookEvent - { id, type, occurredAt, customerId, data }
+ * @param {ClientSession} [session] - Session to write the deliveries in
+ * @returns {Promise<Array>} Created deliveries
+ */
+async function queueWebhookDeliveries(webhookEvent, session = null) {
+  const subscriptions = await WebhookSubscription.findForEvent(webhookEvent.type, webhookEvent.customerId)
+    .session(session);
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  const payload = {
+    id: webhookEvent.id,
+    type: webhookEvent.type,
+    occurredAt: webhookEvent.occurredAt,
+    data: webhookEvent.data
+  };
+
+  return WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+    subscriptionId: subscription._id,
+    eventId: webhookEvent.id,
+    eventType: webhookEvent.type,
+    payload
+  })), { session });
+}
+
+/**
+ * Send new deliveries right away instead of waiting for the next poll
+ */
+function sendQueuedDeliveries() {
+  if (workerTimer) {
+    runWorker();
+  }
+}
+
+/**
+ * Queue webhooks for a saved booking change. The routes save bookings in a
+ * transaction, and the deliveries are written in it, so they commit or roll
+ * back together with the booking; a failure here aborts the save.
+ *
+ * @param {object} event - { type, customerId, data } as published on the event bus
+ * @param {ClientSession} [session] - Session the booking was saved in
+ * @returns {Promise<void>}
+ */
+async function queueBookingWebhooks(event, session = null) {
+  const webhookEvent = toWebhookEvent({
+    ...event,
+    id: new mongoose.Types.ObjectId().toString(),
+    occurredAt: new Date()
+  });
+  if (!webhookEvent) {
+    return;
+  }
+
+  // Outside a transaction (scripts, test fixtures) the deliveries follow the booking
+  const transaction = session && session.inTransaction() ? session : null;
+  const deliveries = await queueWebhookDeliveries(webhookEvent, transaction);
+  if (deliveries.length === 0) {
+    return;
+  }
+
+  if (transaction) {
+    transaction.once('ended', sendQueuedDeliveries);
+  } else {
+    sendQueuedDeliveries();
+  }
+}
+
+/**
+ * Send a delivery once and record the attempt. Failed deliveries are retried
+ * with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+ *
+ * @param {object} delivery - Pending delivery
+ * @returns {Promise<object>} The updated delivery
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  const startedAt = new Date();
+  const attempt = { at: startedAt };
+
+  if (!subscription || !subscription.isActive) {
+    attempt.error = 'Subscription is no longer active';
+    delivery.status = 'failed';
+  } else {
+    try {
+      const { responseStatus } = await sendWebhook(subscription.url, delivery, subscription.secret);
+      attempt.responseStatus = responseStatus;
+      if (responseStatus < 200 || responseStatus >= 300) {
+        attempt.error = `Receiver answered with status ${responseStatus}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt.getTime();
+  }
+
+  delivery.attempts.push(attempt);
+  delivery.lockedUntil = null;
+
+  if (delivery.status === 'pending') {
+    if (!attempt.error) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+    } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelayMs(delivery.attempts.length));
+    }
+  }
+
+  return delivery.save();
+}
+
+/**
+ * Send every pending delivery that is due
+ *
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function processDueDeliveries() {
+  let attempted = 0;
+
+  while (attempted < MAX_DELIVERIES_PER_RUN) {
+    const delivery = await WebhookDelivery.claimNextDue(getDeliveryLockMs());
+    if (!delivery) {
+      break;
+    }
+
+    await attemptDelivery(delivery);
+    attempted += 1;
+  }
+
+  return attempted;
+}
+
+/**
+ * Run the worker unless a run is already going
+ */
+function runWorker() {
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
+  processDueDeliveries()
+    .catch(error => console.error('Error sending webhook deliveries:', error))
+    .finally(() => {
+      isProcessing = false;
+    });
+}
+
+/**
+ * Poll for due deliveries every WEBHOOK_POLL_INTERVAL_SECONDS
+ */
+function startWebhookWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(runWorker, config.webhooks.pollIntervalSeconds * 1000);
+  // Never keep the process alive just for the worker
+  workerTimer.unref();
+}
+
+/**
+ * Stop polling (mainly for tests)
+ */
+function stopWebhookWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  getDeliveryLockMs,
+  queueWebhookDeliveries,
+  queueBookingWebhooks,
+  attemptDelivery,
+  processDueDeliveries,
+  startWebhookWorker,
+  stopWebhookWorker
+};
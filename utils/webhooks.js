@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+
+const WEBHOOK_EVENT_TYPES = ['booking.created', 'booking.started', 'booking.completed', 'booking.cancelled'];
+
+// Booking statuses that are announced, with the webhook event they send
+const STATUS_EVENT_TYPES = {
+  'in-progress': 'booking.started',
+  completed: 'booking.completed',
+  cancelled: 'booking.cancelled'
+};
+
+// Loopback, private, link-local, unique-local and other non-public ranges webhooks must not reach.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_ADDRESS_MESSAGE = 'url must not point to a private or local network address';
+
+/**
+ * Turn a published booking event into a webhook event
+ *
+ * @param {object} event - Event from the event bus
+ * @returns {object|null} { id, type, occurredAt, customerId, data }, or null if webhooks do not send it
+ */
+function toWebhookEvent(event) {
+  let type = null;
+  if (event.type === 'booking.created') {
+    type = 'booking.created';
+  } else if (event.type === 'booking.statusChanged') {
+    type = STATUS_EVENT_TYPES[event.data.to] || null;
+  }
+
+  if (!type) {
+    return null;
+  }
+
+  return {
+    id: `evt_${event.id}`,
+    type,
+    occurredAt: event.occurredAt,
+    customerId: event.customerId,
+    data: event.data
+  };
+}
+
+/**
+ * Sign a payload so receivers can check it came from us
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex encoded HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Wait before the next try, doubling after every failed attempt
+ *
+ * @param {number} attemptCount - Attempts made so far
+ * @param {object} [settings] - { retryBaseSeconds, retryMaxSeconds }
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelayMs(attemptCount, settings = config.webhooks) {
+  const delaySeconds = settings.retryBaseSeconds * 2 ** Math.max(attemptCount - 1, 0);
+  return Math.min(delaySeconds, settings.retryMaxSeconds) * 1000;
+}
+
+/**
+ * Check whether an IP address is outside the public internet
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other reserved addresses
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return true;
+  }
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup() replacement for webhook requests that refuses private
+ * addresses. Checking the address actually connected to, rather than an
+ * earlier resolution, keeps DNS rebinding from reaching internal hosts.
+ *
+ * @param {string} hostname - Host to resolve
+ * @param {object} options - dns.lookup() options
+ * @param {Function} callback - dns.lookup() callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check that a subscription URL is http(s) and only reaches public addresses
+ *
+ * @param {string} url - Subscription URL
+ * @param {boolean} [allowPrivate] - Let private addresses through (local development)
+ * @returns {Promise<string|null>} Problem with the URL, or null if it may be used
+ */
+async function checkWebhookUrl(url, allowPrivate = config.webhooks.allowPrivateUrls) {
+  let parsed = null;
+  try {
+    parsed = typeof url === 'string' ? new URL(url) : null;
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must be an http or https URL';
+  }
+
+  if (allowPrivate) {
+    return null;
+  }
+
+  // IPv6 hosts keep their brackets in URL.hostname
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isPrivateAddress(hostname) ? PRIVATE_ADDRESS_MESSAGE : null;
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.some(entry => isPrivateAddress(entry.address)) ? PRIVATE_ADDRESS_MESSAGE : null;
+  } catch (error) {
+    return `url host ${hostname} could not be resolved`;
+  }
+}
+
+/**
+ * POST a signed payload to a subscriber. The URL is checked again here, as
+ * its host may resolve differently than when the subscription was saved.
+ * Response bodies are discarded so receivers' answers never reach the log.
+ *
+ * @param {string} url - Subscription URL
+ * @param {object} delivery - { _id, eventId, eventType, payload }
+ * @param {string} secret - Subscription secret
+ * @param {number} [timeoutMs] - Deadline for the whole request, including a slowly sent response
+ * @returns {Promise<object>} { responseStatus }; rejects on network errors, timeouts and private addresses
+ */
+function sendWebhook(url, delivery, secret, timeoutMs = config.webhooks.timeoutMs) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const client = url.startsWith('https:') ? https : http;
+  const allowPrivate = config.webhooks.allowPrivateUrls;
+
+  return new Promise((resolve, reject) => {
+    // Hosts given as IP addresses are connected to without a lookup
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+      return reject(new Error(PRIVATE_ADDRESS_MESSAGE));
+    }
+
+    const request = client.request(url, {
+      method: 'POST',
+      lookup: allowPrivate ? undefined : lookupPublicAddress,
+      // A fresh connection per request, so every request goes through the lookup above
+      agent: false,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'FleetLink-Webhooks/1.0',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': delivery.eventType,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+      }
+    }, (response) => {
+      response.resume();
+      response.on('end', () => {
+        clearTimeout(deadline);
+        resolve({ responseStatus: response.statusCode });
+      });
+    });
+
+    // A socket timeout only fires when the connection goes idle, so a receiver
+    // sending a byte now and then could hold the request open indefinitely
+    const deadline = setTimeout(() => {
+      const error = new Error(`Webhook request timed out after ${timeoutMs}ms`);
+      request.destroy(error);
+      reject(error);
+    }, timeoutMs);
+
+    request.on('error', error => {
+      clearTimeout(deadline);
+      reject(error);
+    });
+    request.end(body);
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  toWebhookEvent,
+  signPayload,
+  getRetryDelayMs,
+  isPrivateAddress,
+  checkWebhookUrl,
+  sendWebhook
+};